@@ -18,7 +18,10 @@ import FixedPairsSchedulePage from "./pages/FixedPairsSchedulePage";
 import RegisterMatchPage from "./pages/RegisterMatchPage";
 import ImportSchedulePage from "./pages/ImportSchedulePage";
 import PlayerProfilePage from "./pages/PlayerProfilePage";
-import { supabase } from "./supabaseClient";
+import SchedulerSettingsPage from "./pages/SchedulerSettingsPage";
+import LiveCourtsPage from "./pages/LiveCourtsPage";
+import TournamentPage from "./pages/TournamentPage";
+import { db, STORAGE_BACKEND } from "./api/storage";
 
 // Bottom nav tabs — primary (always visible) and more (in popup)
 const PRIMARY_TABS = [
@@ -31,6 +34,9 @@ const MORE_TABS = [
   { path: "/players", label: "Players", icon: "👥" },
   { path: "/fixed-pairs", label: "Fixed Pairs", icon: "🔗" },
   { path: "/register-game", label: "Register", icon: "➕" },
+  { path: "/live", label: "Live", icon: "👑" },
+  { path: "/tournament", label: "Tournament", icon: "🏆" },
+  { path: "/settings", label: "Settings", icon: "⚙️" },
 ];
 
 export default function App() {
@@ -46,13 +52,13 @@ export default function App() {
       try {
         const {
           data: { user: u },
-        } = await supabase.auth.getUser();
+        } = await db.auth.getUser();
         if (mounted) setUser(u ?? null);
       } catch (e) {
         /* ignore */
       }
     })();
-    const { data } = supabase.auth.onAuthStateChange((_event, session) => {
+    const { data } = db.auth.onAuthStateChange((_event, session) => {
       setUser(session?.user ?? null);
     });
     return () => {
@@ -73,7 +79,7 @@ export default function App() {
 
   async function handleSignOut() {
     try {
-      await supabase.auth.signOut();
+      await db.auth.signOut();
       setUser(null);
     } catch (err) {
       console.error("signOut err", err);
@@ -93,6 +99,14 @@ export default function App() {
           </span>
         </div>
         <div className="header-right">
+          {STORAGE_BACKEND !== "supabase" && (
+            <span
+              className="badge"
+              title="Matches and players are kept in this browser only"
+            >
+              {STORAGE_BACKEND} data
+            </span>
+          )}
           {user ? (
             <>
               <span
@@ -191,6 +205,30 @@ export default function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/settings"
+            element={
+              <ProtectedRoute>
+                <SchedulerSettingsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/live"
+            element={
+              <ProtectedRoute>
+                <LiveCourtsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/tournament"
+            element={
+              <ProtectedRoute>
+                <TournamentPage />
+              </ProtectedRoute>
+            }
+          />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </main>
@@ -300,7 +338,7 @@ function EmailModal({ open, onClose }) {
     }
     try {
       setBusy(true);
-      const { error } = await supabase.auth.signInWithOtp({
+      const { error } = await db.auth.signInWithOtp({
         email,
         options: { emailRedirectTo: window.location.origin + "/auth" },
       });
@@ -0,0 +1,631 @@
+// src/api/local-backend.js
+// Storage backend that keeps every table in the browser instead of a
+// Supabase project (see api/storage.js). It answers the same calls the app
+// makes on the Supabase client, so supabase-actions.js and the pages run on
+// it unchanged:
+//   from(table)  select (columns, "*", many-to-one embeds such as
+//                "session:sessions(name, venue)"), insert, update, upsert,
+//                delete; eq / neq / gt / gte / lt / lte / in / contains / is
+//                / not; order, limit, single, maybeSingle
+//   rpc(name, args)   the functions and views in local-rpc.js
+//   channel(name).on("postgres_changes", { event, table, filter }, cb)
+//                     change events for this tab's own writes
+//   auth              one local user, always signed in
+// Every statement and RPC is atomic: one that fails leaves the tables as they
+// were and resolves to { data: null, error }.
+
+import { RPC_FUNCTIONS, VIEWS } from "./local-rpc";
+
+const STORAGE_KEY = "court-scheduler:local-db";
+
+export class LocalDbError extends Error {
+  constructor(message, code = "P0001") {
+    super(message);
+    this.name = "LocalDbError";
+    this.code = code;
+  }
+}
+
+const now = () => new Date().toISOString();
+
+// Column defaults and unique keys from the table definitions in
+// supabase/migrations. `unique(row)` is the row's key in a unique index
+// (null = not in the index); `cascade` lists the columns that reference
+// another table with on delete cascade.
+const TABLES = {
+  players: {
+    defaults: () => ({
+      gender: null,
+      category: null,
+      last_played: null,
+      created_at: now(),
+    }),
+  },
+  matches: {
+    defaults: () => ({
+      session_id: null,
+      round: null,
+      resting_player_ids: null,
+      winner: null,
+      score_text: null,
+      schedule_id: null,
+      schedule_seed: null,
+      strategy: null,
+      policy: null,
+      created_at: now(),
+    }),
+  },
+  scores: {
+    defaults: () => ({ points: 0, is_win: false, recorded_at: null }),
+  },
+  sessions: {
+    defaults: () => ({
+      name: "",
+      venue: null,
+      starts_at: null,
+      cost: null,
+      notes: null,
+      status: "open",
+      closed_at: null,
+      created_at: now(),
+      updated_at: now(),
+    }),
+  },
+  player_constraints: {
+    defaults: () => ({ note: null, created_at: now() }),
+    unique: (r) => `${[r.player_a, r.player_b].sort().join("|")}|${r.kind}`,
+    cascade: { players: ["player_a", "player_b"] },
+  },
+  scheduler_policies: {
+    primaryKey: "club_id",
+    defaults: () => ({
+      club_id: "default",
+      preset: null,
+      policy: {},
+      updated_at: now(),
+      updated_by: null,
+    }),
+  },
+  live_sessions: {
+    defaults: () => ({
+      rules: {},
+      queue: [],
+      courts: {},
+      streaks: {},
+      active: true,
+      created_at: now(),
+      updated_at: now(),
+    }),
+    unique: (r) => (r.active ? r.session_id : null),
+    cascade: { sessions: ["session_id"] },
+  },
+  tournaments: {
+    defaults: () => ({
+      name: "",
+      status: "groups",
+      settings: {},
+      teams: [],
+      fixtures: [],
+      bracket: null,
+      active: true,
+      created_at: now(),
+      updated_at: now(),
+    }),
+    unique: (r) => (r.active ? r.session_id : null),
+    cascade: { sessions: ["session_id"] },
+  },
+};
+
+// rows cross the backend boundary as JSON, like they would over the network
+const clone = (v) =>
+  v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+
+function newId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  // randomUUID needs a secure context; plain http on a LAN address has not
+  const b = globalThis.crypto.getRandomValues(new Uint8Array(16));
+  b[6] = (b[6] & 0x0f) | 0x40;
+  b[8] = (b[8] & 0x3f) | 0x80;
+  const h = [...b].map((x) => x.toString(16).padStart(2, "0")).join("");
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+}
+
+/* ---------- tables ---------- */
+
+function createStore({ persist, tables: initial }) {
+  let tables = clone(initial) || load();
+  let pending = null; // change events of the running statement
+  const listeners = new Set();
+
+  function load() {
+    if (!persist) return {};
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (err) {
+      console.error("local storage: could not read saved tables", err);
+      return {};
+    }
+  }
+
+  function save() {
+    if (!persist) return;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(tables));
+    } catch (err) {
+      console.error("local storage: could not save tables", err);
+    }
+  }
+
+  // another tab wrote: read its tables (no change events for those)
+  if (persist && typeof window !== "undefined") {
+    window.addEventListener("storage", (e) => {
+      if (e.key === STORAGE_KEY) tables = load();
+    });
+  }
+
+  function config(table) {
+    const c = TABLES[table];
+    if (!c) {
+      throw new LocalDbError(
+        `relation "public.${table}" does not exist`,
+        "42P01",
+      );
+    }
+    return c;
+  }
+
+  const primaryKey = (table) => config(table).primaryKey || "id";
+
+  function rows(table) {
+    if (VIEWS[table]) return VIEWS[table](api);
+    config(table);
+    return tables[table] || (tables[table] = []);
+  }
+
+  function checkUnique(table, row) {
+    const pk = primaryKey(table);
+    const { unique } = config(table);
+    const key = unique?.(row) ?? null;
+    const clash = rows(table).some(
+      (other) =>
+        other !== row &&
+        (other[pk] === row[pk] || (key !== null && unique(other) === key)),
+    );
+    if (clash) {
+      throw new LocalDbError(
+        `duplicate key value violates unique constraint on "${table}"`,
+        "23505",
+      );
+    }
+  }
+
+  function emit(table, eventType, row, old) {
+    pending.push({
+      schema: "public",
+      table,
+      eventType,
+      new: clone(row),
+      old: clone(old),
+      commit_timestamp: now(),
+    });
+  }
+
+  function insert(table, values) {
+    const pk = primaryKey(table);
+    const row = { ...config(table).defaults?.(), ...clone(values) };
+    if (row[pk] == null) row[pk] = newId();
+    checkUnique(table, row);
+    rows(table).push(row);
+    emit(table, "INSERT", row, {});
+    return row;
+  }
+
+  function update(table, match, patch) {
+    return rows(table)
+      .filter(match)
+      .map((row) => {
+        const old = { ...row };
+        Object.assign(row, clone(patch));
+        checkUnique(table, row);
+        emit(table, "UPDATE", row, old);
+        return row;
+      });
+  }
+
+  function remove(table, match) {
+    const list = rows(table);
+    const gone = list.filter(match);
+    if (!gone.length) return gone;
+    tables[table] = list.filter((r) => !gone.includes(r));
+    gone.forEach((old) => emit(table, "DELETE", {}, old));
+
+    const ids = new Set(gone.map((r) => r[primaryKey(table)]));
+    Object.entries(TABLES).forEach(([other, c]) => {
+      const columns = c.cascade?.[table];
+      if (columns) remove(other, (r) => columns.some((col) => ids.has(r[col])));
+    });
+    return gone;
+  }
+
+  // Runs fn as one statement: on a throw the tables are restored, otherwise
+  // they are saved and the change events go out.
+  function transaction(fn) {
+    const snapshot = clone(tables);
+    pending = [];
+    try {
+      const out = fn();
+      const events = pending;
+      pending = null;
+      if (events.length) save();
+      events.forEach((e) =>
+        setTimeout(() => listeners.forEach((listener) => listener(e)), 0),
+      );
+      return out;
+    } catch (err) {
+      tables = snapshot;
+      pending = null;
+      throw err;
+    }
+  }
+
+  const api = {
+    rows,
+    insert,
+    update,
+    remove,
+    newId,
+    error: (message, code) => new LocalDbError(message, code),
+  };
+
+  return { api, primaryKey, transaction, listeners };
+}
+
+/* ---------- queries ---------- */
+
+// Filters; a null column value only matches `is`.
+const OPS = {
+  eq: (a, b) => a === b,
+  neq: (a, b) => a !== b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  in: (a, list) => list.includes(a),
+  contains: (a, list) => Array.isArray(a) && list.every((x) => a.includes(x)),
+  is: (a, b) => (b === null ? a == null : a === b),
+};
+
+function test(row, { column, op, value, negate }) {
+  const a = row[column];
+  const ok = op === "is" ? OPS.is(a, value) : a != null && OPS[op](a, value);
+  return negate ? !ok : ok;
+}
+
+// "id, name, session:sessions(name, venue)" → [{ alias, column, embed? }]
+function parseColumns(columns) {
+  const items = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of `${columns},`) {
+    if (ch === "," && depth === 0) {
+      if (current.trim()) items.push(current.trim());
+      current = "";
+      continue;
+    }
+    if (ch === "(") depth += 1;
+    if (ch === ")") depth -= 1;
+    current += ch;
+  }
+  return items.map((item) => {
+    const [, alias, column, embed] =
+      item.match(/^(?:(\w+)\s*:\s*)?([\w*]+)\s*(?:\((.*)\))?$/s) || [];
+    if (!column) throw new LocalDbError(`unsupported column "${item}"`);
+    return { alias: alias || column, column, embed };
+  });
+}
+
+class LocalQuery {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.action = "select";
+    this.columns = "*";
+    this.returning = false;
+    this.values = null;
+    this.conflict = null;
+    this.filters = [];
+    this.orders = [];
+    this.max = null;
+    this.mode = "many";
+  }
+
+  select(columns = "*") {
+    this.columns = columns;
+    if (this.action !== "select") this.returning = true;
+    return this;
+  }
+
+  insert(values) {
+    this.action = "insert";
+    this.values = values;
+    return this;
+  }
+
+  upsert(values, { onConflict } = {}) {
+    this.action = "upsert";
+    this.values = values;
+    this.conflict = onConflict;
+    return this;
+  }
+
+  update(patch) {
+    this.action = "update";
+    this.values = patch;
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  filter(column, op, value) {
+    if (!OPS[op]) throw new LocalDbError(`unsupported filter "${op}"`);
+    this.filters.push({ column, op, value, negate: false });
+    return this;
+  }
+
+  not(column, op, value) {
+    this.filter(column, op, value);
+    this.filters[this.filters.length - 1].negate = true;
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(n) {
+    this.max = n;
+    return this;
+  }
+
+  single() {
+    this.mode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = "maybe";
+    return this;
+  }
+
+  matches(row) {
+    return this.filters.every((f) => test(row, f));
+  }
+
+  compare(a, b) {
+    for (const { column, ascending, nullsFirst } of this.orders) {
+      const x = a[column];
+      const y = b[column];
+      if (x == null || y == null) {
+        if (x == null && y == null) continue;
+        return (x == null) === nullsFirst ? -1 : 1;
+      }
+      if (x !== y) return (x < y ? -1 : 1) * (ascending ? 1 : -1);
+    }
+    return 0;
+  }
+
+  project(row, columns) {
+    const { api } = this.store;
+    const out = {};
+    parseColumns(columns).forEach(({ alias, column, embed }) => {
+      if (column === "*") {
+        Object.assign(out, clone(row));
+      } else if (embed === undefined) {
+        out[alias] = clone(row[column]) ?? null;
+      } else {
+        // many-to-one: matches.session_id → sessions.id
+        const fk = `${column.replace(/s$/, "")}_id`;
+        const target = api.rows(column).find((r) => r.id === row[fk]);
+        out[alias] = target ? this.project(target, embed || "*") : null;
+      }
+    });
+    return out;
+  }
+
+  execute() {
+    const { api, primaryKey } = this.store;
+    const table = this.table;
+    const list = (v) => (Array.isArray(v) ? v : [v]);
+    const match = (row) => this.matches(row);
+    let rows;
+
+    if (this.action === "select") {
+      rows = api.rows(table).filter(match);
+      if (this.orders.length)
+        rows = [...rows].sort((a, b) => this.compare(a, b));
+      if (this.max != null) rows = rows.slice(0, this.max);
+    } else if (this.action === "insert") {
+      rows = list(this.values).map((v) => api.insert(table, v));
+    } else if (this.action === "upsert") {
+      const key = this.conflict || primaryKey(table);
+      rows = list(this.values).map((v) => {
+        const same = (r) => v[key] != null && r[key] === v[key];
+        return api.rows(table).some(same)
+          ? api.update(table, same, v)[0]
+          : api.insert(table, v);
+      });
+    } else if (this.action === "update") {
+      rows = api.update(table, match, this.values);
+    } else {
+      rows = api.remove(table, match);
+    }
+
+    if (this.action !== "select" && !this.returning) return null;
+    return rows.map((r) => this.project(r, this.columns));
+  }
+
+  run() {
+    let data;
+    try {
+      data =
+        this.action === "select"
+          ? this.execute()
+          : this.store.transaction(() => this.execute());
+    } catch (error) {
+      return { data: null, error };
+    }
+    if (data === null || this.mode === "many") return { data, error: null };
+    if (data.length > 1 || (this.mode === "single" && !data.length)) {
+      return {
+        data: null,
+        error: new LocalDbError(
+          "JSON object requested, multiple (or no) rows returned",
+          "PGRST116",
+        ),
+      };
+    }
+    return { data: data[0] ?? null, error: null };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.run())
+      .then(resolve, reject);
+  }
+}
+
+["eq", "neq", "gt", "gte", "lt", "lte", "in", "contains", "is"].forEach(
+  (op) => {
+    LocalQuery.prototype[op] = function (column, value) {
+      return this.filter(column, op, value);
+    };
+  },
+);
+
+/* ---------- realtime ---------- */
+
+// "match_date=eq.2026-10-19" → row test
+function channelFilter(filter) {
+  if (!filter) return () => true;
+  const [, column, op, value] = filter.match(/^(\w+)=(\w+)\.(.*)$/) || [];
+  if (op !== "eq") {
+    console.error(`local channel: unsupported filter "${filter}"`);
+    return () => true;
+  }
+  return (row) => row && String(row[column]) === value;
+}
+
+function createChannel(store, name) {
+  const handlers = [];
+  const listener = (e) =>
+    handlers.forEach((h) => {
+      if (h.table && h.table !== e.table) return;
+      if (h.event !== "*" && h.event !== e.eventType) return;
+      if (!h.test(e.eventType === "DELETE" ? e.old : e.new)) return;
+      h.callback(e);
+    });
+
+  return {
+    name,
+    on(_type, { event = "*", table, filter } = {}, callback) {
+      handlers.push({ event, table, test: channelFilter(filter), callback });
+      return this;
+    },
+    subscribe(onStatus) {
+      store.listeners.add(listener);
+      onStatus?.("SUBSCRIBED");
+      return this;
+    },
+    unsubscribe() {
+      store.listeners.delete(listener);
+      return Promise.resolve("ok");
+    },
+  };
+}
+
+/* ---------- auth ---------- */
+
+const LOCAL_USER = {
+  id: "00000000-0000-4000-8000-000000000001",
+  email: "local@localhost",
+  role: "authenticated",
+};
+
+function createAuth() {
+  let session = { user: LOCAL_USER, access_token: "local" };
+  const listeners = new Set();
+
+  function change(event, next) {
+    session = next;
+    listeners.forEach((cb) => setTimeout(() => cb(event, session), 0));
+    return { data: { user: session?.user ?? null, session }, error: null };
+  }
+
+  const signIn = async ({ email } = {}) =>
+    change("SIGNED_IN", {
+      user: { ...LOCAL_USER, email: email || LOCAL_USER.email },
+      access_token: "local",
+    });
+
+  return {
+    getUser: async () => ({
+      data: { user: session?.user ?? null },
+      error: null,
+    }),
+    getSession: async () => ({ data: { session }, error: null }),
+    setSession: async () => ({ data: { session }, error: null }),
+    onAuthStateChange(cb) {
+      listeners.add(cb);
+      return {
+        data: { subscription: { unsubscribe: () => listeners.delete(cb) } },
+      };
+    },
+    signInWithOtp: signIn,
+    signUp: signIn,
+    signOut: async () => {
+      change("SIGNED_OUT", null);
+      return { error: null };
+    },
+  };
+}
+
+/**
+ * createLocalBackend
+ * @param opts.persist  keep the tables in localStorage (false = in memory,
+ *                      gone on reload)
+ * @param opts.tables   initial rows by table name, e.g. { players: [...] };
+ *                      replaces what is saved
+ * @returns a client with from / rpc / channel / removeChannel / auth
+ */
+export function createLocalBackend({ persist = true, tables = null } = {}) {
+  const store = createStore({ persist, tables });
+
+  return {
+    from: (table) => new LocalQuery(store, table),
+
+    rpc(name, args = {}) {
+      return Promise.resolve()
+        .then(() => {
+          const fn = RPC_FUNCTIONS[name];
+          if (!fn) {
+            throw new LocalDbError(
+              `function public.${name} does not exist`,
+              "42883",
+            );
+          }
+          const data = store.transaction(() => fn(store.api, args || {}));
+          return { data: clone(data) ?? null, error: null };
+        })
+        .catch((error) => ({ data: null, error }));
+    },
+
+    channel: (name) => createChannel(store, name),
+    removeChannel: (channel) => channel.unsubscribe(),
+
+    auth: createAuth(),
+  };
+}
@@ -0,0 +1,508 @@
+// src/api/local-rpc.js
+// The Postgres functions and views the app calls, re-implemented over the
+// local backend's tables (see local-backend.js). Functions defined in
+// supabase/migrations follow their SQL; the older ones (totals, pairing
+// stats, results) return the rows api/schemas.js expects from them.
+//
+// An RPC is (db, args) → result, where db is the local store:
+//   db.rows(table)                  current rows, read only
+//   db.insert(table, row)           → the stored row (defaults filled in)
+//   db.update(table, match, patch)  → updated rows
+//   db.remove(table, match)         → removed rows
+//   db.newId(), db.error(message)   an error to throw; the call is rolled back
+// A view is (db) → rows.
+
+import { teamsOf, partnerPairs, opponentPairs } from "../utils/matchTeams";
+import { pairKey, bumpCount } from "../utils/schedulerHelpers";
+
+const hasResult = (m) => Array.isArray(m.winner) && m.winner.length > 0;
+const inRange = (date, start, end) =>
+  (!start || date >= start) && (!end || date <= end);
+const round1 = (x) => Math.round(x * 10) / 10;
+const toInt = (v, fallback) => (v == null ? fallback : parseInt(v, 10));
+
+function playerNames(db) {
+  return new Map(db.rows("players").map((p) => [p.id, p.name]));
+}
+
+function findMatch(db, id) {
+  const match = db.rows("matches").find((m) => m.id === id);
+  if (!match) throw db.error(`match ${id} not found`);
+  return match;
+}
+
+/* ---------- results ---------- */
+
+// Winner, score text and scores rows of a match (one scores row per player,
+// a point for each winner).
+function setResult(db, match, winners, scoreText) {
+  const at = new Date().toISOString();
+  db.update("matches", (m) => m.id === match.id, {
+    winner: winners,
+    ...(scoreText != null && { score_text: scoreText }),
+  });
+  match.player_ids.forEach((playerId) => {
+    const won = winners.includes(playerId);
+    const patch = { is_win: won, points: won ? 1 : 0, recorded_at: at };
+    const own = (s) => s.match_id === match.id && s.player_id === playerId;
+    if (!db.update("scores", own, patch).length) {
+      db.insert("scores", {
+        match_id: match.id,
+        player_id: playerId,
+        ...patch,
+      });
+    }
+  });
+  db.update("players", (p) => match.player_ids.includes(p.id), {
+    last_played: at,
+  });
+}
+
+function recordTeamWinner(db, { p_match_id, p_winner_ids, p_score_text }) {
+  const match = findMatch(db, p_match_id);
+  const winners = p_winner_ids || [];
+  if (!winners.length || !winners.every((id) => match.player_ids.includes(id)))
+    throw db.error("winners must be players of the match");
+  setResult(db, match, winners, p_score_text);
+  return null;
+}
+
+// The side the given player was on wins.
+function recordMatchResult(db, { p_match_id, p_winner_id }) {
+  const match = findMatch(db, p_match_id);
+  const { teamA, teamB } = teamsOf(match.player_ids);
+  const team = [teamA, teamB].find((t) => t.includes(p_winner_id));
+  if (!team) throw db.error("winner must be a player of the match");
+  setResult(db, match, team, null);
+  return null;
+}
+
+function undoMatchResult(db, { p_match_id }) {
+  const match = findMatch(db, p_match_id);
+  db.update("matches", (m) => m.id === match.id, {
+    winner: null,
+    score_text: null,
+  });
+  db.update("scores", (s) => s.match_id === match.id, {
+    is_win: false,
+    points: 0,
+    recorded_at: null,
+  });
+  return null;
+}
+
+/* ---------- leaderboards ---------- */
+
+// { player_id, name, matches, wins, win_pct } over the kept matches with a
+// result, most wins first.
+function playerTotals(db, keep) {
+  const names = playerNames(db);
+  const totals = new Map();
+  db.rows("matches")
+    .filter((m) => hasResult(m) && keep(m))
+    .forEach((m) =>
+      m.player_ids
+        .filter((id) => names.has(id))
+        .forEach((id) => {
+          const row = totals.get(id) || {
+            player_id: id,
+            name: names.get(id),
+            matches: 0,
+            wins: 0,
+          };
+          row.matches += 1;
+          if (m.winner.includes(id)) row.wins += 1;
+          totals.set(id, row);
+        }),
+    );
+  return [...totals.values()]
+    .map((r) => ({ ...r, win_pct: round1((100 * r.wins) / r.matches) }))
+    .sort((a, b) => b.wins - a.wins || b.win_pct - a.win_pct);
+}
+
+function playerSessionCounts(db, { p_start, p_end, p_session_ids }) {
+  const seen = new Map();
+  db.rows("matches")
+    .filter(
+      (m) =>
+        inRange(m.match_date, p_start, p_end) &&
+        (!p_session_ids || p_session_ids.includes(m.session_id)),
+    )
+    .forEach((m) =>
+      m.player_ids.forEach((id) => {
+        if (!seen.has(id)) seen.set(id, new Set());
+        seen.get(id).add(m.session_id ?? m.match_date);
+      }),
+    );
+  return [...seen].map(([player_id, sessions]) => ({
+    player_id,
+    session_count: sessions.size,
+  }));
+}
+
+/* ---------- pairings ---------- */
+
+// Partnerships in the kept matches with a result:
+// { player_a < player_b, name_a, name_b, matches, wins, losses }
+function pairingStats(db, keep) {
+  const names = playerNames(db);
+  const stats = new Map();
+  db.rows("matches")
+    .filter((m) => hasResult(m) && keep(m))
+    .forEach((m) =>
+      partnerPairs(m.player_ids).forEach(([x, y]) => {
+        const [a, b] = x < y ? [x, y] : [y, x];
+        const key = pairKey(a, b);
+        const row = stats.get(key) || {
+          player_a: a,
+          player_b: b,
+          name_a: names.get(a) ?? null,
+          name_b: names.get(b) ?? null,
+          matches: 0,
+          wins: 0,
+          losses: 0,
+        };
+        row.matches += 1;
+        if (m.winner.includes(a)) row.wins += 1;
+        else row.losses += 1;
+        stats.set(key, row);
+      }),
+    );
+  return [...stats.values()].sort((p, q) => q.matches - p.matches);
+}
+
+// Partnerships scheduled on p_date (all dates when null), with or without a
+// result, next to the pair's all-time record.
+function pairingStatsScheduled(db, { p_date }) {
+  const names = playerNames(db);
+  const history = new Map(
+    pairingStats(db, () => true).map((s) => [
+      pairKey(s.player_a, s.player_b),
+      s,
+    ]),
+  );
+  const counts = new Map();
+  db.rows("matches")
+    .filter((m) => !p_date || m.match_date === p_date)
+    .forEach((m) =>
+      partnerPairs(m.player_ids).forEach(([x, y]) =>
+        bumpCount(counts, pairKey(x, y)),
+      ),
+    );
+  return [...counts].map(([key, matches]) => {
+    const [a, b] = key.split("|");
+    const hist = history.get(key);
+    return {
+      player_a: a,
+      player_b: b,
+      name_a: names.get(a) ?? null,
+      name_b: names.get(b) ?? null,
+      matches,
+      hist_matches: hist?.matches ?? 0,
+      hist_wins: hist?.wins ?? 0,
+      hist_win_pct: hist ? round1((100 * hist.wins) / hist.matches) : null,
+    };
+  });
+}
+
+// How often each pair played together / against each other, over every
+// saved match: { player_a < player_b, [column]: n }
+function pairCounts(db, pairsOf, column) {
+  const counts = new Map();
+  db.rows("matches").forEach((m) =>
+    pairsOf(m.player_ids).forEach(([x, y]) => bumpCount(counts, pairKey(x, y))),
+  );
+  return [...counts].map(([key, n]) => {
+    const [player_a, player_b] = key.split("|");
+    return { player_a, player_b, [column]: n };
+  });
+}
+
+/* ---------- sessions and schedules ---------- */
+
+// Throws unless sessionId is an open session on matchDate
+// (check_writable_session).
+function checkWritableSession(db, sessionId, matchDate) {
+  if (!sessionId) throw db.error("session id is required");
+  const session = db.rows("sessions").find((s) => s.id === sessionId);
+  if (!session) throw db.error(`session ${sessionId} not found`);
+  if (session.match_date !== matchDate) {
+    throw db.error(
+      `session ${sessionId} is on ${session.match_date}, not ${matchDate}`,
+    );
+  }
+  if (session.status === "closed") {
+    throw db.error("session is closed — reopen it to change the schedule");
+  }
+}
+
+// match_index continues across the whole day; rounds per session
+function nextMatchIndex(db, matchDate) {
+  return (
+    Math.max(
+      0,
+      ...db
+        .rows("matches")
+        .filter((m) => m.match_date === matchDate)
+        .map((m) => m.match_index),
+    ) + 1
+  );
+}
+
+function lastRound(db, sessionId) {
+  return Math.max(
+    0,
+    ...db
+      .rows("matches")
+      .filter((m) => m.session_id === sessionId)
+      .map((m) => m.round ?? 0),
+  );
+}
+
+function replaceScheduleForDate(
+  db,
+  {
+    p_match_date,
+    p_matches,
+    p_replace_from_round = null,
+    p_seed = null,
+    p_strategy = null,
+    p_policy = null,
+    p_session_id = null,
+  },
+) {
+  if (!p_match_date) throw db.error("match date is required");
+  const items = p_matches ?? [];
+  if (!Array.isArray(items)) throw db.error("matches must be a JSON array");
+
+  checkWritableSession(db, p_session_id, p_match_date);
+  const sessionId = p_session_id;
+
+  let deleted = 0;
+  if (p_replace_from_round != null) {
+    const gone = new Set(
+      db
+        .rows("matches")
+        .filter(
+          (m) =>
+            m.session_id === sessionId &&
+            (m.round ?? 1) >= p_replace_from_round,
+        )
+        .map((m) => m.id),
+    );
+    db.remove("scores", (s) => gone.has(s.match_id));
+    deleted = db.remove("matches", (m) => gone.has(m.id)).length;
+  }
+
+  // after every surviving match of the date, wherever it was appended
+  let next = nextMatchIndex(db, p_match_date);
+
+  // rounds are numbered from 1 in a new schedule: appended after the
+  // session's last round; a re-plan already continues from the kept rounds
+  const given = items.map((i) => i.round).filter((r) => r != null);
+  const offset = Math.max(
+    0,
+    lastRound(db, sessionId) -
+      (given.length ? Math.min(...given.map(Number)) : 1) +
+      1,
+  );
+
+  const scheduleId = db.newId();
+  const inserted = items.map((item) => {
+    const players = item.player_ids || [];
+    if (
+      ![2, 4].includes(players.length) ||
+      new Set(players).size !== players.length
+    )
+      throw db.error(`match ${next} needs 2 or 4 distinct players`);
+    return db.insert("matches", {
+      match_date: p_match_date,
+      session_id: sessionId,
+      court: toInt(item.court, 1),
+      match_index: next++,
+      round: toInt(item.round, 1) + offset,
+      player_ids: players,
+      resting_player_ids: item.resting_player_ids?.length
+        ? item.resting_player_ids
+        : null,
+      winner: null,
+      schedule_id: scheduleId,
+      schedule_seed: p_seed,
+      strategy: p_strategy,
+      policy: p_policy,
+    });
+  });
+
+  return {
+    deleted,
+    inserted: inserted.length,
+    first_index: next - inserted.length,
+    schedule_id: scheduleId,
+    session_id: sessionId,
+    matches: inserted,
+  };
+}
+
+// One match and its zeroed scores rows (manual entry, live courts, brackets).
+function appendMatch(
+  db,
+  {
+    p_match_date,
+    p_session_id,
+    p_player_ids,
+    p_court = null,
+    p_round = null,
+    p_strategy = "manual",
+  },
+) {
+  if (!p_match_date) throw db.error("match date is required");
+  const players = p_player_ids || [];
+  if (
+    ![2, 4].includes(players.length) ||
+    new Set(players).size !== players.length
+  )
+    throw db.error("a match needs 2 or 4 distinct players");
+  checkWritableSession(db, p_session_id, p_match_date);
+
+  const match = db.insert("matches", {
+    match_date: p_match_date,
+    session_id: p_session_id,
+    court: toInt(p_court, 1),
+    match_index: nextMatchIndex(db, p_match_date),
+    // no round given: a new round after the session's last one
+    round: toInt(p_round, lastRound(db, p_session_id) + 1),
+    player_ids: players,
+    winner: null,
+    strategy: p_strategy,
+  });
+  const at = new Date().toISOString();
+  const scores = players.map((playerId) =>
+    db.insert("scores", {
+      match_id: match.id,
+      player_id: playerId,
+      points: 0,
+      is_win: false,
+      recorded_at: at,
+    }),
+  );
+  return { match, scores };
+}
+
+// Hand-edited rounds, all or nothing (update_matches_players).
+function updateMatchesPlayers(db, { p_changes }) {
+  const changes = p_changes ?? [];
+  if (!Array.isArray(changes)) throw db.error("changes must be a JSON array");
+
+  const byId = new Map(db.rows("matches").map((m) => [m.id, m]));
+  changes.forEach((c) => {
+    const m = byId.get(c.id);
+    if (m) checkWritableSession(db, m.session_id, m.match_date);
+  });
+
+  const ids = changes.map((c) => {
+    const players = c.player_ids || [];
+    if (
+      ![2, 4].includes(players.length) ||
+      new Set(players).size !== players.length
+    )
+      throw db.error(`match ${c.id} needs 2 or 4 distinct players`);
+    const updated = db.update("matches", (m) => m.id === c.id, {
+      player_ids: players,
+      resting_player_ids: c.resting_player_ids?.length
+        ? c.resting_player_ids
+        : null,
+    });
+    if (!updated.length) throw db.error(`match ${c.id} not found`);
+    return c.id;
+  });
+
+  // nobody plays twice in a round of a session after the edit
+  const rows = db.rows("matches");
+  const edited = rows.filter((m) => ids.includes(m.id));
+  const rounds = new Set(edited.map((m) => `${m.session_id}|${m.round}`));
+  const seen = new Set();
+  rows
+    .filter((m) => rounds.has(`${m.session_id}|${m.round}`))
+    .forEach((m) =>
+      m.player_ids.forEach((p) => {
+        const key = `${m.session_id}|${m.round}|${p}`;
+        if (seen.has(key)) {
+          throw db.error(`player ${p} is in two matches of round ${m.round}`);
+        }
+        seen.add(key);
+      }),
+    );
+
+  return {
+    updated: ids.length,
+    matches: edited.sort((a, b) => a.match_index - b.match_index),
+  };
+}
+
+/* ---------- export ---------- */
+
+// Totals, partnerships and every match of the period, names resolved.
+function exportFullMatchAnalysis(db, { p_start, p_end }) {
+  const names = playerNames(db);
+  const inPeriod = (m) => inRange(m.match_date, p_start, p_end);
+  const side = (ids) => ids.map((id) => names.get(id) ?? id);
+  const matches = db
+    .rows("matches")
+    .filter(inPeriod)
+    .sort(
+      (a, b) =>
+        a.match_date.localeCompare(b.match_date) ||
+        a.match_index - b.match_index,
+    )
+    .map((m) => {
+      const { teamA, teamB } = teamsOf(m.player_ids);
+      return {
+        match_id: m.id,
+        match_date: m.match_date,
+        court: m.court,
+        team_a: side(teamA),
+        team_b: side(teamB),
+        winner: !hasResult(m) ? null : m.winner.includes(teamA[0]) ? "A" : "B",
+        score_text: m.score_text ?? null,
+      };
+    });
+  return {
+    period: { start: p_start ?? null, end: p_end ?? null },
+    players: playerTotals(db, inPeriod),
+    pairings: pairingStats(db, inPeriod),
+    matches,
+  };
+}
+
+export const RPC_FUNCTIONS = {
+  record_team_winner: recordTeamWinner,
+  record_match_result: recordMatchResult,
+  undo_match_result: undoMatchResult,
+
+  player_totals_overall: (db) => playerTotals(db, () => true),
+  player_totals_for_period: (db, { p_year }) =>
+    playerTotals(db, (m) => !p_year || m.match_date.startsWith(`${p_year}-`)),
+  player_totals_for_range: (db, { p_start, p_end }) =>
+    playerTotals(db, (m) => inRange(m.match_date, p_start, p_end)),
+  player_totals_for_sessions: (db, { p_session_ids }) =>
+    playerTotals(db, (m) => (p_session_ids || []).includes(m.session_id)),
+  get_player_session_counts: playerSessionCounts,
+
+  pairing_stats: (db) => pairingStats(db, () => true),
+  pairing_stats_simple: (db) => pairingStats(db, () => true),
+  pairing_stats_recorded: (db, { p_start, p_end }) =>
+    pairingStats(db, (m) => inRange(m.match_date, p_start, p_end)),
+  pairing_stats_scheduled: pairingStatsScheduled,
+
+  replace_schedule_for_date: replaceScheduleForDate,
+  append_match: appendMatch,
+  update_matches_players: updateMatchesPlayers,
+  export_full_match_analysis: exportFullMatchAnalysis,
+};
+
+export const VIEWS = {
+  pairing_history: (db) => pairCounts(db, partnerPairs, "pair_count"),
+  pairing_history_view: (db) => pairCounts(db, partnerPairs, "pair_count"),
+  opponent_history: (db) => pairCounts(db, opponentPairs, "opp_count"),
+  opponent_history_view: (db) => pairCounts(db, opponentPairs, "opp_count"),
+};
@@ -0,0 +1,348 @@
+// src/api/schemas.js
+// Row schemas for what the app reads from Supabase (tables and RPC results)
+// and the runtime check that turns a raw row into the domain object pages
+// use. Every read in supabase-actions.js goes through parseResult, so pages
+// get one shape per kind of row (e.g. player totals are always
+// { id, name, matches, wins, win_pct } whichever RPC produced them) and a
+// SchemaError naming the source and the offending fields when the backend
+// shape drifts, instead of quietly rendering zeros.
+//
+// A schema is { name, fields }. Each field is a type, or field(type, ...aliases)
+// when older RPCs return the value under another column name. Columns not
+// in the schema are dropped.
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+// returned by a type's parse() when the value doesn't fit
+const INVALID = Symbol("invalid");
+
+export class SchemaError extends Error {
+  /**
+   * @param source  what was read, e.g. "fetchPlayers" or "rpc player_totals_overall"
+   * @param issues  ["[3].name: expected string, got number", …]
+   */
+  constructor(source, issues) {
+    const shown = issues.slice(0, 3).join("; ");
+    const more = issues.length > 3 ? ` (+${issues.length - 3} more)` : "";
+    super(`Unexpected data from ${source}: ${shown}${more}`);
+    this.name = "SchemaError";
+    this.source = source;
+    this.issues = issues;
+  }
+}
+
+function type(label, parse) {
+  return {
+    label,
+    parse,
+    // null / undefined allowed and replaced by `fallback`
+    optional(fallback = null) {
+      return type(`${label}?`, (v) => (v == null ? fallback : parse(v)));
+    },
+  };
+}
+
+function describe(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v === "string" ? `"${v.slice(0, 40)}"` : typeof v;
+}
+
+// Postgres numeric / bigint columns can arrive as strings; both are accepted.
+const toNumber = (v) => {
+  const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+  return typeof n === "number" && Number.isFinite(n) ? n : INVALID;
+};
+
+export const t = {
+  uuid: type("uuid", (v) =>
+    typeof v === "string" && UUID_RE.test(v) ? v : INVALID,
+  ),
+  string: type("string", (v) => (typeof v === "string" ? v : INVALID)),
+  number: type("number", toNumber),
+  int: type("integer", (v) => {
+    const n = toNumber(v);
+    return n !== INVALID && Number.isInteger(n) ? n : INVALID;
+  }),
+  bool: type("boolean", (v) => (typeof v === "boolean" ? v : INVALID)),
+  date: type("date", (v) =>
+    typeof v === "string" && DATE_RE.test(v.slice(0, 10))
+      ? v.slice(0, 10)
+      : INVALID,
+  ),
+  timestamp: type("timestamp", (v) =>
+    typeof v === "string" && !Number.isNaN(Date.parse(v)) ? v : INVALID,
+  ),
+  time: type("time", (v) =>
+    typeof v === "string" && TIME_RE.test(v) ? v : INVALID,
+  ),
+  // any JSON object (jsonb columns)
+  object: type("object", (v) =>
+    v && typeof v === "object" && !Array.isArray(v) ? v : INVALID,
+  ),
+  oneOf: (...values) =>
+    type(values.map((v) => JSON.stringify(v)).join(" | "), (v) =>
+      values.includes(v) ? v : INVALID,
+    ),
+  arrayOf: (of) =>
+    type(`${of.label}[]`, (v) => {
+      if (!Array.isArray(v)) return INVALID;
+      const out = v.map((x) => of.parse(x));
+      return out.includes(INVALID) ? INVALID : out;
+    }),
+};
+
+// A field read from the first of `aliases` that is present when the schema's
+// own key is missing.
+export function field(fieldType, ...aliases) {
+  return { type: fieldType, aliases };
+}
+
+export function schema(name, fields) {
+  return { name, fields };
+}
+
+function parseInto(sch, row, path, issues) {
+  if (!row || typeof row !== "object" || Array.isArray(row)) {
+    issues.push(`${path || "row"}: expected ${sch.name}, got ${describe(row)}`);
+    return null;
+  }
+  const out = {};
+  Object.entries(sch.fields).forEach(([key, spec]) => {
+    const { type: ft, aliases = [] } = spec.parse ? { type: spec } : spec;
+    const from = [key, ...aliases].find((k) => row[k] !== undefined) ?? key;
+    const value = ft.parse(row[from]);
+    if (value === INVALID) {
+      issues.push(
+        `${path}${path ? "." : ""}${key}: expected ${ft.label}, got ${describe(row[from])}`,
+      );
+    } else {
+      out[key] = value;
+    }
+  });
+  return out;
+}
+
+/**
+ * parseRow / parseRows
+ * @returns the domain object(s); throws SchemaError listing every mismatch
+ */
+export function parseRow(sch, row, source = sch.name) {
+  const issues = [];
+  const out = parseInto(sch, row, "", issues);
+  if (issues.length) throw new SchemaError(source, issues);
+  return out;
+}
+
+export function parseRows(sch, rows, source = sch.name) {
+  if (!Array.isArray(rows)) {
+    throw new SchemaError(source, [
+      `expected a list of ${sch.name}, got ${describe(rows)}`,
+    ]);
+  }
+  const issues = [];
+  const out = rows.map((r, i) => parseInto(sch, r, `[${i}]`, issues));
+  if (issues.length) throw new SchemaError(source, issues);
+  return out;
+}
+
+// A single value (e.g. a scalar RPC result) of the given type.
+export function parseValue(valueType, value, source) {
+  const out = valueType.parse(value);
+  if (out === INVALID) {
+    throw new SchemaError(source, [
+      `expected ${valueType.label}, got ${describe(value)}`,
+    ]);
+  }
+  return out;
+}
+
+/**
+ * parseResult
+ * Validates a storage backend { data, error } result: a list is parsed row by row,
+ * an object as one row; null data stays null. A mismatch is returned as the
+ * error (and logged) so callers handle it like any other failed read.
+ */
+export function parseResult({ data, error, ...rest }, sch, source) {
+  if (error || data == null) return { data: data ?? null, error, ...rest };
+  try {
+    const parsed = Array.isArray(data)
+      ? parseRows(sch, data, source)
+      : parseRow(sch, data, source);
+    return { data: parsed, error: null, ...rest };
+  } catch (err) {
+    if (!(err instanceof SchemaError)) throw err;
+    console.error(err.message, err.issues);
+    return { data: null, error: err, ...rest };
+  }
+}
+
+/* ---------- tables ---------- */
+
+export const PlayerSchema = schema("player", {
+  id: t.uuid,
+  name: t.string,
+  gender: t.oneOf("female", "male").optional(),
+  category: t.string.optional(),
+  last_played: t.timestamp.optional(),
+});
+
+const playerIds = type("2 or 4 distinct player ids", (v) => {
+  const ids = t.arrayOf(t.uuid).parse(v);
+  if (ids === INVALID || ![2, 4].includes(ids.length)) return INVALID;
+  return new Set(ids).size === ids.length ? ids : INVALID;
+});
+
+export const MatchSchema = schema("match", {
+  id: t.uuid,
+  match_date: t.date,
+  session_id: t.uuid.optional(),
+  court: t.int,
+  match_index: t.int,
+  round: t.int.optional(),
+  player_ids: playerIds,
+  resting_player_ids: t.arrayOf(t.uuid).optional(),
+  // no result yet is always null (some rows were saved with [])
+  winner: type("uuid[]?", (v) => {
+    if (v == null || (Array.isArray(v) && v.length === 0)) return null;
+    return t.arrayOf(t.uuid).parse(v);
+  }),
+  score_text: t.string.optional(),
+  schedule_id: t.uuid.optional(),
+  schedule_seed: t.string.optional(),
+  strategy: t.string.optional(),
+  policy: t.object.optional(),
+  created_at: t.timestamp.optional(),
+});
+
+export const ScoreSchema = schema("score", {
+  // uuid or serial, depending on when the table was created
+  id: type("id", (v) =>
+    typeof v === "string" || Number.isInteger(v) ? v : INVALID,
+  ),
+  match_id: t.uuid,
+  player_id: t.uuid,
+  points: t.number.optional(0),
+  is_win: t.bool.optional(false),
+  recorded_at: t.timestamp.optional(),
+});
+
+export const SessionSchema = schema("session", {
+  id: t.uuid,
+  match_date: t.date,
+  name: t.string.optional(""),
+  venue: t.string.optional(),
+  starts_at: t.time.optional(),
+  cost: t.number.optional(),
+  notes: t.string.optional(),
+  status: t.oneOf("open", "closed"),
+  closed_at: t.timestamp.optional(),
+  created_at: t.timestamp.optional(),
+});
+
+export const ConstraintSchema = schema("player constraint", {
+  id: t.uuid,
+  player_a: t.uuid,
+  player_b: t.uuid,
+  kind: t.oneOf("avoid_partner", "avoid_opponent", "must_partner"),
+  note: t.string.optional(),
+});
+
+/* ---------- views and RPC results ---------- */
+
+// player_totals_overall / _for_range / _for_period / _for_sessions
+export const PlayerTotalsSchema = schema("player totals", {
+  id: field(t.uuid, "player_id"),
+  name: field(t.string.optional("Unknown"), "player_name"),
+  matches: field(t.int.optional(0), "total_matches"),
+  wins: t.int.optional(0),
+  win_pct: t.number.optional(0),
+});
+
+// get_player_session_counts
+export const SessionCountSchema = schema("session count", {
+  player_id: t.uuid,
+  session_count: t.int,
+});
+
+// pairing_history_view / opponent_history_view → { player_a, player_b, count }
+export const PairCountSchema = schema("pair count", {
+  player_a: t.uuid,
+  player_b: t.uuid,
+  count: field(t.int.optional(0), "pair_count", "opp_count"),
+});
+
+// pairing_stats_recorded (and pairing_stats / _simple)
+export const PairingStatSchema = schema("pairing stat", {
+  player_a: t.uuid,
+  player_b: t.uuid,
+  name_a: t.string.optional(),
+  name_b: t.string.optional(),
+  matches: t.int.optional(0),
+  wins: t.int.optional(0),
+  losses: t.int.optional(0),
+});
+
+// pairing_stats_scheduled
+export const ScheduledPairingSchema = schema("scheduled pairing", {
+  player_a: t.uuid,
+  player_b: t.uuid,
+  name_a: t.string.optional(),
+  name_b: t.string.optional(),
+  matches: t.int.optional(0),
+  hist_matches: t.int.optional(0),
+  hist_wins: t.int.optional(0),
+  hist_win_pct: t.number.optional(),
+});
+
+// replace_schedule_for_date
+export const ReplaceScheduleSchema = schema("replace schedule result", {
+  deleted: t.int.optional(0),
+  inserted: t.int.optional(0),
+  first_index: t.int.optional(),
+  schedule_id: t.uuid.optional(),
+  session_id: t.uuid.optional(),
+  matches: type("match[]", (v) => {
+    if (v == null) return [];
+    try {
+      return parseRows(MatchSchema, v);
+    } catch {
+      return INVALID;
+    }
+  }),
+});
+
+// update_matches_players
+export const UpdateMatchesSchema = schema("update matches result", {
+  updated: t.int.optional(0),
+  matches: type("match[]", (v) => {
+    if (v == null) return [];
+    try {
+      return parseRows(MatchSchema, v);
+    } catch {
+      return INVALID;
+    }
+  }),
+});
+
+// append_match
+export const AppendMatchSchema = schema("append match result", {
+  match: type("match", (v) => {
+    try {
+      return parseRow(MatchSchema, v);
+    } catch {
+      return INVALID;
+    }
+  }),
+  scores: type("score[]", (v) => {
+    if (v == null) return [];
+    try {
+      return parseRows(ScoreSchema, v);
+    } catch {
+      return INVALID;
+    }
+  }),
+});
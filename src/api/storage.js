@@ -0,0 +1,38 @@
+// src/api/storage.js
+// The storage backend the app reads and writes through. supabase-actions.js
+// and the pages use only this part of the Supabase client API, and every
+// backend implements it:
+//   db.from(table)      select / insert / update / upsert / delete with
+//                       filters, order, limit, single, maybeSingle
+//   db.rpc(name, args)  the Postgres functions in supabase/migrations
+//   db.channel(name).on("postgres_changes", { event, table, filter }, cb)
+//     .subscribe(), db.removeChannel(channel)
+//   db.auth             getUser, getSession, onAuthStateChange,
+//                       signInWithOtp, signUp, signOut
+// All of them resolve to { data, error } like supabase-js.
+//
+// VITE_STORAGE_BACKEND picks the backend:
+//   "supabase" (default)  the project in VITE_SUPABASE_URL / _ANON_KEY
+//   "local"               tables kept in this browser's localStorage
+//   "memory"              like local, but empty again after a reload
+
+import { createSupabaseBackend } from "../supabaseClient";
+import { createLocalBackend } from "./local-backend";
+
+const BACKENDS = {
+  supabase: () => createSupabaseBackend(),
+  local: () => createLocalBackend({ persist: true }),
+  memory: () => createLocalBackend({ persist: false }),
+};
+
+const requested = import.meta.env.VITE_STORAGE_BACKEND || "supabase";
+if (!BACKENDS[requested]) {
+  console.error(
+    `Unknown VITE_STORAGE_BACKEND "${requested}", using supabase. ` +
+      `Expected one of: ${Object.keys(BACKENDS).join(", ")}`,
+  );
+}
+
+export const STORAGE_BACKEND = BACKENDS[requested] ? requested : "supabase";
+
+export const db = BACKENDS[STORAGE_BACKEND]();
@@ -1,79 +1,167 @@
 // src/api/supabase-actions.js
-import { supabase } from "../supabaseClient";
-
-export async function saveScheduleToDb(schedule, matchDate) {
-  // quick guard
-  if (!Array.isArray(schedule) || schedule.length === 0) {
-    return { data: [], error: null };
-  }
-
-  // normalize date string
+import { db } from "./storage";
+import {
+  parseRows,
+  parseResult,
+  PlayerSchema,
+  MatchSchema,
+  ScoreSchema,
+  SessionSchema,
+  ConstraintSchema,
+  PlayerTotalsSchema,
+  SessionCountSchema,
+  PairCountSchema,
+  PairingStatSchema,
+  ScheduledPairingSchema,
+  ReplaceScheduleSchema,
+  AppendMatchSchema,
+  UpdateMatchesSchema,
+} from "./schemas";
+import { validatePolicy } from "../utils/schedulerPolicy";
+import { isMatchSize } from "../utils/matchTeams";
+import {
+  validateRotationRules,
+  startRotation,
+  advanceCourt,
+  fillIdleCourts,
+  joinQueue,
+  leaveQueue,
+  todayHistory,
+} from "../utils/liveRotation";
+import {
+  validateTournamentSettings,
+  seedTeams,
+  drawGroups,
+  groupFixtures,
+  startKnockout,
+  applyTournamentResult,
+  readyNodes,
+  nextCourt,
+} from "../utils/tournament";
+
+/**
+ * replaceScheduleForDate
+ * Every schedule write goes through the replace_schedule_for_date RPC, so
+ * deleting the replaced rounds, numbering and inserting happen in one
+ * transaction (no read-then-insert race on match_index).
+ * @param schedule  [{ court, round?, players, resting? }] in play order
+ * @param opts.replaceFromRound  null = append, 1 = replace the whole
+ *                               session, n = replace its rounds from n on
+ * @param opts.seed  seed code the schedule was generated with (kept on every
+ *                   row so the same schedule can be regenerated later)
+ * @param opts.strategy  scheduleEngine strategy id (or the page's format)
+ * @param opts.policy    scheduler policy the schedule was generated with
+ * @param opts.sessionId session to write to (required, open, on matchDate);
+ *                       replacing only touches that session's matches
+ * Rounds are stored on every row: a new schedule's rounds follow the day's
+ * last saved round, a re-plan's rounds are kept as given.
+ * @returns { data: { deleted, inserted, firstIndex, scheduleId, sessionId,
+ *            matches }, error }
+ */
+export async function replaceScheduleForDate(
+  matchDate,
+  schedule,
+  { replaceFromRound = 1, seed, strategy, policy, sessionId } = {},
+) {
   const dateStr =
     matchDate instanceof Date
       ? matchDate.toISOString().slice(0, 10)
       : matchDate;
+  if (!dateStr) {
+    return { data: null, error: new Error("matchDate is required") };
+  }
+  if (!sessionId) {
+    return { data: null, error: new Error("sessionId is required") };
+  }
+  const list = Array.isArray(schedule) ? schedule : [];
 
-  try {
-    // 1) read current max(match_index) for the date
-    const resp = await supabase
-      .from("matches")
-      .select("match_index")
-      .eq("match_date", dateStr)
-      .order("match_index", { ascending: false })
-      .limit(1)
-      .maybeSingle();
-
-    if (resp.error) {
-      // if reading fails, return error so caller can handle
-      return { data: null, error: resp.error };
+  // resting players are stored on every match of their round
+  const restingByRound = new Map();
+  list.forEach((s) => {
+    if (s.round && s.resting) {
+      restingByRound.set(s.round, s.resting);
     }
+  });
+  const rows = list.map((s) => ({
+    court: s.court,
+    round: s.round ?? null,
+    player_ids: s.players,
+    resting_player_ids: restingByRound.get(s.round) || null,
+  }));
+
+  const { data, error } = parseResult(
+    await db.rpc("replace_schedule_for_date", {
+      p_match_date: dateStr,
+      p_matches: rows,
+      p_replace_from_round: replaceFromRound,
+      p_seed: seed || null,
+      p_strategy: strategy || null,
+      p_policy: policy || null,
+      p_session_id: sessionId,
+    }),
+    ReplaceScheduleSchema,
+    "rpc replace_schedule_for_date",
+  );
+  if (error) return { data: null, error };
+  return {
+    data: {
+      deleted: data?.deleted ?? 0,
+      inserted: data?.inserted ?? 0,
+      firstIndex: data?.first_index ?? null,
+      scheduleId: data?.schedule_id ?? null,
+      sessionId: data?.session_id ?? null,
+      matches: data?.matches || [],
+    },
+    error: null,
+  };
+}
 
-    const currentMax =
-      resp && resp.data && typeof resp.data.match_index === "number"
-        ? resp.data.match_index
-        : 0;
-
-    const restingByRound = new Map();
-    schedule.forEach((s) => {
-      if (s.round && s.resting) {
-        restingByRound.set(s.round, s.resting);
-      }
-    });
-    // 2) create rows with incremented match_index starting after currentMax
-    const rows = schedule.map((s, idx) => ({
-      match_date: dateStr,
-      court: s.court,
-      match_index: currentMax + idx + 1,
-      player_ids: s.players,
-      resting_player_ids: restingByRound.get(s.round) || null,
-      winner: null,
-      created_at: new Date().toISOString(),
-    }));
-
-    // 3) insert into DB
-    const { data, error } = await supabase
-      .from("matches")
-      .insert(rows)
-      .select("*");
-
-    return { data, error };
-  } catch (err) {
-    console.error("saveScheduleToDb unexpected error", err);
-    return { data: null, error: err };
+// Append a schedule to session opts.sessionId, after the date's existing
+// matches. Returns { data: inserted rows (by match_index), error }.
+export async function saveScheduleToDb(
+  schedule,
+  matchDate,
+  { seed, strategy, policy, sessionId } = {},
+) {
+  if (!Array.isArray(schedule) || schedule.length === 0) {
+    return { data: [], error: null };
   }
+  const { data, error } = await replaceScheduleForDate(matchDate, schedule, {
+    replaceFromRound: null,
+    seed,
+    strategy,
+    policy,
+    sessionId,
+  });
+  return { data: data?.matches ?? null, error };
 }
 
 export async function fetchMatchesForDate(dateStr) {
-  const { data, error } = await supabase
-    .from("matches")
-    .select("*")
-    .eq("match_date", dateStr)
-    .order("match_index", { ascending: true });
-  return { data, error };
+  return parseResult(
+    await db
+      .from("matches")
+      .select("*")
+      .eq("match_date", dateStr)
+      .order("match_index", { ascending: true }),
+    MatchSchema,
+    "fetchMatchesForDate",
+  );
+}
+
+export async function fetchMatchesForSession(sessionId) {
+  return parseResult(
+    await db
+      .from("matches")
+      .select("*")
+      .eq("session_id", sessionId)
+      .order("match_index", { ascending: true }),
+    MatchSchema,
+    "fetchMatchesForSession",
+  );
 }
 
 /**export async function recordTeamWinner(matchId, winnerPlayerIds) {
-  const { data, error } = await supabase.rpc("record_team_winner", {
+  const { data, error } = await db.rpc("record_team_winner", {
     p_match_id: matchId,
     p_winner_ids: winnerPlayerIds,
   });
@@ -100,7 +188,7 @@ export async function recordTeamWinner(
     }
 
     // call RPC to record team winner
-    const { data: rpcData, error: rpcError } = await supabase.rpc(
+    const { data: rpcData, error: rpcError } = await db.rpc(
       "record_team_winner",
       {
         p_match_id: matchId,
@@ -113,8 +201,28 @@ export async function recordTeamWinner(
     const { data: scores, error: scoresError } =
       await fetchScoresForMatch(matchId);
 
-    // return everything useful for diagnostics / UI update
-    return { data: rpcData, error: rpcError, scores, scoresError };
+    // live rotation: the result decides who plays next on this court
+    const live = rpcError
+      ? null
+      : await advanceLiveSession(matchId, winnerPlayerIds);
+
+    // tournaments: the winner moves on in the bracket
+    const tournament = rpcError
+      ? null
+      : await advanceTournament(matchId, winnerPlayerIds);
+
+    // return everything useful for diagnostics / UI update. The result is
+    // saved even when advancing failed: advanceError says the next live or
+    // bracket match wasn't created, so the caller can tell the user.
+    return {
+      data: rpcData,
+      error: rpcError,
+      advanceError: live?.error || tournament?.error || null,
+      scores,
+      scoresError,
+      live,
+      tournament,
+    };
   } catch (err) {
     console.error("recordTeamWinner unexpected", err);
     return { data: null, error: err };
@@ -122,7 +230,7 @@ export async function recordTeamWinner(
 }
 
 export async function recordSingleWinner(matchId, winnerPlayerId) {
-  const { data, error } = await supabase.rpc("record_match_result", {
+  const { data, error } = await db.rpc("record_match_result", {
     p_match_id: matchId,
     p_winner_id: winnerPlayerId,
   });
@@ -130,69 +238,50 @@ export async function recordSingleWinner(matchId, winnerPlayerId) {
 }
 
 export async function undoWinner(matchId) {
-  const { data, error } = await supabase.rpc("undo_match_result", {
+  const { data, error } = await db.rpc("undo_match_result", {
     p_match_id: matchId,
   });
   return { data, error };
 }
 
 export async function fetchPairingHistoryMap() {
-  const { data, error } = await supabase
-    .from("pairing_history_view")
-    .select("*");
+  const { data, error } = await db.from("pairing_history_view").select("*");
   if (error) throw error;
   const map = new Map();
-  data.forEach((r) => map.set(`${r.player_a}|${r.player_b}`, r.pair_count));
+  parseRows(PairCountSchema, data, "pairing_history_view").forEach((r) =>
+    map.set(`${r.player_a}|${r.player_b}`, r.count),
+  );
   return map;
 }
 
 export async function fetchOpponentHistoryMap() {
-  const { data, error } = await supabase
-    .from("opponent_history_view")
-    .select("*");
+  const { data, error } = await db.from("opponent_history_view").select("*");
   if (error) throw error;
   const map = new Map();
-  data.forEach((r) => map.set(`${r.player_a}|${r.player_b}`, r.opp_count));
+  parseRows(PairCountSchema, data, "opponent_history_view").forEach((r) =>
+    map.set(`${r.player_a}|${r.player_b}`, r.count),
+  );
   return map;
 }
 
 export async function fetchPlayers() {
-  const { data, error } = await supabase
-    .from("players")
-    .select("*")
-    .order("name", { ascending: true });
-  return { data, error };
-}
-
-// fetch overall totals (existing view player_totals assumed)
-export async function fetchPlayerTotals(overall = true) {
-  if (overall) {
-    const { data, error } = await supabase
-      .from("player_totals")
-      .select("*")
-      .order("total_points", { ascending: false });
-    return { data, error };
-  } else {
-    // fetch all players ordered by name if overall==false without date: still return zeroes
-    const { data, error } = await supabase
-      .from("players")
-      .select("id, name")
-      .order("name", { ascending: true });
-    return { data, error };
-  }
+  return parseResult(
+    await db.from("players").select("*").order("name", { ascending: true }),
+    PlayerSchema,
+    "fetchPlayers",
+  );
 }
 
-// fetch totals for a single date using RPC
-export async function fetchPlayerTotalsByDate(dateStr) {
-  // dateStr should be 'YYYY-MM-DD' or null
-  const { data, error } = await supabase.rpc("player_totals_by_date", {
-    p_date: dateStr,
-  });
-  return { data, error };
+export async function fetchPlayer(id) {
+  return parseResult(
+    await db.from("players").select("*").eq("id", id).single(),
+    PlayerSchema,
+    "fetchPlayer",
+  );
 }
 
 export function subscribeToScores(onChange) {
-  return supabase
+  return db
     .channel("public:scores")
     .on(
       "postgres_changes",
@@ -202,98 +291,99 @@ export function subscribeToScores(onChange) {
     .subscribe();
 }
 
-// NEW: totals for a specific date (points recorded_at on that date)
-// returns rows: { player_id, name, points_on_date }
-export async function fetchPlayerTotalsForDate(dateStr) {
-  // Call the existing RPC 'player_totals_by_date' (p_date argument)
-  const { data, error } = await supabase.rpc("player_totals_for_date", {
-    p_date: dateStr,
-  });
-  return { data, error };
-}
-
+// Player totals from every leaderboard RPC come back as PlayerTotalsSchema
+// rows: { id, name, matches, wins, win_pct }.
 export async function fetchPlayerTotalsOverall() {
-  const { data, error } = await supabase.rpc("player_totals_overall");
-  return { data, error };
+  return parseResult(
+    await db.rpc("player_totals_overall"),
+    PlayerTotalsSchema,
+    "rpc player_totals_overall",
+  );
 }
 
 export async function fetchPlayerTotalsForPeriod(period) {
   // period: "overall" | 2025 | 2026
   const year = period === "overall" || !period ? null : Number(period);
 
-  const { data, error } = await supabase.rpc("player_totals_for_period", {
-    p_year: year,
-  });
-
-  return { data, error };
+  return parseResult(
+    await db.rpc("player_totals_for_period", { p_year: year }),
+    PlayerTotalsSchema,
+    "rpc player_totals_for_period",
+  );
 }
 
 export async function fetchPlayerTotalsForRange(p_start = null, p_end = null) {
-  const { data, error } = await supabase.rpc("player_totals_for_range", {
-    p_start,
-    p_end,
-  });
-  return { data, error };
+  return parseResult(
+    await db.rpc("player_totals_for_range", { p_start, p_end }),
+    PlayerTotalsSchema,
+    "rpc player_totals_for_range",
+  );
 }
 
 // Returns the number of distinct sessions each player attended within
-// a date range. Used by the scoreboard to show attendance fractions
-// (e.g. "4/10") when a session-count or date-range filter is active.
+// a date range, or within the given sessions. Used by the scoreboard to show
+// attendance fractions (e.g. "4/10") when a session-count or date-range
+// filter is active.
 // p_start / p_end: 'YYYY-MM-DD' strings or null.
-export async function fetchPlayerSessionCounts(p_start = null, p_end = null) {
-  const { data, error } = await supabase.rpc("get_player_session_counts", {
-    p_start,
-    p_end,
-  });
-  return { data, error };
+export async function fetchPlayerSessionCounts(
+  p_start = null,
+  p_end = null,
+  sessionIds = null,
+) {
+  return parseResult(
+    await db.rpc("get_player_session_counts", {
+      p_start,
+      p_end,
+      p_session_ids: sessionIds,
+    }),
+    SessionCountSchema,
+    "rpc get_player_session_counts",
+  );
 }
 
-export async function fetchSessionDates(limit = 10) {
-  const { data, error } = await supabase.rpc("get_session_dates", {
-    p_limit: limit,
-  });
-  return { data, error };
+// Leaderboard totals over the given sessions.
+export async function fetchPlayerTotalsForSessions(sessionIds) {
+  return parseResult(
+    await db.rpc("player_totals_for_sessions", {
+      p_session_ids: sessionIds || [],
+    }),
+    PlayerTotalsSchema,
+    "rpc player_totals_for_sessions",
+  );
 }
 
-export async function deleteScheduleForDate(dateStr) {
-  // 1) fetch match ids for date
-  const { data: matches, error: fetchErr } = await supabase
-    .from("matches")
-    .select("id")
-    .eq("match_date", dateStr);
-
-  if (fetchErr) return { data: null, error: fetchErr };
-
-  const ids = (matches || []).map((r) => r.id);
-  if (ids.length === 0) return { data: [], error: null };
-
-  // 2) delete scores for those match ids (if any)
-  const { error: delScoresErr } = await supabase
-    .from("scores")
-    .delete()
-    .in("match_id", ids);
-
-  if (delScoresErr) return { data: null, error: delScoresErr };
-
-  // 3) delete matches for that date (by ids)
-  const { data: deletedMatches, error: delMatchesErr } = await supabase
-    .from("matches")
-    .delete()
-    .in("id", ids)
-    .select("*"); // optional: return deleted rows
+export async function deleteScheduleForDate(dateStr, sessionId) {
+  return deleteMatchesForDateFrom(dateStr, null, sessionId);
+}
 
-  return { data: deletedMatches, error: delMatchesErr };
+// Delete the matches (and their scores) of a session from round fromRound
+// on, in one transaction (replace_schedule_for_date with nothing to insert).
+// fromRound = null deletes the whole session.
+// A closed session is an error, not 0 rows deleted.
+// Returns { data: { deleted }, error }.
+export async function deleteMatchesForDateFrom(dateStr, fromRound, sessionId) {
+  const { data, error } = await replaceScheduleForDate(dateStr, [], {
+    replaceFromRound: fromRound ?? 1,
+    sessionId,
+  });
+  return { data: data ? { deleted: data.deleted } : null, error };
 }
 
 // fetch pairing statistics (player UUID pairs with totals/wins/losses)
 export async function fetchPairingStats() {
-  const { data, error } = await supabase.rpc("pairing_stats");
-  return { data, error };
+  return parseResult(
+    await db.rpc("pairing_stats"),
+    PairingStatSchema,
+    "rpc pairing_stats",
+  );
 }
 
 export async function fetchPairingStatsSimple() {
-  const { data, error } = await supabase.rpc("pairing_stats_simple");
-  return { data, error };
+  return parseResult(
+    await db.rpc("pairing_stats_simple"),
+    PairingStatSchema,
+    "rpc pairing_stats_simple",
+  );
 }
 
 // fetch pairs that have recorded results; optional startDate/endDate are 'YYYY-MM-DD' strings or null
@@ -302,11 +392,14 @@ export async function fetchPairingStatsRecorded(
   endDate = null,
 ) {
   // note: parameter names must match RPC args (p_start, p_end)
-  const { data, error } = await supabase.rpc("pairing_stats_recorded", {
-    p_start: startDate,
-    p_end: endDate,
-  });
-  return { data, error };
+  return parseResult(
+    await db.rpc("pairing_stats_recorded", {
+      p_start: startDate,
+      p_end: endDate,
+    }),
+    PairingStatSchema,
+    "rpc pairing_stats_recorded",
+  );
 }
 
 // Fetch scheduled pairings for a date regardless of whether results are recorded.
@@ -316,22 +409,32 @@ export async function fetchPairingStatsRecorded(
 // p_date: 'YYYY-MM-DD' string | null (null = all dates)
 
 export async function fetchPairingStatsScheduled(p_date = null) {
-  const { data, error } = await supabase.rpc("pairing_stats_scheduled", {
-    p_date: p_date,
-  });
-  return { data, error };
+  return parseResult(
+    await db.rpc("pairing_stats_scheduled", { p_date }),
+    ScheduledPairingSchema,
+    "rpc pairing_stats_scheduled",
+  );
 }
 
-// Simple client-side createManualMatch (non-transactional, simple flow)
+// createManualMatch: one match through the append_match RPC, which picks
+// match_index and the round under the date's lock and inserts the zeroed
+// scores rows with the match.
 // params:
 //  - matchDate: 'YYYY-MM-DD' (string) or Date
 //  - court: integer or null/empty -> defaults to 1 (to satisfy NOT NULL)
-//  - playerIds: array of 4 player uuids (order: A1, A2, B1, B2)
+//  - playerIds: 4 player uuids for doubles (order: A1, A2, B1, B2)
+//               or 2 for singles (order: A, B)
+//  - round: integer or null -> a new round after the session's last one
+//  - strategy: what created the match (default "manual")
+//  - sessionId: session uuid (required; must be open and on matchDate)
 // returns: { data, error } where data is { match, scores }
 export async function createManualMatch({
   matchDate,
   court = null,
   playerIds = [],
+  round = null,
+  strategy = "manual",
+  sessionId,
 } = {}) {
   // normalize date string
   const dateStr =
@@ -343,113 +446,34 @@ export async function createManualMatch({
   if (!dateStr) {
     return { data: null, error: new Error("matchDate is required") };
   }
-  if (!Array.isArray(playerIds) || playerIds.length < 4) {
+  if (!sessionId) {
+    return { data: null, error: new Error("sessionId is required") };
+  }
+  if (
+    !Array.isArray(playerIds) ||
+    !isMatchSize(playerIds.length) ||
+    new Set(playerIds).size !== playerIds.length
+  ) {
     return {
       data: null,
-      error: new Error("playerIds must be an array of 4 ids"),
+      error: new Error(
+        "playerIds must be 2 (singles) or 4 (doubles) distinct ids",
+      ),
     };
   }
 
-  try {
-    // 1) compute next match_index for that date (use MAX(match_index) + 1)
-    // If no rows exist for that date, single() may return an error from PostgREST; handle gracefully.
-    let nextIndex = 1;
-    try {
-      const resp = await supabase
-        .from("matches")
-        .select("match_index")
-        .eq("match_date", dateStr)
-        .order("match_index", { ascending: false })
-        .limit(1)
-        .maybeSingle(); // maybeSingle avoids throwing when no rows
-      if (resp.error) {
-        // log but don't necessarily fail; we'll default nextIndex = 1
-        console.warn(
-          "createManualMatch: error reading max match_index:",
-          resp.error,
-        );
-      } else if (resp.data && typeof resp.data.match_index === "number") {
-        nextIndex = resp.data.match_index + 1;
-      }
-    } catch (err) {
-      // fallback: leave nextIndex = 1
-      console.warn("createManualMatch: reading max index failed, using 1", err);
-    }
-
-    // 2) choose court default if not provided (your DB had court NOT NULL)
-    const courtVal = court === null || court === "" ? 1 : Number(court);
-
-    // 3) insert into matches
-    const matchRow = {
-      match_date: dateStr,
-      court: courtVal,
-      match_index: nextIndex,
-      player_ids: playerIds,
-      winner: null,
-      created_at: new Date().toISOString(),
-    };
-
-    const { data: insertedMatches, error: insertMatchErr } = await supabase
-      .from("matches")
-      .insert(matchRow)
-      .select("*");
-
-    if (insertMatchErr) {
-      console.error(
-        "createManualMatch: failed to insert match:",
-        insertMatchErr,
-      );
-      return { data: null, error: insertMatchErr };
-    }
-
-    const insertedMatch = Array.isArray(insertedMatches)
-      ? insertedMatches[0]
-      : insertedMatches;
-
-    if (!insertedMatch || !insertedMatch.id) {
-      return { data: null, error: new Error("Failed to insert match row") };
-    }
-
-    // 4) insert initial scores rows for each player (points=0, is_win=false)
-    const scoresRows = playerIds.map((pid) => ({
-      match_id: insertedMatch.id,
-      player_id: pid,
-      points: 0,
-      is_win: false,
-      recorded_at: new Date().toISOString(),
-    }));
-
-    const { data: insertedScores, error: insertScoresErr } = await supabase
-      .from("scores")
-      .insert(scoresRows)
-      .select("*");
-
-    if (insertScoresErr) {
-      console.error(
-        "createManualMatch: failed to insert scores:",
-        insertScoresErr,
-      );
-      // Try best-effort cleanup of the match row to avoid dangling match with no scores.
-      try {
-        await supabase.from("matches").delete().eq("id", insertedMatch.id);
-      } catch (cleanupErr) {
-        console.warn(
-          "createManualMatch: failed cleanup after scores error:",
-          cleanupErr,
-        );
-      }
-      return { data: null, error: insertScoresErr };
-    }
-
-    // success: return the inserted match row and scores
-    return {
-      data: { match: insertedMatch, scores: insertedScores },
-      error: null,
-    };
-  } catch (err) {
-    console.error("createManualMatch: unexpected error", err);
-    return { data: null, error: err };
-  }
+  return parseResult(
+    await db.rpc("append_match", {
+      p_match_date: dateStr,
+      p_session_id: sessionId,
+      p_player_ids: playerIds,
+      p_court: court === null || court === "" ? 1 : Number(court),
+      p_round: round == null ? null : Number(round),
+      p_strategy: strategy,
+    }),
+    AppendMatchSchema,
+    "rpc append_match",
+  );
 }
 
 // delete a single match by id (also deletes any scores for that match).
@@ -460,7 +484,7 @@ export async function deleteMatchById(matchId) {
 
   try {
     // 1) delete scores for that match (best-effort)
-    const { error: delScoresErr } = await supabase
+    const { error: delScoresErr } = await db
       .from("scores")
       .delete()
       .eq("match_id", matchId);
@@ -471,7 +495,7 @@ export async function deleteMatchById(matchId) {
     }
 
     // 2) delete match row
-    const { data: deletedMatches, error: delMatchErr } = await supabase
+    const { data: deletedMatches, error: delMatchErr } = await db
       .from("matches")
       .delete()
       .eq("id", matchId)
@@ -495,12 +519,15 @@ export async function fetchScoresForMatch(matchId) {
     return { data: null, error: new Error("matchId is required") };
   }
   try {
-    const { data, error } = await supabase
-      .from("scores")
-      .select("*")
-      .eq("match_id", matchId)
-      .order("player_id", { ascending: true });
-    return { data, error };
+    return parseResult(
+      await db
+        .from("scores")
+        .select("*")
+        .eq("match_id", matchId)
+        .order("player_id", { ascending: true }),
+      ScoreSchema,
+      "fetchScoresForMatch",
+    );
   } catch (err) {
     console.error("fetchScoresForMatch unexpected", err);
     return { data: null, error: err };
@@ -512,7 +539,7 @@ export async function ensureScoresForMatch(matchId) {
   if (!matchId) return { ok: false, error: new Error("matchId is required") };
 
   try {
-    const { data: existingScores, error: existingErr } = await supabase
+    const { data: existingScores, error: existingErr } = await db
       .from("scores")
       .select("player_id")
       .eq("match_id", matchId);
@@ -522,11 +549,9 @@ export async function ensureScoresForMatch(matchId) {
     const existingIds = new Set(
       (existingScores || []).map((r) => String(r.player_id)),
     );
-    // If there are already 4 rows, assume fine (you can adjust threshold)
-    if ((existingIds.size || 0) >= 4) return { ok: true, inserted: 0 };
 
-    // fetch match to get player_ids
-    const { data: matchRow, error: matchErr } = await supabase
+    // fetch match to get player_ids (2 for singles, 4 for doubles)
+    const { data: matchRow, error: matchErr } = await db
       .from("matches")
       .select("player_ids")
       .eq("id", matchId)
@@ -550,7 +575,7 @@ export async function ensureScoresForMatch(matchId) {
 
     if (toInsert.length === 0) return { ok: true, inserted: 0 };
 
-    const { data: inserted, error: insertErr } = await supabase
+    const { data: inserted, error: insertErr } = await db
       .from("scores")
       .insert(toInsert)
       .select("*");
@@ -563,21 +588,665 @@ export async function ensureScoresForMatch(matchId) {
   }
 }
 
+// The analysis RPC predates the schedule metadata columns, so the stored
+// round / strategy / seed of every match in the range is exported alongside
+// it as `schedule: [{ match_id, match_date, match_index, round, court,
+// strategy, schedule_seed, schedule_id }]`.
 export async function exportFullMatchAnalysis(p_start = null, p_end = null) {
-  return await supabase.rpc("export_full_match_analysis", { p_start, p_end });
+  const { data, error } = await db.rpc("export_full_match_analysis", {
+    p_start,
+    p_end,
+  });
+  if (error) return { data: null, error };
+
+  let query = db
+    .from("matches")
+    .select(
+      "id, match_date, match_index, round, court, strategy, schedule_seed, schedule_id",
+    )
+    .order("match_date", { ascending: true })
+    .order("match_index", { ascending: true });
+  if (p_start) query = query.gte("match_date", p_start);
+  if (p_end) query = query.lte("match_date", p_end);
+  const { data: rows, error: rowsErr } = await query;
+  if (rowsErr) return { data: null, error: rowsErr };
+
+  const schedule = (rows || []).map(({ id, ...m }) => ({ match_id: id, ...m }));
+  const analysis =
+    data && typeof data === "object" && !Array.isArray(data)
+      ? data
+      : { analysis: data };
+  return { data: { ...analysis, schedule }, error: null };
 }
 
 export async function updateMatchPlayers(matchId, playerIds) {
-  if (!matchId || !Array.isArray(playerIds) || playerIds.length !== 4) {
+  if (
+    !matchId ||
+    !Array.isArray(playerIds) ||
+    !isMatchSize(playerIds.length) ||
+    new Set(playerIds).size !== playerIds.length
+  ) {
     return { data: null, error: new Error("Invalid matchId or playerIds") };
   }
 
-  const { data, error } = await supabase
+  const { data, error } = await db
     .from("matches")
     .update({ player_ids: playerIds, resting_player_ids: null })
     .eq("id", matchId)
     .select("*")
     .single();
 
+  return parseResult({ data, error }, MatchSchema, "updateMatchPlayers");
+}
+
+// Batched save for hand-edited rounds (utils/roundEdit applyDraft changes):
+// [{ id, player_ids, resting_player_ids }]. The update_matches_players RPC
+// applies all of them in one transaction and rejects the batch if a player
+// would end up in two matches of a round or the session is closed.
+// Returns { data: { updated, matches }, error }.
+export async function updateMatchesPlayers(changes) {
+  if (!Array.isArray(changes) || changes.length === 0) {
+    return { data: { updated: 0, matches: [] }, error: null };
+  }
+  const invalid = changes.find(
+    (c) =>
+      !c.id ||
+      !Array.isArray(c.player_ids) ||
+      !isMatchSize(c.player_ids.length) ||
+      new Set(c.player_ids).size !== c.player_ids.length,
+  );
+  if (invalid) {
+    return { data: null, error: new Error("Invalid match players") };
+  }
+
+  return parseResult(
+    await db.rpc("update_matches_players", {
+      p_changes: changes.map((c) => ({
+        id: c.id,
+        player_ids: c.player_ids,
+        resting_player_ids: c.resting_player_ids ?? null,
+      })),
+    }),
+    UpdateMatchesSchema,
+    "rpc update_matches_players",
+  );
+}
+
+// Scheduler policy saved for the club (table scheduler_policies).
+// Returns { data: { preset, policy, updated_at } | null, error }.
+export async function fetchSchedulerPolicy(clubId = "default") {
+  const { data, error } = await db
+    .from("scheduler_policies")
+    .select("preset, policy, updated_at")
+    .eq("club_id", clubId)
+    .maybeSingle();
   return { data, error };
 }
+
+export async function saveSchedulerPolicy(
+  policy,
+  preset = null,
+  clubId = "default",
+) {
+  const { policy: clean, errors } = validatePolicy(policy);
+  if (Object.keys(errors).length) {
+    return { data: null, error: new Error("Invalid scheduler policy") };
+  }
+
+  const { data, error } = await db
+    .from("scheduler_policies")
+    .upsert(
+      {
+        club_id: clubId,
+        preset,
+        policy: clean,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "club_id" },
+    )
+    .select("preset, policy, updated_at")
+    .single();
+  return { data, error };
+}
+
+// Pair constraints (table player_constraints): avoid_partner,
+// avoid_opponent, must_partner.
+export async function fetchPlayerConstraints() {
+  return parseResult(
+    await db
+      .from("player_constraints")
+      .select("id, player_a, player_b, kind, note")
+      .order("created_at", { ascending: true }),
+    ConstraintSchema,
+    "fetchPlayerConstraints",
+  );
+}
+
+export async function addPlayerConstraint({ playerA, playerB, kind, note }) {
+  if (!playerA || !playerB || playerA === playerB) {
+    return { data: null, error: new Error("Pick two different players") };
+  }
+  const { data, error } = await db
+    .from("player_constraints")
+    .insert([
+      { player_a: playerA, player_b: playerB, kind, note: note || null },
+    ])
+    .select("id, player_a, player_b, kind, note")
+    .single();
+  return parseResult({ data, error }, ConstraintSchema, "addPlayerConstraint");
+}
+
+export async function deletePlayerConstraint(id) {
+  const { error } = await db.from("player_constraints").delete().eq("id", id);
+  return { data: null, error };
+}
+
+// Sessions (table sessions): one row per club session, several per date
+// allowed. Matches reference their session through matches.session_id.
+const SESSION_COLUMNS =
+  "id, match_date, name, venue, starts_at, cost, notes, status, closed_at, created_at";
+
+// Newest first. opts: { date, status: "open" | "closed", limit }
+export async function fetchSessions({ date, status, limit } = {}) {
+  let query = db
+    .from("sessions")
+    .select(SESSION_COLUMNS)
+    .order("match_date", { ascending: false })
+    .order("starts_at", { ascending: false, nullsFirst: false })
+    .order("created_at", { ascending: false });
+  if (date) query = query.eq("match_date", date);
+  if (status) query = query.eq("status", status);
+  if (limit) query = query.limit(limit);
+  return parseResult(await query, SessionSchema, "fetchSessions");
+}
+
+export async function createSession({
+  matchDate,
+  name = "",
+  venue = null,
+  startsAt = null,
+  cost = null,
+  notes = null,
+} = {}) {
+  if (!matchDate) {
+    return { data: null, error: new Error("matchDate is required") };
+  }
+  const costVal = cost === "" || cost == null ? null : Number(cost);
+  if (costVal != null && !(costVal >= 0)) {
+    return { data: null, error: new Error("cost must be a positive number") };
+  }
+  const { data, error } = await db
+    .from("sessions")
+    .insert({
+      match_date: matchDate,
+      name: (name || "").trim(),
+      venue: venue?.trim() || null,
+      starts_at: startsAt || null,
+      cost: costVal,
+      notes: notes?.trim() || null,
+    })
+    .select(SESSION_COLUMNS)
+    .single();
+  return parseResult({ data, error }, SessionSchema, "createSession");
+}
+
+async function setSessionStatus(id, status) {
+  const { data, error } = await db
+    .from("sessions")
+    .update({
+      status,
+      closed_at: status === "closed" ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", id)
+    .select(SESSION_COLUMNS)
+    .single();
+  return parseResult({ data, error }, SessionSchema, "setSessionStatus");
+}
+
+// A closed session keeps its matches and results but its schedule can't be
+// replaced or cleared until it is reopened.
+export async function closeSession(id) {
+  return setSessionStatus(id, "closed");
+}
+
+export async function reopenSession(id) {
+  return setSessionStatus(id, "open");
+}
+
+// Live court rotation (table live_sessions, see utils/liveRotation.js).
+// One active rotation per session.
+const LIVE_COLUMNS =
+  "id, match_date, session_id, mode, rules, queue, courts, streaks, active, updated_at";
+
+export async function fetchLiveSession(sessionId) {
+  const { data, error } = await db
+    .from("live_sessions")
+    .select(LIVE_COLUMNS)
+    .eq("session_id", sessionId)
+    .eq("active", true)
+    .maybeSingle();
+  return { data, error };
+}
+
+export function subscribeToLiveSession(sessionId, onChange) {
+  return db
+    .channel(`public:live_sessions:session=${sessionId}`)
+    .on(
+      "postgres_changes",
+      {
+        event: "*",
+        schema: "public",
+        table: "live_sessions",
+        filter: `session_id=eq.${sessionId}`,
+      },
+      onChange,
+    )
+    .subscribe();
+}
+
+// Create a match for every court a rotation step started (one round).
+// Returns { ids: { [court]: matchId }, error }.
+async function createLiveMatches({ matchDate, sessionId }, started) {
+  const ids = {};
+  let round = null;
+  for (const { court, players } of started) {
+    const { data, error } = await createManualMatch({
+      matchDate,
+      sessionId,
+      court,
+      playerIds: players,
+      round,
+      strategy: "live",
+    });
+    if (error) return { ids, error };
+    ids[court] = data.match.id;
+    round = data.match.round;
+  }
+  return { ids, error: null };
+}
+
+function withMatchIds(courts, ids) {
+  const out = { ...courts };
+  Object.entries(ids).forEach(([court, id]) => {
+    out[court] = { ...out[court], match_id: id };
+  });
+  return out;
+}
+
+// Read-modify-write of the active live session of a session. Two courts can
+// finish at the same moment, so the write only goes through if the row is
+// unchanged since it was read (updated_at); otherwise the matches just
+// created are removed and the change is retried on fresh state.
+// `change(row, history)` returns { state, started } or null for "nothing to
+// do"; history is the session's partner/opponent counts (queue mode only).
+async function changeLiveSession(sessionId, change) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data: row, error } = await fetchLiveSession(sessionId);
+    if (error || !row) return { data: null, error };
+
+    let history;
+    if (row.mode === "queue") {
+      const { data: sessionMatches, error: matchesErr } =
+        await fetchMatchesForSession(sessionId);
+      if (matchesErr) return { data: null, error: matchesErr };
+      history = todayHistory(sessionMatches || []);
+    }
+
+    const result = change(row, history);
+    if (!result) return { data: row, error: null, started: [] };
+    const { state, started = [] } = result;
+
+    const { ids, error: createErr } = await createLiveMatches(
+      { matchDate: row.match_date, sessionId },
+      started,
+    );
+    const dropCreated = () =>
+      Promise.all(Object.values(ids).map((id) => deleteMatchById(id)));
+    if (createErr) {
+      await dropCreated();
+      return { data: null, error: createErr };
+    }
+
+    const { data, error: writeErr } = await db
+      .from("live_sessions")
+      .update({
+        rules: state.rules,
+        queue: state.queue,
+        courts: withMatchIds(state.courts, ids),
+        streaks: state.streaks,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", row.id)
+      .eq("updated_at", row.updated_at)
+      .select(LIVE_COLUMNS)
+      .maybeSingle();
+    if (data) return { data, error: null, started };
+    await dropCreated();
+    if (writeErr) return { data: null, error: writeErr };
+  }
+  return { data: null, error: new Error("Live session is busy, try again") };
+}
+
+export async function startLiveSession({
+  matchDate,
+  sessionId,
+  mode = "king",
+  rules,
+  players = [],
+  courts = 1,
+}) {
+  if (!sessionId) {
+    return { data: null, error: new Error("sessionId is required") };
+  }
+  const { errors } = validateRotationRules(rules);
+  if (Object.keys(errors).length) {
+    return { data: null, error: new Error("Invalid rotation rules") };
+  }
+  const { state, started } = startRotation({ players, courts, mode, rules });
+  if (!started.length) {
+    return { data: null, error: new Error("Not enough players for a court") };
+  }
+
+  const { ids, error: createErr } = await createLiveMatches(
+    { matchDate, sessionId },
+    started,
+  );
+  const dropCreated = () =>
+    Promise.all(Object.values(ids).map((id) => deleteMatchById(id)));
+  if (createErr) {
+    await dropCreated();
+    return { data: null, error: createErr };
+  }
+
+  const { data, error } = await db
+    .from("live_sessions")
+    .insert({
+      match_date: matchDate,
+      session_id: sessionId,
+      mode: state.mode,
+      rules: state.rules,
+      queue: state.queue,
+      courts: withMatchIds(state.courts, ids),
+      streaks: state.streaks,
+    })
+    .select(LIVE_COLUMNS)
+    .single();
+  if (error) await dropCreated();
+  return { data, error };
+}
+
+export async function endLiveSession(id) {
+  const { error } = await db
+    .from("live_sessions")
+    .update({ active: false, updated_at: new Date().toISOString() })
+    .eq("id", id);
+  return { data: null, error };
+}
+
+/**
+ * advanceLiveSession
+ * Called after a result is recorded: if the match is the current one on a
+ * live court of its session, work out who plays next there and create that
+ * match. Returns { data: null } when the match isn't part of a live session.
+ */
+export async function advanceLiveSession(matchId, winnerIds) {
+  const { data: match, error } = await db
+    .from("matches")
+    .select("id, session_id, court, player_ids")
+    .eq("id", matchId)
+    .maybeSingle();
+  if (error || !match?.session_id) return { data: null, error };
+
+  return changeLiveSession(match.session_id, (row, history) => {
+    if (row.courts?.[match.court]?.match_id !== matchId) return null;
+    const { state, next } = advanceCourt(
+      row,
+      { court: match.court, players: match.player_ids, winnerIds },
+      history,
+    );
+    return {
+      state,
+      started: next ? [{ court: match.court, players: next }] : [],
+    };
+  });
+}
+
+export async function joinLiveQueue(sessionId, playerIds) {
+  return changeLiveSession(sessionId, (row, history) =>
+    fillIdleCourts(joinQueue(row, playerIds), history),
+  );
+}
+
+export async function leaveLiveQueue(sessionId, playerId) {
+  return changeLiveSession(sessionId, (row) => ({
+    state: leaveQueue(row, playerId),
+  }));
+}
+
+export async function updateLiveRules(sessionId, rules) {
+  const { rules: clean, errors } = validateRotationRules(rules);
+  if (Object.keys(errors).length) {
+    return { data: null, error: new Error("Invalid rotation rules") };
+  }
+  return changeLiveSession(sessionId, (row) => ({
+    state: { ...row, rules: { ...clean, matchSize: row.rules.matchSize } },
+  }));
+}
+
+// Club tournaments (table tournaments, see utils/tournament.js). One active
+// tournament per session.
+const TOURNAMENT_COLUMNS =
+  "id, match_date, session_id, name, status, settings, teams, fixtures, bracket, active, updated_at";
+
+export async function fetchTournament(sessionId) {
+  const { data, error } = await db
+    .from("tournaments")
+    .select(TOURNAMENT_COLUMNS)
+    .eq("session_id", sessionId)
+    .eq("active", true)
+    .maybeSingle();
+  return { data, error };
+}
+
+export function subscribeToTournament(sessionId, onChange) {
+  return db
+    .channel(`public:tournaments:session=${sessionId}`)
+    .on(
+      "postgres_changes",
+      {
+        event: "*",
+        schema: "public",
+        table: "tournaments",
+        filter: `session_id=eq.${sessionId}`,
+      },
+      onChange,
+    )
+    .subscribe();
+}
+
+// Create a match for every bracket node whose two teams are known; the
+// matches created together share a round.
+// Returns { tournament (with match ids), ids: [matchId], error }.
+async function createBracketMatches({ matchDate, sessionId }, tournament) {
+  const ids = [];
+  let next = tournament;
+  let round = null;
+  for (const ready of readyNodes(tournament.bracket)) {
+    const court = nextCourt(next);
+    const { data, error } = await createManualMatch({
+      matchDate,
+      sessionId,
+      court,
+      playerIds: ready.teams.flatMap(
+        (id) => tournament.teams.find((t) => t.id === id)?.players || [],
+      ),
+      round,
+      strategy: "bracket",
+    });
+    if (error) return { tournament: next, ids, error };
+    ids.push(data.match.id);
+    round = data.match.round;
+    next = {
+      ...next,
+      bracket: {
+        ...next.bracket,
+        nodes: next.bracket.nodes.map((n) =>
+          n.key === ready.key ? { ...n, match_id: data.match.id, court } : n,
+        ),
+      },
+    };
+  }
+  return { tournament: next, ids, error: null };
+}
+
+/**
+ * createTournament
+ * Seeds the pairs from ratings (Map<playerId, rating>), then either draws
+ * groups and saves every group match, or goes straight to the knockout and
+ * creates the first-round matches, all in session `sessionId`.
+ */
+export async function createTournament({
+  matchDate,
+  sessionId,
+  name = "",
+  teams = [],
+  settings,
+  ratings = new Map(),
+}) {
+  if (!sessionId) {
+    return { data: null, error: new Error("sessionId is required") };
+  }
+  const { settings: clean, errors } = validateTournamentSettings(
+    settings,
+    teams.length,
+  );
+  if (Object.keys(errors).length) {
+    return { data: null, error: new Error(Object.values(errors)[0]) };
+  }
+
+  let tournament = {
+    name,
+    status: "groups",
+    settings: clean,
+    teams: seedTeams(teams, ratings),
+    fixtures: [],
+    bracket: null,
+  };
+  const created = [];
+  const dropCreated = () =>
+    Promise.all(created.map((id) => deleteMatchById(id)));
+
+  if (clean.groups > 0) {
+    const drawn = drawGroups(tournament.teams, clean.groups);
+    const { fixtures, schedule } = groupFixtures(drawn, clean.courts);
+    const { data: rows, error } = await saveScheduleToDb(schedule, matchDate, {
+      strategy: "groups",
+      sessionId,
+    });
+    if (error) return { data: null, error };
+    const saved = [...(rows || [])].sort(
+      (a, b) => a.match_index - b.match_index,
+    );
+    created.push(...saved.map((r) => r.id));
+    tournament = {
+      ...tournament,
+      teams: drawn,
+      fixtures: fixtures.map((f, idx) => ({ ...f, match_id: saved[idx].id })),
+    };
+  } else {
+    const res = await createBracketMatches(
+      { matchDate, sessionId },
+      startKnockout(
+        tournament,
+        tournament.teams.map((t) => t.id),
+      ),
+    );
+    created.push(...res.ids);
+    if (res.error) {
+      await dropCreated();
+      return { data: null, error: res.error };
+    }
+    tournament = res.tournament;
+  }
+
+  const { data, error } = await db
+    .from("tournaments")
+    .insert({ match_date: matchDate, session_id: sessionId, ...tournament })
+    .select(TOURNAMENT_COLUMNS)
+    .single();
+  if (error) await dropCreated();
+  return { data, error };
+}
+
+export async function endTournament(id) {
+  const { error } = await db
+    .from("tournaments")
+    .update({ active: false, updated_at: new Date().toISOString() })
+    .eq("id", id);
+  return { data: null, error };
+}
+
+/**
+ * advanceTournament
+ * Called after a result is recorded: updates the group fixture or bracket
+ * node the match belongs to and creates the matches that became ready.
+ * Same optimistic write as changeLiveSession (updated_at must be unchanged).
+ * Returns { data: null } when the match's session has no active tournament.
+ */
+export async function advanceTournament(matchId, winnerIds) {
+  const { data: match, error } = await db
+    .from("matches")
+    .select("id, session_id")
+    .eq("id", matchId)
+    .maybeSingle();
+  if (error || !match?.session_id) return { data: null, error };
+  const sessionId = match.session_id;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data: row, error: readErr } = await fetchTournament(sessionId);
+    if (readErr || !row) return { data: null, error: readErr };
+
+    const { data: sessionMatches, error: matchesErr } =
+      await fetchMatchesForSession(sessionId);
+    if (matchesErr) return { data: null, error: matchesErr };
+
+    const { tournament, changed } = applyTournamentResult(row, {
+      matchId,
+      winnerIds,
+      matches: sessionMatches || [],
+    });
+    if (!changed) return { data: row, error: null };
+
+    const {
+      tournament: next,
+      ids,
+      error: createErr,
+    } = await createBracketMatches(
+      { matchDate: row.match_date, sessionId },
+      tournament,
+    );
+    const dropCreated = () => Promise.all(ids.map((id) => deleteMatchById(id)));
+    if (createErr) {
+      await dropCreated();
+      return { data: null, error: createErr };
+    }
+
+    const { data, error: writeErr } = await db
+      .from("tournaments")
+      .update({
+        status: next.status,
+        fixtures: next.fixtures,
+        bracket: next.bracket,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", row.id)
+      .eq("updated_at", row.updated_at)
+      .select(TOURNAMENT_COLUMNS)
+      .maybeSingle();
+    if (data) return { data, error: null };
+    await dropCreated();
+    if (writeErr) return { data: null, error: writeErr };
+  }
+  return { data: null, error: new Error("Tournament is busy, try again") };
+}
@@ -0,0 +1,186 @@
+// src/components/CandidateSchedules.jsx
+import React, { useMemo } from "react";
+import { evaluateSchedule } from "../utils/scheduleQuality";
+
+// Columns where lower is better; the best value in each is highlighted.
+const COLUMNS = [
+  {
+    key: "plays",
+    label: "Plays",
+    title: "Fewest – most games per player",
+    value: (t) => t.maxGames - t.minGames,
+    show: (t) => `${t.minGames}–${t.maxGames}`,
+  },
+  {
+    key: "rests",
+    label: "Rests",
+    title: "Fewest – most rounds rested per player",
+    value: (t) => t.maxRests - t.minRests,
+    show: (t) => `${t.minRests}–${t.maxRests}`,
+  },
+  {
+    key: "streak",
+    label: "Rest run",
+    title: "Longest run of rounds any player sits out",
+    value: (t) => t.maxRestRun,
+  },
+  {
+    key: "partners",
+    label: "Rep. partners",
+    title: "Partner pairs used more than once",
+    value: (t) => t.repeatedPartnerPairs,
+  },
+  {
+    key: "opponents",
+    label: "Rep. opp.",
+    title: "Opponent pairs meeting more than once",
+    value: (t) => t.repeatedOpponentPairs,
+  },
+  {
+    key: "balance",
+    label: "Imbalance",
+    title: "Average team rating difference per match",
+    value: (t) => t.avgImbalance,
+  },
+];
+
+/**
+ * Candidate schedules from generateCandidates() for one strategy, with their
+ * quality numbers side by side so the organizer can pick one to preview.
+ * Props: results, players (roster ids), history (evaluateSchedule history),
+ *        current (seed of the schedule in the preview), onPick(result)
+ */
+export default function CandidateSchedules({
+  results,
+  players,
+  history,
+  current,
+  onPick,
+}) {
+  const rows = useMemo(
+    () =>
+      results.map((r) => {
+        if (r.error) return { result: r, totals: null };
+        const report = evaluateSchedule(r.matches, players, history);
+        const present = report.players.filter((p) => p.present > 0);
+        const rests = present.map((p) => p.rests);
+        return {
+          result: r,
+          totals: {
+            ...report.totals,
+            minRests: rests.length ? Math.min(...rests) : 0,
+            maxRests: rests.length ? Math.max(...rests) : 0,
+            maxRestRun: Math.max(
+              0,
+              ...present.map((p) => p.maxConsecutiveRests),
+            ),
+          },
+        };
+      }),
+    [results, players, history],
+  );
+  const best = useMemo(() => {
+    const ok = rows.filter((r) => r.totals);
+    return Object.fromEntries(
+      COLUMNS.map((c) => [
+        c.key,
+        ok.length > 1 ? Math.min(...ok.map((r) => c.value(r.totals))) : null,
+      ]),
+    );
+  }, [rows]);
+  const cell = { padding: "6px 6px", fontSize: 12, textAlign: "center" };
+
+  return (
+    <div className="card" style={{ marginBottom: 10 }}>
+      <div className="card-header">
+        <span className="card-title">🃏 Candidates</span>
+        <span style={{ fontSize: 11, color: "var(--muted)" }}>
+          {rows.length} different schedule{rows.length === 1 ? "" : "s"} · lower
+          is better
+        </span>
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ color: "var(--muted)", fontSize: 10 }}>
+              <th style={{ ...cell, textAlign: "left" }}>Seed</th>
+              <th style={cell}>Games</th>
+              {COLUMNS.map((c) => (
+                <th key={c.key} style={cell} title={c.title}>
+                  {c.label}
+                </th>
+              ))}
+              <th style={cell} />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ result, totals }) => (
+              <tr
+                key={result.seed}
+                style={{
+                  borderTop: "1px solid var(--border)",
+                  background:
+                    result.seed === current
+                      ? "var(--primary-dim)"
+                      : "transparent",
+                }}
+              >
+                <td
+                  style={{
+                    ...cell,
+                    textAlign: "left",
+                    fontWeight: 700,
+                    letterSpacing: 0.5,
+                  }}
+                >
+                  {result.seed}
+                </td>
+                {totals ? (
+                  <>
+                    <td style={cell}>{totals.games}</td>
+                    {COLUMNS.map((c) => {
+                      const v = c.value(totals);
+                      return (
+                        <td
+                          key={c.key}
+                          style={{
+                            ...cell,
+                            fontWeight: v === best[c.key] ? 800 : 400,
+                            color:
+                              v === best[c.key] ? "var(--primary)" : undefined,
+                          }}
+                        >
+                          {c.show ? c.show(totals) : v}
+                        </td>
+                      );
+                    })}
+                  </>
+                ) : (
+                  <td
+                    colSpan={COLUMNS.length + 1}
+                    style={{
+                      ...cell,
+                      color: "var(--danger)",
+                      textAlign: "left",
+                    }}
+                  >
+                    {result.error.message}
+                  </td>
+                )}
+                <td style={{ ...cell, textAlign: "right" }}>
+                  <button
+                    className="btn small"
+                    onClick={() => onPick(result)}
+                    disabled={!totals || result.matches.length === 0}
+                  >
+                    Use
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -6,6 +6,7 @@ import {
   updateMatchPlayers,
   deleteMatchById,
 } from "../api/supabase-actions";
+import { teamsOf, isSingles } from "../utils/matchTeams";
 
 export default function MatchCard({ match, playersMap, onChange }) {
   const [busy, setBusy] = useState(false);
@@ -23,8 +24,8 @@ export default function MatchCard({ match, playersMap, onChange }) {
   const [deleteOpen, setDeleteOpen] = useState(false);
 
   const pids = match.player_ids || match.players || [];
-  const teamA = pids.slice(0, 2);
-  const teamB = pids.slice(2, 4);
+  const singles = isSingles(pids);
+  const { teamA, teamB } = teamsOf(pids);
 
   const winnerIds = Array.isArray(match.winner)
     ? match.winner
@@ -106,7 +107,7 @@ export default function MatchCard({ match, playersMap, onChange }) {
     }
     setBusy(true);
     try {
-      const { error } = await recordTeamWinner(
+      const { error, advanceError } = await recordTeamWinner(
         match.id,
         pendingTeam,
         normalized || null,
@@ -117,6 +118,12 @@ export default function MatchCard({ match, playersMap, onChange }) {
       setPrevScoreInput("");
       onChange?.();
       window.dispatchEvent(new Event("scores-changed"));
+      if (advanceError) {
+        alert(
+          "Winner saved, but the next match could not be set up: " +
+            advanceError.message,
+        );
+      }
     } catch {
       alert("Failed to record winner");
     } finally {
@@ -162,9 +169,19 @@ export default function MatchCard({ match, playersMap, onChange }) {
     setEditOpen(true);
   }
 
+  // Singles keeps one player per side: [A1, B1] ↔ [A1, _, B1, _].
+  function setEditFormat(toSingles) {
+    if (toSingles === isSingles(editPlayers)) return;
+    setEditPlayers(
+      toSingles
+        ? [editPlayers[0] || "", editPlayers[2] || ""]
+        : [editPlayers[0] || "", "", editPlayers[1] || "", ""],
+    );
+  }
+
   async function doSaveEditedPlayers() {
     const unique = new Set(editPlayers.filter(Boolean));
-    if (unique.size !== 4) {
+    if (unique.size !== editPlayers.length) {
       alert("Each player must be unique.");
       return;
     }
@@ -223,7 +240,10 @@ export default function MatchCard({ match, playersMap, onChange }) {
         {/* Top row */}
         <div className="match-top-row">
           <span className="match-game-label">Game #{match.match_index}</span>
-          <span className="badge yellow">Court {match.court}</span>
+          <span style={{ display: "flex", gap: 4 }}>
+            {singles && <span className="badge blue">Singles</span>}
+            <span className="badge yellow">Court {match.court}</span>
+          </span>
         </div>
 
         {/* Teams */}
@@ -236,7 +256,9 @@ export default function MatchCard({ match, playersMap, onChange }) {
             <div className="team-label">A</div>
             <div className="team-names">
               <div className="team-name-main">{nameOf(teamA[0])}</div>
-              <div className="team-name-sub">{nameOf(teamA[1])}</div>
+              {teamA[1] && (
+                <div className="team-name-sub">{nameOf(teamA[1])}</div>
+              )}
             </div>
             {teamAWins && <span className="trophy">🏆</span>}
             {!hasWinner && <span className="tap-hint">tap</span>}
@@ -256,7 +278,9 @@ export default function MatchCard({ match, playersMap, onChange }) {
             <div className="team-label team-label-b">B</div>
             <div className="team-names">
               <div className="team-name-main">{nameOf(teamB[0])}</div>
-              <div className="team-name-sub">{nameOf(teamB[1])}</div>
+              {teamB[1] && (
+                <div className="team-name-sub">{nameOf(teamB[1])}</div>
+              )}
             </div>
             {teamBWins && <span className="trophy">🏆</span>}
             {!hasWinner && <span className="tap-hint">tap</span>}
@@ -497,17 +521,24 @@ export default function MatchCard({ match, playersMap, onChange }) {
       {/* ── Edit players dialog ── */}
       {editOpen &&
         (() => {
-          const slots = [
-            { label: "Team A · P1", idx: 0, isA: true },
-            { label: "Team A · P2", idx: 1, isA: true },
-            { label: "Team B · P1", idx: 2, isA: false },
-            { label: "Team B · P2", idx: 3, isA: false },
-          ];
+          const editSingles = isSingles(editPlayers);
+          const slots = editSingles
+            ? [
+                { label: "Side A", idx: 0, isA: true },
+                { label: "Side B", idx: 1, isA: false },
+              ]
+            : [
+                { label: "Team A · P1", idx: 0, isA: true },
+                { label: "Team A · P2", idx: 1, isA: true },
+                { label: "Team B · P1", idx: 2, isA: false },
+                { label: "Team B · P2", idx: 3, isA: false },
+              ];
           // Warn if any two slots have the same player — but do NOT disable any options.
           // All players in playersMap are always available in every dropdown so that
           // full team reshuffles (e.g. moving a player from one team to the other) work
           // without restriction. The editor is responsible for valid selections.
-          const hasDupe = new Set(editPlayers.filter(Boolean)).size < 4;
+          const hasDupe =
+            new Set(editPlayers.filter(Boolean)).size < editPlayers.length;
           return (
             <Dialog onClose={() => !busy && setEditOpen(false)}>
               <div style={{ fontWeight: 800, fontSize: 16, marginBottom: 4 }}>
@@ -522,6 +553,23 @@ export default function MatchCard({ match, playersMap, onChange }) {
               >
                 Game #{match.match_index} · Court {match.court}
               </div>
+              <div style={{ display: "flex", gap: 6, marginBottom: 12 }}>
+                {[
+                  { label: "Doubles", value: false },
+                  { label: "Singles", value: true },
+                ].map((f) => (
+                  <button
+                    key={f.label}
+                    type="button"
+                    className={`btn small${editSingles === f.value ? " primary" : ""}`}
+                    style={{ flex: 1 }}
+                    onClick={() => setEditFormat(f.value)}
+                    disabled={busy}
+                  >
+                    {f.label}
+                  </button>
+                ))}
+              </div>
               <div
                 style={{
                   display: "grid",
@@ -567,6 +615,7 @@ export default function MatchCard({ match, playersMap, onChange }) {
                         color: "var(--text)",
                       }}
                     >
+                      <option value="">—</option>
                       {Object.entries(playersMap).map(([id, name]) => (
                         <option key={id} value={id}>
                           {name}
@@ -0,0 +1,236 @@
+// src/components/ScheduleEditor.jsx
+import React, { useMemo, useState } from "react";
+import {
+  buildRoundDraft,
+  swapSlots,
+  validateDraft,
+  applyDraft,
+} from "../utils/roundEdit";
+import { teamsOf } from "../utils/matchTeams";
+
+/**
+ * Round-by-round editor for a preview or a saved schedule. Drag a player onto
+ * another player of the same round (on court or resting) to swap them; on
+ * touch screens tap one player, then the other. Checks re-run on every swap
+ * and nothing is applied until Save.
+ * Props: matches, playersMap (id → name), title, saving,
+ *        onSave({ matches, changes }) (applyDraft result), onCancel
+ */
+export default function ScheduleEditor({
+  matches,
+  playersMap,
+  title = "Edit rounds",
+  saving = false,
+  onSave,
+  onCancel,
+}) {
+  const [draft, setDraft] = useState(() => buildRoundDraft(matches));
+  const [picked, setPicked] = useState(null);
+  const [error, setError] = useState(null);
+  const check = useMemo(() => validateDraft(draft), [draft]);
+  const { changes, matches: edited } = useMemo(
+    () => applyDraft(matches, draft),
+    [matches, draft],
+  );
+  const changedGames = edited.filter((m, i) => m !== matches[i]).length;
+  const nameOf = (id) => playersMap?.[id] || id;
+  const dupes = new Set(
+    check.duplicates.map((d) => `${d.round}|${d.playerId}`),
+  );
+
+  const sameSlot = (a, b) =>
+    a &&
+    b &&
+    a.round === b.round &&
+    a.key === b.key &&
+    a.index === b.index &&
+    a.rest === b.rest;
+
+  function swap(from, to) {
+    setPicked(null);
+    if (!from || sameSlot(from, to)) return;
+    const res = swapSlots(draft, from, to);
+    setError(res.error);
+    if (!res.error) setDraft(res.draft);
+  }
+
+  function tap(slot) {
+    if (!picked) setPicked(slot);
+    else swap(picked, slot);
+  }
+
+  const chip = (slot, id, locked) => {
+    const on = sameSlot(picked, slot);
+    const dup = dupes.has(`${slot.round}|${id}`);
+    return (
+      <span
+        key={slot.rest != null ? `r${slot.rest}` : `${slot.key}-${slot.index}`}
+        draggable={!locked}
+        onDragStart={(e) => {
+          e.dataTransfer.setData("text/plain", JSON.stringify(slot));
+          e.dataTransfer.effectAllowed = "move";
+        }}
+        onDragOver={(e) => {
+          if (!locked) e.preventDefault();
+        }}
+        onDrop={(e) => {
+          e.preventDefault();
+          try {
+            swap(JSON.parse(e.dataTransfer.getData("text/plain")), slot);
+          } catch {
+            // not one of our chips
+          }
+        }}
+        onClick={() => !locked && tap(slot)}
+        style={{
+          display: "inline-block",
+          padding: "4px 9px",
+          margin: 2,
+          borderRadius: 20,
+          fontSize: 12,
+          fontWeight: 600,
+          cursor: locked ? "not-allowed" : "grab",
+          userSelect: "none",
+          border: "1px solid",
+          background: on ? "var(--primary)" : "var(--surface)",
+          color: on ? "#fff" : dup ? "var(--danger)" : "var(--text)",
+          borderColor: dup
+            ? "var(--danger)"
+            : on
+              ? "var(--primary)"
+              : "var(--border)",
+          opacity: locked ? 0.55 : 1,
+        }}
+      >
+        {nameOf(id)}
+      </span>
+    );
+  };
+
+  return (
+    <div className="card" style={{ marginBottom: 10 }}>
+      <div className="card-header">
+        <span className="card-title">✏️ {title}</span>
+        <div style={{ display: "flex", gap: 6 }}>
+          <button className="btn small" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+          <button
+            className="btn small primary"
+            onClick={() => onSave({ matches: edited, changes })}
+            disabled={saving || changedGames === 0 || !check.ok}
+          >
+            {saving ? "Saving…" : "💾 Save changes"}
+          </button>
+        </div>
+      </div>
+      <div className="card-body">
+        <div
+          style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 8 }}
+        >
+          <span
+            className={`badge${check.duplicates.length ? "" : " green"}`}
+            style={
+              check.duplicates.length ? { color: "var(--danger)" } : undefined
+            }
+          >
+            {check.duplicates.length
+              ? `${check.duplicates.length} player(s) twice in a round`
+              : "No double bookings"}
+          </span>
+          <span
+            className={`badge${
+              check.restSpread.max - check.restSpread.min > 1
+                ? " yellow"
+                : " green"
+            }`}
+            title="Fewest – most rounds rested per player"
+          >
+            Rests {check.restSpread.min}–{check.restSpread.max}
+          </span>
+          {check.restRuns.length > 0 && (
+            <span
+              className="badge yellow"
+              title={check.restRuns
+                .map((r) => `${nameOf(r.playerId)}: ${r.run} in a row`)
+                .join(", ")}
+            >
+              {check.restRuns.length} sit out rounds in a row
+            </span>
+          )}
+          {changedGames > 0 && (
+            <span className="badge blue">{changedGames} game(s) changed</span>
+          )}
+        </div>
+        <div style={{ fontSize: 11, color: "var(--muted)", marginBottom: 8 }}>
+          Drag a player onto another in the same round to swap them, or tap one
+          and then the other. Games with a result are locked.
+        </div>
+        {error && (
+          <div
+            style={{ fontSize: 12, color: "var(--danger)", marginBottom: 8 }}
+          >
+            {error}
+          </div>
+        )}
+
+        {draft.map((r) => (
+          <div
+            key={r.round}
+            className="round-block"
+            style={{ marginBottom: 8 }}
+          >
+            <div className="round-header">
+              <div className="round-header-left">
+                <div className="round-number-circle">{r.round}</div>
+                <span className="round-title">Round {r.round}</span>
+              </div>
+            </div>
+            <div className="round-games-row">
+              {r.matches.map((m) => {
+                const { teamA, teamB } = teamsOf(m.players);
+                const slot = (index) => ({ round: r.round, key: m.key, index });
+                return (
+                  <div key={m.key} className="round-game-slot">
+                    <div
+                      style={{
+                        fontSize: 10,
+                        fontWeight: 700,
+                        color: "var(--muted2)",
+                        marginBottom: 4,
+                      }}
+                    >
+                      Court {m.court}
+                      {m.locked && " · result in"}
+                    </div>
+                    <div>
+                      {teamA.map((id, i) => chip(slot(i), id, m.locked))}
+                    </div>
+                    <div style={{ fontSize: 10, color: "var(--muted)" }}>
+                      vs
+                    </div>
+                    <div>
+                      {teamB.map((id, i) =>
+                        chip(slot(teamA.length + i), id, m.locked),
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+            <div className="round-resting-strip">
+              <span className="round-resting-label">☕ Resting</span>
+              {r.resting.length === 0 ? (
+                <span className="round-resting-value">—</span>
+              ) : (
+                r.resting.map((id, i) =>
+                  chip({ round: r.round, rest: i }, id, false),
+                )
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,267 @@
+// src/components/ScheduleQualityPanel.jsx
+import React, { useMemo, useState } from "react";
+import { evaluateSchedule } from "../utils/scheduleQuality";
+import { CONSTRAINT_KINDS } from "../utils/playerConstraints";
+
+/**
+ * Collapsible quality report for a preview or a saved schedule.
+ * Props: matches, players (roster ids, optional), playersMap (id → name),
+ *        history ({ pairingHistory, opponentHistory, ratings, availability,
+ *                   mixed, categories, constraints }), title
+ */
+export default function ScheduleQualityPanel({
+  matches,
+  players,
+  playersMap,
+  history,
+  title = "Schedule quality",
+}) {
+  const [open, setOpen] = useState(false);
+  const report = useMemo(
+    () => evaluateSchedule(matches, players, history),
+    [matches, players, history],
+  );
+  const nameOf = (id) => playersMap?.[id] || id;
+  const { totals } = report;
+  if (totals.games === 0) return null;
+
+  const cell = { padding: "5px 6px", fontSize: 12, textAlign: "center" };
+  const sectionLabel = {
+    fontSize: 10,
+    fontWeight: 700,
+    color: "var(--muted)",
+    textTransform: "uppercase",
+    letterSpacing: 0.6,
+    margin: "12px 0 6px",
+  };
+
+  return (
+    <div className="card" style={{ marginBottom: 10 }}>
+      <button
+        type="button"
+        className="card-header"
+        onClick={() => setOpen((o) => !o)}
+        style={{
+          width: "100%",
+          border: "none",
+          background: "transparent",
+          cursor: "pointer",
+          fontFamily: "inherit",
+        }}
+      >
+        <span className="card-title">📊 {title}</span>
+        <span style={{ fontSize: 11, color: "var(--muted)" }}>
+          {open ? "▲" : "▼"}
+        </span>
+      </button>
+
+      <div className="card-body">
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+          <span className="badge" title="Fewest – most games per player">
+            Games {totals.minGames}–{totals.maxGames}
+          </span>
+          <span
+            className={`badge${totals.repeatedPartnerPairs ? " yellow" : " green"}`}
+          >
+            {totals.repeatedPartnerPairs} repeat partners
+          </span>
+          <span
+            className={`badge${totals.repeatedOpponentPairs ? " yellow" : " green"}`}
+          >
+            {totals.repeatedOpponentPairs} repeat opponents
+          </span>
+          {totals.constraintViolations > 0 && (
+            <span
+              className="badge"
+              style={{ color: "var(--danger)" }}
+              title="Player constraints the schedule breaks"
+            >
+              {totals.constraintViolations} constraint issues
+            </span>
+          )}
+          {history?.mixed && (
+            <span
+              className={`badge${totals.notMixed ? " orange" : " green"}`}
+              title="Matches where a team isn't one of each category"
+            >
+              {totals.notMixed
+                ? `${totals.notMixed} not mixed`
+                : "All teams mixed"}
+            </span>
+          )}
+          <span className="badge" title="Team rating difference per match">
+            Imbalance avg {totals.avgImbalance} · max {totals.maxImbalance}
+          </span>
+        </div>
+
+        {open && (
+          <>
+            <div style={sectionLabel}>Per player</div>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr style={{ color: "var(--muted)", fontSize: 10 }}>
+                  <th style={{ ...cell, textAlign: "left" }}>Player</th>
+                  <th style={cell}>Games</th>
+                  <th style={cell}>Rests</th>
+                  <th style={cell} title="Most rounds played in a row">
+                    Max play
+                  </th>
+                  <th style={cell} title="Most rounds rested in a row">
+                    Max rest
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.players.map((p) => (
+                  <tr
+                    key={p.id}
+                    style={{ borderTop: "1px solid var(--border)" }}
+                  >
+                    <td style={{ ...cell, textAlign: "left", fontWeight: 600 }}>
+                      {nameOf(p.id)}
+                    </td>
+                    <td style={cell}>{p.games}</td>
+                    <td style={cell}>{p.rests}</td>
+                    <td style={cell}>{p.maxConsecutivePlays}</td>
+                    <td
+                      style={{
+                        ...cell,
+                        color:
+                          p.maxConsecutiveRests > 1
+                            ? "var(--danger)"
+                            : undefined,
+                      }}
+                    >
+                      {p.maxConsecutiveRests}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <PairList
+              label="Repeated partners"
+              rows={report.repeatedPartners}
+              nameOf={nameOf}
+              style={sectionLabel}
+            />
+            <PairList
+              label="Repeated opponents"
+              rows={report.repeatedOpponents}
+              nameOf={nameOf}
+              style={sectionLabel}
+            />
+
+            {report.constraintViolations.length > 0 && (
+              <>
+                <div style={sectionLabel}>Broken constraints</div>
+                {report.constraintViolations.map((v, i) => (
+                  <div
+                    key={`${v.match_index}-${v.kind}-${i}`}
+                    style={{
+                      display: "flex",
+                      justifyContent: "space-between",
+                      gap: 8,
+                      padding: "4px 0",
+                      borderTop: "1px solid var(--border)",
+                      fontSize: 12,
+                    }}
+                  >
+                    <span style={{ color: "var(--muted)", flexShrink: 0 }}>
+                      R{v.round} · C{v.court}
+                    </span>
+                    <span style={{ flex: 1, minWidth: 0 }}>
+                      {nameOf(v.a)} & {nameOf(v.b)}
+                    </span>
+                    <span style={{ color: "var(--danger)", fontWeight: 700 }}>
+                      {CONSTRAINT_KINDS.find((k) => k.id === v.kind)?.label}
+                    </span>
+                  </div>
+                ))}
+              </>
+            )}
+
+            {history?.mixed && (
+              <>
+                <div style={sectionLabel}>Not mixed</div>
+                {report.notMixed.length === 0 ? (
+                  <div style={{ fontSize: 12, color: "var(--muted2)" }}>
+                    None
+                  </div>
+                ) : (
+                  <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+                    {report.notMixed.map((m) => (
+                      <span
+                        key={`${m.round}-${m.court}-${m.match_index}`}
+                        className="badge orange"
+                      >
+                        R{m.round} · C{m.court}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+
+            <div style={sectionLabel}>Team strength per match</div>
+            {report.matches.map((m) => (
+              <div
+                key={`${m.round}-${m.court}-${m.match_index}`}
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  gap: 8,
+                  padding: "4px 0",
+                  borderTop: "1px solid var(--border)",
+                  fontSize: 12,
+                }}
+              >
+                <span style={{ color: "var(--muted)", flexShrink: 0 }}>
+                  R{m.round} · C{m.court}
+                </span>
+                <span style={{ flex: 1, minWidth: 0 }}>
+                  {m.teamA.map(nameOf).join(" & ")} ({m.ratingA}) vs{" "}
+                  {m.teamB.map(nameOf).join(" & ")} ({m.ratingB})
+                </span>
+                <span
+                  style={{
+                    fontWeight: 700,
+                    color:
+                      m.imbalance > totals.avgImbalance
+                        ? "var(--danger)"
+                        : "var(--success)",
+                  }}
+                >
+                  Δ{m.imbalance}
+                </span>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function PairList({ label, rows, nameOf, style }) {
+  return (
+    <>
+      <div style={style}>{label}</div>
+      {rows.length === 0 ? (
+        <div style={{ fontSize: 12, color: "var(--muted2)" }}>None</div>
+      ) : (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+          {rows.map((r) => (
+            <span
+              key={`${r.a}|${r.b}`}
+              className="badge yellow"
+              title={r.history ? `${r.history}× in past sessions` : undefined}
+            >
+              {nameOf(r.a)} & {nameOf(r.b)} ×{r.count}
+            </span>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,44 @@
+// src/components/SeedField.jsx
+import React from "react";
+import { normalizeSeedCode } from "../utils/schedulerHelpers";
+
+/**
+ * Seed code input for the schedulers. The same code with the same players
+ * and settings regenerates the identical schedule; blank picks a new code.
+ * Props: value, onChange(value), onShuffle()
+ */
+export default function SeedField({ value, onChange, onShuffle }) {
+  const invalid = value.trim() !== "" && !normalizeSeedCode(value);
+  return (
+    <div>
+      <label className="form-label">Seed</label>
+      <div style={{ display: "flex", gap: 4 }}>
+        <input
+          className="number-input"
+          type="text"
+          value={value}
+          placeholder="random"
+          onChange={(e) => onChange(e.target.value.toUpperCase())}
+          title={
+            invalid
+              ? "Letters, digits and dashes only"
+              : "Same seed + same players and settings = same schedule"
+          }
+          style={{
+            width: 84,
+            textTransform: "uppercase",
+            letterSpacing: 1,
+            borderColor: invalid ? "var(--danger)" : undefined,
+          }}
+        />
+        <button
+          className="btn small"
+          onClick={onShuffle}
+          title="Pick a new seed"
+        >
+          🎲
+        </button>
+      </div>
+    </div>
+  );
+}
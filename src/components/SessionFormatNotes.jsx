@@ -0,0 +1,56 @@
+// src/components/SessionFormatNotes.jsx
+import React from "react";
+
+/**
+ * Short notes under a preview for the round-by-round / points formats
+ * (Americano, Mexicano, Swiss): what the plan is based on and what it
+ * couldn't do. Props: report (runStrategy report with a `format`)
+ */
+export default function SessionFormatNotes({ report }) {
+  const notes =
+    report.format === "americano"
+      ? [
+          !report.fits &&
+            `The full rotation needs ${report.roundsNeeded} rounds; ${
+              report.games - report.scheduled
+            } games are left out.`,
+          report.unmatched > 0 &&
+            `${report.unmatched} partnership${
+              report.unmatched === 1 ? "" : "s"
+            } can't be given opponents.`,
+        ]
+      : [
+          `Based on ${report.results} recorded result${
+            report.results === 1 ? "" : "s"
+          }.`,
+          report.pending > 0 &&
+            `${report.pending} game${
+              report.pending === 1 ? " has" : "s have"
+            } no result yet — record them first for up-to-date pairings.`,
+          report.rematches > 0 &&
+            `${report.rematches} rematch${
+              report.rematches === 1 ? "" : "es"
+            } couldn't be avoided.`,
+          (report.resting || report.sittingOut).length > 0 &&
+            `${(report.resting || report.sittingOut).length} sitting out this round.`,
+        ];
+  const shown = notes.filter(Boolean);
+  if (!shown.length) return null;
+  return (
+    <div
+      style={{
+        marginBottom: 8,
+        padding: "8px 10px",
+        borderRadius: 8,
+        background: "var(--surface2)",
+        border: "1px solid var(--border)",
+        fontSize: 11,
+        color: "var(--muted)",
+      }}
+    >
+      {shown.map((n) => (
+        <div key={n}>{n}</div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+// src/components/SessionLeaderboard.jsx
+import React, { useMemo } from "react";
+import { sessionLeaderboard } from "../utils/americano";
+
+/**
+ * Individual points table for an Americano / Mexicano session: every player
+ * scores the points their team won in each game (from score_text).
+ * Props: matches (saved rows for the day), playersMap (id → name), title,
+ *        by ("points", or "wins" for a Swiss ladder)
+ */
+export default function SessionLeaderboard({
+  matches,
+  playersMap,
+  title = "Session leaderboard",
+  by = "points",
+}) {
+  const rows = useMemo(
+    () => sessionLeaderboard(matches, { by }),
+    [matches, by],
+  );
+  const nameOf = (id) => playersMap?.[id] || id;
+  const signed = (n) => (n > 0 ? `+${n}` : String(n));
+  const cell = { padding: "5px 6px", fontSize: 12, textAlign: "center" };
+
+  return (
+    <div className="card" style={{ marginBottom: 10 }}>
+      <div className="card-header">
+        <span className="card-title">🥇 {title}</span>
+        <span style={{ fontSize: 11, color: "var(--muted)" }}>
+          {matches.filter((m) => m.winner?.length > 0).length}/{matches.length}{" "}
+          games in
+        </span>
+      </div>
+      {rows.length === 0 ? (
+        <div
+          className="card-body"
+          style={{ fontSize: 12, color: "var(--muted)" }}
+        >
+          Points appear once results with a score are recorded.
+        </div>
+      ) : (
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ color: "var(--muted)" }}>
+                <th style={{ ...cell, textAlign: "left", paddingLeft: 12 }}>
+                  Player
+                </th>
+                {by === "wins" && <th style={cell}>W</th>}
+                <th style={cell}>Pts</th>
+                <th style={cell} title="Points won minus points conceded">
+                  ±
+                </th>
+                {by !== "wins" && <th style={cell}>W</th>}
+                <th style={{ ...cell, paddingRight: 12 }}>P</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r, idx) => (
+                <tr key={r.id} style={{ borderTop: "1px solid var(--border)" }}>
+                  <td style={{ ...cell, textAlign: "left", paddingLeft: 12 }}>
+                    <span style={{ color: "var(--muted)", marginRight: 6 }}>
+                      {idx + 1}.
+                    </span>
+                    <span style={{ fontWeight: 700 }}>{nameOf(r.id)}</span>
+                  </td>
+                  {by === "wins" && (
+                    <td style={{ ...cell, fontWeight: 800 }}>{r.won}</td>
+                  )}
+                  <td
+                    style={{ ...cell, fontWeight: by === "wins" ? 400 : 800 }}
+                  >
+                    {r.pointsFor}
+                  </td>
+                  <td style={cell}>{signed(r.diff)}</td>
+                  {by !== "wins" && <td style={cell}>{r.won}</td>}
+                  <td style={{ ...cell, paddingRight: 12 }}>{r.played}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
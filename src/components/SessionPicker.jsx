@@ -0,0 +1,162 @@
+// src/components/SessionPicker.jsx
+import React, { useState } from "react";
+import { sessionLabel, isClosed } from "../utils/sessions";
+
+const EMPTY_FORM = { name: "", startsAt: "", venue: "", cost: "", notes: "" };
+
+/**
+ * Session chooser for one date: pick one of the date's sessions, add a new
+ * one (name, start time, venue, cost, notes) or close / reopen the selected
+ * one. With no session yet, the first save creates one for the date.
+ * Props: sessions (fetchSessions rows for the date), value (session id),
+ *        onChange(id), onCreate(fields) → Promise<created?>,
+ *        onToggleClosed(session), busy
+ */
+export default function SessionPicker({
+  sessions,
+  value,
+  onChange,
+  onCreate,
+  onToggleClosed,
+  busy = false,
+}) {
+  const [form, setForm] = useState(null);
+  const current = sessions.find((s) => s.id === value) || null;
+  const set = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.value }));
+
+  async function create() {
+    if (await onCreate(form)) setForm(null);
+  }
+
+  return (
+    <div style={{ flexBasis: "100%" }}>
+      <label className="form-label">Session</label>
+      <div
+        style={{
+          display: "flex",
+          gap: 6,
+          alignItems: "center",
+          flexWrap: "wrap",
+        }}
+      >
+        <select
+          className="number-input"
+          value={value || ""}
+          onChange={(e) => onChange(e.target.value || null)}
+          disabled={busy || sessions.length === 0}
+          style={{ minWidth: 160, flex: 1 }}
+        >
+          {sessions.length === 0 && <option value="">New session</option>}
+          {sessions.map((s) => (
+            <option key={s.id} value={s.id}>
+              {sessionLabel(s)}
+              {isClosed(s) ? " (closed)" : ""}
+            </option>
+          ))}
+        </select>
+        <button
+          className="btn small"
+          onClick={() => setForm(form ? null : EMPTY_FORM)}
+          disabled={busy}
+          title="Add another session on this date"
+        >
+          ＋ New
+        </button>
+        {current && (
+          <button
+            className={`btn small${isClosed(current) ? "" : " danger"}`}
+            onClick={() => onToggleClosed(current)}
+            disabled={busy}
+            title={
+              isClosed(current)
+                ? "Allow schedule changes again"
+                : "Lock the schedule of this session"
+            }
+          >
+            {isClosed(current) ? "Reopen" : "Close"}
+          </button>
+        )}
+        {current && isClosed(current) && <span className="badge">closed</span>}
+      </div>
+      {current && (current.notes || current.cost != null) && (
+        <div style={{ fontSize: 11, color: "var(--muted)", marginTop: 4 }}>
+          {[current.notes, current.cost != null && `cost ${current.cost}`]
+            .filter(Boolean)
+            .join(" · ")}
+        </div>
+      )}
+
+      {form && (
+        <div
+          style={{
+            display: "flex",
+            gap: 6,
+            flexWrap: "wrap",
+            alignItems: "flex-end",
+            marginTop: 8,
+          }}
+        >
+          <div>
+            <label className="form-label">Name</label>
+            <input
+              className="number-input"
+              type="text"
+              value={form.name}
+              placeholder="Evening"
+              onChange={set("name")}
+              style={{ width: 110 }}
+            />
+          </div>
+          <div>
+            <label className="form-label">Start</label>
+            <input
+              className="number-input"
+              type="time"
+              value={form.startsAt}
+              onChange={set("startsAt")}
+              style={{ width: 96 }}
+            />
+          </div>
+          <div>
+            <label className="form-label">Venue</label>
+            <input
+              className="number-input"
+              type="text"
+              value={form.venue}
+              onChange={set("venue")}
+              style={{ width: 120 }}
+            />
+          </div>
+          <div>
+            <label className="form-label">Cost</label>
+            <input
+              className="number-input"
+              type="text"
+              inputMode="decimal"
+              value={form.cost}
+              onChange={set("cost")}
+              style={{ width: 64 }}
+            />
+          </div>
+          <div style={{ flex: 1, minWidth: 140 }}>
+            <label className="form-label">Notes</label>
+            <input
+              className="number-input"
+              type="text"
+              value={form.notes}
+              onChange={set("notes")}
+              style={{ width: "100%" }}
+            />
+          </div>
+          <button
+            className="btn small primary"
+            onClick={create}
+            disabled={busy}
+          >
+            Create
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
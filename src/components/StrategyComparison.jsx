@@ -0,0 +1,84 @@
+// src/components/StrategyComparison.jsx
+import React from "react";
+
+/**
+ * Side-by-side summary of compareStrategies() results for one player set.
+ * Props: results, strategies (listStrategies()), current, onPick(result)
+ */
+export default function StrategyComparison({
+  results,
+  strategies,
+  current,
+  onPick,
+}) {
+  const seed = results.find((r) => r.seed)?.seed;
+  const labelOf = (id) => strategies.find((s) => s.id === id)?.label || id;
+  const cell = { padding: "6px 8px", fontSize: 12, textAlign: "center" };
+  return (
+    <div className="card" style={{ marginBottom: 10 }}>
+      <div className="card-header">
+        <span className="card-title">⚖ Strategy comparison</span>
+        <span style={{ fontSize: 11, color: "var(--muted)" }}>
+          same players · courts · rounds
+          {seed && ` · seed ${seed}`}
+        </span>
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ color: "var(--muted)", fontSize: 10 }}>
+            <th style={{ ...cell, textAlign: "left" }}>Strategy</th>
+            <th style={cell}>Games</th>
+            <th style={cell} title="Fewest – most games per player">
+              Plays
+            </th>
+            <th style={cell} title="Partner pairs used more than once">
+              Repeat pairs
+            </th>
+            <th style={cell} />
+          </tr>
+        </thead>
+        <tbody>
+          {results.map((r) => (
+            <tr
+              key={r.strategy}
+              style={{
+                borderTop: "1px solid var(--border)",
+                background:
+                  r.strategy === current ? "var(--primary-dim)" : "transparent",
+              }}
+            >
+              <td style={{ ...cell, textAlign: "left", fontWeight: 700 }}>
+                {labelOf(r.strategy)}
+              </td>
+              {r.error ? (
+                <td
+                  colSpan={3}
+                  style={{ ...cell, color: "var(--danger)", textAlign: "left" }}
+                >
+                  {r.error.message}
+                </td>
+              ) : (
+                <>
+                  <td style={cell}>{r.summary.games}</td>
+                  <td style={cell}>
+                    {r.summary.minPlays}–{r.summary.maxPlays}
+                  </td>
+                  <td style={cell}>{r.summary.repeatedPartners}</td>
+                </>
+              )}
+              <td style={{ ...cell, textAlign: "right" }}>
+                <button
+                  className="btn small"
+                  onClick={() => onPick(r)}
+                  disabled={!!r.error || r.matches.length === 0}
+                >
+                  Use
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
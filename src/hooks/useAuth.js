@@ -1,17 +1,17 @@
 // src/hooks/useAuth.js
 import { useEffect, useState } from "react";
-import { supabase } from "../supabaseClient";
+import { db } from "../api/storage";
 
 export function useAuth() {
   const [user, setUser] = useState(null);
   useEffect(() => {
     let mounted = true;
     (async () => {
-      const { data } = await supabase.auth.getSession();
+      const { data } = await db.auth.getSession();
       if (mounted) setUser(data.session?.user ?? null);
     })();
 
-    const { data: listener } = supabase.auth.onAuthStateChange(
+    const { data: listener } = db.auth.onAuthStateChange(
       (_event, session) => {
         if (mounted) setUser(session?.user ?? null);
       }
@@ -0,0 +1,93 @@
+// src/hooks/useDateSessions.js
+import { useCallback, useEffect, useState } from "react";
+import {
+  fetchSessions,
+  createSession,
+  closeSession,
+  reopenSession,
+} from "../api/supabase-actions";
+import { isClosed } from "../utils/sessions";
+
+/**
+ * The sessions of one date and the one selected, for pages that read or
+ * write a session's matches. Keeps the selection while it is still on the
+ * date, else selects `preferredId` or the newest session.
+ * `pickerProps` are the SessionPicker props (create / close / reopen alert
+ * on failure).
+ * @returns { sessions, sessionId, setSessionId, current, reload, create,
+ *            pickerProps }
+ */
+export function useDateSessions(date, preferredId = null) {
+  const [sessions, setSessions] = useState([]);
+  const [sessionId, setSessionId] = useState(preferredId);
+  const [busy, setBusy] = useState(false);
+
+  const reload = useCallback(async () => {
+    const { data, error } = await fetchSessions({ date });
+    if (error) {
+      console.error("fetchSessions", error);
+      return;
+    }
+    const rows = data || [];
+    setSessions(rows);
+    setSessionId((id) =>
+      rows.some((s) => s.id === id) ? id : rows[0]?.id || null,
+    );
+  }, [date]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Resolves with the new session row, or null when it failed.
+  async function create(fields = {}) {
+    setBusy(true);
+    try {
+      const { data, error } = await createSession({
+        matchDate: date,
+        ...fields,
+      });
+      if (error) throw error;
+      await reload();
+      setSessionId(data.id);
+      return data;
+    } catch (err) {
+      alert("Failed to create session: " + err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function toggleClosed(session) {
+    setBusy(true);
+    try {
+      const { error } = isClosed(session)
+        ? await reopenSession(session.id)
+        : await closeSession(session.id);
+      if (error) throw error;
+      await reload();
+    } catch (err) {
+      alert("Failed to update session: " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return {
+    sessions,
+    sessionId,
+    setSessionId,
+    current: sessions.find((s) => s.id === sessionId) || null,
+    reload,
+    create,
+    pickerProps: {
+      sessions,
+      value: sessionId,
+      onChange: setSessionId,
+      onCreate: async (fields) => !!(await create(fields)),
+      onToggleClosed: toggleClosed,
+      busy,
+    },
+  };
+}
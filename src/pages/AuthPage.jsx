@@ -1,6 +1,6 @@
 // src/pages/AuthPage.jsx
 import React, { useEffect, useState } from "react";
-import { supabase } from "../supabaseClient";
+import { db } from "../api/storage";
 import { useNavigate } from "react-router-dom";
 
 export default function AuthPage() {
@@ -17,7 +17,7 @@ export default function AuthPage() {
       try {
         const {
           data: { user },
-        } = await supabase.auth.getUser();
+        } = await db.auth.getUser();
         if (mounted && user) navigate("/", { replace: true });
       } catch (e) {
         console.error("getUser error", e);
@@ -44,8 +44,8 @@ export default function AuthPage() {
       setBusy(true);
       try {
         // Preferred: getSessionFromUrl
-        if (typeof supabase?.auth?.getSessionFromUrl === "function") {
-          const { error } = await supabase.auth.getSessionFromUrl({
+        if (typeof db?.auth?.getSessionFromUrl === "function") {
+          const { error } = await db.auth.getSessionFromUrl({
             storeSession: true,
           });
           if (error) throw error;
@@ -76,9 +76,9 @@ export default function AuthPage() {
         if (
           access_token &&
           refresh_token &&
-          typeof supabase.auth.setSession === "function"
+          typeof db.auth.setSession === "function"
         ) {
-          const { error } = await supabase.auth.setSession({
+          const { error } = await db.auth.setSession({
             access_token,
             refresh_token,
           });
@@ -120,7 +120,7 @@ export default function AuthPage() {
     setBusy(true);
     try {
       const redirectTo = window.location.origin + "/auth";
-      const { error: signInError } = await supabase.auth.signInWithOtp({
+      const { error: signInError } = await db.auth.signInWithOtp({
         email,
         options: { emailRedirectTo: redirectTo },
       });
@@ -129,7 +129,7 @@ export default function AuthPage() {
         setEmail("");
         return;
       }
-      const { error: signUpError } = await supabase.auth.signUp(
+      const { error: signUpError } = await db.auth.signUp(
         { email },
         { emailRedirectTo: redirectTo },
       );
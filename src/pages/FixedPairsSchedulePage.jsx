@@ -1,18 +1,64 @@
 // src/pages/FixedPairsSchedulePage.jsx
 import React, { useEffect, useState, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
 import ConfirmModal from "../components/ConfirmModal";
-import { fetchPlayers, saveScheduleToDb } from "../api/supabase-actions";
-import { generatePairSchedule } from "../utils/pairScheduler";
+import StrategyComparison from "../components/StrategyComparison";
+import SessionFormatNotes from "../components/SessionFormatNotes";
+import SeedField from "../components/SeedField";
+import SessionPicker from "../components/SessionPicker";
+import { useDateSessions } from "../hooks/useDateSessions";
+import {
+  fetchPlayers,
+  fetchMatchesForSession,
+  fetchPlayerTotalsOverall,
+  fetchSchedulerPolicy,
+  saveScheduleToDb,
+  createTournament,
+} from "../api/supabase-actions";
+import {
+  runStrategy,
+  compareStrategies,
+  listStrategies,
+} from "../utils/scheduleEngine";
+import { computeStandings } from "../utils/standings";
+import { ratingFromRecord } from "../utils/scheduler";
+import { resolvePolicy } from "../utils/schedulerPolicy";
+import { newSeedCode, normalizeSeedCode } from "../utils/schedulerHelpers";
+import { isClosed } from "../utils/sessions";
+import {
+  DEFAULT_TOURNAMENT_SETTINGS,
+  validateTournamentSettings,
+} from "../utils/tournament";
+
+const STRATEGIES = listStrategies();
 
 export default function FixedPairsSchedulePage() {
+  const navigate = useNavigate();
   const [date, setDate] = useState(() => new Date().toISOString().slice(0, 10));
+  const {
+    sessionId,
+    current: session,
+    create: createSession,
+    pickerProps,
+  } = useDateSessions(date);
   const [courts, setCourts] = useState("1");
   const [matchesPerCourt, setMatchesPerCourt] = useState("5");
-  const [seedDeterministic, setSeedDeterministic] = useState(true);
+  const [cycles, setCycles] = useState(1); // single / double round-robin
+  // seed code typed / in use, and the one the preview was generated with
+  const [seedInput, setSeedInput] = useState("");
+  const [previewSeed, setPreviewSeed] = useState(null);
+  const [strategy, setStrategy] = useState("fixed-pairs");
+  const [comparison, setComparison] = useState([]);
   const [players, setPlayers] = useState([]);
   const [pairs, setPairs] = useState([]);
   const [pairForm, setPairForm] = useState({ a: "", b: "" });
   const [preview, setPreview] = useState([]);
+  const [previewReport, setPreviewReport] = useState(null);
+  const [savedMatches, setSavedMatches] = useState([]);
+  const [tournamentForm, setTournamentForm] = useState({
+    name: "",
+    ...DEFAULT_TOURNAMENT_SETTINGS,
+  });
   const [loadingPlayers, setLoadingPlayers] = useState(false);
   const [saving, setSaving] = useState(false);
   const [confirm, setConfirm] = useState({
@@ -41,6 +87,20 @@ export default function FixedPairsSchedulePage() {
     loadPlayers();
   }, [loadPlayers]);
 
+  const loadSavedMatches = useCallback(async () => {
+    if (!sessionId) {
+      setSavedMatches([]);
+      return;
+    }
+    const { data, error } = await fetchMatchesForSession(sessionId);
+    if (error) console.error("fetchMatchesForSession", error);
+    setSavedMatches(data || []);
+  }, [sessionId]);
+
+  useEffect(() => {
+    loadSavedMatches();
+  }, [loadSavedMatches]);
+
   const playersMap = Object.fromEntries((players || []).map((p) => [p.id, p]));
   const nameOf = (id) => playersMap[id]?.name || id;
 
@@ -98,10 +158,12 @@ export default function FixedPairsSchedulePage() {
     if (!c || c < 1) return "Courts must be at least 1.";
     if (!m || m < 1) return "Matches per court must be at least 1.";
     if (pairs.length < 2) return "Add at least two pairs.";
+    if (seedInput.trim() && !normalizeSeedCode(seedInput))
+      return "Seed codes use letters, digits and dashes only.";
     return null;
   }
 
-  function onGenerate() {
+  function onGenerate(seedCode = seedInput) {
     setMessage(null);
     setIsError(false);
     const err = validateInputs();
@@ -109,19 +171,14 @@ export default function FixedPairsSchedulePage() {
       setMsg(err, true);
       return;
     }
-    const rawPairs = pairs.map((p) => ({
-      id: p.id,
-      players: p.players,
-      label: p.label,
-    }));
-    const matches = generatePairSchedule({
-      pairs: rawPairs,
-      courts: Math.max(1, parseInt(courts, 10)),
-      matchesPerCourt: Math.max(1, parseInt(matchesPerCourt, 10)),
-      dateSeed: date,
-      seedDeterministic,
-    });
+    const { seed, matches, report } = runStrategy(
+      strategy,
+      buildInput(seedCode),
+    );
     setPreview(matches);
+    setPreviewReport(report);
+    setPreviewSeed(seed);
+    setSeedInput(seed);
     setMsg(
       matches.length === 0
         ? "No matches generated."
@@ -136,11 +193,58 @@ export default function FixedPairsSchedulePage() {
       }, 80);
   }
 
+  // Every strategy sees the same pairs; non-pair strategies use their players.
+  function buildInput(seed = seedInput) {
+    return {
+      pairs: pairs.map((p) => ({
+        id: p.id,
+        players: p.players,
+        label: p.label,
+      })),
+      courts: Math.max(1, parseInt(courts, 10)),
+      rounds: Math.max(1, parseInt(matchesPerCourt, 10)),
+      cycles,
+      sessionMatches: savedMatches,
+      date,
+      seed,
+    };
+  }
+
+  // New seed; an open preview is regenerated with it straight away.
+  function onShuffle() {
+    const code = newSeedCode();
+    setSeedInput(code);
+    if (preview.length > 0) onGenerate(code);
+  }
+
+  function onCompare() {
+    const err = validateInputs();
+    if (err) {
+      setMsg(err, true);
+      return;
+    }
+    const results = compareStrategies(buildInput());
+    setComparison(results);
+    const seed = results.find((r) => r.seed)?.seed;
+    if (seed) setSeedInput(seed);
+  }
+
+  function pickComparison(result) {
+    setStrategy(result.strategy);
+    setPreview(result.matches);
+    setPreviewReport(result.report);
+    setPreviewSeed(result.seed);
+  }
+
   function onSaveClicked() {
     if (!preview?.length) {
       setMsg("Generate first.", true);
       return;
     }
+    if (isClosed(session)) {
+      setMsg("This session is closed — reopen it to save matches.", true);
+      return;
+    }
     setConfirm({
       open: true,
       type: "save",
@@ -152,15 +256,27 @@ export default function FixedPairsSchedulePage() {
     setConfirm({ open: false, type: null, payload: null });
     setSaving(true);
     try {
+      // the first save of a date creates its session
+      const id = sessionId || (await createSession())?.id;
+      if (!id) return;
       const schedule = preview.map((m) => ({
         court: m.court,
+        round: m.round,
         match_index: m.match_index,
         players: m.players,
+        resting: m.resting,
       }));
-      const { error } = await saveScheduleToDb(schedule, date);
+      const { error } = await saveScheduleToDb(schedule, date, {
+        seed: previewSeed,
+        strategy,
+        sessionId: id,
+      });
       if (error) throw error;
       setMsg(`Saved ${schedule.length} matches for ${date}.`);
       setPreview([]);
+      setPreviewReport(null);
+      setComparison([]);
+      loadSavedMatches();
     } catch (err) {
       setMsg("Save failed: " + (err.message || err), true);
     } finally {
@@ -179,9 +295,67 @@ export default function FixedPairsSchedulePage() {
     setConfirm({ open: false, type: null, payload: null });
     setPairs([]);
     setPreview([]);
+    setPreviewReport(null);
+    setComparison([]);
     setMsg("Cleared pairs and preview.");
   }
 
+  const { errors: tournamentErrors } = validateTournamentSettings(
+    { ...tournamentForm, courts },
+    pairs.length,
+  );
+
+  function onStartTournamentClicked() {
+    const first = Object.values(tournamentErrors)[0];
+    if (first) {
+      setMsg(first, true);
+      return;
+    }
+    if (isClosed(session)) {
+      setMsg("This session is closed — reopen it to start a tournament.", true);
+      return;
+    }
+    setConfirm({ open: true, type: "tournament", payload: null });
+  }
+
+  // Seeds come from the same win-rate ratings the schedulers balance on.
+  // A date without sessions gets one for the tournament.
+  async function doStartTournament() {
+    setConfirm({ open: false, type: null, payload: null });
+    setSaving(true);
+    try {
+      const id = sessionId || (await createSession())?.id;
+      if (!id) return;
+      const [totals, policyRes] = await Promise.all([
+        fetchPlayerTotalsOverall(),
+        fetchSchedulerPolicy(),
+      ]);
+      if (totals.error) throw totals.error;
+      const { ratingFloor } = resolvePolicy(policyRes.data?.policy);
+      const ratings = new Map(
+        (totals.data || []).map((r) => [
+          r.id,
+          ratingFromRecord({ wins: r.wins, matches: r.matches }, ratingFloor),
+        ]),
+      );
+      const { name, ...settings } = tournamentForm;
+      const { error } = await createTournament({
+        matchDate: date,
+        sessionId: id,
+        name: name.trim(),
+        teams: pairs,
+        settings: { ...settings, courts },
+        ratings,
+      });
+      if (error) throw error;
+      navigate(`/tournament?date=${date}&session=${id}`);
+    } catch (err) {
+      setMsg("Could not start tournament: " + (err.message || err), true);
+    } finally {
+      setSaving(false);
+    }
+  }
+
   const LABEL_COLORS = [
     "var(--primary)",
     "var(--success)",
@@ -220,6 +394,7 @@ export default function FixedPairsSchedulePage() {
                 />
               </div>
             </div>
+            <SessionPicker {...pickerProps} />
             <div>
               <label className="form-label">Courts</label>
               <input
@@ -245,28 +420,67 @@ export default function FixedPairsSchedulePage() {
               />
             </div>
           </div>
-          <label
-            style={{
-              display: "flex",
-              alignItems: "center",
-              gap: 8,
-              marginBottom: 12,
-              cursor: "pointer",
-            }}
-          >
-            <input
-              type="checkbox"
-              checked={seedDeterministic}
-              onChange={(e) => setSeedDeterministic(Boolean(e.target.checked))}
+          <div style={{ marginBottom: 12 }}>
+            <label className="form-label">Round-robin</label>
+            <div style={{ display: "flex", gap: 6 }}>
+              {[
+                { value: 1, label: "Single" },
+                { value: 2, label: "Double" },
+              ].map((c) => (
+                <button
+                  key={c.value}
+                  type="button"
+                  className={`btn small${cycles === c.value ? " primary" : ""}`}
+                  onClick={() => setCycles(c.value)}
+                  title={
+                    c.value === 2
+                      ? "Every team meets every other team twice"
+                      : "Every team meets every other team once"
+                  }
+                >
+                  {c.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div style={{ marginBottom: 12 }}>
+            <label className="form-label">Strategy</label>
+            <select
+              value={strategy}
+              onChange={(e) => setStrategy(e.target.value)}
+              title={STRATEGIES.find((s) => s.id === strategy)?.description}
+              style={{
+                width: "100%",
+                padding: "8px 10px",
+                borderRadius: 8,
+                border: "1px solid var(--border)",
+                fontSize: 13,
+                background: "var(--surface)",
+                fontFamily: "inherit",
+                outline: "none",
+              }}
+            >
+              {STRATEGIES.map((s) => (
+                <option key={s.id} value={s.id}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div style={{ marginBottom: 12 }}>
+            <SeedField
+              value={seedInput}
+              onChange={setSeedInput}
+              onShuffle={onShuffle}
             />
-            <span style={{ fontSize: 12, color: "var(--muted)" }}>
-              Deterministic seed
-            </span>
-          </label>
+          </div>
           <div style={{ display: "flex", gap: 7, flexWrap: "wrap" }}>
-            <button className="btn generate" onClick={onGenerate}>
+            <button className="btn generate" onClick={() => onGenerate()}>
               ⚡ Generate
             </button>
+            <button className="btn" onClick={onCompare}>
+              ⚖ Compare
+            </button>
             <button
               className="btn primary"
               onClick={onSaveClicked}
@@ -437,17 +651,49 @@ export default function FixedPairsSchedulePage() {
         )}
       </div>
 
+      {comparison.length > 0 && (
+        <StrategyComparison
+          results={comparison}
+          strategies={STRATEGIES}
+          current={strategy}
+          onPick={pickComparison}
+        />
+      )}
+
+      <TournamentSetup
+        form={tournamentForm}
+        errors={tournamentErrors}
+        onChange={(key, value) =>
+          setTournamentForm((f) => ({ ...f, [key]: value }))
+        }
+        onStart={onStartTournamentClicked}
+        disabled={saving || pairs.length < 2}
+      />
+
       {/* Preview */}
       <div className="card preview-panel">
         <div className="card-header">
-          <span className="card-title">Preview ({preview.length} matches)</span>
+          <span className="card-title">
+            Preview ({preview.length} matches)
+            {previewSeed && preview.length > 0 && (
+              <span
+                style={{ fontSize: 11, fontWeight: 400, color: "var(--muted)" }}
+              >
+                {" "}
+                · seed {previewSeed}
+              </span>
+            )}
+          </span>
           <div style={{ display: "flex", gap: 6 }}>
-            <button className="btn small" onClick={onGenerate}>
+            <button className="btn small" onClick={() => onGenerate()}>
               Regenerate
             </button>
             <button
               className="btn small"
-              onClick={() => setPreview([])}
+              onClick={() => {
+                setPreview([]);
+                setPreviewReport(null);
+              }}
               disabled={!preview.length}
             >
               Clear
@@ -455,6 +701,20 @@ export default function FixedPairsSchedulePage() {
           </div>
         </div>
 
+        {previewReport?.format && (
+          <div className="card-body" style={{ paddingBottom: 0 }}>
+            <SessionFormatNotes report={previewReport} />
+          </div>
+        )}
+        {previewReport?.fixtures != null && (
+          <RoundRobinReport
+            report={previewReport}
+            courts={parseInt(courts, 10) || 1}
+            pairs={pairs}
+            onUseRounds={(n) => setMatchesPerCourt(String(n))}
+          />
+        )}
+
         {preview.length === 0 && (
           <div
             style={{
@@ -538,21 +798,55 @@ export default function FixedPairsSchedulePage() {
         })}
       </div>
 
+      <StandingsCard
+        rows={computeStandings(
+          pairs.map((p) => ({
+            id: p.id,
+            players: p.players,
+            label: p.label,
+            name: p.name,
+          })),
+          savedMatches,
+        )}
+        nameOf={nameOf}
+        date={date}
+        onRefresh={loadSavedMatches}
+      />
+
       <ConfirmModal
         open={confirm.open}
-        title={confirm.type === "save" ? "Save schedule?" : "Clear pairs?"}
+        title={
+          confirm.type === "save"
+            ? "Save schedule?"
+            : confirm.type === "tournament"
+              ? "Start tournament?"
+              : "Clear pairs?"
+        }
         message={
           confirm.type === "save"
             ? `Save ${confirm.payload?.count ?? preview.length} matches for ${date}?`
-            : "Clear all pairs and preview? Cannot be undone."
+            : confirm.type === "tournament"
+              ? `Seed ${pairs.length} pairs by rating and create the ${
+                  Number(tournamentForm.groups) > 0
+                    ? "group matches"
+                    : "first-round matches"
+                } for ${date}?`
+              : "Clear all pairs and preview? Cannot be undone."
         }
         onCancel={() => setConfirm({ open: false, type: null, payload: null })}
         onConfirm={() => {
           if (confirm.type === "save") doSave();
+          else if (confirm.type === "tournament") doStartTournament();
           else doClearPairs();
         }}
         confirmLabel={
-          confirm.type === "save" ? (saving ? "Saving…" : "Save") : "Clear"
+          confirm.type === "save"
+            ? saving
+              ? "Saving…"
+              : "Save"
+            : confirm.type === "tournament"
+              ? "Start"
+              : "Clear"
         }
         cancelLabel="Cancel"
         loading={saving}
@@ -562,3 +856,227 @@ export default function FixedPairsSchedulePage() {
     </div>
   );
 }
+
+// ── Tournament setup (groups → knockout) ───────────────────────────────────
+function TournamentSetup({ form, errors, onChange, onStart, disabled }) {
+  const field = (key) => ({
+    title: errors[key] || "",
+    style: {
+      width: 70,
+      borderColor: errors[key] ? "var(--danger)" : undefined,
+    },
+  });
+  return (
+    <div className="card">
+      <div className="card-header">
+        <span className="card-title">🏆 Tournament</span>
+      </div>
+      <div className="card-body">
+        <div style={{ fontSize: 12, color: "var(--muted)", marginBottom: 10 }}>
+          Pairs are seeded by rating. Group winners (and runners-up) go into a
+          knockout bracket; results move winners on automatically.
+        </div>
+        <div
+          style={{
+            display: "flex",
+            gap: 10,
+            flexWrap: "wrap",
+            alignItems: "flex-end",
+            marginBottom: 12,
+          }}
+        >
+          <div style={{ flex: 1, minWidth: 140 }}>
+            <label className="form-label">Name</label>
+            <input
+              className="number-input"
+              type="text"
+              value={form.name}
+              placeholder="Autumn cup"
+              onChange={(e) => onChange("name", e.target.value)}
+              style={{ width: "100%" }}
+            />
+          </div>
+          <div>
+            <label className="form-label">Groups</label>
+            <input
+              className="number-input"
+              type="number"
+              min="0"
+              value={form.groups}
+              onChange={(e) => onChange("groups", e.target.value)}
+              {...field("groups")}
+            />
+          </div>
+          {Number(form.groups) > 0 && (
+            <div>
+              <label className="form-label">Qualify</label>
+              <input
+                className="number-input"
+                type="number"
+                min="1"
+                value={form.advance}
+                onChange={(e) => onChange("advance", e.target.value)}
+                {...field("advance")}
+              />
+            </div>
+          )}
+          <label
+            style={{
+              display: "flex",
+              gap: 6,
+              alignItems: "center",
+              fontSize: 13,
+              paddingBottom: 8,
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={form.plate}
+              onChange={(e) => onChange("plate", e.target.checked)}
+            />
+            Plate for first-round losers
+          </label>
+        </div>
+        <button className="btn generate" onClick={onStart} disabled={disabled}>
+          🏆 Start tournament
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ── Round-robin fit report ─────────────────────────────────────────────────
+function RoundRobinReport({ report, courts, pairs, onUseRounds }) {
+  const byeCounts = Object.values(report.byes);
+  const minBye = Math.min(...byeCounts);
+  const maxBye = Math.max(...byeCounts);
+  const labelOf = (id) => pairs.find((p) => p.id === id)?.label || "?";
+  return (
+    <div
+      className="card-body"
+      style={{ borderTop: "1px solid var(--border)", fontSize: 12 }}
+    >
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+        <span className={`badge${report.fits ? " green" : " orange"}`}>
+          {report.scheduled}/{report.fixtures} games
+        </span>
+        <span className="badge round">{report.roundsNeeded} rounds needed</span>
+        <span className="badge">
+          Byes {minBye === maxBye ? minBye : `${minBye}–${maxBye}`} per team
+        </span>
+      </div>
+      {!report.fits && (
+        <div style={{ marginTop: 8, color: "var(--danger)" }}>
+          {report.missing} game{report.missing === 1 ? "" : "s"} don't fit in{" "}
+          {report.roundsRequested} rounds — the{" "}
+          {report.cycles === 2 ? "double " : ""}round-robin needs{" "}
+          {report.roundsNeeded} rounds on {report.courtsUsable} court
+          {report.courtsUsable === 1 ? "" : "s"}.{" "}
+          <button
+            className="btn small"
+            onClick={() => onUseRounds(report.roundsNeeded)}
+          >
+            Use {report.roundsNeeded} rounds
+          </button>
+        </div>
+      )}
+      {report.fits &&
+        report.roundsRequested != null &&
+        report.roundsRequested > report.roundsNeeded && (
+          <div style={{ marginTop: 8, color: "var(--muted)" }}>
+            Finishes after {report.roundsNeeded} of {report.roundsRequested}{" "}
+            rounds.
+          </div>
+        )}
+      {courts > report.courtsUsable && (
+        <div style={{ marginTop: 8, color: "var(--muted)" }}>
+          Only {report.courtsUsable} court
+          {report.courtsUsable === 1 ? "" : "s"} can be used with {report.teams}{" "}
+          teams.
+        </div>
+      )}
+      {maxBye > minBye && (
+        <div style={{ marginTop: 8, color: "var(--muted)" }}>
+          Most byes:{" "}
+          {Object.entries(report.byes)
+            .filter(([, n]) => n === maxBye)
+            .map(([id]) => labelOf(id))
+            .join(", ")}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ── Standings from recorded results ────────────────────────────────────────
+function StandingsCard({ rows, nameOf, date, onRefresh }) {
+  const played = rows.filter((r) => r.played > 0);
+  const signed = (n) => (n > 0 ? `+${n}` : String(n));
+  return (
+    <div className="card">
+      <div className="card-header">
+        <span className="card-title">🏅 Standings</span>
+        <button className="btn small" onClick={onRefresh}>
+          ↻ Refresh
+        </button>
+      </div>
+      {played.length === 0 ? (
+        <div
+          style={{ padding: "12px 12px", color: "var(--muted)", fontSize: 13 }}
+        >
+          No results recorded for {date} yet.
+        </div>
+      ) : (
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", fontSize: 12 }}>
+            <thead>
+              <tr style={{ color: "var(--muted)", textAlign: "right" }}>
+                <th style={{ textAlign: "left", padding: "6px 12px" }}>Team</th>
+                <th>P</th>
+                <th>W</th>
+                <th>L</th>
+                <th title="Sets won minus sets lost">Sets</th>
+                <th
+                  title="Points won minus points lost"
+                  style={{ paddingRight: 12 }}
+                >
+                  Pts
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {played.map((r, i) => (
+                <tr
+                  key={r.id}
+                  style={{
+                    borderTop: "1px solid var(--border)",
+                    textAlign: "right",
+                  }}
+                >
+                  <td style={{ textAlign: "left", padding: "7px 12px" }}>
+                    <span style={{ color: "var(--muted)", marginRight: 6 }}>
+                      {i + 1}.
+                    </span>
+                    {r.label && (
+                      <span className="badge blue" style={{ marginRight: 6 }}>
+                        {r.label}
+                      </span>
+                    )}
+                    <span style={{ fontWeight: 700 }}>
+                      {r.players.map(nameOf).join(" & ")}
+                    </span>
+                  </td>
+                  <td>{r.played}</td>
+                  <td style={{ fontWeight: 800 }}>{r.won}</td>
+                  <td>{r.lost}</td>
+                  <td>{signed(r.setDiff)}</td>
+                  <td style={{ paddingRight: 12 }}>{signed(r.pointDiff)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
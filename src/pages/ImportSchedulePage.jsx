@@ -1,14 +1,27 @@
 // src/pages/ImportSchedulePage.jsx
 import React, { useState, useEffect, useRef } from "react";
 import ConfirmModal from "../components/ConfirmModal";
+import StrategyComparison from "../components/StrategyComparison";
+import SessionPicker from "../components/SessionPicker";
+import { useDateSessions } from "../hooks/useDateSessions";
 import {
   fetchPlayers,
-  deleteScheduleForDate,
-  saveScheduleToDb,
+  replaceScheduleForDate,
   fetchPairingStatsRecorded,
   fetchPlayerTotalsOverall,
   fetchPlayerTotalsForRange,
+  fetchPairingHistoryMap,
+  fetchOpponentHistoryMap,
 } from "../api/supabase-actions";
+import {
+  runStrategy,
+  compareStrategies,
+  listStrategies,
+} from "../utils/scheduleEngine";
+import { teamsOf, isMatchSize } from "../utils/matchTeams";
+import { isClosed } from "../utils/sessions";
+
+const STRATEGIES = listStrategies();
 
 // ── Tier helpers ──────────────────────────────────────────────────────────────
 
@@ -31,27 +44,24 @@ function classifyPlayer(pct, matches) {
 function buildStrengthText(overallData, recentData, selectedNames) {
   const nameSet = new Set(selectedNames.map((n) => n.toLowerCase()));
 
-  // Normalise overall
+  // overall / recent (last 3 months) are player totals rows
   const overall = (overallData || [])
-    .filter((r) => nameSet.has((r.name || r.player_name || "").toLowerCase()))
+    .filter((r) => nameSet.has(r.name.toLowerCase()))
     .map((r) => ({
-      name: r.name || r.player_name,
-      matches: Number(r.matches ?? r.total_matches ?? 0),
-      wins: Number(r.wins ?? 0),
-      pct: Number(r.win_pct ?? 0),
+      name: r.name,
+      matches: r.matches,
+      wins: r.wins,
+      pct: r.win_pct,
     }))
     .sort((a, b) => b.pct - a.pct);
 
-  // Normalise recent (last 3 months)
   const recentMap = {};
   (recentData || []).forEach((r) => {
-    const name = r.name || r.player_name;
-    if (name)
-      recentMap[name.toLowerCase()] = {
-        matches: Number(r.matches ?? r.total_matches ?? 0),
-        wins: Number(r.wins ?? 0),
-        pct: Number(r.win_pct ?? 0),
-      };
+    recentMap[r.name.toLowerCase()] = {
+      matches: r.matches,
+      wins: r.wins,
+      pct: r.win_pct,
+    };
   });
 
   const lines = [];
@@ -252,6 +262,21 @@ Ensure this summary is in plain text or Markdown tables, placed strictly after t
 {"matches":[{"round":1,"court":1,"teamA":["P1","P2"],"teamB":["P3","P4"],"resting":["P9"]},{"round":1,"court":2,"teamA":["P5","P6"],"teamB":["P7","P8"]}]}`;
 }
 
+// ── Local generator output → import JSON ─────────────────────────────────────
+// Same shape the AI is asked for, so locally generated schedules go through
+// the exact same import path and can be compared with the AI's output.
+function scheduleToImportJson(matches, nameOf) {
+  return JSON.stringify({
+    matches: matches.map((m) => ({
+      round: m.round,
+      court: m.court,
+      teamA: teamsOf(m.players).teamA.map(nameOf),
+      teamB: teamsOf(m.players).teamB.map(nameOf),
+      ...(m.court === 1 && m.resting ? { resting: m.resting.map(nameOf) } : {}),
+    })),
+  });
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 
 export default function ImportSchedulePage() {
@@ -259,6 +284,12 @@ export default function ImportSchedulePage() {
 
   // Import state
   const [date, setDate] = useState(today);
+  const {
+    sessionId,
+    current: session,
+    create: createSession,
+    pickerProps,
+  } = useDateSessions(date);
   const [jsonText, setJsonText] = useState("");
   const [clearFirst, setClearFirst] = useState(true);
   const [message, setMessage] = useState(null);
@@ -280,8 +311,13 @@ export default function ImportSchedulePage() {
   // Standard = pairing stats only | Extended = pairing + individual strength
   const [statsDepth, setStatsDepth] = useState("extended");
 
+  // Local generator state
+  const [strategy, setStrategy] = useState("history");
+  const [comparison, setComparison] = useState([]);
+
   // Caches — keyed by date
   const pairingCache = useRef({ date: null, data: null });
+  const historyCache = useRef(null);
   const strengthCache = useRef({ date: null, overall: null, recent: null });
 
   useEffect(() => {
@@ -399,6 +435,67 @@ export default function ImportSchedulePage() {
     setPromptCollapsed(false);
   }
 
+  // ── Local generator ────────────────────────────────────────────────────────
+  async function buildLocalInput() {
+    if (!historyCache.current) {
+      const [pairingHistory, opponentHistory] = await Promise.all([
+        fetchPairingHistoryMap(),
+        fetchOpponentHistoryMap(),
+      ]);
+      historyCache.current = { pairingHistory, opponentHistory };
+    }
+    return {
+      players: selected,
+      courts: Math.max(1, parseInt(courtsInput, 10) || 2),
+      rounds: Math.max(1, parseInt(roundsInput, 10) || 11),
+      date,
+      ...historyCache.current,
+    };
+  }
+
+  function nameOfPlayer(id) {
+    return players.find((p) => p.id === id)?.name || id;
+  }
+
+  function fillFromMatches(matches) {
+    setJsonText(scheduleToImportJson(matches, nameOfPlayer));
+    setMessage(null);
+    setIsError(false);
+  }
+
+  async function handleLocalGenerate() {
+    if (selected.length < 4) {
+      alert("Select at least 4 players to generate a schedule.");
+      return;
+    }
+    try {
+      const { matches } = runStrategy(strategy, await buildLocalInput());
+      fillFromMatches(matches);
+      setComparison([]);
+    } catch (err) {
+      setMessage(`❌ ${err.message}`);
+      setIsError(true);
+    }
+  }
+
+  async function handleLocalCompare() {
+    if (selected.length < 4) {
+      alert("Select at least 4 players to compare strategies.");
+      return;
+    }
+    try {
+      setComparison(compareStrategies(await buildLocalInput()));
+    } catch (err) {
+      setMessage(`❌ ${err.message}`);
+      setIsError(true);
+    }
+  }
+
+  function pickComparison(result) {
+    setStrategy(result.strategy);
+    fillFromMatches(result.matches);
+  }
+
   // ── Import ─────────────────────────────────────────────────────────────────
   function onImportClick() {
     setMessage(null);
@@ -419,9 +516,13 @@ export default function ImportSchedulePage() {
       const schedule = parsed.matches.map((m, idx) => {
         if (!m.round || !m.court || !m.teamA || !m.teamB)
           throw new Error(`Invalid match structure at index ${idx}`);
-        if (m.teamA.length !== 2 || m.teamB.length !== 2)
+        // 2 + 2 for doubles, 1 + 1 for singles
+        if (
+          m.teamA.length !== m.teamB.length ||
+          !isMatchSize(m.teamA.length * 2)
+        )
           throw new Error(
-            `Each team must have exactly 2 players (match ${idx + 1})`,
+            `Teams must have 2 players each, or 1 each for singles (match ${idx + 1})`,
           );
         const allNames = [...m.teamA, ...m.teamB];
         const playerIds = allNames.map((n) => nameMap[n.toLowerCase()]);
@@ -446,12 +547,23 @@ export default function ImportSchedulePage() {
           resting: restingIds,
         };
       });
-      if (clearFirst) await deleteScheduleForDate(date);
-      await saveScheduleToDb(schedule, date);
+      if (isClosed(session)) {
+        throw new Error("This session is closed — reopen it to import.");
+      }
+      // a date without sessions gets one for the import
+      const id = sessionId || (await createSession())?.id;
+      if (!id) return;
+      // clearing and importing happen in one transaction
+      const { data, error } = await replaceScheduleForDate(date, schedule, {
+        replaceFromRound: clearFirst ? 1 : null,
+        strategy: "import",
+        sessionId: id,
+      });
+      if (error) throw error;
       setMessage(
         clearFirst
-          ? `✅ Cleared and imported ${schedule.length} matches for ${date}.`
-          : `✅ Appended ${schedule.length} matches to ${date}.`,
+          ? `✅ Cleared ${data.deleted} and imported ${data.inserted} matches for ${date}.`
+          : `✅ Appended ${data.inserted} matches to ${date}.`,
       );
       setJsonText("");
     } catch (err) {
@@ -510,6 +622,7 @@ export default function ImportSchedulePage() {
                 />
               </div>
             </div>
+            <SessionPicker {...pickerProps} />
             <div>
               <label className="form-label">Courts</label>
               <input
@@ -869,10 +982,68 @@ export default function ImportSchedulePage() {
               style={{ width: 16, height: 16 }}
             />
             <span style={{ fontSize: 13, color: "var(--text)" }}>
-              Clear existing schedule for this date before importing
+              Clear the session's existing schedule before importing
             </span>
           </label>
 
+          {/* Local generator — fills the JSON box below */}
+          <label className="form-label">
+            Or generate locally (players, courts & rounds above)
+          </label>
+          <div
+            style={{
+              display: "flex",
+              gap: 8,
+              flexWrap: "wrap",
+              marginBottom: 12,
+            }}
+          >
+            <select
+              value={strategy}
+              onChange={(e) => setStrategy(e.target.value)}
+              title={STRATEGIES.find((s) => s.id === strategy)?.description}
+              style={{
+                flex: 1,
+                minWidth: 130,
+                padding: "8px 10px",
+                borderRadius: 8,
+                border: "1px solid var(--border)",
+                fontSize: 13,
+                background: "var(--surface)",
+                fontFamily: "inherit",
+                outline: "none",
+              }}
+            >
+              {STRATEGIES.map((s) => (
+                <option key={s.id} value={s.id}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+            <button
+              className="btn"
+              onClick={handleLocalGenerate}
+              disabled={selected.length < 4}
+            >
+              🧮 Generate
+            </button>
+            <button
+              className="btn"
+              onClick={handleLocalCompare}
+              disabled={selected.length < 4}
+            >
+              ⚖ Compare
+            </button>
+          </div>
+          {comparison.length > 0 && (
+            <StrategyComparison
+              results={comparison}
+              strategies={STRATEGIES}
+              current={strategy}
+              onPick={pickComparison}
+            />
+          )}
+
           {/* JSON input */}
           <label className="form-label">Schedule JSON (from AI)</label>
           <textarea
@@ -943,8 +1114,8 @@ export default function ImportSchedulePage() {
         title="Confirm Import"
         message={
           clearFirst
-            ? `This will CLEAR the schedule for ${date} and import new matches. Continue?`
-            : `This will APPEND matches to the existing schedule for ${date}. Continue?`
+            ? `This will CLEAR the session's schedule on ${date} and import new matches. Continue?`
+            : `This will APPEND matches to the session's schedule on ${date}. Continue?`
         }
         confirmLabel="Import"
         onCancel={() => setConfirmOpen(false)}
@@ -0,0 +1,587 @@
+// src/pages/LiveCourtsPage.jsx
+// Live rotation (king of the court, or a plain next-match queue): courts are
+// filled one match at a time from a queue. Recording a result on a court's
+// match (MatchCard → recordTeamWinner) creates the next match there; this
+// page shows the courts, the queue and the rules, and follows changes in
+// real time so every device sees the same queue.
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { db } from "../api/storage";
+import {
+  fetchPlayers,
+  fetchMatchesForSession,
+  fetchLiveSession,
+  subscribeToLiveSession,
+  startLiveSession,
+  endLiveSession,
+  joinLiveQueue,
+  leaveLiveQueue,
+  updateLiveRules,
+} from "../api/supabase-actions";
+import {
+  ROTATION_MODES,
+  WINNER_HANDLING,
+  DEFAULT_ROTATION_RULES,
+  validateRotationRules,
+  pickNextGroup,
+  todayHistory,
+} from "../utils/liveRotation";
+import { teamsOf } from "../utils/matchTeams";
+import { isClosed } from "../utils/sessions";
+import { useDateSessions } from "../hooks/useDateSessions";
+import MatchCard from "../components/MatchCard";
+import ConfirmModal from "../components/ConfirmModal";
+import SessionPicker from "../components/SessionPicker";
+
+const selectStyle = {
+  padding: "8px 10px",
+  borderRadius: 8,
+  border: "1px solid var(--border)",
+  fontSize: 13,
+  background: "var(--surface)",
+  fontFamily: "inherit",
+  outline: "none",
+};
+
+export default function LiveCourtsPage() {
+  const today = new Date().toISOString().slice(0, 10);
+  const [date, setDate] = useState(today);
+  const {
+    sessionId,
+    current: session,
+    create: createSession,
+    pickerProps,
+  } = useDateSessions(date);
+  const [players, setPlayers] = useState([]);
+  const [live, setLive] = useState(null);
+  const [matches, setMatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [endOpen, setEndOpen] = useState(false);
+
+  // setup form (before a session starts)
+  const [mode, setMode] = useState(ROTATION_MODES[0].id);
+  const [courtsInput, setCourtsInput] = useState("2");
+  const [rulesForm, setRulesForm] = useState(DEFAULT_ROTATION_RULES);
+  const [selected, setSelected] = useState([]); // queue order = click order
+  const [joinId, setJoinId] = useState("");
+
+  const load = useCallback(async () => {
+    if (!sessionId) {
+      setLive(null);
+      setMatches([]);
+      setLoading(false);
+      return;
+    }
+    const [liveRes, matchRes] = await Promise.all([
+      fetchLiveSession(sessionId),
+      fetchMatchesForSession(sessionId),
+    ]);
+    if (liveRes.error) console.error("fetchLiveSession", liveRes.error);
+    if (matchRes.error) console.error("fetchMatchesForSession", matchRes.error);
+    setLive(liveRes.data || null);
+    setMatches(matchRes.data || []);
+    setLoading(false);
+  }, [sessionId]);
+
+  useEffect(() => {
+    (async () => {
+      const { data, error } = await fetchPlayers();
+      if (error) console.error("fetchPlayers", error);
+      setPlayers(data || []);
+    })();
+  }, []);
+
+  useEffect(() => {
+    setLoading(true);
+    load();
+  }, [load]);
+
+  // Realtime: queue changes and results recorded on other devices
+  useEffect(() => {
+    if (!sessionId) return;
+    const liveChannel = subscribeToLiveSession(sessionId, () => load());
+    const matchChannel = db
+      .channel(`public:matches:live=${sessionId}`)
+      .on(
+        "postgres_changes",
+        {
+          event: "*",
+          schema: "public",
+          table: "matches",
+          filter: `session_id=eq.${sessionId}`,
+        },
+        () => load(),
+      )
+      .subscribe();
+    return () => {
+      db.removeChannel(liveChannel);
+      db.removeChannel(matchChannel);
+    };
+  }, [sessionId, load]);
+
+  // rules form follows the session when one is started or opened
+  const liveId = live?.id;
+  useEffect(() => {
+    if (liveId) setRulesForm(live.rules);
+  }, [liveId]); // eslint-disable-line
+
+  const playersMap = useMemo(
+    () => Object.fromEntries(players.map((p) => [p.id, p.name])),
+    [players],
+  );
+  const nameOf = (id) => playersMap[id] || id;
+  const matchById = useMemo(
+    () => new Map(matches.map((m) => [m.id, m])),
+    [matches],
+  );
+
+  const { rules, errors } = validateRotationRules(rulesForm);
+  const hasErrors = Object.keys(errors).length > 0;
+
+  // who the next free court would get (queue mode picks for variety)
+  const nextUp = useMemo(() => {
+    if (!live || live.mode !== "queue") return null;
+    const group = pickNextGroup(
+      live.queue,
+      live.rules.matchSize,
+      todayHistory(matches),
+    );
+    return group ? teamsOf(group) : null;
+  }, [live, matches]);
+
+  const inRotation = useMemo(() => {
+    if (!live) return new Set();
+    return new Set([
+      ...live.queue,
+      ...Object.values(live.courts).flatMap((c) => c.players || []),
+    ]);
+  }, [live]);
+
+  function toggleSelected(id) {
+    setSelected((prev) =>
+      prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id],
+    );
+  }
+
+  async function run(action, failMsg) {
+    setBusy(true);
+    const { error } = await action();
+    setBusy(false);
+    if (error) alert(`${failMsg}: ${error.message}`);
+    load();
+  }
+
+  // a date without sessions gets one when the first rotation starts
+  async function handleStart() {
+    const courts = Math.max(1, parseInt(courtsInput, 10) || 1);
+    if (selected.length < rules.matchSize) {
+      alert(`Select at least ${rules.matchSize} players`);
+      return;
+    }
+    if (isClosed(session)) {
+      alert("This session is closed — reopen it to start a rotation.");
+      return;
+    }
+    const id = sessionId || (await createSession())?.id;
+    if (!id) return;
+    run(
+      () =>
+        startLiveSession({
+          matchDate: date,
+          sessionId: id,
+          mode,
+          rules,
+          players: selected,
+          courts,
+        }),
+      "Failed to start",
+    );
+  }
+
+  // ── Render ───────────────────────────────────────
+  return (
+    <div className="container">
+      <div className="card">
+        <div className="card-header">
+          <span className="card-title">👑 Live courts</span>
+          {live && <span className="badge green">Live</span>}
+        </div>
+        <div className="card-body">
+          <label className="form-label">Date</label>
+          <div className="date-input-wrap">
+            <span className="date-input-icon">📅</span>
+            <input
+              className="date-input"
+              type="date"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+            />
+          </div>
+          <div style={{ marginTop: 10 }}>
+            <SessionPicker {...pickerProps} />
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="card">
+          <div className="card-body" style={{ color: "var(--muted)" }}>
+            Loading…
+          </div>
+        </div>
+      ) : !live ? (
+        <div className="card">
+          <div className="card-header">
+            <span className="card-title">Start a rotation</span>
+          </div>
+          <div className="card-body">
+            <div
+              style={{
+                display: "flex",
+                gap: 10,
+                flexWrap: "wrap",
+                marginBottom: 12,
+              }}
+            >
+              <div>
+                <label className="form-label">Mode</label>
+                <select
+                  value={mode}
+                  onChange={(e) => setMode(e.target.value)}
+                  title={ROTATION_MODES.find((m) => m.id === mode)?.description}
+                  style={selectStyle}
+                >
+                  {ROTATION_MODES.map((m) => (
+                    <option key={m.id} value={m.id}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Courts</label>
+                <input
+                  className="number-input"
+                  type="number"
+                  min="1"
+                  value={courtsInput}
+                  onChange={(e) => setCourtsInput(e.target.value)}
+                  style={{ width: 70 }}
+                />
+              </div>
+              <div>
+                <label className="form-label">Format</label>
+                <select
+                  value={rulesForm.matchSize}
+                  onChange={(e) =>
+                    setRulesForm((f) => ({
+                      ...f,
+                      matchSize: Number(e.target.value),
+                    }))
+                  }
+                  style={selectStyle}
+                >
+                  <option value={4}>Doubles</option>
+                  <option value={2}>Singles</option>
+                </select>
+              </div>
+            </div>
+            {mode === "king" && (
+              <RulesFields
+                form={rulesForm}
+                errors={errors}
+                onChange={(key, value) =>
+                  setRulesForm((f) => ({ ...f, [key]: value }))
+                }
+              />
+            )}
+
+            <label className="form-label" style={{ marginTop: 12 }}>
+              Players (queue order = tap order)
+            </label>
+            <div
+              style={{
+                display: "flex",
+                flexWrap: "wrap",
+                gap: 6,
+                marginBottom: 12,
+              }}
+            >
+              {players.map((p) => {
+                const pos = selected.indexOf(p.id);
+                const on = pos >= 0;
+                return (
+                  <button
+                    key={p.id}
+                    onClick={() => toggleSelected(p.id)}
+                    style={{
+                      padding: "5px 10px",
+                      borderRadius: 20,
+                      border: "1px solid",
+                      fontSize: 12,
+                      fontWeight: 500,
+                      cursor: "pointer",
+                      background: on ? "var(--primary-dim)" : "var(--surface)",
+                      color: on ? "var(--primary)" : "var(--muted)",
+                      borderColor: on
+                        ? "var(--primary-border)"
+                        : "var(--border)",
+                    }}
+                  >
+                    {on ? `${pos + 1}. ` : ""}
+                    {p.name}
+                  </button>
+                );
+              })}
+            </div>
+            <button
+              className="btn generate"
+              onClick={handleStart}
+              disabled={busy || hasErrors}
+            >
+              {busy ? "Starting…" : "▶ Start"}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          {/* Courts */}
+          {Object.entries(live.courts)
+            .sort(([a], [b]) => Number(a) - Number(b))
+            .map(([court, c]) => {
+              const match = c.match_id ? matchById.get(c.match_id) : null;
+              const kings = (c.players || []).filter(
+                (p) => live.streaks?.[p] > 0,
+              );
+              return (
+                <div key={court} style={{ marginBottom: 10 }}>
+                  <div
+                    style={{
+                      display: "flex",
+                      justifyContent: "space-between",
+                      alignItems: "center",
+                      margin: "0 2px 4px",
+                    }}
+                  >
+                    <span style={{ fontWeight: 800, fontSize: 13 }}>
+                      Court {court}
+                    </span>
+                    {kings.length > 0 && (
+                      <span className="badge yellow">
+                        👑 {kings.map(nameOf).join(" & ")} ·{" "}
+                        {live.streaks[kings[0]]}/{live.rules.maxWins}
+                      </span>
+                    )}
+                  </div>
+                  {match ? (
+                    <MatchCard
+                      match={match}
+                      playersMap={playersMap}
+                      onChange={load}
+                    />
+                  ) : (
+                    <div className="card">
+                      <div
+                        className="card-body"
+                        style={{ color: "var(--muted)", fontSize: 13 }}
+                      >
+                        Idle — waiting for {live.rules.matchSize} players in the
+                        queue
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+
+          {/* Queue */}
+          <div className="card">
+            <div className="card-header">
+              <span className="card-title">⏳ Queue</span>
+              <span className="badge blue">{live.queue.length} waiting</span>
+            </div>
+            {nextUp && (
+              <div
+                className="card-body"
+                style={{ fontSize: 12, color: "var(--muted)" }}
+              >
+                Next up:{" "}
+                <strong style={{ color: "var(--text)" }}>
+                  {nextUp.teamA.map(nameOf).join(" & ")} vs{" "}
+                  {nextUp.teamB.map(nameOf).join(" & ")}
+                </strong>
+              </div>
+            )}
+            {live.queue.length === 0 ? (
+              <div
+                className="card-body"
+                style={{ color: "var(--muted)", fontSize: 13 }}
+              >
+                Nobody waiting.
+              </div>
+            ) : (
+              live.queue.map((id, idx) => (
+                <div
+                  key={id}
+                  className="score-row"
+                  style={{
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    padding: "8px 12px",
+                  }}
+                >
+                  <span style={{ fontSize: 13 }}>
+                    <span className="badge round" style={{ marginRight: 8 }}>
+                      {idx + 1}
+                    </span>
+                    {nameOf(id)}
+                  </span>
+                  <button
+                    className="footer-icon-btn danger"
+                    title="Leaves the session"
+                    onClick={() =>
+                      run(
+                        () => leaveLiveQueue(sessionId, id),
+                        "Failed to remove",
+                      )
+                    }
+                    disabled={busy}
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))
+            )}
+            <div
+              className="card-body"
+              style={{ display: "flex", gap: 8, alignItems: "center" }}
+            >
+              <select
+                value={joinId}
+                onChange={(e) => setJoinId(e.target.value)}
+                style={{ ...selectStyle, flex: 1 }}
+              >
+                <option value="">Add a player…</option>
+                {players
+                  .filter((p) => !inRotation.has(p.id))
+                  .map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.name}
+                    </option>
+                  ))}
+              </select>
+              <button
+                className="btn small primary"
+                onClick={() => {
+                  const id = joinId;
+                  setJoinId("");
+                  run(() => joinLiveQueue(sessionId, [id]), "Failed to add");
+                }}
+                disabled={busy || !joinId}
+              >
+                Add
+              </button>
+            </div>
+          </div>
+
+          {/* Rules */}
+          <div className="card">
+            <div className="card-header">
+              <span className="card-title">Rules</span>
+              <span className="badge">
+                {ROTATION_MODES.find((m) => m.id === live.mode)?.label ||
+                  live.mode}
+              </span>
+            </div>
+            <div className="card-body">
+              {live.mode === "king" && (
+                <RulesFields
+                  form={rulesForm}
+                  errors={errors}
+                  onChange={(key, value) =>
+                    setRulesForm((f) => ({ ...f, [key]: value }))
+                  }
+                />
+              )}
+              <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+                {live.mode === "king" && (
+                  <button
+                    className="btn small primary"
+                    onClick={() =>
+                      run(
+                        () => updateLiveRules(sessionId, rules),
+                        "Failed to save rules",
+                      )
+                    }
+                    disabled={busy || hasErrors}
+                  >
+                    Save rules
+                  </button>
+                )}
+                <button
+                  className="btn small danger"
+                  onClick={() => setEndOpen(true)}
+                  disabled={busy}
+                >
+                  End session
+                </button>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+
+      <ConfirmModal
+        open={endOpen}
+        title="End live session?"
+        message="Courts stop rotating. Matches already played stay saved."
+        onCancel={() => setEndOpen(false)}
+        onConfirm={() => {
+          setEndOpen(false);
+          run(() => endLiveSession(live.id), "Failed to end session");
+        }}
+        confirmLabel="End"
+        loading={busy}
+      />
+    </div>
+  );
+}
+
+// Max wins / winner handling inputs, shared by setup and the live rules card.
+function RulesFields({ form, errors, onChange }) {
+  return (
+    <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+      <div>
+        <label className="form-label">Max wins in a row</label>
+        <input
+          className="number-input"
+          type="number"
+          min="1"
+          value={form.maxWins}
+          onChange={(e) => onChange("maxWins", e.target.value)}
+          title={errors.maxWins || "Winners leave the court after this many"}
+          style={{
+            width: 70,
+            borderColor: errors.maxWins ? "var(--danger)" : undefined,
+          }}
+        />
+      </div>
+      {Number(form.matchSize) === 4 && (
+        <div>
+          <label className="form-label">Winners</label>
+          <select
+            value={form.winners}
+            onChange={(e) => onChange("winners", e.target.value)}
+            style={selectStyle}
+          >
+            {WINNER_HANDLING.map((w) => (
+              <option key={w.id} value={w.id}>
+                {w.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import React from "react";
-import { supabase } from "../supabaseClient";
+import { db } from "../api/storage";
 
 function colorForCount(count, max) {
   if (!count) return "#fff";
@@ -23,13 +23,13 @@ export default function PairingHeatmap() {
   async function loadAll() {
     setLoading(true);
     try {
-      const { data: playersData } = await supabase
+      const { data: playersData } = await db
         .from("players")
         .select("id,name")
         .order("name");
       setPlayers(playersData || []);
 
-      const { data: pairData } = await supabase
+      const { data: pairData } = await db
         .from("pairing_history")
         .select("player_a,player_b,pair_count");
       const pairMapLocal = {};
@@ -43,7 +43,7 @@ export default function PairingHeatmap() {
         if ((r.pair_count || 0) > maxPair) maxPair = r.pair_count || 0;
       });
 
-      const { data: oppData } = await supabase
+      const { data: oppData } = await db
         .from("opponent_history")
         .select("player_a,player_b,opp_count");
       const oppMapLocal = {};
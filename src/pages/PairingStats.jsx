@@ -62,7 +62,7 @@ export default function PairingStats() {
     load(date, m);
   }
 
-  // ── Normalise rows from both RPCs into a common shape ──────────────────────
+  // ── Rows from both RPCs (already typed, api/schemas.js) in one shape ──────
   const normalized = useMemo(() => {
     if (mode === "scheduled") {
       return (pairs || []).map((r) => ({
@@ -70,13 +70,13 @@ export default function PairingStats() {
         player_b: r.player_b,
         name_a: r.name_a || r.player_a,
         name_b: r.name_b || r.player_b,
-        matches: Number(r.matches || 0),
+        matches: r.matches,
         wins: null, // not available for scheduled
         losses: null,
         winPct: null, // not available for scheduled
-        histMatches: Number(r.hist_matches || 0),
-        histWins: Number(r.hist_wins || 0),
-        histWinPct: r.hist_win_pct != null ? Number(r.hist_win_pct) : null,
+        histMatches: r.hist_matches,
+        histWins: r.hist_wins,
+        histWinPct: r.hist_win_pct,
       }));
     }
     // recorded mode — same as original
@@ -85,12 +85,10 @@ export default function PairingStats() {
       player_b: r.player_b,
       name_a: r.name_a || r.player_a,
       name_b: r.name_b || r.player_b,
-      matches: Number(r.matches || 0),
-      wins: Number(r.wins || 0),
-      losses: Number(r.losses || 0),
-      winPct: r.matches
-        ? Math.round((Number(r.wins || 0) / Number(r.matches)) * 100)
-        : 0,
+      matches: r.matches,
+      wins: r.wins,
+      losses: r.losses,
+      winPct: r.matches ? Math.round((r.wins / r.matches) * 100) : 0,
       histMatches: null,
       histWins: null,
       histWinPct: null,
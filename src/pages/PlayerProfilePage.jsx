@@ -3,20 +3,23 @@
 // Route:  /players/:playerId
 // Access: via "Profile →" button on PlayersPage, or direct URL
 //
-// Data strategy — all direct Supabase queries, no new RPCs needed:
-//   1. Player row            → supabase.from("players")
-//   2. Overall stats         → supabase.rpc("player_totals_overall")  (already exists)
-//   3. Per-session sparkline → matches + scores joined, grouped by match_date
+// Data strategy — direct queries on the storage backend, no new RPCs needed:
+//   1. Player row            → fetchPlayer
+//   2. Overall stats         → db.rpc("player_totals_overall")  (already exists)
+//   3. Per-session sparkline → matches (with their session), grouped by session
 //   4. Partner stats         → pairing_stats_recorded RPC (already exists), filtered client-side
 //   5. Recent matches        → matches + scores, last 10 the player appeared in
 //
 import React, { useEffect, useState, useCallback } from "react";
 import { useParams, useNavigate, useLocation } from "react-router-dom";
-import { supabase } from "../supabaseClient";
+import { db } from "../api/storage";
 import {
+  fetchPlayer,
   fetchPlayerTotalsOverall,
   fetchPairingStatsRecorded,
 } from "../api/supabase-actions";
+import { teamsOf, isSingles } from "../utils/matchTeams";
+import { sessionLabel } from "../utils/sessions";
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -102,8 +105,10 @@ function Sparkline({ sessions }) {
           const color = i === visible.length - 1 ? "#1a7f37" : "#c44d00";
           return (
             <div
-              key={s.match_date}
-              title={`${fmtDateShort(s.match_date)}: ${pct.toFixed(0)}%`}
+              key={s.key}
+              title={`${fmtDateShort(s.match_date)}${
+                s.session ? ` ${sessionLabel(s.session)}` : ""
+              }: ${pct.toFixed(0)}%`}
               style={{
                 flex: 1,
                 height: `${h}%`,
@@ -189,11 +194,7 @@ export default function PlayerProfilePage() {
   // ── 2. Individual loaders ───────────────────────────────────────────────────
 
   async function loadPlayer() {
-    const { data, error } = await supabase
-      .from("players")
-      .select("*")
-      .eq("id", playerId)
-      .single();
+    const { data, error } = await fetchPlayer(playerId);
     if (error) throw error;
     setPlayer(data);
   }
@@ -202,13 +203,7 @@ export default function PlayerProfilePage() {
     // Reuse existing RPC — returns all players, we filter for this one
     const { data, error } = await fetchPlayerTotalsOverall();
     if (error) throw error;
-    const rows = (data || []).map((r) => ({
-      id: r.id ?? r.player_id,
-      name: r.name ?? r.player_name,
-      matches: Number(r.matches ?? r.total_matches ?? 0),
-      wins: Number(r.wins ?? 0),
-      win_pct: Number(r.win_pct ?? 0),
-    }));
+    const rows = data || [];
     // Sort by wins desc (matches scoreboard RPC order — same as what the RPC returns)
     const sorted = [...rows].sort(
       (a, b) => b.wins - a.wins || b.win_pct - a.win_pct,
@@ -220,31 +215,51 @@ export default function PlayerProfilePage() {
   }
 
   async function loadSessionSparkline() {
-    // Fetch every match_date where this player played, and their win count that date
+    // Fetch every match this player played, with its session, and count wins
+    // per session (two sessions on one day are two bars)
     // matches contains player_ids (array) and winner (array)
-    const { data: matchRows, error } = await supabase
+    const { data: matchRows, error } = await db
       .from("matches")
-      .select("match_date, player_ids, winner")
+      .select(
+        "match_date, session_id, player_ids, winner, session:sessions(name, starts_at, venue)",
+      )
       .contains("player_ids", [playerId]) // matches where player was in the game
       .order("match_date", { ascending: true });
 
     if (error) throw error;
 
-    // Group by match_date
-    const byDate = {};
+    // Group by session (match_date for matches without one)
+    const bySession = new Map();
     for (const m of matchRows || []) {
-      const d = m.match_date;
-      if (!byDate[d]) byDate[d] = { played: 0, won: 0 };
-      byDate[d].played += 1;
+      const key = m.session_id || m.match_date;
+      if (!bySession.has(key)) {
+        bySession.set(key, {
+          key,
+          match_date: m.match_date,
+          session: m.session,
+          played: 0,
+          won: 0,
+        });
+      }
+      const row = bySession.get(key);
+      row.played += 1;
       if (Array.isArray(m.winner) && m.winner.includes(playerId)) {
-        byDate[d].won += 1;
+        row.won += 1;
       }
     }
 
-    const result = Object.entries(byDate)
-      .sort(([a], [b]) => a.localeCompare(b))
-      .map(([match_date, { played, won }]) => ({
+    const result = [...bySession.values()]
+      .sort(
+        (a, b) =>
+          a.match_date.localeCompare(b.match_date) ||
+          (a.session?.starts_at || "").localeCompare(
+            b.session?.starts_at || "",
+          ),
+      )
+      .map(({ key, match_date, session, played, won }) => ({
+        key,
         match_date,
+        session,
         matches: played,
         wins: won,
         win_pct: played > 0 ? Math.round((won / played) * 100) : 0,
@@ -265,8 +280,7 @@ export default function PlayerProfilePage() {
         const isA = r.player_a === playerId;
         const partnerId = isA ? r.player_b : r.player_a;
         const partnerName = isA ? r.name_b || "?" : r.name_a || "?";
-        const matches = Number(r.matches || 0);
-        const wins = Number(r.wins || 0);
+        const { matches, wins } = r;
         return {
           partnerId,
           partnerName,
@@ -282,11 +296,10 @@ export default function PlayerProfilePage() {
   }
 
   async function loadRecentMatches() {
-    // Only completed games (winner recorded). Not selecting round/match_index
-    // as those columns may not exist yet.
-    const { data, error } = await supabase
+    // Only completed games (winner recorded).
+    const { data, error } = await db
       .from("matches")
-      .select("id, match_date, court, player_ids, winner, score_text")
+      .select("id, match_date, round, court, player_ids, winner, score_text")
       .contains("player_ids", [playerId])
       .not("winner", "is", null)
       .order("match_date", { ascending: false })
@@ -295,12 +308,14 @@ export default function PlayerProfilePage() {
     if (error) throw error;
 
     // Also filter out rows where winner was saved as [] instead of NULL,
-    // then sort by date desc -> court asc, take top 15.
+    // then sort by date desc -> round desc -> court asc, take top 15.
     const sorted = (data || [])
       .filter((m) => Array.isArray(m.winner) && m.winner.length > 0)
       .sort((a, b) => {
         const dateDiff = b.match_date.localeCompare(a.match_date);
         if (dateDiff !== 0) return dateDiff;
+        const roundDiff = (b.round ?? 0) - (a.round ?? 0);
+        if (roundDiff !== 0) return roundDiff;
         return (a.court ?? 0) - (b.court ?? 0);
       })
       .slice(0, 15);
@@ -309,7 +324,7 @@ export default function PlayerProfilePage() {
   }
 
   async function loadPlayersMap() {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("players")
       .select("id, name")
       .order("name", { ascending: true });
@@ -1011,17 +1026,23 @@ export default function PlayerProfilePage() {
             // Split player_ids into my team and opponents using winner array
             // If not yet resolved, just show all players
             const allIds = m.player_ids || [];
-            const teamSize = 2; // always doubles
+            const singles = isSingles(allIds);
+            const { teamA, teamB } = teamsOf(allIds);
+            const onA = teamA.includes(playerId);
             const myTeamIds = hasResult
               ? isWinner
                 ? m.winner
                 : allIds.filter((id) => !m.winner.includes(id))
-              : allIds.slice(0, teamSize);
+              : onA
+                ? teamA
+                : teamB;
             const oppIds = hasResult
               ? isWinner
                 ? allIds.filter((id) => !m.winner.includes(id))
                 : m.winner
-              : allIds.slice(teamSize);
+              : onA
+                ? teamB
+                : teamA;
 
             const myTeamNames = myTeamIds
               .map((id) => playersMap[id] || id.slice(0, 6))
@@ -1080,7 +1101,11 @@ export default function PlayerProfilePage() {
                   <div
                     style={{ fontSize: 12, fontWeight: 700, color: "#1c2128" }}
                   >
-                    {partnerNames ? `w/ ${partnerNames}` : myTeamNames}
+                    {singles
+                      ? "Singles"
+                      : partnerNames
+                        ? `w/ ${partnerNames}`
+                        : myTeamNames}
                   </div>
                   <div style={{ fontSize: 10, color: "#8c959f", marginTop: 1 }}>
                     vs {oppTeamNames || "—"}
@@ -1100,7 +1125,8 @@ export default function PlayerProfilePage() {
                     </div>
                   )}
                   <div style={{ fontSize: 10, color: "#8c959f", marginTop: 1 }}>
-                    {fmtDateShort(m.match_date)} · C{m.court}
+                    {fmtDateShort(m.match_date)}
+                    {m.round != null && ` · R${m.round}`} · C{m.court}
                   </div>
                 </div>
               </div>
@@ -1,21 +1,63 @@
 // src/pages/PlayersPage.jsx
 import React, { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { supabase } from "../supabaseClient";
+import { db } from "../api/storage";
+import {
+  fetchPlayerConstraints,
+  addPlayerConstraint,
+  deletePlayerConstraint,
+} from "../api/supabase-actions";
+import { CONSTRAINT_KINDS } from "../utils/playerConstraints";
 
 export default function PlayersPage() {
   const [players, setPlayers] = useState([]);
   const [newName, setNewName] = useState("");
   const [loading, setLoading] = useState(false);
   const [deleteId, setDeleteId] = useState(null); // inline confirm state
+  const [constraints, setConstraints] = useState([]);
+  const [draft, setDraft] = useState({
+    playerA: "",
+    kind: "avoid_partner",
+    playerB: "",
+  });
   const navigate = useNavigate();
 
   useEffect(() => {
     loadPlayers();
+    loadConstraints();
   }, []);
 
+  async function loadConstraints() {
+    const { data, error } = await fetchPlayerConstraints();
+    if (error) {
+      console.error(error);
+      return;
+    }
+    setConstraints(data || []);
+  }
+
+  async function addConstraint(e) {
+    e.preventDefault();
+    const { data, error } = await addPlayerConstraint(draft);
+    if (error) {
+      alert("Failed to add constraint: " + error.message);
+      return;
+    }
+    setConstraints((prev) => [...prev, data]);
+    setDraft((d) => ({ ...d, playerA: "", playerB: "" }));
+  }
+
+  async function removeConstraint(id) {
+    const { error } = await deletePlayerConstraint(id);
+    if (error) {
+      alert(error.message);
+      return;
+    }
+    setConstraints((prev) => prev.filter((c) => c.id !== id));
+  }
+
   async function loadPlayers() {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("players")
       .select("*")
       .order("name", { ascending: true });
@@ -31,7 +73,7 @@ export default function PlayersPage() {
     if (!newName.trim()) return;
     setLoading(true);
     try {
-      const { error } = await supabase
+      const { error } = await db
         .from("players")
         .insert([{ name: newName.trim() }]);
       if (error) throw error;
@@ -45,8 +87,24 @@ export default function PlayersPage() {
     }
   }
 
+  // gender / category drive the mixed-doubles scheduling mode
+  async function updateAttribute(id, field, value) {
+    const clean = value.trim() || null;
+    const { error } = await db
+      .from("players")
+      .update({ [field]: clean })
+      .eq("id", id);
+    if (error) {
+      alert("Failed to update player: " + error.message);
+      return;
+    }
+    setPlayers((prev) =>
+      prev.map((p) => (p.id === id ? { ...p, [field]: clean } : p)),
+    );
+  }
+
   async function deletePlayer(id) {
-    const { error } = await supabase.from("players").delete().eq("id", id);
+    const { error } = await db.from("players").delete().eq("id", id);
     if (error) {
       alert(error.message);
       return;
@@ -55,6 +113,8 @@ export default function PlayersPage() {
     await loadPlayers();
   }
 
+  const nameOf = (id) => players.find((p) => p.id === id)?.name || "?";
+
   function formatDate(d) {
     if (!d) return null;
     return new Date(d).toLocaleDateString("en-GB", {
@@ -144,6 +204,33 @@ export default function PlayersPage() {
                     No games yet
                   </div>
                 )}
+                <div style={{ display: "flex", gap: 6, marginTop: 4 }}>
+                  <select
+                    value={p.gender || ""}
+                    onChange={(e) =>
+                      updateAttribute(p.id, "gender", e.target.value)
+                    }
+                    title="Gender (mixed doubles)"
+                    style={{ fontSize: 11, padding: "2px 4px" }}
+                  >
+                    <option value="">Gender —</option>
+                    <option value="female">Female</option>
+                    <option value="male">Male</option>
+                  </select>
+                  <input
+                    type="text"
+                    defaultValue={p.category || ""}
+                    placeholder="Category"
+                    title="Free-form category (mixed doubles by category)"
+                    onBlur={(e) => {
+                      if (
+                        (e.target.value.trim() || null) !== (p.category ?? null)
+                      )
+                        updateAttribute(p.id, "category", e.target.value);
+                    }}
+                    style={{ fontSize: 11, padding: "2px 6px", width: 90 }}
+                  />
+                </div>
               </div>
 
               {/* Right: icon buttons OR inline delete confirm */}
@@ -221,6 +308,99 @@ export default function PlayersPage() {
           ⚠️ Removing a player does not delete their historical match data.
         </div>
       </div>
+
+      {/* ── Pair constraints ──────────────────────────── */}
+      <div className="card" style={{ marginTop: 12 }}>
+        <div className="card-header">
+          <span className="card-title">🚫 Pair constraints</span>
+          <span className="badge">{constraints.length}</span>
+        </div>
+        <div className="card-body">
+          <form
+            onSubmit={addConstraint}
+            style={{ display: "flex", flexWrap: "wrap", gap: 6 }}
+          >
+            <select
+              value={draft.playerA}
+              onChange={(e) => setDraft({ ...draft, playerA: e.target.value })}
+              style={{ flex: 1, minWidth: 100 }}
+            >
+              <option value="">Player…</option>
+              {players.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={draft.kind}
+              onChange={(e) => setDraft({ ...draft, kind: e.target.value })}
+            >
+              {CONSTRAINT_KINDS.map((k) => (
+                <option key={k.id} value={k.id}>
+                  {k.label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={draft.playerB}
+              onChange={(e) => setDraft({ ...draft, playerB: e.target.value })}
+              style={{ flex: 1, minWidth: 100 }}
+            >
+              <option value="">Player…</option>
+              {players
+                .filter((p) => p.id !== draft.playerA)
+                .map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.name}
+                  </option>
+                ))}
+            </select>
+            <button
+              className="btn primary"
+              type="submit"
+              disabled={!draft.playerA || !draft.playerB}
+            >
+              + Add
+            </button>
+          </form>
+        </div>
+        <div style={{ borderTop: "1px solid var(--border)" }}>
+          {constraints.length === 0 && (
+            <div style={{ padding: 12, fontSize: 12, color: "var(--muted2)" }}>
+              No constraints. Schedules mix everyone freely.
+            </div>
+          )}
+          {constraints.map((c) => (
+            <div
+              key={c.id}
+              className="score-row"
+              style={{
+                justifyContent: "space-between",
+                alignItems: "center",
+                padding: "8px 12px",
+                fontSize: 13,
+              }}
+            >
+              <span style={{ fontWeight: 600 }}>
+                {nameOf(c.player_a)}{" "}
+                <span className="badge" style={{ margin: "0 4px" }}>
+                  {CONSTRAINT_KINDS.find((k) => k.id === c.kind)?.short}
+                </span>{" "}
+                {nameOf(c.player_b)}
+              </span>
+              <button
+                className="footer-icon-btn danger"
+                title="Remove constraint"
+                onClick={() => removeConstraint(c.id)}
+                style={{ fontSize: 16 }}
+              >
+                🗑
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
     </div>
   );
 }
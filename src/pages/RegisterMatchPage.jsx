@@ -1,11 +1,20 @@
 // src/pages/RegisterMatchPage.jsx
 import React, { useEffect, useState, useCallback, useMemo } from "react";
 import { fetchPlayers, createManualMatch } from "../api/supabase-actions";
+import { isClosed } from "../utils/sessions";
+import { useDateSessions } from "../hooks/useDateSessions";
 import ConfirmModal from "../components/ConfirmModal";
+import SessionPicker from "../components/SessionPicker";
 
 export default function RegisterMatchPage() {
   const today = new Date().toISOString().slice(0, 10);
   const [date, setDate] = useState(today);
+  const {
+    sessionId,
+    current: session,
+    create: createSession,
+    pickerProps,
+  } = useDateSessions(date);
   const [court, setCourt] = useState("1");
   const [players, setPlayers] = useState([]);
   const [loadingPlayers, setLoadingPlayers] = useState(false);
@@ -16,6 +25,7 @@ export default function RegisterMatchPage() {
   const [teamA2, setTeamA2] = useState("");
   const [teamB1, setTeamB1] = useState("");
   const [teamB2, setTeamB2] = useState("");
+  const [singles, setSingles] = useState(false);
   const [confirmOpen, setConfirmOpen] = useState(false);
 
   const loadPlayers = useCallback(async () => {
@@ -42,24 +52,46 @@ export default function RegisterMatchPage() {
     setTeamA2("");
     setTeamB1("");
     setTeamB2("");
+    setSingles(false);
     setErrMsg(null);
     setOkMsg(null);
   }
 
+  // Singles uses only the first slot of each side.
+  const matchPlayerIds = singles
+    ? [teamA1, teamB1]
+    : [teamA1, teamA2, teamB1, teamB2];
+
   function validate() {
     setErrMsg(null);
-    const sel = [teamA1, teamA2, teamB1, teamB2].filter(Boolean);
-    if (sel.length < 4) {
-      setErrMsg("Please select 4 players (two per team).");
+    const sel = matchPlayerIds.filter(Boolean);
+    if (sel.length < matchPlayerIds.length) {
+      setErrMsg(
+        singles
+          ? "Please select 2 players (one per side)."
+          : "Please select 4 players (two per team).",
+      );
       return false;
     }
-    if (new Set(sel).size < 4) {
+    if (new Set(sel).size < matchPlayerIds.length) {
       setErrMsg("Players must be unique across both teams.");
       return false;
     }
+    if (isClosed(session)) {
+      setErrMsg("This session is closed — reopen it to add games.");
+      return false;
+    }
     return true;
   }
 
+  function toggleSingles(value) {
+    setSingles(value);
+    if (value) {
+      setTeamA2("");
+      setTeamB2("");
+    }
+  }
+
   function onCreateClicked() {
     if (validate()) setConfirmOpen(true);
   }
@@ -71,10 +103,14 @@ export default function RegisterMatchPage() {
     if (!validate()) return;
     setBusy(true);
     try {
+      // a date without sessions gets one for the game
+      const id = sessionId || (await createSession())?.id;
+      if (!id) return;
       const { error } = await createManualMatch({
         matchDate: date,
+        sessionId: id,
         court: court === "" ? 1 : Number(court || 1),
-        playerIds: [teamA1, teamA2, teamB1, teamB2],
+        playerIds: matchPlayerIds,
       });
       if (error) throw error;
       setOkMsg("Match created successfully.");
@@ -99,6 +135,12 @@ export default function RegisterMatchPage() {
   }
 
   const nameOf = (id) => players.find((p) => p.id === id)?.name || "?";
+  const sideA = singles
+    ? nameOf(teamA1)
+    : `${nameOf(teamA1)} & ${nameOf(teamA2)}`;
+  const sideB = singles
+    ? nameOf(teamB1)
+    : `${nameOf(teamB1)} & ${nameOf(teamB2)}`;
 
   function PlayerSelect({ value, setValue, placeholder }) {
     return (
@@ -158,7 +200,9 @@ export default function RegisterMatchPage() {
           }}
         >
           <PlayerSelect value={p1} setValue={setP1} placeholder="Player 1" />
-          <PlayerSelect value={p2} setValue={setP2} placeholder="Player 2" />
+          {!singles && (
+            <PlayerSelect value={p2} setValue={setP2} placeholder="Player 2" />
+          )}
         </div>
       </div>
     );
@@ -195,6 +239,7 @@ export default function RegisterMatchPage() {
                 />
               </div>
             </div>
+            <SessionPicker {...pickerProps} />
             <div>
               <label className="form-label">Court</label>
               <input
@@ -209,6 +254,24 @@ export default function RegisterMatchPage() {
             </div>
           </div>
 
+          {/* Format */}
+          <div style={{ display: "flex", gap: 6, marginBottom: 14 }}>
+            {[
+              { label: "🏸 Doubles", value: false },
+              { label: "👤 Singles", value: true },
+            ].map((f) => (
+              <button
+                key={f.label}
+                type="button"
+                className={`btn small${singles === f.value ? " primary" : ""}`}
+                onClick={() => toggleSingles(f.value)}
+                disabled={busy}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+
           {/* Teams side by side */}
           <div
             style={{
@@ -219,7 +282,7 @@ export default function RegisterMatchPage() {
             }}
           >
             <TeamCard
-              label="TEAM A"
+              label={singles ? "SIDE A" : "TEAM A"}
               color="var(--primary)"
               bgColor="var(--primary-dim)"
               p1={teamA1}
@@ -228,7 +291,7 @@ export default function RegisterMatchPage() {
               setP2={setTeamA2}
             />
             <TeamCard
-              label="TEAM B"
+              label={singles ? "SIDE B" : "TEAM B"}
               color="var(--success)"
               bgColor="var(--success-dim)"
               p1={teamB1}
@@ -239,7 +302,7 @@ export default function RegisterMatchPage() {
           </div>
 
           {/* Match preview */}
-          {teamA1 && teamA2 && teamB1 && teamB2 && (
+          {matchPlayerIds.every(Boolean) && (
             <div
               style={{
                 padding: "10px 12px",
@@ -251,14 +314,10 @@ export default function RegisterMatchPage() {
                 color: "var(--muted)",
               }}
             >
-              <strong style={{ color: "var(--text)" }}>
-                {nameOf(teamA1)} & {nameOf(teamA2)}
-              </strong>{" "}
+              <strong style={{ color: "var(--text)" }}>{sideA}</strong>{" "}
               <span>vs</span>{" "}
-              <strong style={{ color: "var(--text)" }}>
-                {nameOf(teamB1)} & {nameOf(teamB2)}
-              </strong>{" "}
-              — Court {court} · {date}
+              <strong style={{ color: "var(--text)" }}>{sideB}</strong> — Court{" "}
+              {court} · {date}
             </div>
           )}
 
@@ -316,7 +375,7 @@ export default function RegisterMatchPage() {
       <ConfirmModal
         open={confirmOpen}
         title="Create match?"
-        message={`Team A: ${nameOf(teamA1)} & ${nameOf(teamA2)} vs Team B: ${nameOf(teamB1)} & ${nameOf(teamB2)} — Court ${court} on ${date}`}
+        message={`${singles ? "Singles" : "Team A"}: ${sideA} vs ${singles ? "" : "Team B: "}${sideB} — Court ${court} on ${date}`}
         onCancel={() => setConfirmOpen(false)}
         onConfirm={doCreate}
         confirmLabel="Create"
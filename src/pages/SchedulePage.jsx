@@ -1,28 +1,78 @@
 // src/pages/SchedulePage.jsx
-import React, { useEffect, useState, useCallback, useMemo } from "react";
-import { supabase } from "../supabaseClient";
-import { generateSchedule } from "../utils/scheduler.simple";
+import React, {
+  useEffect,
+  useState,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
+import { db } from "../api/storage";
+import { listStrategies, MATCH_FORMATS } from "../utils/scheduleEngine";
+import { runScheduleTask } from "../utils/scheduleRunner";
 import {
   fetchPlayers,
   fetchPairingHistoryMap,
   fetchOpponentHistoryMap,
   fetchPlayerTotalsOverall,
+  fetchSchedulerPolicy,
+  fetchPlayerConstraints,
   saveScheduleToDb,
-  fetchMatchesForDate,
+  replaceScheduleForDate,
+  fetchMatchesForSession,
   deleteScheduleForDate,
+  updateMatchesPlayers,
 } from "../api/supabase-actions";
+import { ratingFromRecord } from "../utils/scheduler";
+import { DEFAULT_POLICY, resolvePolicy } from "../utils/schedulerPolicy";
+import { mixedViolations } from "../utils/mixedDoubles";
+import { teamsOf, isSingles } from "../utils/matchTeams";
 import MatchCard from "../components/MatchCard";
 import ConfirmModal from "../components/ConfirmModal";
+import StrategyComparison from "../components/StrategyComparison";
+import CandidateSchedules from "../components/CandidateSchedules";
+import ScheduleEditor from "../components/ScheduleEditor";
+import ScheduleQualityPanel from "../components/ScheduleQualityPanel";
+import SessionLeaderboard from "../components/SessionLeaderboard";
+import SessionFormatNotes from "../components/SessionFormatNotes";
+import SeedField from "../components/SeedField";
+import SessionPicker from "../components/SessionPicker";
+import { isClosed } from "../utils/sessions";
+import { useDateSessions } from "../hooks/useDateSessions";
+import { newSeedCode, normalizeSeedCode } from "../utils/schedulerHelpers";
 
 const STORAGE_KEY = "cs_selected_date";
+const STRATEGY_KEY = "cs_schedule_strategy";
+// Session formats with an individual leaderboard, and what it ranks by.
+const LEADERBOARD_RANKING = {
+  americano: "points",
+  mexicano: "points",
+  swiss: "wins",
+};
+const STRATEGIES = listStrategies();
+// Optimizer search budgets (ms). Iterations scale with time so the annealing
+// schedule cools down fully within the budget on a typical phone.
+const OPTIMIZER_BUDGETS = [500, 1500, 4000];
+// How many candidate schedules one "Candidates" run may produce.
+const MAX_CANDIDATES = 8;
+const BALANCE_KEY = "cs_schedule_balance";
+// Team-rating balance vs partner/opponent variety (engine balanceWeight).
+// null keeps the club policy's own balanceWeight.
+const BALANCE_LEVELS = [
+  { value: null, label: "Club default" },
+  { value: 0, label: "Variety only" },
+  { value: 0.5, label: "Mostly variety" },
+  { value: 1, label: "Even" },
+  { value: 2, label: "Mostly balance" },
+  { value: 4, label: "Balance first" },
+];
 
-// Groups matches by their native `round` field.
-// Falls back to deriving round from match_index if field absent.
-function groupByRounds(matches, numCourts = 2) {
+// Groups matches by their `round` (stored on saved rows, set by the
+// schedulers on preview matches).
+function groupByRounds(matches) {
   const sorted = [...matches].sort((a, b) => a.match_index - b.match_index);
   const rounds = {};
   sorted.forEach((m) => {
-    const r = m.round ?? Math.ceil(m.match_index / numCourts);
+    const r = m.round;
     if (!rounds[r]) rounds[r] = [];
     rounds[r].push(m);
   });
@@ -40,11 +90,55 @@ export default function SchedulePage() {
       new Date().toISOString().slice(0, 10)
     );
   });
+  const [strategy, setStrategy] = useState(
+    () => window.localStorage.getItem(STRATEGY_KEY) || "simple",
+  );
+  const [optimizerBudget, setOptimizerBudget] = useState(1500);
+  const [balanceWeight, setBalanceWeight] = useState(() => {
+    const saved = window.localStorage.getItem(BALANCE_KEY);
+    const level = BALANCE_LEVELS.find((l) => String(l.value ?? "") === saved);
+    return level ? level.value : null;
+  });
   const [preview, setPreview] = useState([]);
+  const [previewReport, setPreviewReport] = useState(null);
+  // seed code typed / in use, and the one the preview was generated with
+  const [seedInput, setSeedInput] = useState("");
+  const [previewSeed, setPreviewSeed] = useState(null);
+  // strategy that generated the preview (saved with it)
+  const [previewStrategy, setPreviewStrategy] = useState(null);
+  const [comparison, setComparison] = useState([]);
+  const [candidates, setCandidates] = useState([]);
+  const [candidateCountInput, setCandidateCountInput] = useState("3");
+  // generation running in the worker: { label, fraction, cost }
+  const [job, setJob] = useState(null);
+  const jobRef = useRef(null);
+  // drag-and-drop editing: "preview" | "saved" | null
+  const [editing, setEditing] = useState(null);
+  const [savingEdits, setSavingEdits] = useState(false);
+  // round the preview starts from when it re-plans the rest of a saved session
+  const [replanFrom, setReplanFrom] = useState(null);
+  const [replanRoundInput, setReplanRoundInput] = useState("");
+  // arrival/departure round per selected player: { [id]: { from, to } } (strings)
+  const [windows, setWindows] = useState({});
+  const [showWindows, setShowWindows] = useState(false);
+  // mixed-doubles mode: "" (off) or the player attribute to mix on
+  const [mixedBy, setMixedBy] = useState("");
+  // "doubles", "fill" (spare players play singles on free courts) or "singles"
+  const [format, setFormat] = useState("doubles");
+  const minPlayers = format === "doubles" ? 4 : 2;
   const [savedMatches, setSavedMatches] = useState([]);
+  // sessions on the selected date; the schedule shown is the selected one's
+  const {
+    sessionId,
+    current: currentSession,
+    create: createSession,
+    pickerProps,
+  } = useDateSessions(date);
   const [pairingMap, setPairingMap] = useState(new Map());
   const [opponentMap, setOpponentMap] = useState(new Map());
-  const [ratingsMap, setRatingsMap] = useState(new Map());
+  const [ratingRows, setRatingRows] = useState([]);
+  const [policy, setPolicy] = useState(DEFAULT_POLICY);
+  const [constraints, setConstraints] = useState([]);
   const [loadingSave, setLoadingSave] = useState(false);
   const [loadingMatches, setLoadingMatches] = useState(false);
   const [clearing, setClearing] = useState(false);
@@ -87,20 +181,46 @@ export default function SchedulePage() {
     try {
       const { data, error } = await fetchPlayerTotalsOverall();
       if (error) throw error;
-      const map = new Map();
-      (data || []).forEach((r) =>
-        map.set(r.id, Math.max(50, Number(r.win_pct ?? 0))),
-      );
-      setRatingsMap(map);
+      setRatingRows(data || []);
     } catch (err) {
       console.error("loadRatings", err);
     }
   }, []);
 
+  const loadPolicy = useCallback(async () => {
+    const { data, error } = await fetchSchedulerPolicy();
+    if (error) console.error("loadPolicy", error);
+    setPolicy(resolvePolicy(data?.policy));
+  }, []);
+
+  const loadConstraints = useCallback(async () => {
+    const { data, error } = await fetchPlayerConstraints();
+    if (error) console.error("loadConstraints", error);
+    setConstraints(data || []);
+  }, []);
+
+  const ratingsMap = useMemo(
+    () =>
+      new Map(
+        ratingRows.map((r) => [
+          r.id,
+          ratingFromRecord(
+            { wins: r.wins, matches: r.matches },
+            policy.ratingFloor,
+          ),
+        ]),
+      ),
+    [ratingRows, policy],
+  );
+
   const loadSavedMatches = useCallback(async () => {
+    if (!sessionId) {
+      setSavedMatches([]);
+      return;
+    }
     try {
       setLoadingMatches(true);
-      const { data, error } = await fetchMatchesForDate(date);
+      const { data, error } = await fetchMatchesForSession(sessionId);
       if (error) throw error;
       setSavedMatches(data || []);
     } catch (err) {
@@ -108,22 +228,32 @@ export default function SchedulePage() {
     } finally {
       setLoadingMatches(false);
     }
-  }, [date]);
+  }, [sessionId]);
 
   useEffect(() => {
     loadPlayers();
     loadHistory();
     loadRatings();
+    loadPolicy();
+    loadConstraints();
+  }, [loadPlayers, loadHistory, loadRatings, loadPolicy, loadConstraints]);
+  useEffect(() => {
     loadSavedMatches();
-  }, [loadPlayers, loadHistory, loadSavedMatches, loadRatings]);
+  }, [loadSavedMatches]);
   useEffect(() => {
     if (date) window.localStorage.setItem(STORAGE_KEY, date);
   }, [date]);
+  useEffect(() => {
+    window.localStorage.setItem(STRATEGY_KEY, strategy);
+  }, [strategy]);
+  useEffect(() => {
+    window.localStorage.setItem(BALANCE_KEY, String(balanceWeight ?? ""));
+  }, [balanceWeight]);
 
   // Realtime subscription
   useEffect(() => {
     if (!date) return;
-    const channel = supabase
+    const channel = db
       .channel(`public:matches:date=${date}`)
       .on(
         "postgres_changes",
@@ -138,7 +268,7 @@ export default function SchedulePage() {
       .subscribe();
     return () => {
       try {
-        supabase.removeChannel(channel);
+        db.removeChannel(channel);
       } catch (e) {}
     };
   }, [date, loadSavedMatches]);
@@ -149,68 +279,335 @@ export default function SchedulePage() {
     );
   }
 
+  // stop a running generation when leaving the page
+  useEffect(() => () => jobRef.current?.cancel(), []);
+
   // ── Actions ──────────────────────────────────────
-  async function _doGenerate() {
+  // Runs a scheduleRunner task in the worker with the progress bar showing;
+  // a new run cancels the previous one. Resolves with the last partial result
+  // when the user cancels (null when a new run or leaving the page did).
+  async function runJob(label, task, payload, onPartial) {
+    jobRef.current?.cancel();
+    setJob({ label, fraction: 0, cost: null });
+    let partial = null;
+    const run = runScheduleTask(task, payload, {
+      onProgress: ({ fraction, cost }) =>
+        setJob((j) => j && { ...j, fraction, cost: cost ?? j.cost }),
+      onPartial: (results) => {
+        partial = results;
+        onPartial?.(results);
+      },
+    });
+    jobRef.current = run;
+    try {
+      return await run.promise;
+    } catch (err) {
+      if (err.name === "AbortError") return run.stopped ? partial : null;
+      throw err;
+    } finally {
+      if (jobRef.current === run) {
+        jobRef.current = null;
+        setJob(null);
+      }
+    }
+  }
+
+  // keeps whatever the job had found so far (see runJob)
+  function cancelJob() {
+    const run = jobRef.current;
+    if (!run) return;
+    run.stopped = true;
+    run.cancel();
+  }
+
+  // One batched update for every saved game the edit touched.
+  async function saveSavedEdits({ changes }) {
+    setSavingEdits(true);
+    try {
+      const { error } = await updateMatchesPlayers(changes);
+      if (error) throw error;
+      setEditing(null);
+      window.dispatchEvent(new Event("scores-changed"));
+    } catch (err) {
+      alert("Failed to save changes: " + err.message);
+    } finally {
+      setSavingEdits(false);
+      await loadSavedMatches();
+    }
+  }
+
+  async function _doGenerate(seedCode = seedInput) {
     const courts = parsePositiveInt(courtsInput, 1);
     const matchesPerCourt = parsePositiveInt(matchesPerCourtInput, 5);
 
-    if (!available || available.length < 4) {
-      alert("Select at least 4 players");
+    if (!available || available.length < minPlayers) {
+      alert(`Select at least ${minPlayers} players`);
       return;
     }
 
     try {
-      const rawSchedule = generateSchedule({
-        players: available,
-        courts,
-        matchesPerCourt,
+      const result = await runJob("Generating", "run", {
+        strategy,
+        input: buildInput(courts, matchesPerCourt, seedCode),
       });
+      if (!result) return;
+      const { seed, matches, report } = result;
+      setPreview(matches);
+      setPreviewReport(report);
+      setPreviewSeed(seed);
+      setPreviewStrategy(result.strategy);
+      setEditing((e) => (e === "preview" ? null : e));
+      setSeedInput(seed);
+      setComparison([]);
+      setCandidates([]);
+      setReplanFrom(null);
+    } catch (err) {
+      console.error("generate error", err);
+      alert("Failed to generate: " + err.message);
+    }
+  }
 
-      // 🟢 Build resting per round (efficient version)
-      const roundsMap = {};
+  // Windows left blank mean "whole session"; a window ending before it
+  // starts is ignored (the input is flagged red).
+  const availability = useMemo(() => {
+    const map = new Map();
+    available.forEach((id) => {
+      const w = windows[id];
+      const from = parseInt(w?.from, 10);
+      const to = parseInt(w?.to, 10);
+      const win = {
+        from: Number.isFinite(from) && from > 0 ? from : null,
+        to: Number.isFinite(to) && to > 0 ? to : null,
+      };
+      if (win.from == null && win.to == null) return;
+      if (win.from != null && win.to != null && win.from > win.to) return;
+      map.set(id, win);
+    });
+    return map;
+  }, [available, windows]);
 
-      rawSchedule.forEach((m) => {
-        if (!roundsMap[m.round]) {
-          roundsMap[m.round] = {
-            matches: [],
-            played: new Set(),
-          };
-        }
-        roundsMap[m.round].matches.push(m);
-        m.players.forEach((p) => roundsMap[m.round].played.add(p));
-      });
+  const strategyInfo = STRATEGIES.find((s) => s.id === strategy);
 
-      const enriched = [];
+  const categories = useMemo(
+    () =>
+      new Map(
+        mixedBy
+          ? players.filter((p) => p[mixedBy]).map((p) => [p.id, p[mixedBy]])
+          : [],
+      ),
+    [players, mixedBy],
+  );
 
-      Object.entries(roundsMap).forEach(([round, data]) => {
-        const resting = available.filter((p) => !data.played.has(p));
+  // Same input contract for every strategy so outputs are comparable.
+  function buildInput(courts, rounds, seed = seedInput) {
+    return {
+      players: available,
+      courts,
+      rounds,
+      date,
+      seed,
+      pairingHistory: pairingMap,
+      opponentHistory: opponentMap,
+      ratings: ratingsMap,
+      policy,
+      balanceWeight: balanceWeight ?? undefined,
+      availability,
+      mixed: !!mixedBy,
+      categories,
+      constraints,
+      format,
+      sessionMatches: savedMatches,
+      lastPlayed: new Map(
+        players.filter((p) => p.last_played).map((p) => [p.id, p.last_played]),
+      ),
+      optimizer: {
+        timeBudgetMs: optimizerBudget,
+        maxIterations: optimizerBudget * 20,
+      },
+    };
+  }
 
-        data.matches.forEach((m) => {
-          enriched.push({
-            ...m,
-            resting: resting.length ? resting : null,
-          });
-        });
-      });
+  async function handleCompare() {
+    if (!available || available.length < minPlayers) {
+      alert(`Select at least ${minPlayers} players`);
+      return;
+    }
+    if (!seedValid()) return;
+    const courts = parsePositiveInt(courtsInput, 1);
+    const matchesPerCourt = parsePositiveInt(matchesPerCourtInput, 5);
+    setCandidates([]);
+    try {
+      const results = await runJob(
+        "Comparing strategies",
+        "compare",
+        { input: buildInput(courts, matchesPerCourt) },
+        setComparison,
+      );
+      if (!results) return;
+      setComparison(results);
+      const seed = results.find((r) => r.seed)?.seed;
+      if (seed) setSeedInput(seed);
+    } catch (err) {
+      console.error("compare error", err);
+      alert("Failed to compare: " + err.message);
+    }
+  }
 
-      setPreview(enriched);
+  // N schedules from the selected strategy, one per seed, to pick from.
+  async function handleCandidates() {
+    if (!available || available.length < minPlayers) {
+      alert(`Select at least ${minPlayers} players`);
+      return;
+    }
+    if (!seedValid()) return;
+    const courts = parsePositiveInt(courtsInput, 1);
+    const matchesPerCourt = parsePositiveInt(matchesPerCourtInput, 5);
+    const count = Math.min(
+      MAX_CANDIDATES,
+      parsePositiveInt(candidateCountInput, 3),
+    );
+    setComparison([]);
+    try {
+      const results = await runJob(
+        `Generating ${count} candidates`,
+        "candidates",
+        { strategy, input: buildInput(courts, matchesPerCourt), count },
+        setCandidates,
+      );
+      if (!results) return;
+      setCandidates(results);
+      if (results[0]?.seed) setSeedInput(results[0].seed);
     } catch (err) {
-      console.error("generate error", err);
+      console.error("candidates error", err);
       alert("Failed to generate: " + err.message);
     }
   }
 
+  function pickCandidate(result) {
+    setEditing((e) => (e === "preview" ? null : e));
+    setPreview(result.matches);
+    setPreviewReport(result.report);
+    setPreviewSeed(result.seed);
+    setPreviewStrategy(result.strategy);
+    setSeedInput(result.seed);
+    setReplanFrom(null);
+  }
+
+  function pickComparison(result) {
+    setEditing((e) => (e === "preview" ? null : e));
+    setStrategy(result.strategy);
+    setPreview(result.matches);
+    setPreviewReport(result.report);
+    setPreviewSeed(result.seed);
+    setPreviewStrategy(result.strategy);
+    setReplanFrom(null);
+  }
+
+  function seedValid() {
+    if (seedInput.trim() && !normalizeSeedCode(seedInput)) {
+      alert("Seed codes use letters, digits and dashes only");
+      return false;
+    }
+    return true;
+  }
+
+  // New seed; an open preview is regenerated with it straight away.
+  function handleShuffle() {
+    const code = newSeedCode();
+    setSeedInput(code);
+    if (preview.length > 0 && replanFrom == null) _doGenerate(code);
+  }
+
+  // Keep rounds before `fromRound`, regenerate the rest for the players
+  // currently selected. Rounds with recorded results can't be re-planned.
+  async function handleReplan() {
+    const fromRound = parsePositiveInt(replanRoundInput, nextOpenRound);
+    if (!available || available.length < minPlayers) {
+      alert("Select the players who are here for the remaining rounds");
+      return;
+    }
+    if (!seedValid()) return;
+    const played = roundEntries.find(
+      ([r, ms]) =>
+        Number(r) >= fromRound && ms.some((m) => m.winner?.length > 0),
+    );
+    if (played) {
+      alert(
+        `Round ${played[0]} already has results — re-plan from a later round.`,
+      );
+      return;
+    }
+    const kept = roundEntries
+      .filter(([r]) => Number(r) < fromRound)
+      .flatMap(([, ms]) => ms);
+    // same court count as the saved rounds
+    const remaining = Math.max(1, totalRounds - fromRound + 1);
+    try {
+      const result = await runJob("Re-planning", "replan", {
+        strategy,
+        input: buildInput(numCourts, remaining),
+        keptMatches: kept,
+        fromRound,
+      });
+      if (!result) return;
+      const { seed, matches, report } = result;
+      setPreview(matches);
+      setPreviewReport(report);
+      setPreviewSeed(seed);
+      setPreviewStrategy(result.strategy);
+      setEditing((e) => (e === "preview" ? null : e));
+      setSeedInput(seed);
+      setComparison([]);
+      setCandidates([]);
+      setReplanFrom(fromRound);
+    } catch (err) {
+      console.error("replan error", err);
+      alert("Failed to re-plan: " + err.message);
+    }
+  }
+
   async function _doSave() {
     if (!preview || preview.length === 0) {
       alert("No schedule to save");
       return;
     }
+    if (isClosed(currentSession)) {
+      alert("This session is closed — reopen it to change its schedule.");
+      return;
+    }
     setLoadingSave(true);
     try {
-      const { error } = await saveScheduleToDb(preview, date);
+      // the first save of a date creates its session
+      const targetId = sessionId || (await createSession())?.id;
+      if (!targetId) return;
+      // a re-plan replaces the rounds from replanFrom on in the same
+      // transaction; earlier rounds keep their ids/scores, including
+      // matches added to them after the schedule was saved
+      const replacing =
+        replanFrom != null && sortedMatches.some((m) => m.round >= replanFrom);
+      const meta = {
+        sessionId: targetId,
+        seed: previewSeed,
+        strategy: previewStrategy || strategy,
+        policy: { ...policy, balanceWeight: balanceWeight ?? undefined },
+      };
+      const { error } = replacing
+        ? await replaceScheduleForDate(date, preview, {
+            ...meta,
+            replaceFromRound: replanFrom,
+          })
+        : await saveScheduleToDb(preview, date, meta);
       if (error) throw error;
-      await loadSavedMatches();
+      // a new session's matches load when it becomes the selected one
+      if (targetId === sessionId) await loadSavedMatches();
       setPreview([]);
+      setPreviewReport(null);
+      setPreviewSeed(null);
+      setPreviewStrategy(null);
+      setEditing(null);
+      setComparison([]);
+      setCandidates([]);
+      setReplanFrom(null);
       setAvailable([]);
       await loadHistory();
       alert("Schedule saved.");
@@ -222,19 +619,27 @@ export default function SchedulePage() {
   }
 
   async function _doClear() {
-    if (!date) {
+    if (!date || !sessionId) {
       alert("Select a date first");
       return;
     }
+    if (isClosed(currentSession)) {
+      alert("This session is closed — reopen it to clear its schedule.");
+      return;
+    }
     setClearing(true);
     try {
-      const { data, error } = await deleteScheduleForDate(date);
+      const { data, error } = await deleteScheduleForDate(date, sessionId);
       if (error) throw error;
       await loadSavedMatches();
       setPreview([]);
+      setPreviewReport(null);
+      setComparison([]);
+      setCandidates([]);
+      setReplanFrom(null);
       setAvailable([]);
       await loadHistory();
-      alert(`Cleared ${data?.length ?? 0} matches for ${date}.`);
+      alert(`Cleared ${data?.deleted ?? 0} matches from this session.`);
     } catch (err) {
       alert("Failed to clear: " + err.message);
     } finally {
@@ -243,10 +648,11 @@ export default function SchedulePage() {
   }
 
   function handleGenerateConfirm() {
-    if (!available || available.length < 4) {
-      alert("Select at least 4 players");
+    if (!available || available.length < minPlayers) {
+      alert(`Select at least ${minPlayers} players`);
       return;
     }
+    if (!seedValid()) return;
     setModalState({
       open: true,
       type: "generate",
@@ -271,7 +677,8 @@ export default function SchedulePage() {
   async function handleModalConfirm() {
     setModalState((s) => ({ ...s, loading: true }));
     try {
-      if (modalState.type === "generate") await _doGenerate();
+      // generation shows its own progress bar (and can be cancelled)
+      if (modalState.type === "generate") _doGenerate();
       else if (modalState.type === "save") await _doSave();
       else if (modalState.type === "clear") await _doClear();
     } finally {
@@ -288,15 +695,51 @@ export default function SchedulePage() {
     () => [...savedMatches].sort((a, b) => a.match_index - b.match_index),
     [savedMatches],
   );
-  const roundMap = useMemo(
-    () => groupByRounds(sortedMatches, numCourts),
-    [sortedMatches, numCourts],
+  const savedSeed = useMemo(
+    () => savedMatches.find((m) => m.schedule_seed)?.schedule_seed || null,
+    [savedMatches],
   );
+  // ranked as the session's last saved schedule was planned, whatever the
+  // strategy dropdown shows now
+  const savedRanking = useMemo(() => {
+    const last = [...sortedMatches]
+      .reverse()
+      .find((m) => m.schedule_id && m.strategy);
+    return LEADERBOARD_RANKING[last?.strategy] || null;
+  }, [sortedMatches]);
+  const roundMap = useMemo(() => groupByRounds(sortedMatches), [sortedMatches]);
   const roundEntries = useMemo(
     () => Object.entries(roundMap).sort((a, b) => Number(a[0]) - Number(b[0])),
     [roundMap],
   );
 
+  const qualityHistory = useMemo(
+    () => ({
+      pairingHistory: pairingMap,
+      opponentHistory: opponentMap,
+      ratings: ratingsMap,
+      constraints,
+    }),
+    [pairingMap, opponentMap, ratingsMap, constraints],
+  );
+  const previewHistory = useMemo(
+    () => ({ ...qualityHistory, availability, mixed: !!mixedBy, categories }),
+    [qualityHistory, availability, mixedBy, categories],
+  );
+  const sessionHistory = useMemo(
+    () => ({ ...qualityHistory, mixed: !!mixedBy, categories }),
+    [qualityHistory, mixedBy, categories],
+  );
+  const previewNotMixed = useMemo(
+    () =>
+      new Set(
+        mixedBy
+          ? mixedViolations(preview, categories).map((m) => m.match_index)
+          : [],
+      ),
+    [preview, mixedBy, categories],
+  );
+
   const totalGames = savedMatches.length;
   const doneGames = savedMatches.filter((m) => m.winner?.length > 0).length;
   const pendingGames = totalGames - doneGames;
@@ -307,6 +750,13 @@ export default function SchedulePage() {
   const currentRound = roundEntries.find(([, ms]) =>
     ms.some((m) => !m.winner?.length),
   )?.[0];
+  // first round with no results at all — the earliest round a re-plan can start
+  const nextOpenRound =
+    Number(
+      [...roundEntries]
+        .reverse()
+        .find(([, ms]) => ms.some((m) => m.winner?.length > 0))?.[0] ?? 0,
+    ) + 1;
   const progressPct =
     totalGames > 0 ? Math.round((doneGames / totalGames) * 100) : 0;
 
@@ -351,6 +801,7 @@ export default function SchedulePage() {
                 />
               </div>
             </div>
+            <SessionPicker {...pickerProps} />
             <div>
               <label className="form-label">Courts</label>
               <input
@@ -373,6 +824,130 @@ export default function SchedulePage() {
                 style={{ width: 56 }}
               />
             </div>
+            <div style={{ flex: 1, minWidth: 130 }}>
+              <label className="form-label">Strategy</label>
+              <select
+                value={strategy}
+                onChange={(e) => setStrategy(e.target.value)}
+                title={STRATEGIES.find((s) => s.id === strategy)?.description}
+                style={{
+                  width: "100%",
+                  padding: "8px 10px",
+                  borderRadius: 8,
+                  border: "1px solid var(--border)",
+                  fontSize: 13,
+                  background: "var(--surface)",
+                  fontFamily: "inherit",
+                  outline: "none",
+                }}
+              >
+                {STRATEGIES.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Teams</label>
+              <select
+                value={balanceWeight ?? ""}
+                onChange={(e) =>
+                  setBalanceWeight(
+                    e.target.value === "" ? null : Number(e.target.value),
+                  )
+                }
+                title="How much even team ratings matter compared with mixing partners and opponents"
+                style={{
+                  padding: "8px 10px",
+                  borderRadius: 8,
+                  border: "1px solid var(--border)",
+                  fontSize: 13,
+                  background: "var(--surface)",
+                  fontFamily: "inherit",
+                  outline: "none",
+                }}
+              >
+                {BALANCE_LEVELS.map((l) => (
+                  <option key={String(l.value)} value={l.value ?? ""}>
+                    {l.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Mixed</label>
+              <select
+                value={mixedBy}
+                onChange={(e) => setMixedBy(e.target.value)}
+                title="Make every team one player of each gender / category where possible"
+                style={{
+                  padding: "8px 10px",
+                  borderRadius: 8,
+                  border: "1px solid var(--border)",
+                  fontSize: 13,
+                  background: "var(--surface)",
+                  fontFamily: "inherit",
+                  outline: "none",
+                }}
+              >
+                <option value="">Off</option>
+                <option value="gender">By gender</option>
+                <option value="category">By category</option>
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Format</label>
+              <select
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                title="Doubles + singles puts players who would sit out on a free court as singles"
+                style={{
+                  padding: "8px 10px",
+                  borderRadius: 8,
+                  border: "1px solid var(--border)",
+                  fontSize: 13,
+                  background: "var(--surface)",
+                  fontFamily: "inherit",
+                  outline: "none",
+                }}
+              >
+                {MATCH_FORMATS.map((f) => (
+                  <option key={f.id} value={f.id}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <SeedField
+              value={seedInput}
+              onChange={setSeedInput}
+              onShuffle={handleShuffle}
+            />
+            {strategy === "optimized" && (
+              <div>
+                <label className="form-label">Budget</label>
+                <select
+                  value={optimizerBudget}
+                  onChange={(e) => setOptimizerBudget(Number(e.target.value))}
+                  style={{
+                    padding: "8px 10px",
+                    borderRadius: 8,
+                    border: "1px solid var(--border)",
+                    fontSize: 13,
+                    background: "var(--surface)",
+                    fontFamily: "inherit",
+                    outline: "none",
+                  }}
+                >
+                  {OPTIMIZER_BUDGETS.map((ms) => (
+                    <option key={ms} value={ms}>
+                      {ms / 1000}s
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
           </div>
 
           {/* Progress bar */}
@@ -422,6 +997,16 @@ export default function SchedulePage() {
               {available.length > 0 && (
                 <span className="badge blue">{available.length} selected</span>
               )}
+              {available.length > 0 && (
+                <button
+                  className={`btn small${showWindows ? " primary" : ""}`}
+                  onClick={() => setShowWindows((v) => !v)}
+                  title="Set the round each player arrives and leaves"
+                >
+                  ⏱ Arrive/leave
+                  {availability.size > 0 ? ` (${availability.size})` : ""}
+                </button>
+              )}
             </div>
             <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
               {players.map((p) => {
@@ -451,11 +1036,62 @@ export default function SchedulePage() {
             </div>
           </div>
 
+          {showWindows && available.length > 0 && (
+            <AvailabilityWindows
+              players={players.filter((p) => available.includes(p.id))}
+              windows={windows}
+              rounds={parsePositiveInt(matchesPerCourtInput, 5)}
+              onChange={(id, field, value) =>
+                setWindows((prev) => ({
+                  ...prev,
+                  [id]: { ...prev[id], [field]: value },
+                }))
+              }
+            />
+          )}
+
+          {availability.size > 0 && strategyInfo?.ignoresWindows && (
+            <div
+              style={{
+                marginBottom: 10,
+                padding: "6px 10px",
+                borderRadius: 8,
+                fontSize: 12,
+                color: "var(--yellow)",
+                background: "var(--yellow-dim)",
+                border: "1px solid var(--yellow-border)",
+              }}
+            >
+              ⚠ {strategyInfo.label} plans the whole rotation up front and can't
+              follow arrive/leave rounds — clear them or pick another strategy.
+            </div>
+          )}
+
           {/* Action buttons */}
           <div style={{ display: "flex", gap: 7, flexWrap: "wrap" }}>
             <button className="btn generate" onClick={handleGenerateConfirm}>
               ⚡ Generate
             </button>
+            <button className="btn" onClick={handleCompare}>
+              ⚖ Compare
+            </button>
+            <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+              <button
+                className="btn"
+                onClick={handleCandidates}
+                title="Generate several schedules with this strategy and pick one"
+              >
+                🃏 Candidates ×
+              </button>
+              <input
+                className="number-input"
+                type="text"
+                inputMode="numeric"
+                value={candidateCountInput}
+                onChange={(e) => setCandidateCountInput(e.target.value)}
+                style={{ width: 40 }}
+              />
+            </div>
             {preview.length > 0 && (
               <button
                 className="btn primary"
@@ -465,6 +1101,26 @@ export default function SchedulePage() {
                 {loadingSave ? "Saving…" : "💾 Save"}
               </button>
             )}
+            {savedMatches.length > 0 && nextOpenRound <= totalRounds && (
+              <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+                <button
+                  className="btn"
+                  onClick={handleReplan}
+                  title="Keep earlier rounds and regenerate the rest for the selected players"
+                >
+                  ↻ Re-plan from R
+                </button>
+                <input
+                  className="number-input"
+                  type="text"
+                  inputMode="numeric"
+                  value={replanRoundInput}
+                  placeholder={String(nextOpenRound)}
+                  onChange={(e) => setReplanRoundInput(e.target.value)}
+                  style={{ width: 44 }}
+                />
+              </div>
+            )}
             {savedMatches.length > 0 && (
               <button
                 className="btn danger"
@@ -482,13 +1138,34 @@ export default function SchedulePage() {
               {loadingMatches ? "…" : "↺"}
             </button>
           </div>
+          {job && <GenerationProgress job={job} onCancel={cancelJob} />}
         </div>
       </div>
 
+      {/* ── Strategy comparison ── */}
+      {comparison.length > 0 && (
+        <StrategyComparison
+          results={comparison}
+          strategies={STRATEGIES}
+          current={strategy}
+          onPick={pickComparison}
+        />
+      )}
+
+      {candidates.length > 0 && (
+        <CandidateSchedules
+          results={candidates}
+          players={available}
+          history={previewHistory}
+          current={preview.length > 0 ? previewSeed : null}
+          onPick={pickCandidate}
+        />
+      )}
+
       {/* ── Preview ── */}
       {preview.length > 0 &&
         (() => {
-          const previewRounds = groupByRounds(preview, numCourts);
+          const previewRounds = groupByRounds(preview);
           const previewEntries = Object.entries(previewRounds).sort(
             (a, b) => Number(a[0]) - Number(b[0]),
           );
@@ -496,25 +1173,78 @@ export default function SchedulePage() {
             <>
               <div
                 style={{
-                  fontSize: 11,
-                  fontWeight: 700,
-                  color: "var(--primary)",
-                  textTransform: "uppercase",
-                  letterSpacing: 0.8,
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
                   marginBottom: 8,
                 }}
               >
-                Preview — {preview.length} games · {previewEntries.length}{" "}
-                rounds
+                <span
+                  style={{
+                    fontSize: 11,
+                    fontWeight: 700,
+                    color: "var(--primary)",
+                    textTransform: "uppercase",
+                    letterSpacing: 0.8,
+                  }}
+                >
+                  {replanFrom != null
+                    ? `Re-plan from round ${replanFrom} — `
+                    : "Preview — "}
+                  {preview.length} games · {previewEntries.length} rounds
+                  {previewSeed && ` · seed ${previewSeed}`}
+                </span>
+                {editing !== "preview" && (
+                  <button
+                    className="btn small"
+                    onClick={() => setEditing("preview")}
+                  >
+                    ✏️ Edit
+                  </button>
+                )}
               </div>
-              {previewEntries.map(([r, ms]) => (
-                <PreviewRoundBlock
-                  key={r}
-                  roundNum={r}
-                  roundMatches={ms}
+              {previewReport?.breakdown && (
+                <OptimizerReport report={previewReport} />
+              )}
+              {previewReport?.format && (
+                <SessionFormatNotes report={previewReport} />
+              )}
+              <ScheduleQualityPanel
+                title={replanFrom != null ? "Day quality" : "Preview quality"}
+                matches={
+                  replanFrom != null
+                    ? [
+                        ...sortedMatches.filter((m) => m.round < replanFrom),
+                        ...preview,
+                      ]
+                    : preview
+                }
+                players={replanFrom != null ? undefined : available}
+                playersMap={playersMap}
+                history={previewHistory}
+              />
+              {editing === "preview" ? (
+                <ScheduleEditor
+                  matches={preview}
                   playersMap={playersMap}
+                  title="Edit preview"
+                  onSave={({ matches }) => {
+                    setPreview(matches);
+                    setEditing(null);
+                  }}
+                  onCancel={() => setEditing(null)}
                 />
-              ))}
+              ) : (
+                previewEntries.map(([r, ms]) => (
+                  <PreviewRoundBlock
+                    key={r}
+                    roundNum={r}
+                    roundMatches={ms}
+                    playersMap={playersMap}
+                    notMixed={previewNotMixed}
+                  />
+                ))
+              )}
             </>
           );
         })()}
@@ -543,18 +1273,66 @@ export default function SchedulePage() {
             </span>
             <span style={{ fontSize: 11, color: "var(--muted)" }}>
               {totalGames} games · {totalRounds} rounds
+              {savedSeed && (
+                <>
+                  {" · seed "}
+                  <button
+                    className="btn small"
+                    onClick={() => setSeedInput(savedSeed)}
+                    title="Use this seed — with the same players and settings, Generate rebuilds this schedule"
+                  >
+                    {savedSeed}
+                  </button>
+                </>
+              )}
+              {editing !== "saved" && (
+                <>
+                  {" "}
+                  <button
+                    className="btn small"
+                    onClick={() => setEditing("saved")}
+                    title="Swap players between games and the resting list"
+                  >
+                    ✏️ Edit
+                  </button>
+                </>
+              )}
             </span>
           </div>
-          {roundEntries.map(([roundNum, roundMatches]) => (
-            <RoundBlock
-              key={roundNum}
-              roundNum={roundNum}
-              roundMatches={roundMatches}
-              currentRound={currentRound}
+          {savedRanking && (
+            <SessionLeaderboard
+              matches={savedMatches}
               playersMap={playersMap}
-              onChange={loadSavedMatches}
+              by={savedRanking}
             />
-          ))}
+          )}
+          <ScheduleQualityPanel
+            title="Session quality"
+            matches={savedMatches}
+            playersMap={playersMap}
+            history={sessionHistory}
+          />
+          {editing === "saved" ? (
+            <ScheduleEditor
+              matches={sortedMatches}
+              playersMap={playersMap}
+              title="Edit saved rounds"
+              saving={savingEdits}
+              onSave={saveSavedEdits}
+              onCancel={() => setEditing(null)}
+            />
+          ) : (
+            roundEntries.map(([roundNum, roundMatches]) => (
+              <RoundBlock
+                key={roundNum}
+                roundNum={roundNum}
+                roundMatches={roundMatches}
+                currentRound={currentRound}
+                playersMap={playersMap}
+                onChange={loadSavedMatches}
+              />
+            ))
+          )}
         </>
       )}
 
@@ -591,9 +1369,11 @@ export default function SchedulePage() {
         }
         message={
           modalState.type === "clear"
-            ? `Remove all matches and scores for ${date}. Cannot be undone.`
+            ? `Remove all matches and scores of this ${date} session. Cannot be undone.`
             : modalState.type === "save"
-              ? `Save the generated schedule for ${date}?`
+              ? replanFrom != null
+                ? `Replace rounds ${replanFrom}+ for ${date} with the re-planned rounds? Earlier rounds are kept.`
+                : `Save the generated schedule for ${date}?`
               : `Generate a preview for ${date}? (Does not save until you press Save)`
         }
         onCancel={() =>
@@ -694,9 +1474,137 @@ function RoundBlock({
   );
 }
 
+// ── Arrival / departure rounds for selected players ───────────────────────
+function AvailabilityWindows({ players, windows, rounds, onChange }) {
+  const input = (p, field, placeholder, invalid) => (
+    <input
+      className="number-input"
+      type="text"
+      inputMode="numeric"
+      value={windows[p.id]?.[field] ?? ""}
+      placeholder={placeholder}
+      onChange={(e) => onChange(p.id, field, e.target.value)}
+      style={{
+        width: 44,
+        borderColor: invalid ? "var(--danger)" : undefined,
+      }}
+    />
+  );
+  return (
+    <div
+      style={{
+        marginBottom: 10,
+        padding: "8px 10px",
+        borderRadius: 8,
+        background: "var(--surface2)",
+        border: "1px solid var(--border)",
+      }}
+    >
+      <div style={{ fontSize: 11, color: "var(--muted)", marginBottom: 6 }}>
+        Rounds each player is here for (blank = whole session)
+      </div>
+      {players.map((p) => {
+        const from = parseInt(windows[p.id]?.from, 10);
+        const to = parseInt(windows[p.id]?.to, 10);
+        const invalid = from > to;
+        return (
+          <div
+            key={p.id}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 6,
+              padding: "3px 0",
+              fontSize: 12,
+            }}
+          >
+            <span style={{ flex: 1, minWidth: 0, fontWeight: 600 }}>
+              {p.name}
+            </span>
+            <span style={{ color: "var(--muted)" }}>R</span>
+            {input(p, "from", "1", invalid)}
+            <span style={{ color: "var(--muted)" }}>–</span>
+            {input(p, "to", String(rounds), invalid)}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ── Optimizer cost breakdown (optimized strategy only) ────────────────────
+const COST_LABELS = {
+  partnerRepeats: "Partner repeats",
+  opponentRepeats: "Opponent repeats",
+  historyRepeats: "Past partners",
+  opponentHistoryRepeats: "Past opponents",
+  restFairness: "Rest fairness",
+  ratingBalance: "Rating imbalance",
+  constraints: "Constraints",
+};
+
+// ── Worker progress bar ───────────────────────────────────────────────────
+function GenerationProgress({ job, onCancel }) {
+  const pct = Math.round((job.fraction || 0) * 100);
+  return (
+    <div className="round-progress-wrap" style={{ marginTop: 10 }}>
+      <div className="round-progress-stats">
+        <span style={{ fontSize: 12, color: "var(--muted)" }}>
+          {job.label}…{job.cost != null && ` best cost so far ${job.cost}`}
+        </span>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <span className="round-progress-pct">{pct}%</span>
+          <button className="btn small danger" onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </div>
+      <div className="round-progress-bar">
+        <div className="round-progress-fill" style={{ width: `${pct}%` }} />
+      </div>
+    </div>
+  );
+}
+
+function OptimizerReport({ report }) {
+  return (
+    <div
+      style={{
+        marginBottom: 8,
+        padding: "8px 10px",
+        borderRadius: 8,
+        background: "var(--surface2)",
+        border: "1px solid var(--border)",
+        fontSize: 11,
+        color: "var(--muted)",
+      }}
+    >
+      <div style={{ fontWeight: 700, color: "var(--text)", marginBottom: 4 }}>
+        Cost {report.initialCost} → {report.cost}
+        <span style={{ fontWeight: 400, color: "var(--muted)" }}>
+          {" "}
+          · {report.iterations} swaps tried in {report.elapsedMs} ms
+          {report.timedOut &&
+            " (stopped at the time limit — the same seed may differ slightly on another device)"}
+          {report.partial &&
+            " (cancelled — the best schedule found so far; the same seed may give a different one)"}
+        </span>
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+        {Object.entries(report.breakdown).map(([k, v]) => (
+          <span key={k} className="badge">
+            {COST_LABELS[k] || k}: {v}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 // ── Preview round block (read-only) ───────────────────────────────────────
-function PreviewRoundBlock({ roundNum, roundMatches, playersMap }) {
+function PreviewRoundBlock({ roundNum, roundMatches, playersMap, notMixed }) {
   const pname = (id) => playersMap[id] || id;
+  const side = (ids) => ids.map(pname).join(" & ");
   return (
     <div className="round-block" style={{ marginBottom: 8 }}>
       <div className="round-header">
@@ -736,7 +1644,15 @@ function PreviewRoundBlock({ roundNum, roundMatches, playersMap }) {
                 >
                   Game #{m.match_index}
                 </span>
-                <span className="badge yellow">Court {m.court}</span>
+                <span style={{ display: "flex", gap: 4 }}>
+                  {isSingles(m.players) && (
+                    <span className="badge blue">Singles</span>
+                  )}
+                  {notMixed?.has(m.match_index) && (
+                    <span className="badge orange">Not mixed</span>
+                  )}
+                  <span className="badge yellow">Court {m.court}</span>
+                </span>
               </div>
               <div
                 style={{
@@ -746,7 +1662,7 @@ function PreviewRoundBlock({ roundNum, roundMatches, playersMap }) {
                   marginBottom: 2,
                 }}
               >
-                {pname(m.players?.[0])} & {pname(m.players?.[1])}
+                {side(teamsOf(m.players).teamA)}
               </div>
               <div
                 style={{ fontSize: 10, color: "var(--muted)", marginBottom: 2 }}
@@ -756,7 +1672,7 @@ function PreviewRoundBlock({ roundNum, roundMatches, playersMap }) {
               <div
                 style={{ fontSize: 12, fontWeight: 700, color: "var(--text)" }}
               >
-                {pname(m.players?.[2])} & {pname(m.players?.[3])}
+                {side(teamsOf(m.players).teamB)}
               </div>
             </div>
           ))}
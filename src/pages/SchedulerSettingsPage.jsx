@@ -0,0 +1,156 @@
+// src/pages/SchedulerSettingsPage.jsx
+import React, { useEffect, useState } from "react";
+import {
+  fetchSchedulerPolicy,
+  saveSchedulerPolicy,
+} from "../api/supabase-actions";
+import {
+  POLICY_FIELDS,
+  POLICY_PRESETS,
+  DEFAULT_POLICY,
+  validatePolicy,
+  resolvePolicy,
+  matchPreset,
+} from "../utils/schedulerPolicy";
+
+export default function SchedulerSettingsPage() {
+  // form values are kept as typed (strings for numbers) until saved
+  const [form, setForm] = useState(DEFAULT_POLICY);
+  const [savedAt, setSavedAt] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      const { data, error } = await fetchSchedulerPolicy();
+      if (error) console.error("fetchSchedulerPolicy", error);
+      if (data?.policy) setForm(resolvePolicy(data.policy));
+      setSavedAt(data?.updated_at ?? null);
+      setLoading(false);
+    })();
+  }, []);
+
+  const { policy, errors } = validatePolicy(form);
+  const hasErrors = Object.keys(errors).length > 0;
+  const activePreset = hasErrors ? null : matchPreset(policy);
+
+  function setField(key, value) {
+    setForm((f) => ({ ...f, [key]: value }));
+  }
+
+  async function handleSave() {
+    if (hasErrors) return;
+    setSaving(true);
+    const { data, error } = await saveSchedulerPolicy(policy, activePreset);
+    setSaving(false);
+    if (error) {
+      alert("Failed to save settings: " + error.message);
+      return;
+    }
+    setForm(resolvePolicy(data.policy));
+    setSavedAt(data.updated_at);
+  }
+
+  return (
+    <div className="container">
+      <div className="card">
+        <div className="card-header">
+          <span className="card-title">⚙️ Scheduler settings</span>
+          <span className={`badge${activePreset ? " blue" : " yellow"}`}>
+            {activePreset ? POLICY_PRESETS[activePreset].label : "Custom"}
+          </span>
+        </div>
+
+        <div className="card-body">
+          <label className="form-label">Presets</label>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+            {Object.entries(POLICY_PRESETS).map(([id, preset]) => (
+              <button
+                key={id}
+                type="button"
+                className={`btn small${activePreset === id ? " primary" : ""}`}
+                title={preset.description}
+                onClick={() => setForm(preset.policy)}
+                disabled={loading}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div style={{ borderTop: "1px solid var(--border)" }}>
+          {POLICY_FIELDS.map((f) => (
+            <div
+              key={f.key}
+              className="score-row"
+              style={{
+                justifyContent: "space-between",
+                alignItems: "center",
+                padding: "10px 12px",
+                gap: 10,
+              }}
+            >
+              <div style={{ minWidth: 0, flex: 1 }}>
+                <div style={{ fontWeight: 700, fontSize: 13 }}>{f.label}</div>
+                <div
+                  style={{
+                    fontSize: 11,
+                    color: errors[f.key] ? "var(--danger)" : "var(--muted)",
+                    marginTop: 1,
+                  }}
+                >
+                  {errors[f.key] || f.help}
+                </div>
+              </div>
+              {f.type === "boolean" ? (
+                <input
+                  type="checkbox"
+                  checked={!!form[f.key]}
+                  onChange={(e) => setField(f.key, e.target.checked)}
+                  disabled={loading}
+                />
+              ) : (
+                <input
+                  className="number-input"
+                  type="text"
+                  inputMode="decimal"
+                  value={form[f.key] ?? ""}
+                  onChange={(e) => setField(f.key, e.target.value)}
+                  disabled={loading}
+                  style={{
+                    width: 64,
+                    borderColor: errors[f.key] ? "var(--danger)" : undefined,
+                  }}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div
+          className="card-body"
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: 8,
+          }}
+        >
+          <span style={{ fontSize: 11, color: "var(--muted)" }}>
+            {savedAt
+              ? `Saved ${new Date(savedAt).toLocaleString("en-GB")}`
+              : "Using defaults"}
+          </span>
+          <button
+            className="btn primary"
+            onClick={handleSave}
+            disabled={loading || saving || hasErrors}
+          >
+            {saving ? "Saving…" : "Save"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -8,24 +8,16 @@ import React, {
 } from "react";
 import { useNavigate } from "react-router-dom";
 import {
-  fetchPlayerTotalsForDate,
   fetchPlayerTotalsForRange,
-  fetchSessionDates,
+  fetchPlayerTotalsForSessions,
+  fetchSessions,
   fetchPlayerSessionCounts,
   exportFullMatchAnalysis,
 } from "../api/supabase-actions";
+import { sessionLabel } from "../utils/sessions";
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
-
-function normalizeRow(row) {
-  return {
-    id: row.id ?? row.player_id ?? row.name ?? JSON.stringify(row),
-    name: row.name ?? row.player_name ?? "Unknown",
-    matches: Number(row.matches ?? row.total_matches ?? 0),
-    wins: Number(row.wins ?? 0),
-    win_pct: Number(row.win_pct ?? 0),
-  };
-}
+// Totals rows arrive as { id, name, matches, wins, win_pct } (api/schemas.js).
 
 const rankColor = (i) =>
   i === 0
@@ -151,6 +143,9 @@ export default function ScoreboardPage() {
   const [resolvedRange, setResolvedRange] = useState(null); // { start, end } for sessions filter
   const [byDate, setByDate] = useState([]);
   const [date, setDate] = useState("");
+  const [dateSessions, setDateSessions] = useState([]); // sessions on `date`
+  const [spotSession, setSpotSession] = useState(""); // session shown below
+  const spotSessionRef = useRef(""); // same, for reloads
   const [loadingTop, setLoadingTop] = useState(false);
   const [loadingDate, setLoadingDate] = useState(false);
   const [error, setError] = useState(null);
@@ -159,24 +154,26 @@ export default function ScoreboardPage() {
   const [sortKey2, setSortKey2] = useState("wins");
   const [sortDir2, setSortDir2] = useState("desc");
 
-  // Cache session dates to avoid repeat RPC calls
-  const sessionDatesCache = useRef({});
+  // Cache resolved "last N sessions" to avoid repeat queries
+  const sessionsCache = useRef({});
 
   // Show attendance fraction only for bounded session/range filters
   const showAttendance = filter.type === "sessions" || filter.type === "range";
 
-  // ── Resolve "last N sessions" → actual date range ──────────────────────────
-  async function resolveSessionRange(n) {
-    if (sessionDatesCache.current[n]) return sessionDatesCache.current[n];
-    const { data, error } = await fetchSessionDates(n);
+  // ── Resolve "last N sessions" → session ids (+ their date span) ───────────
+  // Keyed by session, so two sessions on one day count as two.
+  async function resolveSessions(n) {
+    if (sessionsCache.current[n]) return sessionsCache.current[n];
+    const { data, error } = await fetchSessions({ limit: n });
     if (error) throw error;
     const dates = (data || []).map((r) => r.match_date).sort();
-    const range = {
+    const resolved = {
+      ids: (data || []).map((r) => r.id),
       start: dates[0] || null,
       end: dates[dates.length - 1] || null,
     };
-    sessionDatesCache.current[n] = range;
-    return range;
+    sessionsCache.current[n] = resolved;
+    return resolved;
   }
 
   // ── Resolve comparison period date range ───────────────────────────────────
@@ -184,14 +181,9 @@ export default function ScoreboardPage() {
     switch (f.type) {
       case "sessions": {
         // fetch 2×N sessions, comparison = sessions N+1 … 2N
-        const { data } = await fetchSessionDates(f.n * 2);
-        const dates = (data || []).map((r) => r.match_date).sort();
-        const compDates = dates.slice(0, dates.length - f.n); // older half
-        if (compDates.length === 0) return null;
-        return {
-          p_start: compDates[0],
-          p_end: compDates[compDates.length - 1],
-        };
+        const { data } = await fetchSessions({ limit: f.n * 2 });
+        const sessionIds = (data || []).slice(f.n).map((r) => r.id);
+        return sessionIds.length ? { sessionIds } : null;
       }
       case "year":
         return { p_start: `${f.year - 1}-01-01`, p_end: `${f.year - 1}-12-31` };
@@ -217,13 +209,15 @@ export default function ScoreboardPage() {
       setLoadingTop(true);
       setError(null);
       try {
-        // Resolve date range
+        // Resolve sessions / date range
         let p_start, p_end;
+        let sessionIds = null;
         if (f.type === "sessions") {
-          const range = await resolveSessionRange(f.n);
-          p_start = range.start;
-          p_end = range.end;
-          // store resolved dates back into filter for comparison
+          const resolved = await resolveSessions(f.n);
+          p_start = resolved.start;
+          p_end = resolved.end;
+          sessionIds = resolved.ids;
+          // store resolved dates back into filter for the export
           f = { ...f, start: p_start, end: p_end };
           setResolvedRange({ start: p_start, end: p_end });
         } else {
@@ -232,16 +226,17 @@ export default function ScoreboardPage() {
         }
 
         // Main fetch
-        const { data, error } = await fetchPlayerTotalsForRange(p_start, p_end);
+        const { data, error } = sessionIds
+          ? await fetchPlayerTotalsForSessions(sessionIds)
+          : await fetchPlayerTotalsForRange(p_start, p_end);
         if (error) throw error;
-        setOverall((data || []).map(normalizeRow));
+        setOverall(data || []);
 
         // Session attendance counts — only for sessions/range filter types
         if (f.type === "sessions" || f.type === "range") {
-          const { data: scData } = await fetchPlayerSessionCounts(
-            p_start,
-            p_end,
-          );
+          const { data: scData } = sessionIds
+            ? await fetchPlayerSessionCounts(null, null, sessionIds)
+            : await fetchPlayerSessionCounts(p_start, p_end);
           const countMap = {};
           let maxSessions = 0;
           for (const row of scData || []) {
@@ -250,7 +245,8 @@ export default function ScoreboardPage() {
               maxSessions = Number(row.session_count);
           }
           setSessionCounts(countMap);
-          setTotalSessions(maxSessions); // max attended = total possible for this period
+          // max attended = total possible for a date range
+          setTotalSessions(sessionIds ? sessionIds.length : maxSessions);
         } else {
           setSessionCounts({});
           setTotalSessions(0);
@@ -260,11 +256,13 @@ export default function ScoreboardPage() {
         if (f.type !== "all") {
           const compRange = await resolveComparisonRange(f);
           if (compRange) {
-            const { data: cdata } = await fetchPlayerTotalsForRange(
-              compRange.p_start,
-              compRange.p_end,
-            );
-            setComparison((cdata || []).map(normalizeRow));
+            const { data: cdata } = compRange.sessionIds
+              ? await fetchPlayerTotalsForSessions(compRange.sessionIds)
+              : await fetchPlayerTotalsForRange(
+                  compRange.p_start,
+                  compRange.p_end,
+                );
+            setComparison(cdata || []);
           } else {
             setComparison([]);
           }
@@ -282,27 +280,47 @@ export default function ScoreboardPage() {
     [filter],
   ); // eslint-disable-line
 
-  // ── Load by date (bottom table, unchanged) ─────────────────────────────────
+  // ── Load one session (bottom table) ───────────────────────────────────────
+  const loadBySession = useCallback(async (id) => {
+    spotSessionRef.current = id || "";
+    setSpotSession(id || "");
+    if (!id) {
+      setByDate([]);
+      return;
+    }
+    setLoadingDate(true);
+    setError(null);
+    try {
+      const { data, error } = await fetchPlayerTotalsForSessions([id]);
+      if (error) throw error;
+      setByDate(data || []);
+    } catch (err) {
+      setError(err);
+      setByDate([]);
+    } finally {
+      setLoadingDate(false);
+    }
+  }, []);
+
+  // Sessions on a date; shows the selected one if it is on that date, else
+  // the newest.
   const loadByDate = useCallback(
     async (d = date) => {
       if (!d) {
-        setByDate([]);
+        setDateSessions([]);
+        loadBySession(null);
         return;
       }
-      setLoadingDate(true);
-      setError(null);
-      try {
-        const { data, error } = await fetchPlayerTotalsForDate(d);
-        if (error) throw error;
-        setByDate((data || []).map(normalizeRow));
-      } catch (err) {
-        setError(err);
-        setByDate([]);
-      } finally {
-        setLoadingDate(false);
+      const { data, error } = await fetchSessions({ date: d });
+      if (error) {
+        setError(error);
+        return;
       }
+      setDateSessions(data || []);
+      const keep = (data || []).find((r) => r.id === spotSessionRef.current);
+      loadBySession((keep || data?.[0])?.id || null);
     },
-    [date],
+    [date, loadBySession],
   );
 
   useEffect(() => {
@@ -412,7 +430,7 @@ export default function ScoreboardPage() {
         p_end = filter.end;
       } else if (filter.type === "sessions") {
         // Not yet resolved — resolve now
-        const range = await resolveSessionRange(filter.n);
+        const range = await resolveSessions(filter.n);
         p_start = range.start;
         p_end = range.end;
       } else {
@@ -1186,7 +1204,7 @@ export default function ScoreboardPage() {
         )}
       </div>
 
-      {/* ── Session spotlight (by date) — unchanged ────────────────────────── */}
+      {/* ── Session spotlight (one session) ───────────────────────────────── */}
       <div className="card">
         <div className="card-header">
           <span className="card-title">
@@ -1241,12 +1259,30 @@ export default function ScoreboardPage() {
               className="btn small"
               onClick={() => {
                 setDate("");
-                setByDate([]);
+                setDateSessions([]);
+                loadBySession(null);
               }}
             >
               Clear
             </button>
           </div>
+          {dateSessions.length > 1 && (
+            <div style={{ marginTop: 8 }}>
+              <label className="form-label">Session</label>
+              <select
+                className="number-input"
+                value={spotSession}
+                onChange={(e) => loadBySession(e.target.value)}
+                style={{ width: "100%" }}
+              >
+                {dateSessions.map((r) => (
+                  <option key={r.id} value={r.id}>
+                    {sessionLabel(r)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
         </div>
         {!date && (
           <div style={{ padding: 12, color: "var(--muted)", fontSize: 13 }}>
@@ -1258,7 +1294,9 @@ export default function ScoreboardPage() {
         )}
         {date && !loadingDate && sorted2.length === 0 && (
           <div style={{ padding: 12, color: "var(--muted)" }}>
-            No scores for this date.
+            {dateSessions.length === 0
+              ? "No session on this date."
+              : "No scores for this session."}
           </div>
         )}
         {date && !loadingDate && sorted2.length > 0 && (
@@ -1,6 +1,7 @@
 import React from "react";
-import { supabase } from "../supabaseClient";
+import { db } from "../api/storage";
 import ConfirmModal from "../components/ConfirmModal";
+import { teamsOf } from "../utils/matchTeams";
 
 export default function SessionPage() {
   const [matches, setMatches] = React.useState([]);
@@ -25,7 +26,7 @@ export default function SessionPage() {
   }, []);
 
   async function fetchPlayers() {
-    const { data, error } = await supabase.from("players").select("id,name");
+    const { data, error } = await db.from("players").select("id,name");
     if (error) return console.error(error);
     const map = {};
     (data || []).forEach((p) => (map[p.id] = p.name));
@@ -33,7 +34,7 @@ export default function SessionPage() {
   }
 
   async function fetchMatches() {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("matches")
       .select("*")
       .order("match_date", { ascending: true })
@@ -43,7 +44,7 @@ export default function SessionPage() {
   }
 
   function subscribe() {
-    const ch = supabase
+    const ch = db
       .channel("public:matches")
       .on(
         "postgres_changes",
@@ -71,7 +72,7 @@ export default function SessionPage() {
     setLoading(true);
     const matchId = confirm.matchId;
     const winnerId = confirm.payload;
-    const { error } = await supabase.rpc("record_match_result", {
+    const { error } = await db.rpc("record_match_result", {
       p_match_id: matchId,
       p_winner_id: winnerId,
     });
@@ -101,7 +102,7 @@ export default function SessionPage() {
     setLoading(true);
     const matchId = confirm.matchId;
     const winnerIds = confirm.payload;
-    const { error } = await supabase.rpc("record_team_winner", {
+    const { error } = await db.rpc("record_team_winner", {
       p_match_id: matchId,
       p_winner_ids: winnerIds,
     });
@@ -124,7 +125,7 @@ export default function SessionPage() {
   async function doUndo() {
     setLoading(true);
     const matchId = confirm.matchId;
-    const { error } = await supabase.rpc("undo_match_result", {
+    const { error } = await db.rpc("undo_match_result", {
       p_match_id: matchId,
     });
     setLoading(false);
@@ -150,8 +151,7 @@ export default function SessionPage() {
         <div className="space-y-4">
           {matches.map((m) => {
             const pids = m.player_ids || [];
-            const teamA = pids.slice(0, 2);
-            const teamB = pids.slice(2, 4);
+            const { teamA, teamB } = teamsOf(pids);
             return (
               <div
                 key={m.id}
@@ -159,7 +159,7 @@ export default function SessionPage() {
               >
                 <div className="md:flex-1">
                   <div className="text-sm text-gray-500">
-                    Date: {m.match_date} • Court: {m.court} • Match #
+                    Date: {m.match_date} • Round: {m.round ?? "—"} • Court: {m.court} • Match #
                     {m.match_index}
                   </div>
                   <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3">
@@ -204,14 +204,14 @@ export default function SessionPage() {
                   <div className="flex gap-2">
                     <button
                       onClick={() => askTeamWinner(m.id, teamA, "Team A")}
-                      disabled={!teamA.length || teamA.length < 2}
+                      disabled={!teamA.length}
                       className="px-3 py-1 bg-primary text-white rounded"
                     >
                       Team A wins
                     </button>
                     <button
                       onClick={() => askTeamWinner(m.id, teamB, "Team B")}
-                      disabled={!teamB.length || teamB.length < 2}
+                      disabled={!teamB.length}
                       className="px-3 py-1 bg-primary text-white rounded"
                     >
                       Team B wins
@@ -0,0 +1,571 @@
+// src/pages/TournamentPage.jsx
+// Tournament view for a session: group tables, then the knockout bracket (and
+// plate). Tournaments are started from the Fixed Pairs page; results come in
+// through recordTeamWinner, which moves winners on (advanceTournament), so
+// this page mostly follows changes in real time. Tapping a team in a match
+// that is on court records it as the winner.
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { db } from "../api/storage";
+import {
+  fetchPlayers,
+  fetchMatchesForSession,
+  fetchTournament,
+  subscribeToTournament,
+  endTournament,
+  recordTeamWinner,
+} from "../api/supabase-actions";
+import { groupStandings, roundName } from "../utils/tournament";
+import { useDateSessions } from "../hooks/useDateSessions";
+import ConfirmModal from "../components/ConfirmModal";
+import SessionPicker from "../components/SessionPicker";
+
+const STATUS_BADGES = {
+  groups: { cls: "blue", label: "Group stage" },
+  knockout: { cls: "yellow", label: "Knockout" },
+  finished: { cls: "green", label: "Finished" },
+};
+
+export default function TournamentPage() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const params = new URLSearchParams(location.search);
+  const [date, setDate] = useState(
+    () => params.get("date") || new Date().toISOString().slice(0, 10),
+  );
+  const { sessionId, pickerProps } = useDateSessions(
+    date,
+    params.get("session"),
+  );
+  const [players, setPlayers] = useState([]);
+  const [tournament, setTournament] = useState(null);
+  const [matches, setMatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [endOpen, setEndOpen] = useState(false);
+  const [pendingWin, setPendingWin] = useState(null); // { matchId, teamId }
+
+  const load = useCallback(async () => {
+    if (!sessionId) {
+      setTournament(null);
+      setMatches([]);
+      setLoading(false);
+      return;
+    }
+    const [tRes, matchRes] = await Promise.all([
+      fetchTournament(sessionId),
+      fetchMatchesForSession(sessionId),
+    ]);
+    if (tRes.error) console.error("fetchTournament", tRes.error);
+    if (matchRes.error) console.error("fetchMatchesForSession", matchRes.error);
+    setTournament(tRes.data || null);
+    setMatches(matchRes.data || []);
+    setLoading(false);
+  }, [sessionId]);
+
+  useEffect(() => {
+    (async () => {
+      const { data, error } = await fetchPlayers();
+      if (error) console.error("fetchPlayers", error);
+      setPlayers(data || []);
+    })();
+  }, []);
+
+  useEffect(() => {
+    setLoading(true);
+    load();
+  }, [load]);
+
+  // Realtime: bracket moves and results recorded on other devices
+  useEffect(() => {
+    if (!sessionId) return;
+    const tournamentChannel = subscribeToTournament(sessionId, () => load());
+    const matchChannel = db
+      .channel(`public:matches:tournament=${sessionId}`)
+      .on(
+        "postgres_changes",
+        {
+          event: "*",
+          schema: "public",
+          table: "matches",
+          filter: `session_id=eq.${sessionId}`,
+        },
+        () => load(),
+      )
+      .subscribe();
+    return () => {
+      db.removeChannel(tournamentChannel);
+      db.removeChannel(matchChannel);
+    };
+  }, [sessionId, load]);
+
+  const playersMap = useMemo(
+    () => Object.fromEntries(players.map((p) => [p.id, p.name])),
+    [players],
+  );
+  const teamsById = useMemo(
+    () => new Map((tournament?.teams || []).map((t) => [t.id, t])),
+    [tournament],
+  );
+  const matchById = useMemo(
+    () => new Map(matches.map((m) => [m.id, m])),
+    [matches],
+  );
+  const teamName = (id) => {
+    const team = teamsById.get(id);
+    if (!team) return "TBD";
+    return team.players.map((p) => playersMap[p] || p).join(" & ");
+  };
+
+  const tables = useMemo(
+    () => (tournament ? groupStandings(tournament, matches) : []),
+    [tournament, matches],
+  );
+
+  const champion = useMemo(() => {
+    const nodes = tournament?.bracket?.nodes || [];
+    const finalOf = (bracket) =>
+      nodes
+        .filter((n) => n.bracket === bracket)
+        .sort((a, b) => b.round - a.round)[0];
+    return {
+      main: finalOf("main")?.winner || null,
+      plate: finalOf("plate")?.winner || null,
+    };
+  }, [tournament]);
+
+  async function confirmWinner() {
+    const { matchId, teamId } = pendingWin;
+    setPendingWin(null);
+    setBusy(true);
+    const { error, advanceError } = await recordTeamWinner(
+      matchId,
+      teamsById.get(teamId).players,
+    );
+    setBusy(false);
+    if (error) {
+      alert(`Failed to record result: ${error.message}`);
+    } else if (advanceError) {
+      alert(
+        `Result saved, but the bracket could not move on: ${advanceError.message}`,
+      );
+    }
+    load();
+  }
+
+  async function confirmEnd() {
+    setEndOpen(false);
+    setBusy(true);
+    const { error } = await endTournament(tournament.id);
+    setBusy(false);
+    if (error) alert(`Failed to end tournament: ${error.message}`);
+    load();
+  }
+
+  const status = STATUS_BADGES[tournament?.status];
+
+  // ── Render ───────────────────────────────────────
+  return (
+    <div className="container">
+      <div className="card">
+        <div className="card-header">
+          <span className="card-title">
+            🏆 {tournament?.name || "Tournament"}
+          </span>
+          {status && (
+            <span className={`badge ${status.cls}`}>{status.label}</span>
+          )}
+        </div>
+        <div className="card-body">
+          <label className="form-label">Date</label>
+          <div className="date-input-wrap">
+            <span className="date-input-icon">📅</span>
+            <input
+              className="date-input"
+              type="date"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+            />
+          </div>
+          <div style={{ marginTop: 10 }}>
+            <SessionPicker {...pickerProps} />
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="card">
+          <div className="card-body" style={{ color: "var(--muted)" }}>
+            Loading…
+          </div>
+        </div>
+      ) : !tournament ? (
+        <div className="card">
+          <div
+            className="card-body"
+            style={{ color: "var(--muted)", fontSize: 13 }}
+          >
+            No tournament in this session. Add the pairs on the Fixed Pairs page
+            and start one from there.
+            <div style={{ marginTop: 10 }}>
+              <button
+                className="btn small primary"
+                onClick={() => navigate("/fixed-pairs")}
+              >
+                🔗 Fixed Pairs
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : (
+        <>
+          {champion.main && (
+            <div className="card">
+              <div className="card-body" style={{ textAlign: "center" }}>
+                <div style={{ fontSize: 28 }}>🏆</div>
+                <div style={{ fontWeight: 800, fontSize: 16 }}>
+                  {teamName(champion.main)}
+                </div>
+                {champion.plate && (
+                  <div
+                    style={{
+                      fontSize: 12,
+                      color: "var(--muted)",
+                      marginTop: 4,
+                    }}
+                  >
+                    Plate: {teamName(champion.plate)}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {tournament.bracket && (
+            <BracketCard
+              title="Knockout"
+              nodes={tournament.bracket.nodes.filter(
+                (n) => n.bracket === "main",
+              )}
+              teamsById={teamsById}
+              teamName={teamName}
+              matchById={matchById}
+              busy={busy}
+              onPick={(matchId, teamId) => setPendingWin({ matchId, teamId })}
+            />
+          )}
+          {tournament.bracket?.nodes.some((n) => n.bracket === "plate") && (
+            <BracketCard
+              title="Plate"
+              nodes={tournament.bracket.nodes.filter(
+                (n) => n.bracket === "plate",
+              )}
+              teamsById={teamsById}
+              teamName={teamName}
+              matchById={matchById}
+              busy={busy}
+              onPick={(matchId, teamId) => setPendingWin({ matchId, teamId })}
+            />
+          )}
+
+          {tables.map(({ group, rows }) => (
+            <GroupCard
+              key={group}
+              group={group}
+              rows={rows}
+              advance={tournament.settings.advance}
+              fixtures={tournament.fixtures.filter((f) => f.group === group)}
+              teamsById={teamsById}
+              teamName={teamName}
+              matchById={matchById}
+            />
+          ))}
+
+          <div className="card">
+            <div className="card-body">
+              <button
+                className="btn small danger"
+                onClick={() => setEndOpen(true)}
+                disabled={busy}
+              >
+                End tournament
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+
+      <ConfirmModal
+        open={!!pendingWin}
+        title="Record result?"
+        message={
+          pendingWin ? `${teamName(pendingWin.teamId)} won this match.` : ""
+        }
+        onCancel={() => setPendingWin(null)}
+        onConfirm={confirmWinner}
+        confirmLabel="Record"
+        loading={busy}
+      />
+      <ConfirmModal
+        open={endOpen}
+        title="End tournament?"
+        message="The bracket stops advancing. Matches already played stay saved."
+        onCancel={() => setEndOpen(false)}
+        onConfirm={confirmEnd}
+        confirmLabel="End"
+        loading={busy}
+      />
+    </div>
+  );
+}
+
+// ── Group table + fixtures ─────────────────────────────────────────────────
+function GroupCard({
+  group,
+  rows,
+  advance,
+  fixtures,
+  teamsById,
+  teamName,
+  matchById,
+}) {
+  const signed = (n) => (n > 0 ? `+${n}` : String(n));
+  const label = (id) => teamsById.get(id)?.label;
+  return (
+    <div className="card">
+      <div className="card-header">
+        <span className="card-title">Group {group}</span>
+        <span className="badge round">
+          {fixtures.filter((f) => f.winner).length}/{fixtures.length} played
+        </span>
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", fontSize: 12 }}>
+          <thead>
+            <tr style={{ color: "var(--muted)", textAlign: "right" }}>
+              <th style={{ textAlign: "left", padding: "6px 12px" }}>Team</th>
+              <th>P</th>
+              <th>W</th>
+              <th>L</th>
+              <th title="Sets won minus sets lost">Sets</th>
+              <th
+                title="Points won minus points lost"
+                style={{ paddingRight: 12 }}
+              >
+                Pts
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <tr
+                key={r.id}
+                style={{
+                  borderTop: "1px solid var(--border)",
+                  textAlign: "right",
+                }}
+              >
+                <td style={{ textAlign: "left", padding: "7px 12px" }}>
+                  <span style={{ color: "var(--muted)", marginRight: 6 }}>
+                    {i + 1}.
+                  </span>
+                  {r.label && (
+                    <span className="badge blue" style={{ marginRight: 6 }}>
+                      {r.label}
+                    </span>
+                  )}
+                  <span style={{ fontWeight: 700 }}>{teamName(r.id)}</span>
+                  {i < advance && (
+                    <span
+                      className="badge green"
+                      style={{ marginLeft: 6 }}
+                      title="Qualifies for the knockout"
+                    >
+                      Q
+                    </span>
+                  )}
+                </td>
+                <td>{r.played}</td>
+                <td style={{ fontWeight: 800 }}>{r.won}</td>
+                <td>{r.lost}</td>
+                <td>{signed(r.setDiff)}</td>
+                <td style={{ paddingRight: 12 }}>{signed(r.pointDiff)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="card-body" style={{ fontSize: 12 }}>
+        {fixtures.map((f) => {
+          const match = matchById.get(f.match_id);
+          return (
+            <div
+              key={f.key}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                gap: 8,
+                padding: "3px 0",
+                color: f.winner ? "var(--text)" : "var(--muted)",
+              }}
+            >
+              <span>
+                {f.teams.map((id, side) => (
+                  <React.Fragment key={id}>
+                    {side === 1 && " vs "}
+                    <span
+                      style={{ fontWeight: f.winner === id ? 800 : 400 }}
+                      title={teamName(id)}
+                    >
+                      {label(id) || teamName(id)}
+                    </span>
+                  </React.Fragment>
+                ))}
+              </span>
+              <span>
+                {f.winner
+                  ? match?.score_text || "✓"
+                  : match
+                    ? `Court ${match.court}`
+                    : ""}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// ── Bracket: one column per round ──────────────────────────────────────────
+function BracketCard({
+  title,
+  nodes,
+  teamsById,
+  teamName,
+  matchById,
+  busy,
+  onPick,
+}) {
+  const rounds = Math.max(...nodes.map((n) => n.round));
+  const columns = [];
+  for (let r = 1; r <= rounds; r++) {
+    columns.push(
+      nodes.filter((n) => n.round === r).sort((a, b) => a.slot - b.slot),
+    );
+  }
+  return (
+    <div className="card">
+      <div className="card-header">
+        <span className="card-title">{title}</span>
+      </div>
+      <div
+        className="card-body"
+        style={{ display: "flex", gap: 10, overflowX: "auto" }}
+      >
+        {columns.map((column, idx) => (
+          <div
+            key={idx}
+            style={{
+              display: "flex",
+              flexDirection: "column",
+              justifyContent: "space-around",
+              gap: 8,
+              minWidth: 150,
+            }}
+          >
+            <div
+              style={{
+                fontSize: 11,
+                fontWeight: 700,
+                color: "var(--muted)",
+                textAlign: "center",
+              }}
+            >
+              {roundName(rounds, idx + 1)}
+            </div>
+            {column.map((n) => (
+              <BracketNode
+                key={n.key}
+                node={n}
+                teamsById={teamsById}
+                teamName={teamName}
+                match={matchById.get(n.match_id)}
+                busy={busy}
+                onPick={onPick}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function BracketNode({ node, teamsById, teamName, match, busy, onPick }) {
+  const onCourt = node.match_id && !node.done;
+  if (node.done && node.bye && !node.winner)
+    return <div style={{ minHeight: 52 }} />;
+  return (
+    <div
+      style={{
+        border: "1px solid",
+        borderColor: onCourt ? "var(--primary-border)" : "var(--border)",
+        borderRadius: 8,
+        fontSize: 12,
+        overflow: "hidden",
+      }}
+    >
+      {node.teams.map((id, side) => {
+        const team = teamsById.get(id);
+        const won = node.done && node.winner && node.winner === id;
+        return (
+          <button
+            key={side}
+            type="button"
+            disabled={!onCourt || !id || busy}
+            onClick={() => onPick(node.match_id, id)}
+            title={onCourt && id ? "Tap to record this pair as the winner" : ""}
+            style={{
+              display: "flex",
+              width: "100%",
+              gap: 6,
+              alignItems: "center",
+              padding: "6px 8px",
+              border: "none",
+              borderTop: side === 1 ? "1px solid var(--border)" : "none",
+              background: won ? "var(--primary-dim)" : "var(--surface)",
+              color: id ? "var(--text)" : "var(--muted)",
+              fontWeight: won ? 800 : 400,
+              fontFamily: "inherit",
+              fontSize: 12,
+              textAlign: "left",
+              cursor: onCourt && id ? "pointer" : "default",
+            }}
+          >
+            {team?.seed && (
+              <span style={{ color: "var(--muted)", fontSize: 10 }}>
+                {team.seed}
+              </span>
+            )}
+            <span style={{ flex: 1 }}>
+              {id ? teamName(id) : node.bye ? "bye" : "TBD"}
+            </span>
+          </button>
+        );
+      })}
+      {(onCourt || match?.score_text) && (
+        <div
+          style={{
+            padding: "3px 8px",
+            fontSize: 10,
+            color: "var(--muted)",
+            borderTop: "1px solid var(--border)",
+          }}
+        >
+          {onCourt ? `Court ${node.court}` : match.score_text}
+        </div>
+      )}
+    </div>
+  );
+}
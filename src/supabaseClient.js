@@ -4,14 +4,16 @@ import { createClient } from "@supabase/supabase-js";
 const url = import.meta.env.VITE_SUPABASE_URL;
 const key = import.meta.env.VITE_SUPABASE_ANON_KEY;
 
-if (!url || !key) {
-  console.error(
-    "Missing VITE_SUPABASE_URL or VITE_SUPABASE_ANON_KEY in .env.local",
-    {
-      url,
-      key: key ? "*****" : key,
-    }
-  );
+// The Supabase storage backend (see api/storage.js).
+export function createSupabaseBackend() {
+  if (!url || !key) {
+    console.error(
+      "Missing VITE_SUPABASE_URL or VITE_SUPABASE_ANON_KEY in .env.local",
+      {
+        url,
+        key: key ? "*****" : key,
+      }
+    );
+  }
+  return createClient(url, key);
 }
-
-export const supabase = createClient(url, key);
@@ -0,0 +1,479 @@
+// src/utils/americano.js
+// Americano and Mexicano: doubles formats where partners change every game
+// and everyone collects the points their team scores (from score_text), so
+// the session ends with an individual leaderboard.
+//
+//   Americano  fixed rotation planned up front: everyone partners everyone
+//              else once (circle method over players), opponents varied.
+//   Mexicano   one round at a time: after round N the leaderboard decides
+//              round N+1 — in each group of four by rank, 1st & 4th play
+//              2nd & 3rd.
+//
+// Club points in the `scores` table are untouched; the session leaderboard
+// is computed from the day's match rows (player_ids, winner, score_text).
+import { teamsOf, opponentPairs } from "./matchTeams";
+import { parseScoreText } from "./standings";
+import { rngFor, seededShuffle, pairKey, bumpCount } from "./schedulerHelpers";
+
+const BYE = "__BYE__";
+// Rounds with more partnerships than this are matched greedily instead of
+// trying every way to pair them up.
+const EXACT_MATCHING_MAX = 10;
+// Sitting out a partnership that can then play an earlier leftover beats
+// any opponent-variety saving.
+const SIT_OUT_BONUS = 1000;
+
+/**
+ * sessionLeaderboard
+ * Individual totals for a session from saved rows with a result. Each player
+ * gets the points their team scored (score_text is from the winner's side).
+ * @returns [{ id, played, won, lost, pointsFor, pointsAgainst, diff }]
+ *          sorted by points, then difference, then wins — or with
+ *          by: "wins", by wins, then difference (Swiss ladder)
+ */
+export function sessionLeaderboard(matches = [], { by = "points" } = {}) {
+  const rows = new Map();
+  const rowFor = (id) => {
+    if (!rows.has(id)) {
+      rows.set(id, {
+        id,
+        played: 0,
+        won: 0,
+        lost: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+      });
+    }
+    return rows.get(id);
+  };
+  (matches || []).forEach((m) => {
+    const winnerIds = Array.isArray(m.winner) ? m.winner : [];
+    if (!winnerIds.length) return;
+    const { teamA, teamB } = teamsOf(m.player_ids || m.players || []);
+    if (!teamA.length || !teamB.length) return;
+    const aWon = teamA.some((p) => winnerIds.includes(p));
+    const winners = aWon ? teamA : teamB;
+    const losers = aWon ? teamB : teamA;
+    const sets = parseScoreText(m.score_text);
+    const wPts = sets.reduce((acc, [w]) => acc + w, 0);
+    const lPts = sets.reduce((acc, [, l]) => acc + l, 0);
+    winners.forEach((p) => {
+      const r = rowFor(p);
+      r.played += 1;
+      r.won += 1;
+      r.pointsFor += wPts;
+      r.pointsAgainst += lPts;
+    });
+    losers.forEach((p) => {
+      const r = rowFor(p);
+      r.played += 1;
+      r.lost += 1;
+      r.pointsFor += lPts;
+      r.pointsAgainst += wPts;
+    });
+  });
+  return [...rows.values()]
+    .map((r) => ({ ...r, diff: r.pointsFor - r.pointsAgainst }))
+    .sort((a, b) =>
+      by === "wins"
+        ? b.won - a.won || b.diff - a.diff || a.played - b.played
+        : b.pointsFor - a.pointsFor || b.diff - a.diff || b.won - a.won,
+    );
+}
+
+// Every pair of players once, as circle-method rounds of disjoint
+// partnerships (one player sits out each round when the count is odd).
+function partnershipRounds(players) {
+  const order = players.length % 2 === 1 ? [...players, BYE] : [...players];
+  const n = order.length;
+  const rounds = [];
+  let rot = order;
+  for (let r = 0; r < n - 1; r++) {
+    const teams = [];
+    for (let i = 0; i < n / 2; i++) {
+      const a = rot[i];
+      const b = rot[n - 1 - i];
+      if (a !== BYE && b !== BYE) teams.push([a, b]);
+    }
+    rounds.push(teams);
+    const [first, ...rest] = rot;
+    rest.unshift(rest.pop());
+    rot = [first, ...rest];
+  }
+  return rounds;
+}
+
+const facedCost = (opponents, team, other) =>
+  opponentPairs([...team, ...other]).reduce(
+    (acc, [x, y]) => acc + (opponents.get(pairKey(x, y)) || 0),
+    0,
+  );
+
+const disjoint = (x, y) => !x.some((p) => y.includes(p));
+
+// Cheapest way to put disjoint partnerships against each other (exhaustive
+// for small rounds). With an odd count one partnership sits out (`left`),
+// preferably one that can play a partnership left over earlier (`pending`).
+function pairUp(teams, opponents, pending) {
+  const sitOutCost = (team) =>
+    pending.some((o) => disjoint(team, o)) ? -SIT_OUT_BONUS : 0;
+  if (teams.length > EXACT_MATCHING_MAX) {
+    const open = [...teams];
+    const left = [];
+    if (open.length % 2 === 1) {
+      const idx = open.findIndex((t) => sitOutCost(t) < 0);
+      left.push(...open.splice(idx < 0 ? open.length - 1 : idx, 1));
+    }
+    const games = [];
+    while (open.length > 1) {
+      const team = open.shift();
+      let best = 0;
+      open.forEach((other, idx) => {
+        if (
+          facedCost(opponents, team, other) <
+          facedCost(opponents, team, open[best])
+        )
+          best = idx;
+      });
+      games.push([...team, ...open.splice(best, 1)[0]]);
+    }
+    return { games, left };
+  }
+  let best = null;
+  const mayStillSitOut = teams.length % 2 === 1;
+  const search = (open, games, cost, left) => {
+    const floor = cost - (mayStillSitOut && !left.length ? SIT_OUT_BONUS : 0);
+    if (best && floor >= best.cost) return;
+    if (open.length === 0) {
+      best = { games, left, cost };
+      return;
+    }
+    const [team, ...rest] = open;
+    if (rest.length % 2 === 0 && !left.length)
+      search(rest, games, cost + sitOutCost(team), [team]);
+    rest.forEach((other, idx) =>
+      search(
+        rest.filter((_, k) => k !== idx),
+        [...games, [...team, ...other]],
+        cost + facedCost(opponents, team, other),
+        left,
+      ),
+    );
+  };
+  search(teams, [], 0, []);
+  return { games: best.games, left: best.left };
+}
+
+// Games round by round (so one round's games never share a player).
+// Partnerships left over from odd rounds play each other where they can:
+// most constrained first — the leftover with the fewest possible opponents
+// takes the possible opponent that has the fewest itself.
+function americanoGames(rounds) {
+  const opponents = new Map();
+  const games = [];
+  const leftovers = [];
+  const add = (players) => {
+    opponentPairs(players).forEach(([x, y]) =>
+      bumpCount(opponents, pairKey(x, y)),
+    );
+    games.push(players);
+  };
+  const options = (team) =>
+    leftovers.filter((o) => o !== team && disjoint(team, o));
+  const fewest = (list) =>
+    list.reduce((best, t) =>
+      options(t).length < options(best).length ? t : best,
+    );
+  rounds.forEach((teams) => {
+    const { games: roundGames, left } = pairUp(teams, opponents, leftovers);
+    roundGames.forEach(add);
+    leftovers.push(...left);
+    for (;;) {
+      const open = leftovers.filter((t) => options(t).length > 0);
+      if (!open.length) break;
+      const team = fewest(open);
+      const other = fewest(options(team));
+      leftovers.splice(leftovers.indexOf(team), 1);
+      leftovers.splice(leftovers.indexOf(other), 1);
+      add([...team, ...other]);
+    }
+  });
+  return games;
+}
+
+// Packing search steps allowed per round count tried.
+const PACK_STEP_BUDGET = 4000;
+
+// Games into exactly `count` rounds of at most `courts` games, nobody twice
+// in a round. Fills round after round with backtracking; a player with as
+// many games left as rounds left has to play in every one of them, which
+// keeps the search short. Returns the rounds, or null when they don't fit
+// (or the search budget runs out).
+function packIntoRounds(games, courts, count) {
+  const load = new Map();
+  games.forEach((g) => g.players.forEach((p) => bumpCount(load, p)));
+  if ([...load.values()].some((n) => n > count)) return null;
+  const heavy = (g) => g.players.reduce((acc, p) => acc + load.get(p), 0);
+  const rounds = [];
+  let steps = 0;
+
+  const fill = (left, roundsLeft) => {
+    if (!left.length) return true;
+    if (left.length > roundsLeft * courts) return false;
+    const forced = [...load]
+      .filter(([, n]) => n === roundsLeft)
+      .map(([p]) => p);
+    const order = [...left].sort((a, b) => heavy(b) - heavy(a));
+    const least = left.length - (roundsLeft - 1) * courts;
+
+    for (let size = Math.min(courts, left.length); size >= least; size--) {
+      if (forced.length > size * 4) break;
+      const chosen = [];
+      const busy = new Set();
+      const choose = (from) => {
+        if (++steps > PACK_STEP_BUDGET) return false;
+        const uncovered = forced.find((p) => !busy.has(p));
+        if (chosen.length === size) {
+          if (uncovered) return false;
+          chosen.forEach((g) =>
+            g.players.forEach((p) => load.set(p, load.get(p) - 1)),
+          );
+          rounds.push([...chosen]);
+          if (
+            fill(
+              left.filter((g) => !chosen.includes(g)),
+              roundsLeft - 1,
+            )
+          )
+            return true;
+          rounds.pop();
+          chosen.forEach((g) =>
+            g.players.forEach((p) => load.set(p, load.get(p) + 1)),
+          );
+          return false;
+        }
+        // an uncovered forced player's game comes next; otherwise games in
+        // order, so each set is tried once
+        const options = uncovered
+          ? order.filter((g) => g.players.includes(uncovered))
+          : order.slice(from);
+        for (const g of options) {
+          if (chosen.includes(g) || g.players.some((p) => busy.has(p)))
+            continue;
+          chosen.push(g);
+          g.players.forEach((p) => busy.add(p));
+          const found = choose(uncovered ? from : order.indexOf(g) + 1);
+          chosen.pop();
+          g.players.forEach((p) => busy.delete(p));
+          if (found) return true;
+          if (steps > PACK_STEP_BUDGET) return false;
+        }
+        return false;
+      };
+      if (choose(0)) return true;
+      if (steps > PACK_STEP_BUDGET) return false;
+    }
+    return false;
+  };
+  return fill(games, count) ? rounds : null;
+}
+
+// One round at a time, the games of the players who have waited longest
+// first. Quick, but can leave courts idle while games are pending.
+function greedyRounds(games, courts) {
+  const rounds = [];
+  const lastRound = new Map();
+  let remaining = games;
+  while (remaining.length) {
+    const round = rounds.length;
+    const waited = (g) =>
+      g.players.reduce((acc, p) => acc + round - (lastRound.get(p) ?? -1), 0);
+    const busy = new Set();
+    const picked = [];
+    [...remaining]
+      .sort((a, b) => waited(b) - waited(a) || a.order - b.order)
+      .forEach((g) => {
+        if (picked.length >= courts) return;
+        if (g.players.some((p) => busy.has(p))) return;
+        g.players.forEach((p) => busy.add(p));
+        picked.push(g);
+      });
+    picked.forEach((g) => g.players.forEach((p) => lastRound.set(p, round)));
+    remaining = remaining.filter((g) => !picked.includes(g));
+    rounds.push(picked);
+  }
+  return rounds;
+}
+
+// Lay games out on the courts in as few rounds as they allow:
+// ceil(games / courts) when nobody has to play twice in a round, else the
+// fewest the search finds, else the greedy layout. The rounds are then
+// ordered so the players who have waited longest go first.
+function packGames(games, courts) {
+  const all = games.map((players, order) => ({ players, order }));
+  let sets = greedyRounds(all, courts);
+  const fewest = Math.ceil(all.length / courts);
+  for (let count = fewest; count < sets.length; count++) {
+    const packed = packIntoRounds(all, courts, count);
+    if (packed) {
+      sets = packed;
+      break;
+    }
+  }
+
+  const rounds = [];
+  const lastRound = new Map();
+  let remaining = sets.filter((set) => set.length);
+  while (remaining.length) {
+    const round = rounds.length;
+    const waited = (set) =>
+      set.reduce(
+        (acc, g) =>
+          acc +
+          g.players.reduce((w, p) => w + round - (lastRound.get(p) ?? -1), 0),
+        0,
+      );
+    const next = remaining.reduce((best, set) =>
+      waited(set) > waited(best) ? set : best,
+    );
+    next.forEach((g) => g.players.forEach((p) => lastRound.set(p, round)));
+    remaining = remaining.filter((set) => set !== next);
+    rounds.push(
+      [...next].sort((a, b) => a.order - b.order).map((g) => g.players),
+    );
+  }
+  return rounds;
+}
+
+/**
+ * planAmericano
+ * @param {Object} opts
+ *  - players: [playerId] (at least 4)
+ *  - courts, rounds (null = as many as needed)
+ *  - seed: seed code for the shuffle of the player order
+ * @returns {
+ *   matches: [{ match_index, round, court, players: [a1, a2, b1, b2] }],
+ *   report: { format: "americano", partnerships, games, scheduled,
+ *             roundsNeeded, roundsMinimum, roundsRequested, fits, unmatched }
+ * }
+ * `unmatched` partnerships found no opponents (odd total); when rounds is too
+ * small the rotation is cut and fits is false.
+ */
+export function planAmericano({
+  players,
+  courts = 1,
+  rounds = null,
+  seed = new Date().toISOString().slice(0, 10),
+}) {
+  const roster = [...new Set(players || [])];
+  if (roster.length < 4) return { matches: [], report: null };
+
+  const circle = partnershipRounds(
+    seededShuffle(roster, rngFor(seed, "americano")),
+  );
+  const games = americanoGames(circle);
+  const partnerships = circle.reduce((acc, r) => acc + r.length, 0);
+  const usable = Math.min(courts, Math.floor(roster.length / 4));
+  const slots = packGames(games, usable);
+  const played = rounds == null ? slots : slots.slice(0, rounds);
+
+  const matches = [];
+  played.forEach((round, idx) =>
+    round.forEach((ids, c) =>
+      matches.push({
+        match_index: matches.length + 1,
+        round: idx + 1,
+        court: c + 1,
+        players: ids,
+      }),
+    ),
+  );
+  return {
+    matches,
+    report: {
+      format: "americano",
+      partnerships,
+      games: games.length,
+      scheduled: matches.length,
+      roundsNeeded: slots.length,
+      // fewer only if a player would play twice in a round
+      roundsMinimum: Math.ceil(games.length / usable),
+      roundsRequested: rounds,
+      fits: matches.length === games.length,
+      unmatched: partnerships - games.length * 2,
+    },
+  };
+}
+
+/**
+ * planMexicanoRound
+ * The next round from the session so far. Players are ranked by the session
+ * leaderboard (rating, then selection order, for players without results);
+ * whoever has played most sits out when there are more players than court
+ * places, then each group of four by rank plays 1st & 4th vs 2nd & 3rd.
+ * @param {Object} opts
+ *  - players: [playerId] present for this round
+ *  - courts
+ *  - sessionMatches: the day's saved rows so far
+ *  - ratings: Map<playerId, number>
+ * @returns { matches: [{ round: 1, court, players }], report }
+ */
+export function planMexicanoRound({
+  players,
+  courts = 1,
+  sessionMatches = [],
+  ratings = new Map(),
+}) {
+  const roster = [...new Set(players || [])];
+  const board = sessionLeaderboard(sessionMatches);
+  const rank = new Map(board.map((r, idx) => [r.id, idx]));
+  const ranked = roster
+    .map((id, order) => ({ id, order }))
+    .sort(
+      (a, b) =>
+        (rank.get(a.id) ?? Infinity) - (rank.get(b.id) ?? Infinity) ||
+        (ratings.get(b.id) ?? 0) - (ratings.get(a.id) ?? 0) ||
+        a.order - b.order,
+    )
+    .map((r) => r.id);
+
+  // games today (scheduled, with or without a result) and when last on court
+  const plays = new Map();
+  const lastIndex = new Map();
+  (sessionMatches || []).forEach((m) =>
+    (m.player_ids || m.players || []).forEach((p) => {
+      bumpCount(plays, p);
+      lastIndex.set(p, Math.max(lastIndex.get(p) ?? 0, m.match_index ?? 0));
+    }),
+  );
+  const places = Math.min(courts, Math.floor(ranked.length / 4)) * 4;
+  const resting = [...ranked]
+    .sort(
+      (a, b) =>
+        (plays.get(b) || 0) - (plays.get(a) || 0) ||
+        (lastIndex.get(b) ?? 0) - (lastIndex.get(a) ?? 0) ||
+        ranked.indexOf(b) - ranked.indexOf(a),
+    )
+    .slice(0, ranked.length - places);
+  const playing = ranked.filter((p) => !resting.includes(p));
+
+  const matches = [];
+  for (let i = 0; i + 3 < playing.length; i += 4) {
+    const [r1, r2, r3, r4] = playing.slice(i, i + 4);
+    matches.push({
+      round: 1,
+      court: matches.length + 1,
+      players: [r1, r4, r2, r3],
+    });
+  }
+  return {
+    matches,
+    report: {
+      format: "mexicano",
+      results: (sessionMatches || []).filter((m) => m.winner?.length > 0)
+        .length,
+      pending: (sessionMatches || []).filter((m) => !m.winner?.length).length,
+      resting,
+    },
+  };
+}
@@ -1,4 +1,6 @@
 // src/utils/assignments.js
+import { pairKey } from "./schedulerHelpers";
+
 export function generateAssignments(
   players,
   courts,
@@ -6,14 +8,13 @@ export function generateAssignments(
   matchDate,
   pairCounts = {},
   oppCounts = {},
-  attempts = 400
+  attempts = 400,
+  rng = Math.random
 ) {
   const playersPerMatch = 4;
   if (!Array.isArray(players) || players.length === 0)
     return { assignments: [], rest: [], chosenScore: Infinity };
 
-  const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
-
   function lastPlayedKey(p) {
     if (!p.last_played) return new Date(0).getTime();
     return new Date(p.last_played).getTime();
@@ -27,7 +28,6 @@ export function generateAssignments(
   const restBase = baseSorted.slice(actualSlots);
 
   let best = { assignments: [], rest: restBase, score: Infinity };
-  const rng = () => Math.random();
 
   function scoreForAssignments(assignments) {
     let s = 0;
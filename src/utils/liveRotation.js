@@ -0,0 +1,295 @@
+// src/utils/liveRotation.js
+// Live (dynamic) court rotation. Unlike the generators registered in
+// scheduleEngine.js, nothing is planned ahead: the next match on a court is
+// decided when the result of the current one comes in (recordTeamWinner →
+// advanceLiveSession), using a queue of waiting players.
+//
+// Modes:
+//   king   winners stay on (up to rules.maxWins in a row), losers queue
+//   queue  everyone queues after a result; the court takes the next group
+//          from the front of the queue, picked for partner/opponent variety
+//
+// Live state (table live_sessions, one active row per session):
+//   {
+//     mode:    "king" | "queue"
+//     rules:   validateRotationRules() output
+//     queue:   [playerId]                       waiting, front first
+//     courts:  { [court]: { match_id, players } }  players null = court idle
+//     streaks: { [playerId]: wins in a row }
+//   }
+// Functions here are pure: they take a state and return a new one.
+import { isMatchSize, partnerPairs, opponentPairs } from "./matchTeams";
+import { pairKey, bumpCount } from "./schedulerHelpers";
+
+export const ROTATION_MODES = [
+  {
+    id: "king",
+    label: "King of the court",
+    description: "Winners stay on, losers join the back of the queue",
+  },
+  {
+    id: "queue",
+    label: "Next match queue",
+    description:
+      "Any court that finishes takes the next players from the queue, longest waiting first",
+  },
+];
+
+// Queue mode looks this many places past the front group for a more varied
+// match; each place skipped costs WAIT_PENALTY so long waits still win.
+const VARIETY_WINDOW = 2;
+const WAIT_PENALTY = 4;
+const PARTNER_REPEAT_PENALTY = 10;
+const OPPONENT_REPEAT_PENALTY = 3;
+
+export const WINNER_HANDLING = [
+  { id: "stay", label: "Keep winners together" },
+  { id: "split", label: "Split winners up" },
+];
+
+export const DEFAULT_ROTATION_RULES = {
+  maxWins: 3,
+  winners: "stay",
+  matchSize: 4,
+};
+
+/**
+ * validateRotationRules
+ * Same contract as validatePolicy: defaults fill gaps, bad values are
+ * reported per field.
+ * @returns { rules, errors: { [key]: message } }
+ */
+export function validateRotationRules(raw = {}) {
+  const rules = { ...DEFAULT_ROTATION_RULES };
+  const errors = {};
+  const source = raw && typeof raw === "object" ? raw : {};
+
+  if (source.maxWins != null && source.maxWins !== "") {
+    const n = Number(source.maxWins);
+    if (!Number.isInteger(n) || n < 1 || n > 20)
+      errors.maxWins = "Must be a whole number between 1 and 20";
+    else rules.maxWins = n;
+  }
+  if (source.winners != null) {
+    if (!WINNER_HANDLING.some((w) => w.id === source.winners))
+      errors.winners = "Unknown option";
+    else rules.winners = source.winners;
+  }
+  if (source.matchSize != null) {
+    const n = Number(source.matchSize);
+    if (!isMatchSize(n)) errors.matchSize = "Must be 2 (singles) or 4";
+    else rules.matchSize = n;
+  }
+  return { rules, errors };
+}
+
+// Partner / opponent counts for the day, from saved match rows.
+export function todayHistory(matches = []) {
+  const partners = new Map();
+  const opponents = new Map();
+  matches.forEach((m) => {
+    const ids = m.player_ids || m.players || [];
+    partnerPairs(ids).forEach(([a, b]) => bumpCount(partners, pairKey(a, b)));
+    opponentPairs(ids).forEach(([a, b]) => bumpCount(opponents, pairKey(a, b)));
+  });
+  return { partners, opponents };
+}
+
+function combinations(list, k) {
+  if (k === 0) return [[]];
+  if (list.length < k) return [];
+  const [head, ...rest] = list;
+  return [
+    ...combinations(rest, k - 1).map((c) => [head, ...c]),
+    ...combinations(rest, k),
+  ];
+}
+
+function splitsOf(group) {
+  if (group.length !== 4) return [group];
+  const [a, b, c, d] = group;
+  return [
+    [a, b, c, d],
+    [a, c, b, d],
+    [a, d, b, c],
+  ];
+}
+
+/**
+ * pickNextGroup
+ * The next `size` players from the queue. The player at the front always
+ * plays; the others come from the next few places, choosing the group and
+ * team split with the fewest repeat partners/opponents today.
+ * @returns players as [a1, a2, b1, b2] / [a, b], or null if the queue is short
+ */
+export function pickNextGroup(queue, size, history = todayHistory()) {
+  if (queue.length < size) return null;
+  const [first, ...rest] = queue;
+  const window = rest.slice(0, size - 1 + VARIETY_WINDOW);
+  let best = null;
+  combinations(window, size - 1).forEach((others) => {
+    const wait = others.reduce((acc, p) => acc + window.indexOf(p), 0);
+    splitsOf([first, ...others]).forEach((split) => {
+      const repeats =
+        partnerPairs(split).reduce(
+          (acc, [a, b]) => acc + (history.partners.get(pairKey(a, b)) || 0),
+          0,
+        ) *
+          PARTNER_REPEAT_PENALTY +
+        opponentPairs(split).reduce(
+          (acc, [a, b]) => acc + (history.opponents.get(pairKey(a, b)) || 0),
+          0,
+        ) *
+          OPPONENT_REPEAT_PENALTY;
+      const cost = repeats + wait * WAIT_PENALTY;
+      if (!best || cost < best.cost) best = { split, cost };
+    });
+  });
+  return best.split;
+}
+
+// Take the next group off the queue (front players in king mode, the
+// variety pick in queue mode).
+function takeNext(state, queue, history) {
+  const size = state.rules.matchSize;
+  const next =
+    state.mode === "queue"
+      ? pickNextGroup(queue, size, history)
+      : queue.length >= size
+        ? queue.slice(0, size)
+        : null;
+  return {
+    next,
+    queue: next ? queue.filter((p) => !next.includes(p)) : queue,
+  };
+}
+
+// Put players on every idle court while the queue has enough of them.
+export function fillIdleCourts(state, history) {
+  let queue = [...state.queue];
+  const courts = { ...state.courts };
+  const started = [];
+  Object.keys(courts)
+    .sort((a, b) => Number(a) - Number(b))
+    .forEach((court) => {
+      if (courts[court].players) return;
+      const taken = takeNext(state, queue, history);
+      if (!taken.next) return;
+      queue = taken.queue;
+      courts[court] = { match_id: null, players: taken.next };
+      started.push({ court: Number(court), players: taken.next });
+    });
+  return { state: { ...state, queue, courts }, started };
+}
+
+/**
+ * startRotation
+ * Opening state: players fill the courts in the order given, the rest wait.
+ * @returns { state, started: [{ court, players }] }
+ */
+export function startRotation({ players = [], courts = 1, mode, rules }) {
+  const { rules: clean } = validateRotationRules(rules);
+  const courtMap = {};
+  for (let c = 1; c <= courts; c++) {
+    courtMap[c] = { match_id: null, players: null };
+  }
+  return fillIdleCourts({
+    mode: mode || "king",
+    rules: clean,
+    queue: [...new Set(players)],
+    courts: courtMap,
+    streaks: {},
+  });
+}
+
+/**
+ * advanceCourt
+ * Result on `court`. Queue mode: all players go to the back of the queue
+ * and the next group is picked (see pickNextGroup). King mode: losers go to
+ * the back of the queue, winners stay unless
+ * they've reached rules.maxWins in a row (then they queue too, behind the
+ * losers). Challengers come from the front of the queue.
+ * @returns { state, next: [playerIds] | null, forcedOff: [playerIds] }
+ *          next is null when the queue can't fill the court (it goes idle).
+ */
+export function advanceCourt(
+  state,
+  { court, players, winnerIds },
+  history = todayHistory(),
+) {
+  const { rules } = state;
+  if (state.mode === "queue") {
+    const courts = { ...state.courts };
+    const { next, queue } = takeNext(
+      state,
+      [...state.queue, ...players],
+      history,
+    );
+    courts[court] = { match_id: null, players: next };
+    return { state: { ...state, queue, courts }, next, forcedOff: [] };
+  }
+
+  const winners = players.filter((p) => winnerIds.includes(p));
+  const losers = players.filter((p) => !winnerIds.includes(p));
+
+  const streaks = { ...state.streaks };
+  losers.forEach((p) => delete streaks[p]);
+  winners.forEach((p) => {
+    streaks[p] = (streaks[p] || 0) + 1;
+  });
+  const forcedOff = winners.filter((p) => streaks[p] >= rules.maxWins);
+  forcedOff.forEach((p) => delete streaks[p]);
+  const stayers = winners.filter((p) => !forcedOff.includes(p));
+
+  let queue = [...state.queue, ...losers, ...forcedOff];
+  const needed = rules.matchSize - stayers.length;
+  const courts = { ...state.courts };
+
+  if (queue.length < needed) {
+    // not enough players waiting: everyone queues, the court sits idle
+    queue = [...stayers, ...queue];
+    stayers.forEach((p) => delete streaks[p]);
+    courts[court] = { match_id: null, players: null };
+    return {
+      state: { ...state, queue, courts, streaks },
+      next: null,
+      forcedOff,
+    };
+  }
+
+  const challengers = queue.slice(0, needed);
+  queue = queue.slice(needed);
+  const next = arrangeTeams(stayers, challengers, rules);
+  courts[court] = { match_id: null, players: next };
+  return { state: { ...state, queue, courts, streaks }, next, forcedOff };
+}
+
+// Order stayers + challengers as [a1, a2, b1, b2] (or [a, b] for singles).
+function arrangeTeams(stayers, challengers, rules) {
+  if (rules.matchSize === 2) return [...stayers, ...challengers];
+  if (stayers.length === 2 && rules.winners === "split") {
+    const [w1, w2] = stayers;
+    const [c1, c2] = challengers;
+    return [w1, c1, w2, c2];
+  }
+  return [...stayers, ...challengers];
+}
+
+// Late arrivals join the back of the queue.
+export function joinQueue(state, ids) {
+  const busy = new Set([
+    ...state.queue,
+    ...Object.values(state.courts).flatMap((c) => c.players || []),
+  ]);
+  return {
+    ...state,
+    queue: [...state.queue, ...ids.filter((p) => !busy.has(p))],
+  };
+}
+
+// Someone leaving: only waiting players can be taken out.
+export function leaveQueue(state, id) {
+  const streaks = { ...state.streaks };
+  delete streaks[id];
+  return { ...state, queue: state.queue.filter((p) => p !== id), streaks };
+}
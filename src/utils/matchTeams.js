@@ -0,0 +1,34 @@
+// src/utils/matchTeams.js
+// A match is either doubles (four player ids: [a1, a2, b1, b2]) or singles
+// (two ids: [a, b]). Everything that needs the two sides goes through here
+// instead of slicing 2+2.
+
+export const DOUBLES_SIZE = 4;
+export const SINGLES_SIZE = 2;
+
+export function isSingles(ids) {
+  return Array.isArray(ids) && ids.length === SINGLES_SIZE;
+}
+
+// Valid player counts for a match.
+export function isMatchSize(n) {
+  return n === SINGLES_SIZE || n === DOUBLES_SIZE;
+}
+
+// { teamA, teamB } for a match's player ids.
+export function teamsOf(ids = []) {
+  const list = ids || [];
+  if (isSingles(list)) return { teamA: [list[0]], teamB: [list[1]] };
+  return { teamA: list.slice(0, 2), teamB: list.slice(2, 4) };
+}
+
+// Partnerships (doubles only) and opponent pairs in a match.
+export function partnerPairs(ids) {
+  const { teamA, teamB } = teamsOf(ids);
+  return [teamA, teamB].filter((t) => t.length === 2);
+}
+
+export function opponentPairs(ids) {
+  const { teamA, teamB } = teamsOf(ids);
+  return teamA.flatMap((x) => teamB.map((y) => [x, y]));
+}
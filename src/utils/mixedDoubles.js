@@ -0,0 +1,37 @@
+// src/utils/mixedDoubles.js
+// Mixed-doubles mode: every team should pair two players of different
+// categories (gender, or whatever free-form category the club uses).
+// Players without a category fit any team, so a half-filled roster still
+// schedules; matches that can't be mixed are reported, not dropped. The
+// engine regroups rounds with roundRepair.js using mixedPenalty().
+import { partnerPairs } from "./matchTeams";
+
+function categoryOf(categories, p) {
+  const c = categories.get(p);
+  return c == null || c === "" ? null : String(c).toLowerCase();
+}
+
+export function isMixedTeam(categories, [a, b]) {
+  const ca = categoryOf(categories, a);
+  const cb = categoryOf(categories, b);
+  return ca == null || cb == null || ca !== cb;
+}
+
+// Number of teams in a split that aren't mixed (0, 1 or 2) — a roundRepair
+// penalty once multiplied by a weight. Singles have nothing to mix.
+export function mixedPenalty(categories, split) {
+  return partnerPairs(split).filter((team) => !isMixedTeam(categories, team))
+    .length;
+}
+
+// Teams in a schedule (preview or saved rows) that aren't mixed.
+export function mixedViolations(matches, categories = new Map()) {
+  return (matches || [])
+    .map((m) => ({ m, ids: m.player_ids || m.players || [] }))
+    .filter(({ ids }) => ids.length === 4 && mixedPenalty(categories, ids) > 0)
+    .map(({ m }) => ({
+      match_index: m.match_index,
+      round: m.round,
+      court: m.court,
+    }));
+}
@@ -0,0 +1,382 @@
+// src/utils/optimizer.js
+// Whole-session local search for doubles schedules.
+//
+// The greedy generators pick players court by court, so an early choice can
+// force partner repeats several rounds later. optimizeSchedule() starts from
+// any valid schedule and repeatedly swaps two players inside a round (between
+// matches, between teams, or between a match and the resting list), keeping
+// the change when it lowers the total cost — or, early on, occasionally even
+// when it doesn't (simulated annealing) so it can climb out of local minima.
+import {
+  mulberry32,
+  pairKey,
+  bumpCount,
+  isAvailable,
+} from "./schedulerHelpers";
+import { indexConstraints, constraintPenalty } from "./playerConstraints";
+
+const DEFAULT_RATING = 50;
+const MAX_HISTORY_PENALTY = 3;
+
+// Cost = Σ weight × component. Components are documented in scheduleCost().
+export const DEFAULT_WEIGHTS = {
+  partnerRepeats: 20,
+  opponentRepeats: 4,
+  historyRepeats: 2,
+  opponentHistoryRepeats: 1,
+  restFairness: 15,
+  ratingBalance: 0.3,
+  constraints: 1,
+};
+
+export const DEFAULT_BUDGET = {
+  maxIterations: 20000,
+  timeBudgetMs: 1000,
+};
+
+/* ---------- internal representation ---------- */
+// One entry per round: the players of every match flattened (4 per court, in
+// court order) followed by the resting players present that round. Swapping
+// two slots of the same round always yields another valid round.
+function toRounds(matches, roster, availability) {
+  const byRound = new Map();
+  [...matches]
+    .sort((a, b) => a.round - b.round || a.court - b.court)
+    .forEach((m) => {
+      if (!byRound.has(m.round)) byRound.set(m.round, []);
+      byRound.get(m.round).push(m);
+    });
+  return [...byRound.entries()].map(([round, ms]) => {
+    const playing = ms.flatMap((m) => m.players);
+    const playingSet = new Set(playing);
+    return {
+      round,
+      courts: ms.map((m) => m.court),
+      matchCount: ms.length,
+      slots: [
+        ...playing,
+        ...roster.filter(
+          (p) => !playingSet.has(p) && isAvailable(availability, p, round),
+        ),
+      ],
+    };
+  });
+}
+
+function fromRounds(rounds) {
+  const matches = [];
+  rounds.forEach((r) => {
+    r.courts.forEach((court, i) => {
+      matches.push({
+        round: r.round,
+        court,
+        players: r.slots.slice(i * 4, i * 4 + 4),
+      });
+    });
+  });
+  return matches;
+}
+
+/* ---------- cost ---------- */
+// Components (all "lower is better"):
+//  - partnerRepeats:  Σ over partner pairs of C(times together today, 2)
+//  - opponentRepeats: Σ over opponent pairs of C(times faced today, 2)
+//  - historyRepeats:  Σ over today's partnerships of past pair count (capped)
+//  - opponentHistoryRepeats: Σ over today's opponent pairs of the times they
+//                     faced each other in past sessions (capped)
+//  - restFairness:    Σ (games − fair share)² + back-to-back rests, where games
+//                     include ctx.priorPlays (rounds kept when re-planning) and
+//                     the fair share only accrues over rounds a player is present
+//  - ratingBalance:   Σ over matches of |rating(team A) − rating(team B)|
+//  - constraints:     Σ over matches of playerConstraints penalties (already
+//                     weighted per kind, so the default weight is 1)
+//
+// The sums are kept as running totals: a swap only touches one round, so
+// its cost change comes from taking that round out, swapping and putting it
+// back, instead of re-scoring the whole session.
+function costTracker(rounds, roster, ctx, weights) {
+  const partners = new Map();
+  const opponents = new Map();
+  const plays = new Map(roster.map((p) => [p, ctx.priorPlays.get(p) || 0]));
+  const meanPrior =
+    [...plays.values()].reduce((a, n) => a + n, 0) / (roster.length || 1);
+  const expected = new Map(roster.map((p) => [p, meanPrior]));
+  rounds.forEach((r) => {
+    const share = (r.matchCount * 4) / (r.slots.length || 1);
+    r.slots.forEach((p) => bumpCount(expected, p, share));
+  });
+  const rating = (p) => ctx.ratings.get(p) ?? DEFAULT_RATING;
+  const past = (history, x, y) =>
+    Math.min(history.get(pairKey(x, y)) || 0, MAX_HISTORY_PENALTY);
+
+  const sums = {
+    partnerRepeats: 0,
+    opponentRepeats: 0,
+    historyRepeats: 0,
+    opponentHistoryRepeats: 0,
+    spread: 0,
+    doubleRests: 0,
+    ratingBalance: 0,
+    constraints: 0,
+  };
+  plays.forEach((n, p) => {
+    sums.spread += (n - (expected.get(p) || 0)) ** 2;
+  });
+
+  // C(n, 2) grows by n when a pair meets once more
+  const meet = (map, key, by, component) => {
+    const n = map.get(key) || 0;
+    sums[component] += by > 0 ? n : -(n - 1);
+    map.set(key, n + by);
+  };
+  const play = (p, by) => {
+    const n = plays.get(p) || 0;
+    const e = expected.get(p) || 0;
+    sums.spread += (n + by - e) ** 2 - (n - e) ** 2;
+    plays.set(p, n + by);
+  };
+
+  // add (sign 1) or take out (sign -1) the matches of round idx
+  const applyMatches = (idx, sign) => {
+    const r = rounds[idx];
+    const present = ctx.constraints.size ? new Set(r.slots) : null;
+    for (let m = 0; m < r.matchCount; m++) {
+      const [a, b, c, d] = r.slots.slice(m * 4, m * 4 + 4);
+      meet(partners, pairKey(a, b), sign, "partnerRepeats");
+      meet(partners, pairKey(c, d), sign, "partnerRepeats");
+      [
+        [a, c],
+        [a, d],
+        [b, c],
+        [b, d],
+      ].forEach(([x, y]) => {
+        meet(opponents, pairKey(x, y), sign, "opponentRepeats");
+        sums.opponentHistoryRepeats += sign * past(ctx.opponentHistory, x, y);
+      });
+      [a, b, c, d].forEach((p) => play(p, sign));
+      sums.historyRepeats +=
+        sign *
+        (past(ctx.pairingHistory, a, b) + past(ctx.pairingHistory, c, d));
+      sums.ratingBalance +=
+        sign * Math.abs(rating(a) + rating(b) - rating(c) - rating(d));
+      if (present) {
+        sums.constraints +=
+          sign * constraintPenalty(ctx.constraints, [a, b, c, d], present);
+      }
+    }
+  };
+
+  // players resting in round idx and the one before
+  const restsAfter = (idx) => {
+    if (idx < 1 || idx >= rounds.length) return 0;
+    const before = rounds[idx - 1];
+    const prev = new Set(before.slots.slice(before.matchCount * 4));
+    const r = rounds[idx];
+    return r.slots.slice(r.matchCount * 4).filter((p) => prev.has(p)).length;
+  };
+  const applyRests = (idx, sign) => {
+    sums.doubleRests += sign * (restsAfter(idx) + restsAfter(idx + 1));
+  };
+
+  rounds.forEach((_, idx) => {
+    applyMatches(idx, 1);
+    sums.doubleRests += restsAfter(idx);
+  });
+
+  const breakdown = () => ({
+    partnerRepeats: sums.partnerRepeats,
+    opponentRepeats: sums.opponentRepeats,
+    historyRepeats: sums.historyRepeats,
+    opponentHistoryRepeats: sums.opponentHistoryRepeats,
+    restFairness: Math.round((sums.spread + sums.doubleRests) * 100) / 100,
+    ratingBalance: Math.round(sums.ratingBalance * 100) / 100,
+    constraints: sums.constraints,
+  });
+  const weight = (k) => weights[k] ?? 0;
+  const total = () =>
+    weight("partnerRepeats") * sums.partnerRepeats +
+    weight("opponentRepeats") * sums.opponentRepeats +
+    weight("historyRepeats") * sums.historyRepeats +
+    weight("opponentHistoryRepeats") * sums.opponentHistoryRepeats +
+    weight("restFairness") * (sums.spread + sums.doubleRests) +
+    weight("ratingBalance") * sums.ratingBalance +
+    weight("constraints") * sums.constraints;
+
+  return {
+    // { total, breakdown } of the schedule as it is now
+    cost() {
+      const parts = breakdown();
+      const sum = Object.keys(parts).reduce(
+        (acc, k) => acc + weight(k) * parts[k],
+        0,
+      );
+      return { total: Math.round(sum * 100) / 100, breakdown: parts };
+    },
+    // swap slots i and j of round idx; returns the new total
+    swap(idx, i, j) {
+      const { slots, matchCount } = rounds[idx];
+      // who rests only changes when a player moves on or off court
+      const rests = i < matchCount * 4 !== j < matchCount * 4;
+      applyMatches(idx, -1);
+      if (rests) applyRests(idx, -1);
+      [slots[i], slots[j]] = [slots[j], slots[i]];
+      applyMatches(idx, 1);
+      if (rests) applyRests(idx, 1);
+      return Math.round(total() * 100) / 100;
+    },
+  };
+}
+
+function costContext(ctx) {
+  return {
+    pairingHistory: ctx.pairingHistory || new Map(),
+    opponentHistory: ctx.opponentHistory || new Map(),
+    ratings: ctx.ratings || new Map(),
+    priorPlays: ctx.priorPlays || new Map(),
+    constraints: indexConstraints(ctx.constraints),
+  };
+}
+
+// Score an existing schedule with the optimizer's cost function.
+export function scheduleCost(matches, roster, ctx = {}, weights = {}) {
+  return costTracker(
+    toRounds(matches || [], roster || [], ctx.availability),
+    roster || [],
+    costContext(ctx),
+    { ...DEFAULT_WEIGHTS, ...weights },
+  ).cost();
+}
+
+/* ---------- simulated annealing ---------- */
+/**
+ * optimizeSchedule
+ * @param {Object} opts
+ *  - matches:        starting schedule [{ round, court, players: [a1,a2,b1,b2] }]
+ *  - players:        full roster for the session (resting players included)
+ *  - pairingHistory: Map<pairKey, count> partnerships in past sessions
+ *  - opponentHistory: Map<pairKey, count> opponents in past sessions
+ *  - ratings:        Map<playerId, number>
+ *  - priorPlays:     Map<playerId, games already played today> (re-planning)
+ *  - availability:   Map<playerId, { from, to }> arrival/departure rounds
+ *  - constraints:    [{ player_a, player_b, kind }] player pair constraints
+ *  - weights:        partial DEFAULT_WEIGHTS override
+ *  - maxIterations / timeBudgetMs: whichever runs out first stops the search
+ *  - seed:           number for the RNG
+ *  - onProgress:     optional ({ iterations, maxIterations, elapsedMs,
+ *                    timeBudgetMs, cost, initialCost, best? }) callback, called
+ *                    every 256 swaps; best = { matches, breakdown } is the best
+ *                    schedule so far, included when it improved since the
+ *                    previous call
+ * @returns { matches, cost, breakdown, initialCost, iterations, elapsedMs,
+ *            timedOut }
+ * The same seed replays the same swaps, so the result is reproducible as
+ * long as the search isn't cut short by timeBudgetMs (timedOut); on a slower
+ * device fewer swaps fit in the budget.
+ */
+export function optimizeSchedule({
+  matches,
+  players,
+  pairingHistory = new Map(),
+  opponentHistory = new Map(),
+  ratings = new Map(),
+  priorPlays = new Map(),
+  availability = new Map(),
+  constraints = [],
+  weights = {},
+  maxIterations = DEFAULT_BUDGET.maxIterations,
+  timeBudgetMs = DEFAULT_BUDGET.timeBudgetMs,
+  seed = 1,
+  onProgress,
+} = {}) {
+  const roster = players || [];
+  const w = { ...DEFAULT_WEIGHTS, ...weights };
+  const rng = mulberry32(seed);
+  const started = Date.now();
+
+  const current = toRounds(matches || [], roster, availability);
+  const ctx = costContext({
+    pairingHistory,
+    opponentHistory,
+    ratings,
+    priorPlays,
+    constraints,
+  });
+  const tracker = costTracker(current, roster, ctx, w);
+  let currentCost = tracker.cost();
+  const initialCost = currentCost;
+  let best = current.map((r) => ({ ...r, slots: r.slots.slice() }));
+  let bestCost = currentCost;
+  let bestReported = false;
+
+  // only rounds with at least two slots can be changed
+  const movable = current
+    .map((r, i) => (r.slots.length > 1 && r.matchCount > 0 ? i : -1))
+    .filter((i) => i >= 0);
+
+  const startTemp = Math.max(1, currentCost.total * 0.05);
+  let iterations = 0;
+  let timedOut = false;
+
+  while (movable.length && iterations < maxIterations) {
+    if ((iterations & 255) === 0) {
+      const elapsedMs = Date.now() - started;
+      if (elapsedMs > timeBudgetMs) {
+        timedOut = true;
+        break;
+      }
+      onProgress?.({
+        iterations,
+        maxIterations,
+        elapsedMs,
+        timeBudgetMs,
+        cost: bestCost.total,
+        initialCost: initialCost.total,
+        best: bestReported
+          ? undefined
+          : { matches: fromRounds(best), breakdown: bestCost.breakdown },
+      });
+      bestReported = true;
+    }
+    iterations++;
+
+    const idx = movable[Math.floor(rng() * movable.length)];
+    const r = current[idx];
+    const i = Math.floor(rng() * r.slots.length);
+    const j = Math.floor(rng() * r.slots.length);
+    const playing = r.matchCount * 4;
+    // two resting slots, or two slots on the same team: nothing changes
+    if (i === j || (i >= playing && j >= playing)) continue;
+    if (i < playing && j < playing && Math.floor(i / 2) === Math.floor(j / 2))
+      continue;
+
+    const next = tracker.swap(idx, i, j);
+    const delta = next - currentCost.total;
+    const temp = startTemp * Math.pow(0.001, iterations / maxIterations);
+
+    if (delta <= 0 || rng() < Math.exp(-delta / temp)) {
+      currentCost = { total: next };
+      if (next < bestCost.total) {
+        bestCost = tracker.cost();
+        bestReported = false;
+        best = current.map((round) => ({
+          ...round,
+          slots: round.slots.slice(),
+        }));
+      }
+    } else {
+      tracker.swap(idx, i, j);
+    }
+  }
+
+  // re-scored from scratch: the running totals pick up rounding drift
+  const final = costTracker(best, roster, ctx, w).cost();
+  return {
+    matches: fromRounds(best),
+    cost: final.total,
+    breakdown: final.breakdown,
+    initialCost: initialCost.total,
+    iterations,
+    elapsedMs: Date.now() - started,
+    timedOut,
+  };
+}
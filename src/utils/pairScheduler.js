@@ -1,164 +1,204 @@
 // src/utils/pairScheduler.js
-// Generate matches treating each pair as an atomic team (pair = [playerA, playerB])
+// Round-robin for fixed teams: each pair (pair = [playerA, playerB]) meets
+// every other pair exactly once per cycle (twice for a double round-robin,
+// sides swapped in the second cycle).
 // Output: array of match objects compatible with saveScheduleToDb mapper:
 // { match_index, round, court, players: [pA1, pA2, pB1, pB2] }
-
-function hashStringToSeed(str) {
-  let h = 2166136261 >>> 0;
-  for (let i = 0; i < (str || "").length; i++) {
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 16777619) >>> 0;
+import { rngFor, seededShuffle, isAvailable } from "./schedulerHelpers";
+
+const BYE = { id: "__BYE__" };
+
+// Circle method: N teams (plus a bye for odd N) → N-1 matchdays in which
+// every team plays once (or sits out its single bye).
+function circleRounds(teams) {
+  const order = teams.length % 2 === 1 ? [...teams, BYE] : [...teams];
+  const n = order.length;
+  const rounds = [];
+  let rot = order;
+  for (let r = 0; r < n - 1; r++) {
+    const games = [];
+    for (let i = 0; i < n / 2; i++) {
+      const a = rot[i];
+      const b = rot[n - 1 - i];
+      if (a === BYE || b === BYE) continue;
+      // alternate sides so nobody is always "team A"
+      games.push(r % 2 === 0 ? [a, b] : [b, a]);
+    }
+    rounds.push(games);
+    // keep the first team fixed, rotate the rest one place to the right
+    const [first, ...rest] = rot;
+    rest.unshift(rest.pop());
+    rot = [first, ...rest];
   }
-  return h >>> 0;
-}
-function mulberry32(a) {
-  return function () {
-    a |= 0;
-    a = (a + 0x6d2b79f5) | 0;
-    let t = Math.imul(a ^ (a >>> 15), 1 | a);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
+  return rounds;
 }
 
-// deterministic shuffle
-function seededShuffle(arr, rng) {
-  const a = arr.slice();
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(rng() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
+/**
+ * packIntoSlots
+ * Lays the fixtures of each cycle out on `courts` courts. A time slot
+ * (schedule round) never has a team twice; within a cycle the team that has
+ * waited longest goes first, so sitting out is spread evenly (a team about
+ * to leave goes before that). Cycles are
+ * played in order. A fixture waits for a slot where canPlay(team, slot)
+ * holds for both teams; from slot `lastArrival` on nobody arrives any more,
+ * so a slot where no fixture can be played ends the cycle (the rest is not
+ * played).
+ */
+function packIntoSlots(cycles, courts, canPlay = () => true, lastArrival = 0) {
+  const slots = [];
+  const lastSlot = new Map(); // team id → last slot played
+  cycles.forEach((fixtures) => {
+    let remaining = fixtures.map((f, order) => ({ f, order }));
+    while (remaining.length) {
+      const slot = slots.length;
+      if (
+        slot >= lastArrival &&
+        !remaining.some(({ f }) => f.every((t) => canPlay(t, slot)))
+      )
+        break;
+      const waited = (t) => slot - (lastSlot.get(t.id) ?? -1);
+      // a team that is gone next slot plays its fixtures first
+      const leaving = (f) => f.filter((t) => !canPlay(t, slot + 1)).length;
+      const busy = new Set();
+      const games = [];
+      const byUrgency = [...remaining].sort(
+        (x, y) =>
+          leaving(y.f) - leaving(x.f) ||
+          waited(y.f[0]) + waited(y.f[1]) - (waited(x.f[0]) + waited(x.f[1])) ||
+          x.order - y.order,
+      );
+      for (const item of byUrgency) {
+        if (games.length >= courts) break;
+        const [a, b] = item.f;
+        if (busy.has(a.id) || busy.has(b.id)) continue;
+        if (!canPlay(a, slot) || !canPlay(b, slot)) continue;
+        busy.add(a.id);
+        busy.add(b.id);
+        games.push(item);
+      }
+      games.forEach(({ f: [a, b] }) => {
+        lastSlot.set(a.id, slot);
+        lastSlot.set(b.id, slot);
+      });
+      remaining = remaining.filter((item) => !games.includes(item));
+      slots.push(games.map((g) => g.f));
+    }
+  });
+  return slots;
 }
 
 /**
- * generatePairSchedule
+ * planRoundRobin
  * @param {Object} opts
- *  - pairs: [{ id: 'p1', players: [uuidA, uuidB], label?, name? }, ...]  (treat each element as a team)
+ *  - pairs: [{ id, players: [uuidA, uuidB], label?, name? }, ...]
  *  - courts: number
- *  - matchesPerCourt: number
- *  - dateSeed: string (YYYY-MM-DD) used for deterministic RNG when seedDeterministic=true
- *  - seedDeterministic: boolean
- * @returns array of matches: [{ match_index, round, court, players: [pA1,pA2,pB1,pB2] }, ...]
+ *  - rounds: number of schedule rounds available (null = as many as needed)
+ *  - cycles: 1 (single round-robin) or 2 (double)
+ *  - seed: seed code for the shuffle of the team order
+ *  - availability: Map<playerId, { from?, to? }> arrival/departure rounds;
+ *    a pair sits out the rounds one of its players isn't there for
+ * @returns {
+ *   matches: [{ match_index, round, court, players, teams: [idA, idB] }],
+ *   report: { teams, cycles, fixtures, roundsNeeded, roundsRequested,
+ *             courtsUsable, fits, scheduled, missing, byes: { [id]: n } }
+ * }
+ * When rounds × courts is too small the schedule is cut after `rounds`
+ * rounds and report.fits is false; `missing` fixtures are not played.
  */
-export function generatePairSchedule({
+export function planRoundRobin({
   pairs,
   courts = 1,
-  matchesPerCourt = 5,
-  dateSeed = new Date().toISOString().slice(0, 10),
-  seedDeterministic = true,
+  rounds = null,
+  cycles = 1,
+  seed = new Date().toISOString().slice(0, 10),
+  availability = null,
 }) {
-  if (!Array.isArray(pairs) || pairs.length < 2) return [];
-
-  const totalMatches = courts * matchesPerCourt;
-  const teams = pairs.slice(); // each element is a team/pair
-  const teamCount = teams.length;
-
-  // seed RNG
-  const seedSource = seedDeterministic
-    ? String(dateSeed || "")
-    : String(Date.now());
-  const seed = hashStringToSeed(seedSource);
-  const rng = mulberry32(seed);
-
-  // we will form an ordering of teams and rotate them to create pairings.
-  let order = seededShuffle(teams, rng);
+  const teams = Array.isArray(pairs) ? pairs : [];
+  const cycleCount = cycles === 2 ? 2 : 1;
+  if (teams.length < 2) {
+    return { matches: [], report: null };
+  }
 
-  // If there is odd number of teams, we will add a dummy bye team (null) so rotation works.
-  const hasBye = order.length % 2 === 1;
-  if (hasBye) order.push({ id: "__BYE__" });
+  const order = seededShuffle(teams, rngFor(String(seed || "")));
+  const single = circleRounds(order).flat();
+  const cycleFixtures = [single];
+  if (cycleCount === 2) cycleFixtures.push(single.map(([a, b]) => [b, a]));
+
+  const courtsUsable = Math.min(courts, Math.floor(teams.length / 2));
+  const canPlay = (team, slot) =>
+    (team.players || []).every((p) => isAvailable(availability, p, slot + 1));
+  const lastArrival = Math.max(
+    0,
+    ...[...(availability?.values() || [])].map((w) => (w.from ?? 1) - 1),
+  );
+  const slots = packIntoSlots(
+    cycleFixtures,
+    courtsUsable,
+    canPlay,
+    lastArrival,
+  );
+  const roundsRequested = rounds == null ? null : rounds;
+  const played =
+    roundsRequested == null ? slots : slots.slice(0, roundsRequested);
 
-  const roundsNeeded = Math.ceil((totalMatches * 2) / order.length); // crude upper bound of rotation rounds
   const matches = [];
-  let matchIndex = 1;
-
-  // Use circle method for round-robin over teams array
-  // But we need at most totalMatches; and each round produces order.length / 2 matches
-  const N = order.length;
-
-  // build initial array of indices
-  let rot = order.slice();
-
-  for (
-    let round = 0;
-    round < roundsNeeded && matches.length < totalMatches;
-    round++
-  ) {
-    // pair teams by index: (0, N-1), (1, N-2), ...
-    const roundPairs = [];
-    for (let i = 0; i < N / 2; i++) {
-      const a = rot[i];
-      const b = rot[N - 1 - i];
-      if (!a || !b) continue;
-      if (a.id === "__BYE__" || b.id === "__BYE__") continue;
-      roundPairs.push([a, b]);
-    }
-
-    // shuffle the roundPairs a bit deterministically to diversify court assignments
-    const shuffledRoundPairs = seededShuffle(roundPairs, rng);
-
-    // assign to courts: up to 'courts' matches per physical time-slot within this round
-    // We'll produce one "round number" per rotation pass and assign matches across courts
-    // If there are more pairs than courts, subsequent matches are considered later rounds (we'll still count them and continue)
-    for (
-      let slot = 0;
-      slot < shuffledRoundPairs.length && matches.length < totalMatches;
-      slot++
-    ) {
-      const pair = shuffledRoundPairs[slot];
-      const court = (matches.length % courts) + 1;
-      const roundNumber = Math.floor(matches.length / courts) + 1;
-      const [teamA, teamB] = pair;
-      // flatten players arrays into 4 element array (teamA.players concat teamB.players)
-      const playerIds = [
-        ...(teamA.players || []),
-        ...(teamB.players || []),
-      ].slice(0, 4); // ensure max 4
-      // if teamA or teamB somehow have <2 players, we still save whatever exists (caller should validate)
+  const byes = Object.fromEntries(teams.map((t) => [t.id, 0]));
+  played.forEach((games, idx) => {
+    const playing = new Set();
+    games.forEach(([a, b], c) => {
+      playing.add(a.id);
+      playing.add(b.id);
       matches.push({
-        match_index: matchIndex++,
-        round: roundNumber,
-        court,
-        players: playerIds,
+        match_index: matches.length + 1,
+        round: idx + 1,
+        court: c + 1,
+        players: [...(a.players || []), ...(b.players || [])],
+        teams: [a.id, b.id],
       });
-      if (matches.length >= totalMatches) break;
-    }
-
-    // rotate (keep first element fixed, rotate rest to the right)
-    if (N > 2) {
-      const first = rot[0];
-      const rest = rot.slice(1);
-      rest.unshift(rest.pop());
-      rot = [first, ...rest];
-    }
-  }
-
-  // If we still didn't reach requested matches (very few teams), we can reuse pairings by repeating order until filled
-  if (matches.length < totalMatches) {
-    let i = 0;
-    while (matches.length < totalMatches) {
-      const tA = order[i % order.length];
-      const tB = order[(i + 1) % order.length];
-      if (
-        tA &&
-        tB &&
-        tA.id !== "__BYE__" &&
-        tB.id !== "__BYE__" &&
-        tA.id !== tB.id
-      ) {
-        matches.push({
-          match_index: matchIndex++,
-          round: Math.floor(matches.length / courts) + 1,
-          court: (matches.length % courts) + 1,
-          players: [...(tA.players || []), ...(tB.players || [])].slice(0, 4),
-        });
-      }
-      i++;
-      if (i > 1000) break; // safety
-    }
-  }
+    });
+    teams.forEach((t) => {
+      if (!playing.has(t.id)) byes[t.id] += 1;
+    });
+  });
+
+  const fixtures = cycleFixtures.reduce((acc, f) => acc + f.length, 0);
+  return {
+    matches,
+    report: {
+      teams: teams.length,
+      cycles: cycleCount,
+      fixtures,
+      roundsNeeded: slots.length,
+      roundsRequested,
+      courtsUsable,
+      fits: matches.length === fixtures,
+      scheduled: matches.length,
+      missing: fixtures - matches.length,
+      byes,
+    },
+  };
+}
 
-  return matches.slice(0, totalMatches);
+/**
+ * generatePairSchedule
+ * Match list only (see planRoundRobin for the fit report).
+ *  - matchesPerCourt: schedule rounds available
+ * @returns array of matches: [{ match_index, round, court, players: [pA1,pA2,pB1,pB2] }, ...]
+ */
+export function generatePairSchedule({
+  pairs,
+  courts = 1,
+  matchesPerCourt = 5,
+  cycles = 1,
+  seed,
+}) {
+  return planRoundRobin({
+    pairs,
+    courts,
+    rounds: matchesPerCourt,
+    cycles,
+    seed,
+  }).matches;
 }
 
-export default { generatePairSchedule };
+export default { generatePairSchedule, planRoundRobin };
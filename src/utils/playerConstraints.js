@@ -0,0 +1,118 @@
+// src/utils/playerConstraints.js
+// Pair constraints between players (table player_constraints):
+//   avoid_partner   never on the same team
+//   avoid_opponent  never on opposite teams of the same match
+//   must_partner    whenever both are at the session, they play together
+// Generators treat these as heavily weighted penalties (see roundRepair.js),
+// and the quality report lists whatever could not be honoured.
+import { pairKey } from "./schedulerHelpers";
+import { teamsOf, isMatchSize } from "./matchTeams";
+
+export const CONSTRAINT_KINDS = [
+  { id: "avoid_partner", label: "Never partner", short: "≠ partner" },
+  { id: "avoid_opponent", label: "Never opponents", short: "≠ opponent" },
+  { id: "must_partner", label: "Always partner", short: "= partner" },
+];
+
+// Penalty per broken constraint. Avoid-opponent is softer: with few players
+// it can be impossible to keep two people apart all session.
+const CONSTRAINT_WEIGHTS = {
+  avoid_partner: 1000,
+  avoid_opponent: 300,
+  must_partner: 1000,
+};
+
+// [{ player_a, player_b, kind }] → lookups by pair key / player.
+export function indexConstraints(constraints = []) {
+  const avoidPartner = new Set();
+  const avoidOpponent = new Set();
+  const mustPartner = new Map(); // playerId → [partnerId]
+  constraints.forEach(({ player_a: a, player_b: b, kind }) => {
+    if (!a || !b || a === b) return;
+    if (kind === "avoid_partner") avoidPartner.add(pairKey(a, b));
+    else if (kind === "avoid_opponent") avoidOpponent.add(pairKey(a, b));
+    else if (kind === "must_partner") {
+      mustPartner.set(a, [...(mustPartner.get(a) || []), b]);
+      mustPartner.set(b, [...(mustPartner.get(b) || []), a]);
+    }
+  });
+  return {
+    avoidPartner,
+    avoidOpponent,
+    mustPartner,
+    size: constraints.length,
+  };
+}
+
+// Broken constraints in one match split [a1, a2, b1, b2] (or singles
+// [a, b]). `present` is
+// everyone at the session that round (playing or resting); a must-partner
+// pair only counts when both are present.
+function splitViolations(index, split, present) {
+  const out = [];
+  const { teamA, teamB } = teamsOf(split);
+  const teams = [teamA, teamB];
+  teams.forEach(([x, y]) => {
+    if (x && y && index.avoidPartner.has(pairKey(x, y)))
+      out.push({ kind: "avoid_partner", a: x, b: y });
+  });
+  teams[0].forEach((x) =>
+    teams[1].forEach((y) => {
+      if (index.avoidOpponent.has(pairKey(x, y)))
+        out.push({ kind: "avoid_opponent", a: x, b: y });
+    }),
+  );
+  teams.forEach((team) =>
+    team.forEach((x) => {
+      (index.mustPartner.get(x) || []).forEach((y) => {
+        const partner = team.find((p) => p !== x);
+        if (partner === y) return;
+        if (!present || present.has(y)) {
+          // report each broken pair once per match
+          if (x < y || !split.includes(y))
+            out.push({ kind: "must_partner", a: x, b: y });
+        }
+      });
+    }),
+  );
+  return out;
+}
+
+// roundRepair penalty for a match split.
+export function constraintPenalty(index, split, present) {
+  if (!index?.size) return 0;
+  return splitViolations(index, split, present).reduce(
+    (acc, v) => acc + CONSTRAINT_WEIGHTS[v.kind],
+    0,
+  );
+}
+
+/**
+ * constraintViolations
+ * Broken constraints in a schedule (preview matches or saved rows, with a
+ * round on every entry). Resting lists tell who was present in a round.
+ * @returns [{ match_index, round, court, kind, a, b }]
+ */
+export function constraintViolations(matches, constraints = []) {
+  const index = indexConstraints(constraints);
+  if (!index.size) return [];
+  const presentByRound = new Map();
+  (matches || []).forEach((m) => {
+    if (!presentByRound.has(m.round)) presentByRound.set(m.round, new Set());
+    const set = presentByRound.get(m.round);
+    (m.player_ids || m.players || []).forEach((p) => set.add(p));
+    (m.resting_player_ids || m.resting || []).forEach((p) => set.add(p));
+  });
+  return (matches || []).flatMap((m) => {
+    const ids = m.player_ids || m.players || [];
+    if (!isMatchSize(ids.length)) return [];
+    return splitViolations(index, ids, presentByRound.get(m.round)).map(
+      (v) => ({
+        match_index: m.match_index,
+        round: m.round,
+        court: m.court,
+        ...v,
+      }),
+    );
+  });
+}
@@ -0,0 +1,171 @@
+// src/utils/roundEdit.js
+// Hand edits to a schedule, one round at a time: a player on court or on
+// the resting list swaps places with another player of the same round.
+// Works on preview matches ({ match_index, round, court, players, resting })
+// and on saved rows ({ id, match_index, round, court, player_ids,
+// resting_player_ids, winner }); matches with a recorded winner are locked.
+//
+// Draft shape:
+//   [{ round, matches: [{ key, court, players, locked }], resting: [ids] }]
+// A slot is { round, key, index } for a court position or
+// { round, rest: index } for a place on the resting list.
+import { evaluateSchedule } from "./scheduleQuality";
+
+const keyOf = (m) => m.id ?? `preview-${m.match_index}`;
+const playersOf = (m) => m.player_ids || m.players || [];
+const restingOf = (m) => m.resting_player_ids || m.resting || [];
+
+/**
+ * buildRoundDraft
+ * @param matches  preview matches or saved rows
+ */
+export function buildRoundDraft(matches) {
+  const byRound = new Map();
+  [...(matches || [])]
+    .sort((a, b) => a.match_index - b.match_index)
+    .forEach((m) => {
+      const round = m.round;
+      if (!byRound.has(round)) {
+        byRound.set(round, { round, matches: [], resting: [...restingOf(m)] });
+      }
+      byRound.get(round).matches.push({
+        key: keyOf(m),
+        court: m.court,
+        players: [...playersOf(m)],
+        locked: m.winner?.length > 0,
+      });
+    });
+  return [...byRound.values()].sort((a, b) => a.round - b.round);
+}
+
+function playerAt(round, slot) {
+  if (slot.rest != null) return round.resting[slot.rest];
+  return round.matches.find((m) => m.key === slot.key)?.players[slot.index];
+}
+
+function isLocked(round, slot) {
+  if (slot.rest != null) return false;
+  return !!round.matches.find((m) => m.key === slot.key)?.locked;
+}
+
+/**
+ * swapSlots
+ * Swap the players in two slots of the same round.
+ * @returns { draft, error } — draft is unchanged (same object) on error
+ */
+export function swapSlots(draft, a, b) {
+  if (a.round !== b.round) {
+    return { draft, error: "Players can only be swapped within a round" };
+  }
+  const round = draft.find((r) => r.round === a.round);
+  if (!round) return { draft, error: "Unknown round" };
+  if (isLocked(round, a) || isLocked(round, b)) {
+    return { draft, error: "That match already has a result" };
+  }
+  const pa = playerAt(round, a);
+  const pb = playerAt(round, b);
+  if (pa == null || pb == null) return { draft, error: "Empty slot" };
+  if (pa === pb) return { draft, error: null };
+
+  const put = (r, slot, id) => {
+    if (slot.rest != null) {
+      r.resting[slot.rest] = id;
+    } else {
+      const m = r.matches.find((x) => x.key === slot.key);
+      m.players[slot.index] = id;
+    }
+  };
+  const next = {
+    ...round,
+    matches: round.matches.map((m) => ({ ...m, players: [...m.players] })),
+    resting: [...round.resting],
+  };
+  put(next, a, pb);
+  put(next, b, pa);
+  return {
+    draft: draft.map((r) => (r.round === a.round ? next : r)),
+    error: null,
+  };
+}
+
+/**
+ * validateDraft
+ * Live checks while editing.
+ * @returns {
+ *   duplicates: [{ round, playerId }]   a player twice in one round
+ *   restSpread: { min, max }            rounds rested per player
+ *   restRuns:   [{ playerId, run }]     players sitting out 2+ rounds in a row
+ *   ok:         no duplicates
+ * }
+ */
+export function validateDraft(draft) {
+  const duplicates = [];
+  draft.forEach((r) => {
+    const seen = new Set();
+    [...r.matches.flatMap((m) => m.players), ...r.resting].forEach((p) => {
+      if (seen.has(p)) duplicates.push({ round: r.round, playerId: p });
+      seen.add(p);
+    });
+  });
+  const report = evaluateSchedule(draftToMatches(draft));
+  const present = report.players.filter((p) => p.present > 0);
+  const rests = present.map((p) => p.rests);
+  return {
+    duplicates,
+    restSpread: {
+      min: rests.length ? Math.min(...rests) : 0,
+      max: rests.length ? Math.max(...rests) : 0,
+    },
+    restRuns: present
+      .filter((p) => p.maxConsecutiveRests > 1)
+      .map((p) => ({ playerId: p.id, run: p.maxConsecutiveRests })),
+    ok: duplicates.length === 0,
+  };
+}
+
+// Plain { round, court, players, resting } list for quality reports.
+export function draftToMatches(draft) {
+  let index = 0;
+  return draft.flatMap((r) =>
+    r.matches.map((m) => ({
+      match_index: ++index,
+      round: r.round,
+      court: m.court,
+      players: m.players,
+      resting: r.resting.length ? r.resting : null,
+    })),
+  );
+}
+
+/**
+ * applyDraft
+ * The original matches with the draft's players and resting lists, in the
+ * same shape they came in (preview or saved rows), plus the saved rows that
+ * changed as [{ id, player_ids, resting_player_ids }] for a batched update.
+ */
+export function applyDraft(matches, draft) {
+  const byKey = new Map();
+  draft.forEach((r) =>
+    r.matches.forEach((m) => byKey.set(m.key, { ...m, resting: r.resting })),
+  );
+  const changes = [];
+  const updated = (matches || []).map((m) => {
+    const d = byKey.get(keyOf(m));
+    if (!d) return m;
+    const resting = d.resting.length ? d.resting : null;
+    const same =
+      playersOf(m).join() === d.players.join() &&
+      restingOf(m).join() === (resting || []).join();
+    if (same) return m;
+    if (m.player_ids) {
+      changes.push({
+        id: m.id,
+        player_ids: d.players,
+        resting_player_ids: resting,
+      });
+      return { ...m, player_ids: d.players, resting_player_ids: resting };
+    }
+    return { ...m, players: d.players, resting };
+  });
+  return { matches: updated, changes };
+}
@@ -0,0 +1,111 @@
+// src/utils/roundRepair.js
+// Post-pass shared by mixed-doubles mode and player constraints: reshuffle
+// players inside each round (between matches, or with resting players) and
+// re-split teams so a per-match penalty goes down. Works on the output of
+// any strategy, so every generator honours these rules the same way.
+
+// The three ways to split four players into two teams, current split first.
+function splits([a, b, c, d]) {
+  return [
+    [a, b, c, d],
+    [a, c, b, d],
+    [a, d, b, c],
+  ];
+}
+
+// Cheapest team split of four players under `penalty(split, roundPlayers)`.
+export function bestSplit(players, penalty, roundPlayers) {
+  let best = null;
+  for (const split of splits(players)) {
+    const cost = penalty(split, roundPlayers);
+    if (!best || cost < best.cost) best = { split, cost };
+  }
+  return best;
+}
+
+function repairRound(roundMatches, resting, penalty) {
+  const roundPlayers = new Set([
+    ...roundMatches.flatMap((m) => m.players),
+    ...resting,
+  ]);
+  const total = () =>
+    roundMatches.reduce(
+      (acc, m) => acc + bestSplit(m.players, penalty, roundPlayers).cost,
+      0,
+    );
+
+  let best = total();
+  let improved = true;
+  // first-improvement hill climb over single swaps; rounds are small
+  while (improved && best > 0) {
+    improved = false;
+    for (let i = 0; i < roundMatches.length && !improved; i++) {
+      const mi = roundMatches[i].players;
+      if (bestSplit(mi, penalty, roundPlayers).cost === 0) continue;
+      for (let si = 0; si < mi.length && !improved; si++) {
+        // swap with another match of the same round
+        for (let j = 0; j < roundMatches.length && !improved; j++) {
+          if (j === i) continue;
+          const mj = roundMatches[j].players;
+          for (let sj = 0; sj < mj.length && !improved; sj++) {
+            [mi[si], mj[sj]] = [mj[sj], mi[si]];
+            const cost = total();
+            if (cost < best) {
+              best = cost;
+              improved = true;
+            } else {
+              [mi[si], mj[sj]] = [mj[sj], mi[si]];
+            }
+          }
+        }
+        // swap with a resting player
+        for (let r = 0; r < resting.length && !improved; r++) {
+          [mi[si], resting[r]] = [resting[r], mi[si]];
+          const cost = total();
+          if (cost < best) {
+            best = cost;
+            improved = true;
+          } else {
+            [mi[si], resting[r]] = [resting[r], mi[si]];
+          }
+        }
+      }
+    }
+  }
+  roundMatches.forEach((m) => {
+    m.players = bestSplit(m.players, penalty, roundPlayers).split;
+  });
+}
+
+/**
+ * repairRounds
+ * @param matches  finalized matches [{ match_index, round, court, players, resting }]
+ * @param penalty  (split [a1, a2, b1, b2], roundPlayers: Set) => number, 0 = fine
+ * @returns copies of the matches with the same round/court/numbering; only
+ *          four-player matches are touched.
+ */
+export function repairRounds(matches, penalty) {
+  const copies = (matches || []).map((m) => ({
+    ...m,
+    players: [...m.players],
+    resting: m.resting ? [...m.resting] : null,
+  }));
+  const byRound = new Map();
+  copies.forEach((m) => {
+    if (!byRound.has(m.round)) byRound.set(m.round, []);
+    byRound.get(m.round).push(m);
+  });
+
+  byRound.forEach((roundMatches) => {
+    const resting = [...(roundMatches[0].resting || [])];
+    repairRound(
+      roundMatches.filter((m) => m.players.length === 4),
+      resting,
+      penalty,
+    );
+    roundMatches.forEach((m) => {
+      m.resting = resting.length ? [...resting] : null;
+    });
+  });
+  return copies;
+}
@@ -0,0 +1,660 @@
+// src/utils/scheduleEngine.js
+// Single entry point for schedule generation. Every generator in utils/ is
+// registered here as a strategy so pages can offer a strategy dropdown and
+// compare outputs for the same player set.
+//
+// Input contract (shared by all strategies):
+//   {
+//     players:         [playerId]                       players available today
+//     pairs?:          [{ id, players: [idA, idB] }]    fixed teams (fixed-pairs only)
+//     courts:          number
+//     rounds:          number                           matches per court
+//     date:            'YYYY-MM-DD'
+//     seed?:           string                           seed code; the same code and
+//                                                        input give the same schedule
+//                                                        (absent = a new code, or the
+//                                                        date when randomize is false)
+//     randomize?:      boolean                          false = stable output per date
+//     pairingHistory?: Map<pairKey, count>              fetchPairingHistoryMap()
+//     opponentHistory?: Map<pairKey, count>             fetchOpponentHistoryMap()
+//     ratings?:        Map<playerId, number>
+//     policy?:         scheduler policy (schedulerPolicy.js); defaults fill gaps
+//     balanceWeight?:  number   overrides policy.balanceWeight for this run
+//     lastPlayed?:     Map<playerId, dateString>
+//     priorPlays?:     Map<playerId, number>             games already played today
+//     availability?:   Map<playerId, { from?, to? }>     arrival/departure round
+//                                                        (inclusive; absent = all)
+//     mixed?:          boolean                           mixed-doubles mode
+//     categories?:     Map<playerId, category>           e.g. gender (mixed mode)
+//     constraints?:    [{ player_a, player_b, kind }]    fetchPlayerConstraints()
+//     format?:         "doubles" | "fill" | "singles"    fill = free courts go to
+//                                                        resting players as singles
+//     cycles?:         1 | 2                             round-robin cycles (fixed-pairs only)
+//     sessionMatches?: [saved match rows]                the day so far (mexicano, swiss)
+//     optimizer?:      { maxIterations, timeBudgetMs, weights }  (optimized only)
+//     onProgress?:     optimizer progress callback (see optimizeSchedule); once
+//                      the optimizer has a best schedule the payload also has
+//                      partialResult(), that schedule as a runStrategy result
+//   }
+//
+// Output contract (runStrategy):
+//   {
+//     strategy: id,
+//     seed:    the seed code used (save it with the matches to regenerate)
+//     matches: [{ match_index, round, court, players: [a1, a2, b1, b2] or [a, b], resting }],
+//     report:  strategy-specific details (e.g. optimizer cost breakdown) or null
+//     mixed:   { unsatisfied: [{ match_index, round, court }] } in mixed mode, else null
+//     constraints: { violations: constraintViolations() } when constraints given, else null
+//   }
+//   `resting` is the list of roster players idle in that round (or null), which
+//   saveScheduleToDb maps to resting_player_ids.
+//
+// A strategy's generate(input) returns either the raw match list or
+// { matches, report }. Strategies registered with `fixedTeams: true` are not
+// regrouped for mixed mode / constraints (their teams are the point).
+// Format "singles" replaces the strategy with the singles planner (unless it
+// is registered with `plansSingles: true` and reads input.format itself);
+// "fill" runs the strategy and then puts spare players on free courts as
+// singles. Strategies registered with `nextRoundOnly: true` plan one round at
+// a time, so singles are only added to (or planned for) that round.
+// Strategies registered with `ignoresWindows: true` plan a rotation that
+// can't follow arrival/departure rounds; runStrategy rejects an input with
+// availability windows for them instead of scheduling absent players.
+import { generateSchedule as generateHistoryAware } from "./scheduler";
+import { generateSchedule as generateSimple } from "./scheduler.simple";
+import { planRoundRobin } from "./pairScheduler";
+import { planAmericano, planMexicanoRound } from "./americano";
+import { planSwissRound } from "./swiss";
+import { generateAssignments } from "./assignments";
+import { optimizeSchedule, DEFAULT_WEIGHTS } from "./optimizer";
+import { resolvePolicy } from "./schedulerPolicy";
+import { mixedPenalty, mixedViolations } from "./mixedDoubles";
+import {
+  indexConstraints,
+  constraintPenalty,
+  constraintViolations,
+} from "./playerConstraints";
+import { repairRounds } from "./roundRepair";
+import { planSingles, generateSinglesSchedule } from "./singlesScheduler";
+import { partnerPairs, opponentPairs } from "./matchTeams";
+import {
+  hashStringToSeed,
+  newSeedCode,
+  normalizeSeedCode,
+  rngFor,
+  pairKey,
+  bumpCount,
+  isAvailable,
+} from "./schedulerHelpers";
+
+const registry = new Map();
+
+// Per team that isn't mixed; below the hard player constraints (1000).
+const MIXED_TEAM_PENALTY = 100;
+
+export const MATCH_FORMATS = [
+  { id: "doubles", label: "Doubles" },
+  { id: "fill", label: "Doubles + singles" },
+  { id: "singles", label: "Singles" },
+];
+
+export function registerStrategy(def) {
+  if (!def || !def.id || typeof def.generate !== "function") {
+    throw new Error("Strategy needs an id and a generate(input) function");
+  }
+  registry.set(def.id, def);
+  return def;
+}
+
+export function getStrategy(id) {
+  return registry.get(id) || null;
+}
+
+// [{ id, label, description, ignoresWindows }] in registration order —
+// handy for <select>s.
+export function listStrategies() {
+  return [...registry.values()].map(
+    ({ id, label, description, ignoresWindows }) => ({
+      id,
+      label,
+      description,
+      ignoresWindows: !!ignoresWindows,
+    }),
+  );
+}
+
+/* ---------- input / output normalization ---------- */
+function pairsFromPlayers(players) {
+  const pairs = [];
+  for (let i = 0; i + 1 < players.length; i += 2) {
+    pairs.push({
+      id: `pair_${i / 2 + 1}`,
+      players: [players[i], players[i + 1]],
+    });
+  }
+  return pairs;
+}
+
+export function normalizeInput(input = {}) {
+  const pairs = Array.isArray(input.pairs) ? input.pairs : null;
+  const players =
+    Array.isArray(input.players) && input.players.length > 0
+      ? input.players
+      : (pairs || []).flatMap((p) => p.players || []);
+  const toInt = (v, fallback) => {
+    const n = parseInt(v, 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+  const policy = resolvePolicy(input.policy);
+  const date = input.date || new Date().toISOString().slice(0, 10);
+  return {
+    ...input,
+    players,
+    pairs,
+    courts: toInt(input.courts, 1),
+    rounds: toInt(input.rounds, 5),
+    date,
+    seed:
+      normalizeSeedCode(input.seed) ||
+      (input.randomize === false ? date : newSeedCode()),
+    pairingHistory: input.pairingHistory || new Map(),
+    opponentHistory: input.opponentHistory || new Map(),
+    ratings: input.ratings || new Map(),
+    policy,
+    balanceWeight: Number.isFinite(input.balanceWeight)
+      ? input.balanceWeight
+      : policy.balanceWeight,
+    lastPlayed: input.lastPlayed || new Map(),
+    priorPlays: input.priorPlays || new Map(),
+    availability: input.availability || new Map(),
+    mixed: !!input.mixed,
+    categories: input.categories || new Map(),
+    constraints: Array.isArray(input.constraints) ? input.constraints : [],
+    format: MATCH_FORMATS.some((f) => f.id === input.format)
+      ? input.format
+      : "doubles",
+  };
+}
+
+// Renumber matches by (round, court) and attach the per-round resting list
+// (players present that round but not on court).
+export function finalizeMatches(rawMatches, roster, availability) {
+  const sorted = [...(rawMatches || [])].sort(
+    (a, b) => a.round - b.round || a.court - b.court,
+  );
+  const playedByRound = new Map();
+  sorted.forEach((m) => {
+    if (!playedByRound.has(m.round)) playedByRound.set(m.round, new Set());
+    m.players.forEach((p) => playedByRound.get(m.round).add(p));
+  });
+  return sorted.map((m, idx) => {
+    const resting = roster.filter(
+      (p) =>
+        !playedByRound.get(m.round).has(p) &&
+        isAvailable(availability, p, m.round),
+    );
+    return {
+      match_index: idx + 1,
+      round: m.round,
+      court: m.court,
+      players: m.players,
+      resting: resting.length ? resting : null,
+    };
+  });
+}
+
+function singlesOptions(input, rounds = input.rounds) {
+  return {
+    players: input.players,
+    courts: input.courts,
+    rounds,
+    opponentHistory: input.opponentHistory,
+    ratings: input.ratings,
+    policy: input.policy,
+    balanceWeight: input.balanceWeight,
+    priorPlays: input.priorPlays,
+    availability: input.availability,
+    constraints: input.constraints,
+    seed: input.seed,
+  };
+}
+
+export function runStrategy(id, rawInput) {
+  const strategy = getStrategy(id);
+  if (!strategy) throw new Error(`Unknown scheduling strategy: ${id}`);
+  const input = normalizeInput(rawInput);
+  if (strategy.ignoresWindows && input.availability.size > 0) {
+    throw new Error(
+      `${strategy.label} can't follow arrival/leave rounds — clear them or pick another strategy`,
+    );
+  }
+  const rounds = strategy.nextRoundOnly ? 1 : input.rounds;
+  const index = indexConstraints(input.constraints);
+
+  const finish = (raw, report) => {
+    let matches = finalizeMatches(raw, input.players, input.availability);
+
+    // Mixed mode and player constraints work on top of any strategy: regroup
+    // each round to honour them, then report whatever could not be. Strategies
+    // with fixedTeams keep their teams and only get the report.
+    if ((input.mixed || index.size) && !strategy.fixedTeams) {
+      matches = repairRounds(
+        matches,
+        (split, present) =>
+          constraintPenalty(index, split, present) +
+          (input.mixed
+            ? MIXED_TEAM_PENALTY * mixedPenalty(input.categories, split)
+            : 0),
+      );
+    }
+    if (input.format === "fill") {
+      matches = finalizeMatches(
+        planSingles({ ...singlesOptions(input, rounds), matches }),
+        input.players,
+        input.availability,
+      );
+    }
+    return {
+      strategy: id,
+      seed: input.seed,
+      matches,
+      report,
+      mixed: input.mixed
+        ? { unsatisfied: mixedViolations(matches, input.categories) }
+        : null,
+      constraints: index.size
+        ? { violations: constraintViolations(matches, input.constraints) }
+        : null,
+    };
+  };
+
+  // The optimizer's best schedule so far, post-processed like the final one
+  // (partial: true in the report) so a cancelled run can still use it. Built
+  // only when asked for: the best changes far more often than it is shown.
+  let best = null;
+  const onProgress =
+    input.onProgress &&
+    ((p) => {
+      if (p.best) best = { ...p.best, initialCost: p.initialCost };
+      const seen = best;
+      input.onProgress(
+        seen
+          ? {
+              ...p,
+              partialResult: () =>
+                finish(seen.matches, {
+                  cost: p.cost,
+                  breakdown: seen.breakdown,
+                  initialCost: seen.initialCost,
+                  iterations: p.iterations,
+                  elapsedMs: p.elapsedMs,
+                  timedOut: false,
+                  partial: true,
+                }),
+            }
+          : p,
+      );
+    });
+
+  const out =
+    input.format === "singles" && !strategy.plansSingles
+      ? generateSinglesSchedule(singlesOptions(input, rounds))
+      : strategy.generate({ ...input, onProgress });
+  const raw = Array.isArray(out) ? out : out?.matches;
+  return finish(raw, out?.report ?? null);
+}
+
+// Today's partnerships weigh more than ones from past sessions when the rest
+// of a session is re-planned.
+const TODAY_REPEAT_WEIGHT = 3;
+
+/**
+ * replanSchedule
+ * Regenerate a session from round `fromRound` on. `keptMatches` are the
+ * earlier rounds that stay as they are (saved rows or preview matches);
+ * input.players is the updated availability and input.rounds the number of
+ * rounds still to play. Who partnered/faced whom and how many games each
+ * player already has feed into the new rounds, so the day as a whole stays
+ * varied and fair. Returned matches continue the kept numbering.
+ */
+export function replanSchedule(
+  id,
+  rawInput,
+  { keptMatches = [], fromRound = 1 } = {},
+) {
+  const input = normalizeInput(rawInput);
+  const pairingHistory = new Map(input.pairingHistory);
+  const opponentHistory = new Map(input.opponentHistory);
+  const priorPlays = new Map(input.priorPlays);
+  keptMatches.forEach((m) => {
+    const ids = m.player_ids || m.players || [];
+    ids.forEach((p) => bumpCount(priorPlays, p));
+    partnerPairs(ids).forEach(([x, y]) => {
+      if (x && y) bumpCount(pairingHistory, pairKey(x, y), TODAY_REPEAT_WEIGHT);
+    });
+    opponentPairs(ids).forEach(([x, y]) => {
+      if (x && y) bumpCount(opponentHistory, pairKey(x, y));
+    });
+  });
+
+  // availability windows are in session rounds; the strategy counts from 1
+  const offset = fromRound - 1;
+  const availability = new Map(
+    [...input.availability].map(([p, w]) => [
+      p,
+      {
+        from: w.from == null ? null : w.from - offset,
+        to: w.to == null ? null : w.to - offset,
+      },
+    ]),
+  );
+
+  const shift = (result) => ({
+    ...result,
+    fromRound,
+    matches: result.matches.map((m) => ({
+      ...m,
+      match_index: m.match_index + keptMatches.length,
+      round: m.round + offset,
+    })),
+  });
+  const onProgress =
+    input.onProgress &&
+    ((p) =>
+      input.onProgress(
+        p.partialResult
+          ? { ...p, partialResult: () => shift(p.partialResult()) }
+          : p,
+      ));
+
+  return shift(
+    runStrategy(id, {
+      ...input,
+      pairingHistory,
+      opponentHistory,
+      priorPlays,
+      availability,
+      onProgress,
+    }),
+  );
+}
+
+// Run several strategies on the same input (and the same seed code).
+// Failures are reported per strategy instead of aborting the whole comparison.
+export function compareStrategies(rawInput, ids = [...registry.keys()]) {
+  const input = normalizeInput(rawInput);
+  const { players } = input;
+  return ids.map((id) => {
+    try {
+      const result = runStrategy(id, input);
+      return {
+        ...result,
+        summary: summarizeSchedule(result.matches, players),
+        error: null,
+      };
+    } catch (err) {
+      return { strategy: id, matches: [], summary: null, error: err };
+    }
+  });
+}
+
+// Candidate i (from 1) is generated with seed code `${seed}-${i}`; the first
+// keeps the plain code so a single Generate matches candidate 1.
+export function candidateSeed(seed, i) {
+  return i <= 1 ? seed : `${seed}-${i}`;
+}
+
+/**
+ * generateCandidates
+ * Run one strategy `count` times on the same input with different seed codes
+ * so the organizer can pick between alternatives. Each result is a
+ * runStrategy() result plus `error`; candidates identical to an earlier one
+ * (strategies that don't use the seed, e.g. mexicano) are dropped.
+ * opts.onCandidate(results) is called with the list so far after each run.
+ */
+export function generateCandidates(
+  id,
+  rawInput,
+  count = 3,
+  { onCandidate } = {},
+) {
+  const input = normalizeInput(rawInput);
+  const seen = new Set();
+  const results = [];
+  for (let i = 1; i <= count; i++) {
+    const seed = candidateSeed(input.seed, i);
+    let result;
+    try {
+      result = { ...runStrategy(id, { ...input, seed }), error: null };
+    } catch (err) {
+      results.push({ strategy: id, seed, matches: [], error: err });
+      break;
+    }
+    const signature = result.matches
+      .map((m) => `${m.round}:${m.court}:${m.players.join(",")}`)
+      .join("|");
+    if (seen.has(signature)) continue;
+    seen.add(signature);
+    results.push(result);
+    onCandidate?.([...results]);
+  }
+  return results;
+}
+
+// Quick headline numbers for comparing strategy outputs side by side.
+export function summarizeSchedule(matches, roster = []) {
+  const plays = new Map((roster || []).map((p) => [p, 0]));
+  const partners = new Map();
+  const rounds = new Set();
+  (matches || []).forEach((m) => {
+    rounds.add(m.round);
+    m.players.forEach((p) => bumpCount(plays, p));
+    partnerPairs(m.players).forEach(([x, y]) => {
+      if (x && y) bumpCount(partners, pairKey(x, y));
+    });
+  });
+  const counts = [...plays.values()];
+  return {
+    games: (matches || []).length,
+    rounds: rounds.size,
+    minPlays: counts.length ? Math.min(...counts) : 0,
+    maxPlays: counts.length ? Math.max(...counts) : 0,
+    repeatedPartners: [...partners.values()].filter((n) => n > 1).length,
+  };
+}
+
+/* ---------- built-in strategies ---------- */
+registerStrategy({
+  id: "history",
+  label: "History-aware",
+  description:
+    "Greedy picker that avoids partners and opponents from past sessions",
+  generate: (input) =>
+    generateHistoryAware({
+      players: input.players,
+      courts: input.courts,
+      matchesPerCourt: input.rounds,
+      pairingHistory: input.pairingHistory,
+      opponentHistory: input.opponentHistory,
+      ratings: input.ratings,
+      seed: input.seed,
+      policy: input.policy,
+      balanceWeight: input.balanceWeight,
+      priorPlays: input.priorPlays,
+      availability: input.availability,
+      constraints: input.constraints,
+    }),
+});
+
+registerStrategy({
+  id: "simple",
+  label: "Simple",
+  description: "Variety within the day only, fair rest rotation",
+  generate: (input) =>
+    generateSimple({
+      players: input.players,
+      courts: input.courts,
+      matchesPerCourt: input.rounds,
+      ratings: input.ratings,
+      policy: input.policy,
+      balanceWeight: input.balanceWeight,
+      priorPlays: input.priorPlays,
+      availability: input.availability,
+      constraints: input.constraints,
+      seed: input.seed,
+    }),
+});
+
+registerStrategy({
+  id: "fixed-pairs",
+  label: "Fixed pairs",
+  description:
+    "Round-robin between fixed teams; pairs players in selection order if no pairs given",
+  fixedTeams: true,
+  generate: (input) =>
+    planRoundRobin({
+      pairs: input.pairs || pairsFromPlayers(input.players),
+      courts: input.courts,
+      rounds: input.rounds,
+      cycles: input.cycles,
+      seed: input.seed,
+      availability: input.availability,
+    }),
+});
+
+registerStrategy({
+  id: "attempts",
+  label: "Attempt-based",
+  description:
+    "Best of many random draws per round, least-recently-played first",
+  generate: (input) => {
+    // generateAssignments fills one block of courts from a player list, so we
+    // call it once per round and feed back who played and with whom.
+    const pairCounts = Object.fromEntries(input.pairingHistory);
+    const oppCounts = Object.fromEntries(input.opponentHistory);
+    const sessionStart = Date.parse(input.date) + 86400000;
+    const lastPlayed = new Map(
+      input.players.map((p) => {
+        const t = Date.parse(input.lastPlayed.get(p) ?? "");
+        return [p, Number.isFinite(t) ? t : 0];
+      }),
+    );
+    const rng = rngFor(input.seed, "attempts");
+    const matches = [];
+    for (let round = 1; round <= input.rounds; round++) {
+      const present = input.players.filter((p) =>
+        isAvailable(input.availability, p, round),
+      );
+      if (present.length < 4) continue;
+      const { assignments } = generateAssignments(
+        present.map((id) => ({ id, last_played: lastPlayed.get(id) })),
+        input.courts,
+        1,
+        input.date,
+        pairCounts,
+        oppCounts,
+        undefined,
+        rng,
+      );
+      assignments.forEach((a) => {
+        const [p1, p2, p3, p4] = a.player_ids;
+        matches.push({ round, court: a.court, players: a.player_ids });
+        a.player_ids.forEach((p) => lastPlayed.set(p, sessionStart + round));
+        [pairKey(p1, p2), pairKey(p3, p4)].forEach((k) => {
+          pairCounts[k] = (pairCounts[k] || 0) + 1;
+        });
+        [
+          [p1, p3],
+          [p1, p4],
+          [p2, p3],
+          [p2, p4],
+        ].forEach(([x, y]) => {
+          const k = pairKey(x, y);
+          oppCounts[k] = (oppCounts[k] || 0) + 1;
+        });
+      });
+    }
+    return matches;
+  },
+});
+
+registerStrategy({
+  id: "optimized",
+  label: "Optimized",
+  description:
+    "Starts from the history-aware schedule and improves the whole session by swapping players",
+  generate: (input) => {
+    const start = getStrategy("history").generate(input);
+    const seed = hashStringToSeed(`${input.seed}-optimized`);
+    const result = optimizeSchedule({
+      matches: start,
+      players: input.players,
+      pairingHistory: input.pairingHistory,
+      opponentHistory: input.opponentHistory,
+      ratings: input.ratings,
+      priorPlays: input.priorPlays,
+      availability: input.availability,
+      constraints: input.constraints,
+      seed,
+      onProgress: input.onProgress,
+      ...(input.optimizer || {}),
+      weights: {
+        ratingBalance: DEFAULT_WEIGHTS.ratingBalance * input.balanceWeight,
+        ...(input.optimizer?.weights || {}),
+      },
+    });
+    const { matches, ...report } = result;
+    return { matches, report };
+  },
+});
+
+registerStrategy({
+  id: "americano",
+  label: "Americano",
+  description:
+    "Everyone partners everyone once; individual points from the scores decide the leaderboard",
+  fixedTeams: true,
+  ignoresWindows: true,
+  generate: (input) =>
+    planAmericano({
+      players: input.players,
+      courts: input.courts,
+      rounds: input.rounds,
+      seed: input.seed,
+    }),
+});
+
+registerStrategy({
+  id: "mexicano",
+  label: "Mexicano",
+  description:
+    "Plans the next round only: pairs players by today's points (1st & 4th vs 2nd & 3rd)",
+  fixedTeams: true,
+  nextRoundOnly: true,
+  generate: (input) =>
+    planMexicanoRound({
+      players: input.players,
+      courts: input.courts,
+      sessionMatches: input.sessionMatches || [],
+      ratings: input.ratings,
+    }),
+});
+
+registerStrategy({
+  id: "swiss",
+  label: "Swiss ladder",
+  description:
+    "Plans the next round only: similar records tonight meet, no rematches (fixed pairs, singles or doubles)",
+  fixedTeams: true,
+  nextRoundOnly: true,
+  plansSingles: true,
+  generate: (input) =>
+    planSwissRound({
+      players: input.players,
+      pairs: input.pairs,
+      singles: input.format === "singles",
+      courts: input.courts,
+      sessionMatches: input.sessionMatches || [],
+      ratings: input.ratings,
+    }),
+});
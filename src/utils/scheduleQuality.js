@@ -0,0 +1,185 @@
+// src/utils/scheduleQuality.js
+// Pure quality report for a schedule — works on a generated preview
+// ({ round, court, players }) as well as on saved rows from
+// fetchMatchesForDate ({ match_index, round, court, player_ids,
+// resting_player_ids }).
+import { pairKey, bumpCount, isAvailable } from "./schedulerHelpers";
+import { mixedViolations } from "./mixedDoubles";
+import { constraintViolations } from "./playerConstraints";
+import { teamsOf } from "./matchTeams";
+
+const DEFAULT_RATING = 50;
+
+function playersOf(m) {
+  return m.player_ids || m.players || [];
+}
+
+function byRound(matches) {
+  return [...matches].sort(
+    (a, b) =>
+      a.round - b.round ||
+      (a.match_index ?? 0) - (b.match_index ?? 0) ||
+      a.court - b.court,
+  );
+}
+
+function splitPair(key) {
+  const [a, b] = key.split("|");
+  return { a, b };
+}
+
+/**
+ * evaluateSchedule
+ * @param matches  preview matches or saved match rows
+ * @param players  roster ids (defaults to everyone appearing in the schedule)
+ * @param history  { pairingHistory?: Map, opponentHistory?: Map, ratings?: Map,
+ *                   availability?: Map, mixed?: boolean, categories?: Map,
+ *                   constraints?: [{ player_a, player_b, kind }] }
+ *                  rounds outside a player's window don't count as rests;
+ *                  with `mixed`, teams that aren't mixed doubles are listed;
+ *                  broken player constraints are always listed
+ * @returns {
+ *   players:  [{ id, present, games, rests, maxConsecutivePlays, maxConsecutiveRests }],
+ *   repeatedPartners:  [{ a, b, count, history }],
+ *   repeatedOpponents: [{ a, b, count, history }],
+ *   matches:  [{ match_index, round, court, teamA, teamB, ratingA, ratingB, imbalance }],
+ *   notMixed: [{ match_index, round, court }]   (empty unless history.mixed)
+ *   constraintViolations: [{ match_index, round, court, kind, a, b }]
+ *   totals:   { games, rounds, minGames, maxGames, maxImbalance, avgImbalance,
+ *               repeatedPartnerPairs, repeatedOpponentPairs, notMixed,
+ *               constraintViolations }
+ * }
+ */
+export function evaluateSchedule(matches, players, history = {}) {
+  const rows = byRound((matches || []).filter((m) => playersOf(m).length));
+  const pairingHistory = history.pairingHistory || new Map();
+  const opponentHistory = history.opponentHistory || new Map();
+  const ratings = history.ratings || new Map();
+  const availability = history.availability || new Map();
+  const rating = (p) => ratings.get(p) ?? DEFAULT_RATING;
+
+  const roster =
+    Array.isArray(players) && players.length
+      ? players
+      : [
+          ...new Set(
+            rows.flatMap((m) => [
+              ...playersOf(m),
+              ...(m.resting_player_ids || m.resting || []),
+            ]),
+          ),
+        ];
+
+  const partners = new Map();
+  const opponents = new Map();
+  const playedByRound = new Map();
+  const matchReports = [];
+
+  rows.forEach((m) => {
+    const ids = playersOf(m);
+    const { teamA, teamB } = teamsOf(ids);
+    if (!playedByRound.has(m.round)) playedByRound.set(m.round, new Set());
+    ids.forEach((p) => playedByRound.get(m.round).add(p));
+
+    if (teamA.length === 2) bumpCount(partners, pairKey(...teamA));
+    if (teamB.length === 2) bumpCount(partners, pairKey(...teamB));
+    teamA.forEach((x) =>
+      teamB.forEach((y) => bumpCount(opponents, pairKey(x, y))),
+    );
+
+    const ratingA = teamA.reduce((acc, p) => acc + rating(p), 0);
+    const ratingB = teamB.reduce((acc, p) => acc + rating(p), 0);
+    matchReports.push({
+      match_index: m.match_index,
+      round: m.round,
+      court: m.court,
+      teamA,
+      teamB,
+      ratingA,
+      ratingB,
+      imbalance: Math.round(Math.abs(ratingA - ratingB) * 10) / 10,
+    });
+  });
+
+  const rounds = [...playedByRound.keys()].sort((a, b) => a - b);
+  const playerReports = roster.map((id) => {
+    let present = 0;
+    let games = 0;
+    let rests = 0;
+    let runPlay = 0;
+    let runRest = 0;
+    let maxConsecutivePlays = 0;
+    let maxConsecutiveRests = 0;
+    rounds.forEach((r) => {
+      if (!isAvailable(availability, id, r)) {
+        runPlay = 0;
+        runRest = 0;
+        return;
+      }
+      present++;
+      if (playedByRound.get(r).has(id)) {
+        games++;
+        runPlay++;
+        runRest = 0;
+      } else {
+        rests++;
+        runRest++;
+        runPlay = 0;
+      }
+      maxConsecutivePlays = Math.max(maxConsecutivePlays, runPlay);
+      maxConsecutiveRests = Math.max(maxConsecutiveRests, runRest);
+    });
+    return {
+      id,
+      present,
+      games,
+      rests,
+      maxConsecutivePlays,
+      maxConsecutiveRests,
+    };
+  });
+
+  const repeated = (map, hist) =>
+    [...map.entries()]
+      .filter(([, count]) => count > 1)
+      .map(([key, count]) => ({
+        ...splitPair(key),
+        count,
+        history: hist.get(key) || 0,
+      }))
+      .sort((x, y) => y.count - x.count);
+
+  const games = playerReports.map((p) => p.games);
+  const imbalances = matchReports.map((m) => m.imbalance);
+  const repeatedPartners = repeated(partners, pairingHistory);
+  const repeatedOpponents = repeated(opponents, opponentHistory);
+  const notMixed = history.mixed
+    ? mixedViolations(rows, history.categories || new Map())
+    : [];
+  const broken = constraintViolations(rows, history.constraints || []);
+
+  return {
+    players: playerReports,
+    repeatedPartners,
+    repeatedOpponents,
+    matches: matchReports,
+    notMixed,
+    constraintViolations: broken,
+    totals: {
+      games: rows.length,
+      rounds: rounds.length,
+      minGames: games.length ? Math.min(...games) : 0,
+      maxGames: games.length ? Math.max(...games) : 0,
+      maxImbalance: imbalances.length ? Math.max(...imbalances) : 0,
+      avgImbalance: imbalances.length
+        ? Math.round(
+            (imbalances.reduce((a, n) => a + n, 0) / imbalances.length) * 10,
+          ) / 10
+        : 0,
+      repeatedPartnerPairs: repeatedPartners.length,
+      repeatedOpponentPairs: repeatedOpponents.length,
+      notMixed: notMixed.length,
+      constraintViolations: broken.length,
+    },
+  };
+}
@@ -0,0 +1,178 @@
+// src/utils/scheduleRunner.js
+// Runs schedule generation off the UI thread (scheduleWorker.js) so pages
+// stay responsive on phones while the optimizer or a candidates run works.
+//
+// Message protocol (one worker, jobs keyed by id):
+//   page → worker  { type: "run", id, task, payload }
+//   worker → page  { type: "progress", id, fraction, cost }   0..1; cost = best
+//                                                              optimizer cost so far
+//                  { type: "partial", id, results }            compare / candidates
+//                                                              finished so far; run /
+//                                                              replan: the optimizer's
+//                                                              best result so far
+//                  { type: "done", id, result }
+//                  { type: "error", id, message }
+// Tasks mirror the engine: "run" (runStrategy), "replan" (replanSchedule),
+// "compare" (compareStrategies), "candidates" (generateCandidates).
+//
+// Generation is synchronous inside the worker, so a job can't be told to stop
+// half way: cancel() terminates the worker (the next job starts a fresh one)
+// and rejects the job's promise with an AbortError; the last partial is all
+// that's left of it. Without Worker support the task runs on the main thread
+// and can't be cancelled.
+import {
+  runStrategy,
+  replanSchedule,
+  compareStrategies,
+  generateCandidates,
+  listStrategies,
+  normalizeInput,
+} from "./scheduleEngine";
+
+// Progress messages are throttled so the page doesn't re-render per swap.
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * runTask
+ * Executes one task with progress callbacks; shared by the worker and the
+ * main-thread fallback.
+ * @param {Object} payload  { strategy, input, count?, keptMatches?, fromRound? }
+ * @param {Object} hooks    { onProgress({ fraction, cost }), onPartial(results) }
+ *                          onPartial gets an array for compare / candidates and
+ *                          a single result for run / replan
+ */
+export function runTask(task, payload, { onProgress, onPartial } = {}) {
+  const input = normalizeInput(payload.input);
+  // run / replan stream the optimizer's best result with the progress
+  const streamsBest = task === "run" || task === "replan";
+  let lastSent = 0;
+  let steps = 1;
+  let step = 0;
+  const report = (fraction, cost, partialResult) => {
+    const now = Date.now();
+    if (fraction < 1 && now - lastSent < PROGRESS_INTERVAL_MS) return;
+    lastSent = now;
+    onProgress?.({ fraction: Math.min(1, (step + fraction) / steps), cost });
+    if (streamsBest && partialResult) onPartial?.(partialResult());
+  };
+  // optimizer progress within the current step
+  const withProgress = {
+    ...input,
+    onProgress: (p) =>
+      report(
+        Math.min(
+          1,
+          Math.max(
+            p.iterations / p.maxIterations,
+            p.elapsedMs / p.timeBudgetMs,
+          ),
+        ),
+        p.cost,
+        p.partialResult,
+      ),
+  };
+
+  switch (task) {
+    case "run":
+      return runStrategy(payload.strategy, withProgress);
+    case "replan":
+      return replanSchedule(payload.strategy, withProgress, {
+        keptMatches: payload.keptMatches,
+        fromRound: payload.fromRound,
+      });
+    case "compare": {
+      const ids = payload.ids || listStrategies().map((st) => st.id);
+      steps = Math.max(1, ids.length);
+      const results = [];
+      ids.forEach((id, i) => {
+        step = i;
+        results.push(...compareStrategies(withProgress, [id]));
+        onPartial?.([...results]);
+      });
+      return results;
+    }
+    case "candidates":
+      steps = Math.max(1, payload.count || 3);
+      return generateCandidates(payload.strategy, withProgress, steps, {
+        onCandidate: (results) => {
+          step = results.length;
+          onPartial?.(results);
+        },
+      });
+    default:
+      throw new Error(`Unknown schedule task: ${task}`);
+  }
+}
+
+/* ---------- page side ---------- */
+let worker = null;
+let nextJobId = 1;
+const jobs = new Map();
+
+function abortError() {
+  const err = new Error("Schedule generation cancelled");
+  err.name = "AbortError";
+  return err;
+}
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(new URL("./scheduleWorker.js", import.meta.url), {
+    type: "module",
+  });
+  worker.onmessage = (e) => {
+    const msg = e.data || {};
+    const job = jobs.get(msg.id);
+    if (!job) return;
+    if (msg.type === "progress") job.onProgress?.(msg);
+    else if (msg.type === "partial") job.onPartial?.(msg.results);
+    else if (msg.type === "done") {
+      jobs.delete(msg.id);
+      job.resolve(msg.result);
+    } else if (msg.type === "error") {
+      jobs.delete(msg.id);
+      job.reject(new Error(msg.message));
+    }
+  };
+  worker.onerror = (e) => {
+    console.error("schedule worker error", e);
+    jobs.forEach((job) => job.reject(new Error(e.message || "Worker failed")));
+    jobs.clear();
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+}
+
+/**
+ * runScheduleTask
+ * Start a task in the worker.
+ * @returns { promise, cancel } — promise resolves with the engine result,
+ *          rejects with an AbortError after cancel()
+ */
+export function runScheduleTask(task, payload, hooks = {}) {
+  if (typeof Worker === "undefined") {
+    let promise;
+    try {
+      promise = Promise.resolve(runTask(task, payload, hooks));
+    } catch (err) {
+      promise = Promise.reject(err);
+    }
+    return { promise, cancel: () => {} };
+  }
+
+  const id = nextJobId++;
+  const promise = new Promise((resolve, reject) => {
+    jobs.set(id, { ...hooks, resolve, reject });
+  });
+  getWorker().postMessage({ type: "run", id, task, payload });
+  const cancel = () => {
+    if (!jobs.has(id)) return;
+    // jobs queued behind this one die with the worker too
+    jobs.forEach((j) => j.reject(abortError()));
+    jobs.clear();
+    worker?.terminate();
+    worker = null;
+  };
+  return { promise, cancel };
+}
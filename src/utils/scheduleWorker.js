@@ -0,0 +1,38 @@
+// src/utils/scheduleWorker.js
+// Worker entry for scheduleRunner.js — see the protocol described there.
+import { runTask } from "./scheduleRunner";
+
+self.onmessage = (e) => {
+  const { type, id, task, payload } = e.data || {};
+  if (type !== "run") return;
+  try {
+    const result = runTask(task, payload, {
+      onProgress: ({ fraction, cost }) =>
+        self.postMessage({ type: "progress", id, fraction, cost }),
+      onPartial: (results) =>
+        self.postMessage({
+          type: "partial",
+          id,
+          results: Array.isArray(results) ? stripErrors(results) : results,
+        }),
+    });
+    self.postMessage({
+      type: "done",
+      id,
+      result: Array.isArray(result) ? stripErrors(result) : result,
+    });
+  } catch (err) {
+    self.postMessage({
+      type: "error",
+      id,
+      message: err.message || String(err),
+    });
+  }
+};
+
+// Error objects lose their message in some browsers' structured clone.
+function stripErrors(results) {
+  return results.map((r) =>
+    r.error ? { ...r, error: { message: r.error.message } } : r,
+  );
+}
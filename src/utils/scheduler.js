@@ -1,62 +1,43 @@
 // src/utils/scheduler.js
 // Fair, randomized scheduler for doubles matches (2v2).
-
-// ---------- TEMPORARY SCHEDULER POLICY CONSTANTS ----------
-const RATING_FLOOR = 50;
-const STRONG_PLAYER_THRESHOLD = 70;
-const BLOCK_STRONG_PAIRING = true;
-
-const MAX_PAIR_HISTORY_PENALTY = 3;
-const MAX_CONSECUTIVE_PLAYS = 3;
-
-const NO_DOUBLE_REST_PENALTY = 40;
-const CONSECUTIVE_PLAY_PENALTY = 50;
-
-/* ---------- seeded RNG helpers ---------- */
-function hashStringToSeed(str) {
-  let h = 2166136261 >>> 0;
-  for (let i = 0; i < str.length; i++) {
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 16777619) >>> 0;
-  }
-  return h >>> 0;
-}
-function mulberry32(a) {
-  return function () {
-    a |= 0;
-    a = (a + 0x6d2b79f5) | 0;
-    let t = Math.imul(a ^ (a >>> 15), 1 | a);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
+import {
+  rngFor,
+  seededShuffle,
+  pairKey,
+  isAvailable,
+} from "./schedulerHelpers";
+import { DEFAULT_POLICY, resolvePolicy } from "./schedulerPolicy";
+import { indexConstraints, constraintPenalty } from "./playerConstraints";
+
+// Penalty per rating point of difference between the two teams, multiplied by
+// the policy's balanceWeight (0 = ignore ratings, 1 = default, 2+ = strict).
+const BALANCE_PENALTY_PER_POINT = 3;
+const RATING_PRIOR_GAMES = 5;
 
 /* ---------- utility helpers ---------- */
-function canonicalPairKey(a, b) {
-  return a < b ? `${a}|${b}` : `${b}|${a}`;
-}
-function seededShuffle(array, rng) {
-  const a = array.slice();
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(rng() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
-function teammatePenalty(a, b, pairingMap) {
-  const cnt = pairingMap.get(canonicalPairKey(a, b)) || 0;
-  const capped = Math.min(cnt, MAX_PAIR_HISTORY_PENALTY);
+function teammatePenalty(a, b, pairingMap, maxHistory) {
+  const cnt = pairingMap.get(pairKey(a, b)) || 0;
+  const capped = Math.min(cnt, maxHistory);
   return capped * capped * 10;
 }
 function opponentPenalty(a, b, opponentMap) {
-  return (opponentMap.get(canonicalPairKey(a, b)) || 0) * 5;
+  return (opponentMap.get(pairKey(a, b)) || 0) * 5;
 }
-function getRating(ratings, p) {
-  return ratings.get(p) ?? RATING_FLOOR;
-}
-function isStrong(ratings, p) {
-  return getRating(ratings, p) > STRONG_PLAYER_THRESHOLD;
+
+// Win% shrunk towards the policy's default rating for players with few
+// recorded games, so a newcomer who won 2 of 2 doesn't count as the strongest
+// player in the club.
+export function ratingFromRecord(
+  { wins = 0, matches = 0 } = {},
+  ratingFloor = DEFAULT_POLICY.ratingFloor,
+) {
+  const w = Number(wins) || 0;
+  const m = Number(matches) || 0;
+  return (
+    ((w + (ratingFloor / 100) * RATING_PRIOR_GAMES) /
+      (m + RATING_PRIOR_GAMES)) *
+    100
+  );
 }
 
 /* ---------- main generator ---------- */
@@ -67,24 +48,52 @@ export function generateSchedule({
   pairingHistory = new Map(),
   opponentHistory = new Map(),
   ratings = new Map(),
-  date = new Date().toISOString().slice(0, 10),
-  randomize = true,
+  seed = new Date().toISOString().slice(0, 10),
   noDoubleRest = true,
+  policy,
+  balanceWeight,
+  priorPlays = new Map(),
+  availability = new Map(),
+  constraints = [],
 } = {}) {
   if (!Array.isArray(players) || players.length < 4) return [];
 
-  const seed = hashStringToSeed(`${date}-${randomize ? Math.random() : ""}`);
-  const rng = mulberry32(seed);
+  const {
+    ratingFloor,
+    strongPlayerThreshold,
+    blockStrongPairing,
+    maxPairHistoryPenalty,
+    maxConsecutivePlays,
+    consecutivePlayPenalty,
+    noDoubleRestPenalty,
+    balanceWeight: policyBalanceWeight,
+  } = resolvePolicy(policy);
+  // an explicit balanceWeight (e.g. the per-session control) beats the policy
+  const weight = balanceWeight ?? policyBalanceWeight;
+  const getRating = (p) => ratings.get(p) ?? ratingFloor;
+  const isStrong = (p) => getRating(p) > strongPlayerThreshold;
+  const teamImbalance = ([a, b, c, d]) =>
+    Math.abs(getRating(a) + getRating(b) - getRating(c) - getRating(d));
+
+  const constraintIndex = indexConstraints(constraints);
+
+  const rng = rngFor(seed);
 
   const baseOrder = seededShuffle(players, rng);
 
   const playCount = {};
   const restCount = {};
   const consecutivePlayCount = {};
+  // games a player "should" have by now given the rounds they were present
+  const expected = {};
+  // when re-planning mid-session, players who have played less so far count
+  // as having rested more
+  const mostPrior = Math.max(0, ...players.map((p) => priorPlays.get(p) || 0));
   baseOrder.forEach((p) => {
-    playCount[p] = 0;
-    restCount[p] = 0;
+    playCount[p] = priorPlays.get(p) || 0;
+    restCount[p] = mostPrior - playCount[p];
     consecutivePlayCount[p] = 0;
+    expected[p] = 0;
   });
 
   const pairUsage = new Map();
@@ -97,11 +106,20 @@ export function generateSchedule({
 
   for (let round = 0; round < roundsNeeded; round++) {
     const assignedInRound = new Set();
+    const present = baseOrder.filter((p) =>
+      isAvailable(availability, p, round + 1),
+    );
+    const slots = Math.min(courts, Math.floor(present.length / 4)) * 4;
+    present.forEach((p) => {
+      expected[p] += slots / present.length;
+    });
+    const behind = (p) => playCount[p] - expected[p];
+    const presentSet = new Set(present);
 
     for (let court = 1; court <= courts; court++) {
       if (matches.length >= totalMatches) break;
 
-      const pool = baseOrder.filter((p) => !assignedInRound.has(p));
+      const pool = present.filter((p) => !assignedInRound.has(p));
       if (pool.length < 4) break;
 
       const pickWithScore = (cands, scoreFn) => {
@@ -117,24 +135,29 @@ export function generateSchedule({
         return best[Math.floor(rng() * best.length)];
       };
 
-      const first = pickWithScore(pool, (p) =>
-        consecutivePlayCount[p] >= MAX_CONSECUTIVE_PLAYS
-          ? CONSECUTIVE_PLAY_PENALTY
-          : 0,
+      const first = pickWithScore(
+        pool,
+        (p) =>
+          (consecutivePlayCount[p] >= maxConsecutivePlays
+            ? consecutivePlayPenalty
+            : 0) +
+          behind(p) * 2,
       );
 
       const second = pickWithScore(
         pool.filter((p) => p !== first),
         (p) => {
-          let score = teammatePenalty(first, p, pairingHistory);
-          score += (pairUsage.get(canonicalPairKey(first, p)) || 0) * 40;
-          score += playCount[p] * 2;
-
-          if (
-            BLOCK_STRONG_PAIRING &&
-            isStrong(ratings, first) &&
-            isStrong(ratings, p)
-          ) {
+          let score = teammatePenalty(
+            first,
+            p,
+            pairingHistory,
+            maxPairHistoryPenalty,
+          );
+          score += (pairUsage.get(pairKey(first, p)) || 0) * 40;
+          score += behind(p) * 2;
+          score += constraintPenalty(constraintIndex, [first, p], presentSet);
+
+          if (blockStrongPairing && isStrong(first) && isStrong(p)) {
             score += 1000; // hard discourage
           }
           return score;
@@ -150,9 +173,20 @@ export function generateSchedule({
           opponentPenalty(second, p, opponentHistory),
       );
 
+      const balancePenalty = (quartet) =>
+        weight * BALANCE_PENALTY_PER_POINT * teamImbalance(quartet);
+
+      // Fourth player: judged by the most even of the three possible splits,
+      // since the final team split is chosen below.
       const fourth = pickWithScore(
         remaining.filter((p) => p !== third),
-        (p) => teammatePenalty(third, p, pairingHistory),
+        (p) =>
+          teammatePenalty(third, p, pairingHistory, maxPairHistoryPenalty) +
+          Math.min(
+            balancePenalty([first, second, third, p]),
+            balancePenalty([first, third, second, p]),
+            balancePenalty([first, p, second, third]),
+          ),
       );
 
       const arrangements = [
@@ -164,23 +198,23 @@ export function generateSchedule({
       function arrangementPenalty([a, b, c, d]) {
         let penalty = 0;
 
-        if (BLOCK_STRONG_PAIRING) {
-          if (
-            (isStrong(ratings, a) && isStrong(ratings, b)) ||
-            (isStrong(ratings, c) && isStrong(ratings, d))
-          ) {
+        if (blockStrongPairing) {
+          if ((isStrong(a) && isStrong(b)) || (isStrong(c) && isStrong(d))) {
             penalty += 3000;
           }
         }
 
-        penalty += teammatePenalty(a, b, pairingHistory);
-        penalty += teammatePenalty(c, d, pairingHistory);
+        penalty += teammatePenalty(a, b, pairingHistory, maxPairHistoryPenalty);
+        penalty += teammatePenalty(c, d, pairingHistory, maxPairHistoryPenalty);
 
         penalty += opponentPenalty(a, c, opponentHistory);
         penalty += opponentPenalty(a, d, opponentHistory);
         penalty += opponentPenalty(b, c, opponentHistory);
         penalty += opponentPenalty(b, d, opponentHistory);
 
+        penalty += balancePenalty([a, b, c, d]);
+        penalty += constraintPenalty(constraintIndex, [a, b, c, d], presentSet);
+
         if (noDoubleRest) {
           const minRest = Math.min(
             restCount[a],
@@ -189,13 +223,13 @@ export function generateSchedule({
             restCount[d],
           );
           [a, b, c, d].forEach((p) => {
-            if (restCount[p] > minRest) penalty += NO_DOUBLE_REST_PENALTY;
+            if (restCount[p] > minRest) penalty += noDoubleRestPenalty;
           });
         }
 
         [a, b, c, d].forEach((p) => {
-          if (consecutivePlayCount[p] >= MAX_CONSECUTIVE_PLAYS) {
-            penalty += CONSECUTIVE_PLAY_PENALTY;
+          if (consecutivePlayCount[p] >= maxConsecutivePlays) {
+            penalty += consecutivePlayPenalty;
           }
         });
 
@@ -226,20 +260,14 @@ export function generateSchedule({
       });
 
       const [a, b, c, d] = best;
-      pairUsage.set(
-        canonicalPairKey(a, b),
-        (pairUsage.get(canonicalPairKey(a, b)) || 0) + 1,
-      );
-      pairUsage.set(
-        canonicalPairKey(c, d),
-        (pairUsage.get(canonicalPairKey(c, d)) || 0) + 1,
-      );
+      pairUsage.set(pairKey(a, b), (pairUsage.get(pairKey(a, b)) || 0) + 1);
+      pairUsage.set(pairKey(c, d), (pairUsage.get(pairKey(c, d)) || 0) + 1);
     }
 
-    // Rest handling (soft, starvation-safe)
+    // Rest handling (soft, starvation-safe); absent players don't rest
     for (const p of baseOrder) {
       if (!assignedInRound.has(p)) {
-        restCount[p]++;
+        if (present.includes(p)) restCount[p]++;
         consecutivePlayCount[p] = 0;
       }
     }
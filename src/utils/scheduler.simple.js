@@ -2,43 +2,39 @@
 // - No historical lookups
 // - Maximizes variety within the day
 // - Fair rest rotation when odd players
-
-const MAX_CONSECUTIVE_PLAYS = 2;
-
-/* ---------- seeded RNG (still looks random, but stable per click) ---------- */
-function mulberry32(a) {
-  return function () {
-    a |= 0;
-    a = (a + 0x6d2b79f5) | 0;
-    let t = Math.imul(a ^ (a >>> 15), 1 | a);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-/* ---------- helpers ---------- */
-function shuffle(arr, rng) {
-  const a = arr.slice();
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(rng() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
-function pairKey(a, b) {
-  return a < b ? `${a}|${b}` : `${b}|${a}`;
-}
+// - Optional arrival/departure round per player (availability)
+import {
+  rngFor,
+  seededShuffle,
+  pairKey,
+  isAvailable,
+} from "./schedulerHelpers";
+import { resolvePolicy } from "./schedulerPolicy";
+import { indexConstraints, constraintPenalty } from "./playerConstraints";
+
+// Split score per rating point between the teams, times balanceWeight.
+const BALANCE_SCORE_PER_POINT = 0.2;
 
 /* ---------- main generator ---------- */
 export function generateSchedule({
   players,
   courts = 1,
   matchesPerCourt = 5,
+  ratings = new Map(),
+  policy,
+  balanceWeight,
+  priorPlays = new Map(),
+  availability = new Map(),
+  constraints = [],
+  seed = new Date().toISOString().slice(0, 10),
 } = {}) {
   if (!Array.isArray(players) || players.length < 4) return [];
 
-  const rng = mulberry32(Date.now());
+  const pol = resolvePolicy(policy);
+  const weight = balanceWeight ?? pol.balanceWeight;
+  const rng = rngFor(seed, "simple");
+  const rating = (p) => ratings.get(p) ?? pol.ratingFloor;
+  const constraintIndex = indexConstraints(constraints);
 
   const totalMatches = courts * matchesPerCourt;
   const rounds = Math.ceil(totalMatches / courts);
@@ -46,11 +42,14 @@ export function generateSchedule({
   const playCount = {};
   const restCount = {};
   const consecutive = {};
+  // fair share of games so far, counting only rounds the player was present
+  const expected = {};
 
   players.forEach((p) => {
-    playCount[p] = 0;
+    playCount[p] = priorPlays.get(p) || 0;
     restCount[p] = 0;
     consecutive[p] = 0;
+    expected[p] = 0;
   });
 
   const teammateUsage = new Map();
@@ -60,8 +59,16 @@ export function generateSchedule({
   const matches = [];
 
   for (let round = 1; round <= rounds; round++) {
-    const available = shuffle(players, rng);
+    const available = seededShuffle(
+      players.filter((p) => isAvailable(availability, p, round)),
+      rng,
+    );
     const assigned = new Set();
+    const present = new Set(available);
+    const slots = Math.min(courts, Math.floor(available.length / 4)) * 4;
+    available.forEach((p) => {
+      expected[p] += slots / available.length;
+    });
 
     for (let court = 1; court <= courts; court++) {
       if (matches.length >= totalMatches) break;
@@ -69,10 +76,10 @@ export function generateSchedule({
       const pool = available.filter((p) => !assigned.has(p));
       if (pool.length < 4) break;
 
-      // Sort by: lowest play count, lowest consecutive count
+      // Sort by: furthest behind fair share, lowest consecutive count
       pool.sort(
         (a, b) =>
-          playCount[a] - playCount[b] ||
+          playCount[a] - expected[a] - (playCount[b] - expected[b]) ||
           consecutive[a] - consecutive[b] ||
           rng() - 0.5,
       );
@@ -100,6 +107,13 @@ export function generateSchedule({
         score += opponentUsage.get(pairKey(b, c)) || 0;
         score += opponentUsage.get(pairKey(b, d)) || 0;
 
+        score +=
+          weight *
+          BALANCE_SCORE_PER_POINT *
+          Math.abs(rating(a) + rating(b) - rating(c) - rating(d));
+
+        score += constraintPenalty(constraintIndex, [a, b, c, d], present);
+
         if (score < bestScore) {
           bestScore = score;
           best = [a, b, c, d];
@@ -146,11 +160,11 @@ export function generateSchedule({
     // Rest handling (fair rotation)
     players.forEach((p) => {
       if (!assigned.has(p)) {
-        restCount[p]++;
+        if (available.includes(p)) restCount[p]++;
         consecutive[p] = 0;
       }
-      if (consecutive[p] > MAX_CONSECUTIVE_PLAYS) {
-        consecutive[p] = MAX_CONSECUTIVE_PLAYS;
+      if (consecutive[p] > pol.maxConsecutivePlays) {
+        consecutive[p] = pol.maxConsecutivePlays;
       }
     });
   }
@@ -0,0 +1,86 @@
+// src/utils/schedulerHelpers.js
+// Helpers shared by every schedule generator: seeded RNG, shuffling and
+// canonical pair keys. Keep these pure — the generators rely on them being
+// deterministic for a given seed.
+
+/* ---------- seeded RNG helpers ---------- */
+export function hashStringToSeed(str) {
+  let h = 2166136261 >>> 0;
+  const s = String(str ?? "");
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619) >>> 0;
+  }
+  return h >>> 0;
+}
+
+export function mulberry32(a) {
+  return function () {
+    a |= 0;
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* ---------- seed codes ---------- */
+// Every generated schedule carries a seed code (shown next to the preview
+// and saved with the matches); the same code and input give the same
+// schedule. No 0/O/1/I so codes are easy to read out and type.
+const SEED_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+export const SEED_CODE_LENGTH = 6;
+const SEED_CODE_MAX = 32;
+
+// The one place a schedule gets its randomness: picking a fresh code.
+export function newSeedCode() {
+  let code = "";
+  for (let i = 0; i < SEED_CODE_LENGTH; i++) {
+    code += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Typed codes are case-insensitive; returns "" for blank or invalid input.
+export function normalizeSeedCode(code) {
+  const s = String(code ?? "")
+    .trim()
+    .toUpperCase();
+  return /^[A-Z0-9-]+$/.test(s) && s.length <= SEED_CODE_MAX ? s : "";
+}
+
+// RNG for a seed code. `salt` keeps generators sharing a code (e.g. a
+// strategy and the singles fill) from drawing the same sequence.
+export function rngFor(seed, salt = "") {
+  return mulberry32(hashStringToSeed(salt ? `${seed}-${salt}` : seed));
+}
+
+// deterministic Fisher–Yates shuffle (returns a copy)
+export function seededShuffle(array, rng) {
+  const a = array.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+/* ---------- pair helpers ---------- */
+// Order-independent key for two player ids, e.g. "a|b".
+// Matches the keys produced by fetchPairingHistoryMap / fetchOpponentHistoryMap.
+export function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+export function bumpCount(map, key, by = 1) {
+  map.set(key, (map.get(key) || 0) + by);
+}
+
+/* ---------- availability ---------- */
+// availability: Map<playerId, { from?, to? }> with inclusive round numbers.
+// Players without an entry are there for the whole session.
+export function isAvailable(availability, p, round) {
+  const w = availability?.get(p);
+  if (!w) return true;
+  return (w.from == null || round >= w.from) && (w.to == null || round <= w.to);
+}
@@ -0,0 +1,173 @@
+// src/utils/schedulerPolicy.js
+// Tunable scheduler policy. Replaces the constants that used to live at the
+// top of scheduler.js / scheduler.simple.js so a club can save its own values
+// (see fetchSchedulerPolicy / saveSchedulerPolicy) and pick from presets.
+
+// Field definitions drive both validation and the settings form.
+export const POLICY_FIELDS = [
+  {
+    key: "ratingFloor",
+    label: "Default rating",
+    help: "Rating used for players without a record; new players are pulled towards it",
+    type: "number",
+    min: 0,
+    max: 100,
+  },
+  {
+    key: "strongPlayerThreshold",
+    label: "Strong player threshold",
+    help: "Players rated above this count as strong",
+    type: "number",
+    min: 0,
+    max: 100,
+  },
+  {
+    key: "blockStrongPairing",
+    label: "Keep strong players apart",
+    help: "Strongly discourage two strong players on the same team",
+    type: "boolean",
+  },
+  {
+    key: "balanceWeight",
+    label: "Team balance weight",
+    help: "How much even team ratings matter vs variety (0 = ignore ratings)",
+    type: "number",
+    min: 0,
+    max: 10,
+  },
+  {
+    key: "maxPairHistoryPenalty",
+    label: "Partner history cap",
+    help: "Past partnerships beyond this many stop adding penalty",
+    type: "integer",
+    min: 0,
+    max: 20,
+  },
+  {
+    key: "maxConsecutivePlays",
+    label: "Max rounds in a row",
+    help: "Rounds a player may play back to back before being rested",
+    type: "integer",
+    min: 1,
+    max: 20,
+  },
+  {
+    key: "consecutivePlayPenalty",
+    label: "Back-to-back penalty",
+    help: "Penalty for scheduling someone past the max rounds in a row",
+    type: "number",
+    min: 0,
+    max: 1000,
+  },
+  {
+    key: "noDoubleRestPenalty",
+    label: "Double rest penalty",
+    help: "Penalty for playing someone while a player with more rests waits",
+    type: "number",
+    min: 0,
+    max: 1000,
+  },
+];
+
+export const DEFAULT_POLICY = {
+  ratingFloor: 50,
+  strongPlayerThreshold: 70,
+  blockStrongPairing: true,
+  balanceWeight: 1,
+  maxPairHistoryPenalty: 3,
+  maxConsecutivePlays: 3,
+  consecutivePlayPenalty: 50,
+  noDoubleRestPenalty: 40,
+};
+
+export const POLICY_PRESETS = {
+  standard: {
+    label: "Standard",
+    description: "Balanced defaults",
+    policy: DEFAULT_POLICY,
+  },
+  competitive: {
+    label: "Competitive",
+    description: "Even teams first; strong players may play longer runs",
+    policy: {
+      ...DEFAULT_POLICY,
+      blockStrongPairing: false,
+      balanceWeight: 3,
+      maxConsecutivePlays: 4,
+      consecutivePlayPenalty: 30,
+    },
+  },
+  social: {
+    label: "Social",
+    description: "Mix partners as much as possible, ratings matter little",
+    policy: {
+      ...DEFAULT_POLICY,
+      balanceWeight: 0.3,
+      maxPairHistoryPenalty: 5,
+      maxConsecutivePlays: 2,
+      noDoubleRestPenalty: 60,
+    },
+  },
+  beginner: {
+    label: "Beginner friendly",
+    description: "Short runs on court, strong players spread across teams",
+    policy: {
+      ...DEFAULT_POLICY,
+      strongPlayerThreshold: 60,
+      balanceWeight: 2,
+      maxConsecutivePlays: 2,
+      consecutivePlayPenalty: 80,
+      noDoubleRestPenalty: 60,
+    },
+  },
+};
+
+/**
+ * validatePolicy
+ * Checks every field against POLICY_FIELDS. Missing fields fall back to
+ * DEFAULT_POLICY; unknown keys are dropped.
+ * @returns { policy, errors: { [key]: message } }
+ */
+export function validatePolicy(raw = {}) {
+  const policy = { ...DEFAULT_POLICY };
+  const errors = {};
+  const source = raw && typeof raw === "object" ? raw : {};
+
+  POLICY_FIELDS.forEach((f) => {
+    const value = source[f.key];
+    if (value === undefined || value === null || value === "") return;
+
+    if (f.type === "boolean") {
+      if (typeof value !== "boolean") errors[f.key] = "Must be true or false";
+      else policy[f.key] = value;
+      return;
+    }
+
+    const n = Number(value);
+    if (!Number.isFinite(n)) {
+      errors[f.key] = "Must be a number";
+    } else if (f.type === "integer" && !Number.isInteger(n)) {
+      errors[f.key] = "Must be a whole number";
+    } else if (n < f.min || n > f.max) {
+      errors[f.key] = `Must be between ${f.min} and ${f.max}`;
+    } else {
+      policy[f.key] = n;
+    }
+  });
+
+  return { policy, errors };
+}
+
+// Lenient version for generators: invalid values silently use the default.
+export function resolvePolicy(raw) {
+  return validatePolicy(raw).policy;
+}
+
+// Name of the preset the policy matches exactly, or null for a custom policy.
+export function matchPreset(policy) {
+  const resolved = resolvePolicy(policy);
+  const found = Object.entries(POLICY_PRESETS).find(([, preset]) =>
+    POLICY_FIELDS.every((f) => preset.policy[f.key] === resolved[f.key]),
+  );
+  return found ? found[0] : null;
+}
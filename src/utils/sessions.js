@@ -0,0 +1,20 @@
+// src/utils/sessions.js
+// Display helpers for session rows (table sessions, see the sessions
+// functions in api/supabase-actions.js). The date is left to the page, which
+// formats it its own way.
+
+// "Evening · 18:30 · Sports hall"; unnamed sessions read "Session · 18:30".
+export function sessionLabel(session) {
+  if (!session) return "";
+  return [
+    session.name || "Session",
+    session.starts_at ? session.starts_at.slice(0, 5) : null,
+    session.venue || null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+export function isClosed(session) {
+  return session?.status === "closed";
+}
@@ -0,0 +1,136 @@
+// src/utils/singlesScheduler.js
+// Singles (1v1) scheduling. Used by the engine in two ways:
+//   - format "singles": every court plays singles (planSingles on an empty
+//     schedule)
+//   - format "fill":    doubles first, then courts left free in a round are
+//     given to resting players as singles, so odd numbers don't sit out
+// In both cases the players furthest behind their fair share of games go on
+// first, and opponents are picked to avoid repeats (today and past
+// sessions), big rating gaps and avoid-opponent constraints.
+import {
+  rngFor,
+  seededShuffle,
+  pairKey,
+  bumpCount,
+  isAvailable,
+} from "./schedulerHelpers";
+import { resolvePolicy } from "./schedulerPolicy";
+import { indexConstraints, constraintPenalty } from "./playerConstraints";
+
+const TODAY_REPEAT_PENALTY = 50;
+const HISTORY_REPEAT_PENALTY = 5;
+const RATING_GAP_PENALTY_PER_POINT = 0.2;
+
+/**
+ * planSingles
+ * Adds singles matches on the courts each round leaves free.
+ * @param matches  raw matches already planned [{ round, court, players }]
+ * @returns the given matches plus the new singles ones (raw, unnumbered)
+ */
+export function planSingles({
+  matches = [],
+  players,
+  courts = 1,
+  rounds = 5,
+  opponentHistory = new Map(),
+  ratings = new Map(),
+  policy,
+  balanceWeight,
+  priorPlays = new Map(),
+  availability = new Map(),
+  constraints = [],
+  seed = new Date().toISOString().slice(0, 10),
+} = {}) {
+  if (!Array.isArray(players) || players.length < 2) return [...matches];
+
+  const pol = resolvePolicy(policy);
+  const weight = balanceWeight ?? pol.balanceWeight;
+  const rng = rngFor(seed, "singles");
+  const rating = (p) => ratings.get(p) ?? pol.ratingFloor;
+  const constraintIndex = indexConstraints(constraints);
+
+  const plays = new Map(players.map((p) => [p, priorPlays.get(p) || 0]));
+  const expected = new Map(players.map((p) => [p, 0]));
+  const consecutive = new Map(players.map((p) => [p, 0]));
+  const lastRound = new Map(players.map((p) => [p, 0]));
+  const metToday = new Map();
+
+  const out = [];
+  for (let round = 1; round <= rounds; round++) {
+    const planned = matches.filter((m) => m.round === round);
+    const used = new Set(planned.map((m) => m.court));
+    const onCourt = new Set(planned.flatMap((m) => m.players));
+    const present = players.filter((p) => isAvailable(availability, p, round));
+    const presentSet = new Set(present);
+    let pool = seededShuffle(
+      present.filter((p) => !onCourt.has(p)),
+      rng,
+    );
+    const freeCourts = [];
+    for (let c = 1; c <= courts; c++) if (!used.has(c)) freeCourts.push(c);
+    const singlesCount = Math.min(
+      freeCourts.length,
+      Math.floor(pool.length / 2),
+    );
+
+    const slots = onCourt.size + singlesCount * 2;
+    present.forEach((p) =>
+      expected.set(p, expected.get(p) + slots / present.length),
+    );
+
+    const added = [];
+    for (let i = 0; i < singlesCount; i++) {
+      const behind = (p) => plays.get(p) - expected.get(p);
+      const overCap = (p) =>
+        consecutive.get(p) >= pol.maxConsecutivePlays ? 1 : 0;
+      pool.sort(
+        (a, b) =>
+          overCap(a) - overCap(b) ||
+          behind(a) - behind(b) ||
+          lastRound.get(a) - lastRound.get(b),
+      );
+      const first = pool[0];
+      // opponent among the next few candidates; further down the queue only
+      // if they're equally due a game
+      const candidates = pool
+        .slice(1)
+        .filter((p, idx) => idx < 3 || behind(p) <= behind(pool[1]));
+      let best = null;
+      for (const p of candidates) {
+        const key = pairKey(first, p);
+        const cost =
+          (metToday.get(key) || 0) * TODAY_REPEAT_PENALTY +
+          Math.min(opponentHistory.get(key) || 0, pol.maxPairHistoryPenalty) *
+            HISTORY_REPEAT_PENALTY +
+          Math.abs(rating(first) - rating(p)) *
+            RATING_GAP_PENALTY_PER_POINT *
+            weight +
+          constraintPenalty(constraintIndex, [first, p], presentSet);
+        if (!best || cost < best.cost) best = { p, cost };
+      }
+      const pair = [first, best.p];
+      pool = pool.filter((p) => !pair.includes(p));
+      bumpCount(metToday, pairKey(...pair));
+      added.push({ round, court: freeCourts[i], players: pair });
+    }
+
+    const playing = new Set([...onCourt, ...added.flatMap((m) => m.players)]);
+    players.forEach((p) => {
+      if (playing.has(p)) {
+        bumpCount(plays, p);
+        consecutive.set(p, consecutive.get(p) + 1);
+        lastRound.set(p, round);
+      } else if (presentSet.has(p)) {
+        consecutive.set(p, 0);
+      }
+    });
+    out.push(...planned, ...added);
+  }
+  // matches beyond `rounds` (if any) are kept untouched
+  return [...out, ...matches.filter((m) => !(m.round <= rounds))];
+}
+
+// Singles-only session.
+export function generateSinglesSchedule(opts = {}) {
+  return planSingles({ ...opts, matches: [] });
+}
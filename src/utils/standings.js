@@ -0,0 +1,97 @@
+// src/utils/standings.js
+// Standings for fixed teams from recorded results (matches with a winner).
+// score_text is written from the winner's side, set by set ("21-15,21-18"),
+// so each set's first number belongs to the winning team.
+import { teamsOf } from "./matchTeams";
+
+// Order-independent key for a team's player ids.
+export function teamKey(ids) {
+  return [...ids].sort().join("|");
+}
+
+// "21-15, 18-21" → [[21, 15], [18, 21]]; malformed sets are skipped.
+export function parseScoreText(scoreText) {
+  return String(scoreText || "")
+    .split(",")
+    .map((s) => s.trim().match(/^(\d{1,2})-(\d{1,2})$/))
+    .filter(Boolean)
+    .map((m) => [Number(m[1]), Number(m[2])]);
+}
+
+/**
+ * computeStandings
+ * @param teams   [{ id, players: [a, b], label?, name? }] — optional; when
+ *                empty, every team found in the matches is listed
+ * @param matches saved rows ({ player_ids, winner, score_text })
+ * @returns rows sorted by wins, set difference, point difference:
+ *   [{ id, label, name, players, played, won, lost, setsFor, setsAgainst,
+ *      setDiff, pointsFor, pointsAgainst, pointDiff }]
+ */
+export function computeStandings(teams = [], matches = []) {
+  const rows = new Map();
+  const rowFor = (ids, team) => {
+    const key = teamKey(ids);
+    if (!rows.has(key)) {
+      rows.set(key, {
+        id: team?.id ?? key,
+        label: team?.label ?? null,
+        name: team?.name ?? null,
+        players: team?.players ?? ids,
+        played: 0,
+        won: 0,
+        lost: 0,
+        setsFor: 0,
+        setsAgainst: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+      });
+    }
+    return rows.get(key);
+  };
+  teams.forEach((t) => rowFor(t.players, t));
+  const known = teams.length > 0;
+
+  (matches || []).forEach((m) => {
+    const winnerIds = Array.isArray(m.winner) ? m.winner : [];
+    if (!winnerIds.length) return;
+    const { teamA, teamB } = teamsOf(m.player_ids || m.players || []);
+    if (!teamA.length || !teamB.length) return;
+    if (known && !(rows.has(teamKey(teamA)) && rows.has(teamKey(teamB))))
+      return;
+
+    const aWon = teamA.some((p) => winnerIds.includes(p));
+    const winner = rowFor(aWon ? teamA : teamB);
+    const loser = rowFor(aWon ? teamB : teamA);
+    winner.played += 1;
+    loser.played += 1;
+    winner.won += 1;
+    loser.lost += 1;
+    parseScoreText(m.score_text).forEach(([w, l]) => {
+      winner.pointsFor += w;
+      winner.pointsAgainst += l;
+      loser.pointsFor += l;
+      loser.pointsAgainst += w;
+      if (w > l) {
+        winner.setsFor += 1;
+        loser.setsAgainst += 1;
+      } else if (l > w) {
+        loser.setsFor += 1;
+        winner.setsAgainst += 1;
+      }
+    });
+  });
+
+  return [...rows.values()]
+    .map((r) => ({
+      ...r,
+      setDiff: r.setsFor - r.setsAgainst,
+      pointDiff: r.pointsFor - r.pointsAgainst,
+    }))
+    .sort(
+      (a, b) =>
+        b.won - a.won ||
+        b.setDiff - a.setDiff ||
+        b.pointDiff - a.pointDiff ||
+        a.lost - b.lost,
+    );
+}
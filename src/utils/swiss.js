@@ -0,0 +1,221 @@
+// src/utils/swiss.js
+// Swiss-system ladder: one round at a time, units with similar records so
+// far tonight play each other, avoiding rematches. Records come from the
+// day's saved rows (winner recorded via MatchCard), so the next round can
+// only be planned once the current one has results.
+//
+// Units:
+//   pairs given      fixed teams meet teams (standings.js records)
+//   format singles   players meet players
+//   otherwise        players in doubles: groups of four with similar
+//                    records, split for partner/opponent variety
+import { computeStandings, teamKey } from "./standings";
+import { sessionLeaderboard } from "./americano";
+import { teamsOf, partnerPairs, opponentPairs } from "./matchTeams";
+import { pairKey, bumpCount } from "./schedulerHelpers";
+
+// A repeat partner in doubles costs more than facing someone again.
+const PARTNER_REPEAT_PENALTY = 10;
+const OPPONENT_REPEAT_PENALTY = 3;
+
+const byRecord = (a, b) =>
+  b.won - a.won || b.diff - a.diff || a.played - b.played;
+
+// Who sits out when the units don't fill the courts / pair up evenly: the
+// ones who have played most, lowest ranked first.
+function pickSitOuts(ranked, count, plays) {
+  if (count <= 0) return [];
+  return ranked
+    .map((id, rank) => ({ id, rank }))
+    .sort(
+      (a, b) =>
+        (plays.get(b.id) || 0) - (plays.get(a.id) || 0) || b.rank - a.rank,
+    )
+    .slice(0, count)
+    .map((u) => u.id);
+}
+
+/**
+ * pairDown
+ * Classic Swiss pairing over a ranked list (best first): the top unit plays
+ * the nearest unit below it it hasn't met; backtracks when that leaves the
+ * rest unpairable and only allows a rematch when nothing else works.
+ * @returns { pairs: [[idA, idB]], rematches }
+ */
+export function pairDown(ranked, met) {
+  const solve = (open, allowRematch) => {
+    if (open.length === 0) return [];
+    const [top, ...rest] = open;
+    for (let i = 0; i < rest.length; i++) {
+      if (!allowRematch && met(top, rest[i])) continue;
+      const tail = solve(
+        rest.filter((_, k) => k !== i),
+        allowRematch,
+      );
+      if (tail) return [[top, rest[i]], ...tail];
+    }
+    return null;
+  };
+  const clean = ranked.length <= 12 ? solve(ranked, false) : null;
+  if (clean) return { pairs: clean, rematches: 0 };
+  // greedy with rematches allowed, fewest first
+  const open = [...ranked];
+  const pairs = [];
+  let rematches = 0;
+  while (open.length > 1) {
+    const top = open.shift();
+    let idx = open.findIndex((u) => !met(top, u));
+    if (idx < 0) {
+      idx = 0;
+      rematches += 1;
+    }
+    pairs.push([top, open.splice(idx, 1)[0]]);
+  }
+  return { pairs, rematches };
+}
+
+function toMatches(games, courts) {
+  return games.map((players, idx) => ({
+    round: Math.floor(idx / courts) + 1,
+    court: (idx % courts) + 1,
+    players,
+  }));
+}
+
+/**
+ * planSwissRound
+ * @param {Object} opts
+ *  - players: [playerId] present tonight
+ *  - pairs?: [{ id, players: [a, b] }] fixed teams
+ *  - singles?: boolean (players meet players)
+ *  - courts: games are laid out on the courts in order, so a Swiss round
+ *            with more games than courts spans several schedule rounds
+ *  - sessionMatches: the day's saved rows so far
+ *  - ratings: Map<playerId, number> (orders units without results)
+ * @returns { matches: [{ round, court, players }], report }
+ */
+export function planSwissRound({
+  players = [],
+  pairs = null,
+  singles = false,
+  courts = 1,
+  sessionMatches = [],
+  ratings = new Map(),
+}) {
+  const matches = sessionMatches || [];
+  const rating = (ids) =>
+    ids.reduce((acc, p) => acc + (ratings.get(p) ?? 50), 0) / ids.length;
+  const plays = new Map();
+  const report = {
+    format: "swiss",
+    results: matches.filter((m) => m.winner?.length > 0).length,
+    pending: matches.filter((m) => !m.winner?.length).length,
+    rematches: 0,
+    sittingOut: [],
+  };
+
+  if (pairs && pairs.length) {
+    const byKey = new Map(pairs.map((t) => [teamKey(t.players), t.id]));
+    const meetings = new Set();
+    matches.forEach((m) => {
+      const { teamA, teamB } = teamsOf(m.player_ids || m.players || []);
+      const a = byKey.get(teamKey(teamA));
+      const b = byKey.get(teamKey(teamB));
+      if (a) bumpCount(plays, a);
+      if (b) bumpCount(plays, b);
+      if (a && b) meetings.add(pairKey(a, b));
+    });
+    const records = new Map(
+      computeStandings(pairs, matches).map((r) => [
+        r.id,
+        { ...r, diff: r.pointDiff },
+      ]),
+    );
+    const ranked = pairs
+      .map((t, order) => ({ t, order, ...records.get(t.id) }))
+      .sort(
+        (a, b) =>
+          byRecord(a, b) ||
+          rating(b.t.players) - rating(a.t.players) ||
+          a.order - b.order,
+      )
+      .map((u) => u.t.id);
+    const sitting = pickSitOuts(ranked, ranked.length % 2, plays);
+    const { pairs: games, rematches } = pairDown(
+      ranked.filter((id) => !sitting.includes(id)),
+      (a, b) => meetings.has(pairKey(a, b)),
+    );
+    const teamPlayers = new Map(pairs.map((t) => [t.id, t.players]));
+    return {
+      matches: toMatches(
+        games.map(([a, b]) => [...teamPlayers.get(a), ...teamPlayers.get(b)]),
+        courts,
+      ),
+      report: { ...report, rematches, sittingOut: sitting },
+    };
+  }
+
+  const roster = [...new Set(players)];
+  const partners = new Map();
+  const opponents = new Map();
+  matches.forEach((m) => {
+    const ids = m.player_ids || m.players || [];
+    ids.forEach((p) => bumpCount(plays, p));
+    partnerPairs(ids).forEach(([a, b]) => bumpCount(partners, pairKey(a, b)));
+    opponentPairs(ids).forEach(([a, b]) => bumpCount(opponents, pairKey(a, b)));
+  });
+  const records = new Map(
+    sessionLeaderboard(matches, { by: "wins" }).map((r) => [r.id, r]),
+  );
+  const blank = { won: 0, diff: 0, played: 0 };
+  const ranked = roster
+    .map((id, order) => ({ id, order, ...(records.get(id) || blank) }))
+    .sort(
+      (a, b) =>
+        byRecord(a, b) || rating([b.id]) - rating([a.id]) || a.order - b.order,
+    )
+    .map((u) => u.id);
+
+  if (singles) {
+    const sitting = pickSitOuts(ranked, ranked.length % 2, plays);
+    const { pairs: games, rematches } = pairDown(
+      ranked.filter((id) => !sitting.includes(id)),
+      (a, b) => opponents.has(pairKey(a, b)),
+    );
+    return {
+      matches: toMatches(games, courts),
+      report: { ...report, rematches, sittingOut: sitting },
+    };
+  }
+
+  // doubles: consecutive groups of four by record, best split in each
+  const sitting = pickSitOuts(ranked, ranked.length % 4, plays);
+  const playing = ranked.filter((id) => !sitting.includes(id));
+  const games = [];
+  let rematches = 0;
+  for (let i = 0; i + 3 < playing.length; i += 4) {
+    const [a, b, c, d] = playing.slice(i, i + 4);
+    let best = null;
+    [
+      [a, d, b, c],
+      [a, c, b, d],
+      [a, b, c, d],
+    ].forEach((split) => {
+      const partnerRepeats = partnerPairs(split).filter(([x, y]) =>
+        partners.has(pairKey(x, y)),
+      ).length;
+      const cost =
+        partnerRepeats * PARTNER_REPEAT_PENALTY +
+        opponentPairs(split).filter(([x, y]) => opponents.has(pairKey(x, y)))
+          .length *
+          OPPONENT_REPEAT_PENALTY;
+      if (!best || cost < best.cost) best = { split, cost, partnerRepeats };
+    });
+    rematches += best.partnerRepeats;
+    games.push(best.split);
+  }
+  return {
+    matches: toMatches(games, courts),
+    report: { ...report, rematches, sittingOut: sitting },
+  };
+}
@@ -0,0 +1,446 @@
+// src/utils/tournament.js
+// Club tournament for fixed pairs: an optional group stage (round-robin per
+// group) followed by a single-elimination bracket, with an optional plate
+// for first-round losers.
+//
+// Tournament state (table tournaments, one active row per session):
+//   {
+//     name, status: "groups" | "knockout" | "finished",
+//     settings: validateTournamentSettings() output,
+//     teams:    [{ id, players, label, name, rating, seed, group }]
+//     fixtures: [{ key, group, round, teams: [idA, idB], match_id, winner }]
+//     bracket:  { nodes: [node] } | null  (built when the groups finish)
+//   }
+// Bracket node:
+//   { key, bracket: "main" | "plate", round, slot, teams: [idA|null, idB|null],
+//     from: [{ key, take: "winner" | "loser" } | null, x2],
+//     match_id, court, winner, done, bye }
+// A side with `from` is filled in once its source node is done; a done node
+// without a match is a bye (or empty when neither side has a team).
+// Functions here are pure: they take a state and return a new one.
+import { planRoundRobin } from "./pairScheduler";
+import { computeStandings } from "./standings";
+
+export const DEFAULT_TOURNAMENT_SETTINGS = {
+  groups: 0, // 0 = straight to the knockout
+  advance: 2, // teams per group that reach the knockout
+  plate: false,
+  courts: 1,
+};
+
+/**
+ * validateTournamentSettings
+ * Same contract as validatePolicy: defaults fill gaps, bad values are
+ * reported per field. teamCount bounds the group count.
+ * @returns { settings, errors: { [key]: message } }
+ */
+export function validateTournamentSettings(raw = {}, teamCount = 0) {
+  const settings = { ...DEFAULT_TOURNAMENT_SETTINGS };
+  const errors = {};
+  const source = raw && typeof raw === "object" ? raw : {};
+  const intIn = (key, min, max, msg) => {
+    if (source[key] == null || source[key] === "") return;
+    const n = Number(source[key]);
+    if (!Number.isInteger(n) || n < min || n > max) errors[key] = msg;
+    else settings[key] = n;
+  };
+
+  intIn("courts", 1, 20, "Must be a whole number between 1 and 20");
+  intIn("groups", 0, 8, "Must be a whole number between 0 and 8");
+  intIn("advance", 1, 8, "Must be a whole number between 1 and 8");
+  if (source.plate != null) settings.plate = Boolean(source.plate);
+
+  if (teamCount < 2) errors.teams = "Add at least two pairs";
+  if (settings.groups > 0 && !errors.groups) {
+    if (settings.groups * 2 > teamCount)
+      errors.groups = "Every group needs at least two pairs";
+    else if (
+      !errors.advance &&
+      settings.advance > Math.floor(teamCount / settings.groups)
+    )
+      errors.advance = "More than the smallest group";
+  }
+  return { settings, errors };
+}
+
+// Average rating of a team's players (missing ratings count as 50).
+export function teamRating(team, ratings = new Map()) {
+  const values = (team.players || []).map((p) => ratings.get(p) ?? 50);
+  return values.length
+    ? values.reduce((acc, r) => acc + r, 0) / values.length
+    : 50;
+}
+
+// Teams ordered by rating, strongest first, with seed numbers from 1.
+export function seedTeams(teams, ratings) {
+  return teams
+    .map((team, order) => ({ team, rating: teamRating(team, ratings), order }))
+    .sort((a, b) => b.rating - a.rating || a.order - b.order)
+    .map(({ team, rating }, idx) => ({ ...team, rating, seed: idx + 1 }));
+}
+
+export const groupName = (idx) => String.fromCharCode(65 + idx);
+
+// Snake draw over the seeds: A B C C B A A B C …, so every group gets a
+// similar spread of strong and weak pairs. Returns teams with `group` set.
+export function drawGroups(seeded, groupCount) {
+  return seeded.map((t, idx) => {
+    const lap = Math.floor(idx / groupCount);
+    const pos = idx % groupCount;
+    return {
+      ...t,
+      group: groupName(lap % 2 === 0 ? pos : groupCount - 1 - pos),
+    };
+  });
+}
+
+/**
+ * groupFixtures
+ * Every group's round-robin, group rounds interleaved (round 1 of every
+ * group, then round 2 …) and laid out on the courts. No team plays twice in
+ * one schedule round.
+ * @returns { fixtures, schedule } — schedule is saveScheduleToDb input in
+ *          fixture order
+ */
+export function groupFixtures(teams, courts = 1) {
+  const groups = [...new Set(teams.map((t) => t.group))].sort();
+  const all = [];
+  groups.forEach((group) => {
+    const { matches } = planRoundRobin({
+      pairs: teams.filter((t) => t.group === group),
+      courts: Number.MAX_SAFE_INTEGER,
+      seed: `group-${group}`,
+    });
+    matches.forEach((m, idx) =>
+      all.push({
+        key: `${group}-${idx + 1}`,
+        group,
+        round: m.round,
+        teams: m.teams,
+        players: m.players,
+      }),
+    );
+  });
+  all.sort((a, b) => a.round - b.round || a.group.localeCompare(b.group));
+
+  const fixtures = [];
+  const schedule = [];
+  let slot = 0;
+  let onSlot = 0;
+  let lastRound = null;
+  all.forEach((f) => {
+    if (lastRound !== null && (f.round !== lastRound || onSlot === courts)) {
+      slot += 1;
+      onSlot = 0;
+    }
+    lastRound = f.round;
+    onSlot += 1;
+    fixtures.push({
+      key: f.key,
+      group: f.group,
+      round: f.round,
+      teams: f.teams,
+      match_id: null,
+      winner: null,
+    });
+    schedule.push({ round: slot + 1, court: onSlot, players: f.players });
+  });
+  return { fixtures, schedule };
+}
+
+/**
+ * groupStandings
+ * Standings per group from the day's saved matches (scores included).
+ * @returns [{ group, rows }] — rows as computeStandings
+ */
+export function groupStandings(tournament, matches = []) {
+  const byMatch = new Map((matches || []).map((m) => [m.id, m]));
+  const groups = [
+    ...new Set((tournament.teams || []).map((t) => t.group).filter(Boolean)),
+  ].sort();
+  return groups.map((group) => {
+    const rows = computeStandings(
+      tournament.teams.filter((t) => t.group === group),
+      (tournament.fixtures || [])
+        .filter((f) => f.group === group && f.match_id)
+        .map((f) => byMatch.get(f.match_id))
+        .filter(Boolean),
+    );
+    return { group, rows };
+  });
+}
+
+// Knockout seeds from the group tables: every group winner (best record
+// first), then every runner-up, and so on.
+export function qualifiers(tournament, matches) {
+  const tables = groupStandings(tournament, matches);
+  const seeds = [];
+  for (let place = 0; place < tournament.settings.advance; place++) {
+    tables
+      .map(({ rows }) => rows[place])
+      .filter(Boolean)
+      .sort(
+        (a, b) =>
+          b.won - a.won ||
+          b.setDiff - a.setDiff ||
+          b.pointDiff - a.pointDiff ||
+          a.lost - b.lost,
+      )
+      .forEach((r) => seeds.push(r.id));
+  }
+  return seeds;
+}
+
+// Bracket positions for seeds 1..size so the top seeds meet last:
+// 4 → [1, 4, 2, 3], 8 → [1, 8, 4, 5, 2, 7, 3, 6].
+function seedPositions(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap((s) => [s, n + 1 - s]);
+  }
+  return order;
+}
+
+export function roundName(rounds, round) {
+  const left = rounds - round;
+  if (left === 0) return "Final";
+  if (left === 1) return "Semi-finals";
+  if (left === 2) return "Quarter-finals";
+  return `Round of ${2 ** (left + 1)}`;
+}
+
+function node(bracket, round, slot, extra) {
+  return {
+    key: `${bracket}-${round}-${slot}`,
+    bracket,
+    round,
+    slot,
+    teams: [null, null],
+    from: [null, null],
+    match_id: null,
+    court: null,
+    winner: null,
+    done: false,
+    bye: false,
+    ...extra,
+  };
+}
+
+// Rounds 2+ of a bracket whose first round is already in `nodes`.
+function laterRounds(nodes, bracket, firstRoundSize) {
+  let prev = firstRoundSize;
+  for (let round = 2; prev > 1; round++) {
+    const count = prev / 2;
+    for (let slot = 1; slot <= count; slot++) {
+      nodes.push(
+        node(bracket, round, slot, {
+          from: [
+            { key: `${bracket}-${round - 1}-${slot * 2 - 1}`, take: "winner" },
+            { key: `${bracket}-${round - 1}-${slot * 2}`, take: "winner" },
+          ],
+        }),
+      );
+    }
+    prev = count;
+  }
+}
+
+/**
+ * buildBracket
+ * Single elimination for `seedIds` (best first), padded with byes to a power
+ * of two. With groupOf, first-round meetings of pairs from the same group
+ * are swapped away where possible. With plate, first-round losers play a
+ * second bracket.
+ * @returns { nodes } (unresolved — see resolveBracket)
+ */
+export function buildBracket(seedIds, { plate = false, groupOf = null } = {}) {
+  let size = 2;
+  while (size < seedIds.length) size *= 2;
+  const positions = seedPositions(size);
+  const firstRound = [];
+  for (let slot = 1; slot <= size / 2; slot++) {
+    firstRound.push([
+      seedIds[positions[slot * 2 - 2] - 1] ?? null,
+      seedIds[positions[slot * 2 - 1] - 1] ?? null,
+    ]);
+  }
+
+  if (groupOf) {
+    const same = (pair) =>
+      pair[0] && pair[1] && groupOf(pair[0]) === groupOf(pair[1]);
+    firstRound.forEach((pair, i) => {
+      if (!same(pair)) return;
+      const j = firstRound.findIndex(
+        (other, k) =>
+          k !== i &&
+          other[1] &&
+          groupOf(other[1]) !== groupOf(pair[0]) &&
+          groupOf(pair[1]) !== groupOf(other[0]),
+      );
+      if (j < 0) return;
+      [pair[1], firstRound[j][1]] = [firstRound[j][1], pair[1]];
+    });
+  }
+
+  const nodes = firstRound.map((teams, idx) =>
+    node("main", 1, idx + 1, { teams }),
+  );
+  laterRounds(nodes, "main", size / 2);
+
+  if (plate && size >= 4) {
+    for (let slot = 1; slot <= size / 4; slot++) {
+      nodes.push(
+        node("plate", 1, slot, {
+          from: [
+            { key: `main-1-${slot * 2 - 1}`, take: "loser" },
+            { key: `main-1-${slot * 2}`, take: "loser" },
+          ],
+        }),
+      );
+    }
+    laterRounds(nodes, "plate", size / 4);
+  }
+  return { nodes };
+}
+
+function loserOf(n) {
+  if (!n.done || !n.winner || !n.teams[0] || !n.teams[1]) return null;
+  return n.teams[0] === n.winner ? n.teams[1] : n.teams[0];
+}
+
+/**
+ * resolveBracket
+ * Fills sides whose source is done and settles byes, until nothing changes.
+ */
+export function resolveBracket(bracket) {
+  const nodes = bracket.nodes.map((n) => ({ ...n, teams: [...n.teams] }));
+  const byKey = new Map(nodes.map((n) => [n.key, n]));
+  let changed = true;
+  while (changed) {
+    changed = false;
+    nodes.forEach((n) => {
+      if (n.done) return;
+      const settled = n.from.map((src, side) => {
+        if (!src) return true;
+        const from = byKey.get(src.key);
+        if (!from?.done) return false;
+        const team = src.take === "winner" ? from.winner : loserOf(from);
+        if (n.teams[side] !== team) {
+          n.teams[side] = team;
+          changed = true;
+        }
+        return true;
+      });
+      if (settled.every(Boolean) && !(n.teams[0] && n.teams[1])) {
+        n.done = true;
+        n.bye = true;
+        n.winner = n.teams[0] || n.teams[1] || null;
+        changed = true;
+      }
+    });
+  }
+  return { ...bracket, nodes };
+}
+
+// Nodes with both teams known that still need a match.
+export function readyNodes(bracket) {
+  return (bracket?.nodes || []).filter(
+    (n) => !n.done && !n.match_id && n.teams[0] && n.teams[1],
+  );
+}
+
+// Court with the fewest unfinished bracket matches (lowest number on ties).
+export function nextCourt(tournament) {
+  const load = new Map();
+  for (let c = 1; c <= tournament.settings.courts; c++) load.set(c, 0);
+  (tournament.bracket?.nodes || []).forEach((n) => {
+    if (n.match_id && !n.done && load.has(n.court))
+      load.set(n.court, load.get(n.court) + 1);
+  });
+  return [...load.entries()].sort((a, b) => a[1] - b[1] || a[0] - b[0])[0][0];
+}
+
+// Which of `teamIds` the recorded winner ids belong to.
+function winningTeam(tournament, teamIds, winnerIds) {
+  return (
+    teamIds.find((id) =>
+      tournament.teams
+        .find((t) => t.id === id)
+        ?.players.some((p) => winnerIds.includes(p)),
+    ) || null
+  );
+}
+
+// Finals (main and plate) decided, so every node is done.
+function isFinished(bracket) {
+  return bracket.nodes.every((n) => n.done);
+}
+
+/**
+ * startKnockout
+ * Bracket for the given seeds (group tables, or ratings without groups).
+ */
+export function startKnockout(tournament, seedIds) {
+  const groupOf = (id) => tournament.teams.find((t) => t.id === id)?.group;
+  const bracket = resolveBracket(
+    buildBracket(seedIds, {
+      plate: tournament.settings.plate,
+      groupOf: tournament.settings.groups > 0 ? groupOf : null,
+    }),
+  );
+  return {
+    ...tournament,
+    status: isFinished(bracket) ? "finished" : "knockout",
+    bracket,
+  };
+}
+
+/**
+ * applyTournamentResult
+ * A result on one of the tournament's matches: marks the fixture / bracket
+ * node, starts the knockout once every group match has a winner and moves
+ * winners (and plate losers) on. `matches` is the day's saved rows, used for
+ * the group tables.
+ * @returns { tournament, changed }
+ */
+export function applyTournamentResult(
+  tournament,
+  { matchId, winnerIds, matches = [] },
+) {
+  const fixture = (tournament.fixtures || []).find(
+    (f) => f.match_id === matchId,
+  );
+  if (fixture) {
+    const winner = winningTeam(tournament, fixture.teams, winnerIds);
+    if (!winner || fixture.winner === winner)
+      return { tournament, changed: false };
+    const fixtures = tournament.fixtures.map((f) =>
+      f === fixture ? { ...f, winner } : f,
+    );
+    let next = { ...tournament, fixtures };
+    if (next.status === "groups" && fixtures.every((f) => f.winner)) {
+      next = startKnockout(next, qualifiers(next, matches));
+    }
+    return { tournament: next, changed: true };
+  }
+
+  const target = tournament.bracket?.nodes.find((n) => n.match_id === matchId);
+  if (!target || target.done) return { tournament, changed: false };
+  const winner = winningTeam(tournament, target.teams, winnerIds);
+  if (!winner) return { tournament, changed: false };
+  const bracket = resolveBracket({
+    ...tournament.bracket,
+    nodes: tournament.bracket.nodes.map((n) =>
+      n === target ? { ...n, winner, done: true } : n,
+    ),
+  });
+  return {
+    tournament: {
+      ...tournament,
+      bracket,
+      status: isFinished(bracket) ? "finished" : tournament.status,
+    },
+    changed: true,
+  };
+}
@@ -0,0 +1,22 @@
+-- Scheduler policy per club (see src/utils/schedulerPolicy.js).
+-- The app runs one club per project today, so club_id defaults to 'default'.
+create table if not exists public.scheduler_policies (
+  club_id     text primary key default 'default',
+  preset      text,
+  policy      jsonb not null default '{}'::jsonb,
+  updated_at  timestamptz not null default now(),
+  updated_by  uuid references auth.users (id)
+);
+
+alter table public.scheduler_policies enable row level security;
+
+create policy "scheduler_policies read"
+  on public.scheduler_policies for select
+  to authenticated
+  using (true);
+
+create policy "scheduler_policies write"
+  on public.scheduler_policies for all
+  to authenticated
+  using (true)
+  with check (true);
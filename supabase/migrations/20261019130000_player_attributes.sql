@@ -0,0 +1,6 @@
+-- Player attributes used by the mixed-doubles scheduling mode.
+-- gender: 'female' | 'male' (nullable); category: free-form club label.
+alter table public.players
+  add column if not exists gender text
+    check (gender is null or gender in ('female', 'male')),
+  add column if not exists category text;
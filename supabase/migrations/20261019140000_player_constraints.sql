@@ -0,0 +1,28 @@
+-- Pair constraints honoured by the schedulers (src/utils/playerConstraints.js).
+create table if not exists public.player_constraints (
+  id          uuid primary key default gen_random_uuid(),
+  player_a    uuid not null references public.players (id) on delete cascade,
+  player_b    uuid not null references public.players (id) on delete cascade,
+  kind        text not null
+    check (kind in ('avoid_partner', 'avoid_opponent', 'must_partner')),
+  note        text,
+  created_at  timestamptz not null default now(),
+  check (player_a <> player_b)
+);
+
+-- one row per unordered pair and kind
+create unique index if not exists player_constraints_pair_kind
+  on public.player_constraints (least(player_a, player_b), greatest(player_a, player_b), kind);
+
+alter table public.player_constraints enable row level security;
+
+create policy "player_constraints read"
+  on public.player_constraints for select
+  to authenticated
+  using (true);
+
+create policy "player_constraints write"
+  on public.player_constraints for all
+  to authenticated
+  using (true)
+  with check (true);
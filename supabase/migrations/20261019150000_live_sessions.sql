@@ -0,0 +1,35 @@
+-- Live court rotation (src/utils/liveRotation.js): the next match on a court
+-- is created when the current one gets a result, from a queue of waiting
+-- players. One active row per date.
+create table if not exists public.live_sessions (
+  id          uuid primary key default gen_random_uuid(),
+  match_date  date not null,
+  mode        text not null,
+  rules       jsonb not null default '{}'::jsonb,
+  queue       uuid[] not null default '{}',
+  courts      jsonb not null default '{}'::jsonb,
+  streaks     jsonb not null default '{}'::jsonb,
+  active      boolean not null default true,
+  created_at  timestamptz not null default now(),
+  updated_at  timestamptz not null default now()
+);
+
+create unique index if not exists live_sessions_active_date
+  on public.live_sessions (match_date)
+  where active;
+
+alter table public.live_sessions enable row level security;
+
+create policy "live_sessions read"
+  on public.live_sessions for select
+  to authenticated
+  using (true);
+
+create policy "live_sessions write"
+  on public.live_sessions for all
+  to authenticated
+  using (true)
+  with check (true);
+
+-- courtside screens follow the queue live
+alter publication supabase_realtime add table public.live_sessions;
@@ -0,0 +1,36 @@
+-- Club tournaments for fixed pairs (src/utils/tournament.js): group stage
+-- fixtures and the knockout bracket, with the match ids they were saved as.
+-- One active row per date.
+create table if not exists public.tournaments (
+  id          uuid primary key default gen_random_uuid(),
+  match_date  date not null,
+  name        text not null default '',
+  status      text not null default 'groups',
+  settings    jsonb not null default '{}'::jsonb,
+  teams       jsonb not null default '[]'::jsonb,
+  fixtures    jsonb not null default '[]'::jsonb,
+  bracket     jsonb,
+  active      boolean not null default true,
+  created_at  timestamptz not null default now(),
+  updated_at  timestamptz not null default now()
+);
+
+create unique index if not exists tournaments_active_date
+  on public.tournaments (match_date)
+  where active;
+
+alter table public.tournaments enable row level security;
+
+create policy "tournaments read"
+  on public.tournaments for select
+  to authenticated
+  using (true);
+
+create policy "tournaments write"
+  on public.tournaments for all
+  to authenticated
+  using (true)
+  with check (true);
+
+-- the bracket page follows results live
+alter publication supabase_realtime add table public.tournaments;
@@ -0,0 +1,5 @@
+-- Seed code a schedule was generated with (scheduleEngine runStrategy().seed).
+-- Typing the code back into the scheduler with the same players and settings
+-- regenerates the identical schedule. Null for manual / imported matches.
+alter table public.matches
+  add column if not exists schedule_seed text;
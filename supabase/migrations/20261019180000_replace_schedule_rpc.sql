@@ -0,0 +1,111 @@
+-- Atomic schedule writes. Deleting the rounds being replaced (and their
+-- scores), numbering the new matches after what is left and inserting them
+-- happen in one transaction; a per-date advisory lock serialises concurrent
+-- saves so two organizers can't hand out the same match_index.
+--
+--   p_matches      jsonb array in play order:
+--                  [{ court, player_ids: [uuid], resting_player_ids: [uuid] | null }]
+--   p_replace_from null = append after the existing matches,
+--                  1 = replace the whole day,
+--                  n = replace matches with match_index >= n (re-planning)
+--   p_seed         seed code the schedule was generated with (schedule_seed)
+--
+-- Returns { deleted, inserted, first_index, matches: [inserted rows] }.
+create or replace function public.replace_schedule_for_date(
+  p_match_date date,
+  p_matches jsonb,
+  p_replace_from integer default null,
+  p_seed text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_deleted integer := 0;
+  v_next integer;
+  v_item jsonb;
+  v_players uuid[];
+  v_ids uuid[] := '{}';
+  v_id uuid;
+  v_rows jsonb;
+begin
+  if p_match_date is null then
+    raise exception 'match date is required';
+  end if;
+  if jsonb_typeof(coalesce(p_matches, '[]'::jsonb)) <> 'array' then
+    raise exception 'matches must be a JSON array';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('matches:' || p_match_date::text));
+
+  if p_replace_from is not null then
+    delete from public.scores s
+      using public.matches m
+     where s.match_id = m.id
+       and m.match_date = p_match_date
+       and m.match_index >= p_replace_from;
+
+    delete from public.matches
+     where match_date = p_match_date
+       and match_index >= p_replace_from;
+    get diagnostics v_deleted = row_count;
+  end if;
+
+  select coalesce(max(match_index), 0) + 1
+    into v_next
+    from public.matches
+   where match_date = p_match_date;
+
+  for v_item in select * from jsonb_array_elements(coalesce(p_matches, '[]'::jsonb))
+  loop
+    select coalesce(array_agg(value::uuid), '{}')
+      into v_players
+      from jsonb_array_elements_text(v_item -> 'player_ids');
+
+    if cardinality(v_players) not in (2, 4)
+       or (select count(distinct p) from unnest(v_players) p) <> cardinality(v_players) then
+      raise exception 'match % needs 2 or 4 distinct players', v_next;
+    end if;
+
+    insert into public.matches (
+      match_date, court, match_index, player_ids, resting_player_ids,
+      winner, schedule_seed, created_at
+    )
+    values (
+      p_match_date,
+      coalesce((v_item ->> 'court')::integer, 1),
+      v_next,
+      v_players,
+      case
+        when jsonb_typeof(v_item -> 'resting_player_ids') = 'array'
+          and jsonb_array_length(v_item -> 'resting_player_ids') > 0
+        then array(select value::uuid
+                     from jsonb_array_elements_text(v_item -> 'resting_player_ids'))
+        else null
+      end,
+      null,
+      p_seed,
+      now()
+    )
+    returning id into v_id;
+
+    v_ids := v_ids || v_id;
+    v_next := v_next + 1;
+  end loop;
+
+  select coalesce(jsonb_agg(to_jsonb(m) order by m.match_index), '[]'::jsonb)
+    into v_rows
+    from public.matches m
+   where m.id = any (v_ids);
+
+  return jsonb_build_object(
+    'deleted', v_deleted,
+    'inserted', cardinality(v_ids),
+    'first_index', v_next - cardinality(v_ids),
+    'matches', v_rows
+  );
+end;
+$$;
+
+grant execute on function public.replace_schedule_for_date(date, jsonb, integer, text)
+  to authenticated;
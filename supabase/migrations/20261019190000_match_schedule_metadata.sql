@@ -0,0 +1,151 @@
+-- Schedule metadata on every match, so readers use the stored round instead
+-- of inferring it from match_index and the court count (which breaks after
+-- hand edits or appended matches).
+--   round        schedule round (1-based per date)
+--   strategy     scheduleEngine strategy id that generated the match
+--   policy       scheduler policy used (resolvePolicy output)
+--   schedule_id  one id per saved schedule (replace_schedule_for_date call)
+alter table public.matches
+  add column if not exists round integer,
+  add column if not exists strategy text,
+  add column if not exists policy jsonb,
+  add column if not exists schedule_id uuid;
+
+-- existing rows: the rounds the app used to infer
+update public.matches m
+   set round = ceil(m.match_index::numeric / c.courts)::integer
+  from (
+    select match_date, greatest(count(distinct court), 1) as courts
+      from public.matches
+     group by match_date
+  ) c
+ where m.match_date = c.match_date
+   and m.round is null;
+
+create index if not exists matches_date_round
+  on public.matches (match_date, round);
+
+-- replace_schedule_for_date now stores round, strategy, policy and a
+-- schedule id; matches[].round is the round within the saved schedule.
+-- Returns { deleted, inserted, first_index, schedule_id, matches }.
+drop function if exists public.replace_schedule_for_date(date, jsonb, integer, text);
+
+create or replace function public.replace_schedule_for_date(
+  p_match_date date,
+  p_matches jsonb,
+  p_replace_from integer default null,
+  p_seed text default null,
+  p_strategy text default null,
+  p_policy jsonb default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_deleted integer := 0;
+  v_next integer;
+  v_round_offset integer := 0;
+  v_schedule_id uuid := gen_random_uuid();
+  v_item jsonb;
+  v_players uuid[];
+  v_ids uuid[] := '{}';
+  v_id uuid;
+  v_rows jsonb;
+begin
+  if p_match_date is null then
+    raise exception 'match date is required';
+  end if;
+  if jsonb_typeof(coalesce(p_matches, '[]'::jsonb)) <> 'array' then
+    raise exception 'matches must be a JSON array';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('matches:' || p_match_date::text));
+
+  if p_replace_from is not null then
+    delete from public.scores s
+      using public.matches m
+     where s.match_id = m.id
+       and m.match_date = p_match_date
+       and m.match_index >= p_replace_from;
+
+    delete from public.matches
+     where match_date = p_match_date
+       and match_index >= p_replace_from;
+    get diagnostics v_deleted = row_count;
+  end if;
+
+  select coalesce(max(match_index), 0) + 1
+    into v_next
+    from public.matches
+   where match_date = p_match_date;
+
+  -- rounds are numbered from 1 in a new schedule: appended after the day's
+  -- last round; a re-plan already continues from the kept rounds
+  select greatest(
+           0,
+           coalesce((select max(round) from public.matches
+                      where match_date = p_match_date), 0)
+           - coalesce(min((e ->> 'round')::integer), 1) + 1
+         )
+    into v_round_offset
+    from jsonb_array_elements(coalesce(p_matches, '[]'::jsonb)) e;
+
+  for v_item in select * from jsonb_array_elements(coalesce(p_matches, '[]'::jsonb))
+  loop
+    select coalesce(array_agg(value::uuid), '{}')
+      into v_players
+      from jsonb_array_elements_text(v_item -> 'player_ids');
+
+    if cardinality(v_players) not in (2, 4)
+       or (select count(distinct p) from unnest(v_players) p) <> cardinality(v_players) then
+      raise exception 'match % needs 2 or 4 distinct players', v_next;
+    end if;
+
+    insert into public.matches (
+      match_date, court, match_index, round, player_ids, resting_player_ids,
+      winner, schedule_id, schedule_seed, strategy, policy, created_at
+    )
+    values (
+      p_match_date,
+      coalesce((v_item ->> 'court')::integer, 1),
+      v_next,
+      coalesce((v_item ->> 'round')::integer, 1) + v_round_offset,
+      v_players,
+      case
+        when jsonb_typeof(v_item -> 'resting_player_ids') = 'array'
+          and jsonb_array_length(v_item -> 'resting_player_ids') > 0
+        then array(select value::uuid
+                     from jsonb_array_elements_text(v_item -> 'resting_player_ids'))
+        else null
+      end,
+      null,
+      v_schedule_id,
+      p_seed,
+      p_strategy,
+      p_policy,
+      now()
+    )
+    returning id into v_id;
+
+    v_ids := v_ids || v_id;
+    v_next := v_next + 1;
+  end loop;
+
+  select coalesce(jsonb_agg(to_jsonb(m) order by m.match_index), '[]'::jsonb)
+    into v_rows
+    from public.matches m
+   where m.id = any (v_ids);
+
+  return jsonb_build_object(
+    'deleted', v_deleted,
+    'inserted', cardinality(v_ids),
+    'first_index', v_next - cardinality(v_ids),
+    'schedule_id', v_schedule_id,
+    'matches', v_rows
+  );
+end;
+$$;
+
+grant execute on function
+  public.replace_schedule_for_date(date, jsonb, integer, text, text, jsonb)
+  to authenticated;
@@ -0,0 +1,292 @@
+-- Sessions as their own rows instead of "all matches on a date", so two
+-- sessions on one day (morning and evening, two venues) stay apart and
+-- venue, start time, cost and notes have somewhere to live.
+-- Matches reference their session; closed sessions take no schedule changes.
+create table if not exists public.sessions (
+  id          uuid primary key default gen_random_uuid(),
+  match_date  date not null,
+  name        text not null default '',
+  venue       text,
+  starts_at   time,
+  cost        numeric(10, 2),
+  notes       text,
+  status      text not null default 'open'
+              check (status in ('open', 'closed')),
+  closed_at   timestamptz,
+  created_at  timestamptz not null default now(),
+  updated_at  timestamptz not null default now()
+);
+
+create index if not exists sessions_date
+  on public.sessions (match_date desc, starts_at desc);
+
+alter table public.sessions enable row level security;
+
+create policy "sessions read"
+  on public.sessions for select
+  to authenticated
+  using (true);
+
+create policy "sessions write"
+  on public.sessions for all
+  to authenticated
+  using (true)
+  with check (true);
+
+alter table public.matches
+  add column if not exists session_id uuid
+    references public.sessions (id) on delete set null;
+
+create index if not exists matches_session
+  on public.matches (session_id, match_index);
+
+-- existing days become one closed session each
+insert into public.sessions (match_date, status, closed_at)
+select distinct m.match_date, 'closed', now()
+  from public.matches m
+ where m.session_id is null
+   and not exists (
+     select 1 from public.sessions s where s.match_date = m.match_date
+   );
+
+update public.matches m
+   set session_id = s.id
+  from public.sessions s
+ where s.match_date = m.match_date
+   and m.session_id is null;
+
+-- The newest open session of a date, created if there is none. Writers that
+-- only know the date (manual matches, live courts, imports) land here.
+create or replace function public.session_for_date(p_match_date date)
+returns uuid
+language plpgsql
+as $$
+declare
+  v_id uuid;
+begin
+  perform pg_advisory_xact_lock(hashtext('sessions:' || p_match_date::text));
+
+  select id into v_id
+    from public.sessions
+   where match_date = p_match_date
+     and status = 'open'
+   order by starts_at desc nulls last, created_at desc
+   limit 1;
+
+  if v_id is null then
+    insert into public.sessions (match_date)
+    values (p_match_date)
+    returning id into v_id;
+  end if;
+  return v_id;
+end;
+$$;
+
+grant execute on function public.session_for_date(date) to authenticated;
+
+-- replace_schedule_for_date works on one session: p_session_id, or the
+-- date's session_for_date when null. Deletes and round numbers are scoped to
+-- the session; match_index stays sequential across the whole day.
+drop function if exists
+  public.replace_schedule_for_date(date, jsonb, integer, text, text, jsonb);
+
+create or replace function public.replace_schedule_for_date(
+  p_match_date date,
+  p_matches jsonb,
+  p_replace_from integer default null,
+  p_seed text default null,
+  p_strategy text default null,
+  p_policy jsonb default null,
+  p_session_id uuid default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_session_id uuid := p_session_id;
+  v_session public.sessions%rowtype;
+  v_deleted integer := 0;
+  v_next integer;
+  v_round_offset integer := 0;
+  v_schedule_id uuid := gen_random_uuid();
+  v_item jsonb;
+  v_players uuid[];
+  v_ids uuid[] := '{}';
+  v_id uuid;
+  v_rows jsonb;
+begin
+  if p_match_date is null then
+    raise exception 'match date is required';
+  end if;
+  if jsonb_typeof(coalesce(p_matches, '[]'::jsonb)) <> 'array' then
+    raise exception 'matches must be a JSON array';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('matches:' || p_match_date::text));
+
+  if v_session_id is null then
+    v_session_id := public.session_for_date(p_match_date);
+  end if;
+  select * into v_session from public.sessions where id = v_session_id;
+  if not found then
+    raise exception 'session % not found', v_session_id;
+  end if;
+  if v_session.match_date <> p_match_date then
+    raise exception 'session % is on %, not %',
+      v_session_id, v_session.match_date, p_match_date;
+  end if;
+  if v_session.status = 'closed' then
+    raise exception 'session is closed — reopen it to change the schedule';
+  end if;
+
+  if p_replace_from is not null then
+    delete from public.scores s
+      using public.matches m
+     where s.match_id = m.id
+       and m.session_id = v_session_id
+       and m.match_index >= p_replace_from;
+
+    delete from public.matches
+     where session_id = v_session_id
+       and match_index >= p_replace_from;
+    get diagnostics v_deleted = row_count;
+  end if;
+
+  select coalesce(max(match_index), 0) + 1
+    into v_next
+    from public.matches
+   where match_date = p_match_date;
+
+  -- rounds are numbered from 1 in a new schedule: appended after the
+  -- session's last round; a re-plan already continues from the kept rounds
+  select greatest(
+           0,
+           coalesce((select max(round) from public.matches
+                      where session_id = v_session_id), 0)
+           - coalesce(min((e ->> 'round')::integer), 1) + 1
+         )
+    into v_round_offset
+    from jsonb_array_elements(coalesce(p_matches, '[]'::jsonb)) e;
+
+  for v_item in select * from jsonb_array_elements(coalesce(p_matches, '[]'::jsonb))
+  loop
+    select coalesce(array_agg(value::uuid), '{}')
+      into v_players
+      from jsonb_array_elements_text(v_item -> 'player_ids');
+
+    if cardinality(v_players) not in (2, 4)
+       or (select count(distinct p) from unnest(v_players) p) <> cardinality(v_players) then
+      raise exception 'match % needs 2 or 4 distinct players', v_next;
+    end if;
+
+    insert into public.matches (
+      match_date, session_id, court, match_index, round, player_ids,
+      resting_player_ids, winner, schedule_id, schedule_seed, strategy,
+      policy, created_at
+    )
+    values (
+      p_match_date,
+      v_session_id,
+      coalesce((v_item ->> 'court')::integer, 1),
+      v_next,
+      coalesce((v_item ->> 'round')::integer, 1) + v_round_offset,
+      v_players,
+      case
+        when jsonb_typeof(v_item -> 'resting_player_ids') = 'array'
+          and jsonb_array_length(v_item -> 'resting_player_ids') > 0
+        then array(select value::uuid
+                     from jsonb_array_elements_text(v_item -> 'resting_player_ids'))
+        else null
+      end,
+      null,
+      v_schedule_id,
+      p_seed,
+      p_strategy,
+      p_policy,
+      now()
+    )
+    returning id into v_id;
+
+    v_ids := v_ids || v_id;
+    v_next := v_next + 1;
+  end loop;
+
+  select coalesce(jsonb_agg(to_jsonb(m) order by m.match_index), '[]'::jsonb)
+    into v_rows
+    from public.matches m
+   where m.id = any (v_ids);
+
+  return jsonb_build_object(
+    'deleted', v_deleted,
+    'inserted', cardinality(v_ids),
+    'first_index', v_next - cardinality(v_ids),
+    'schedule_id', v_schedule_id,
+    'session_id', v_session_id,
+    'matches', v_rows
+  );
+end;
+$$;
+
+grant execute on function
+  public.replace_schedule_for_date(date, jsonb, integer, text, text, jsonb, uuid)
+  to authenticated;
+
+-- Attendance counts sessions, not dates: two sessions on one day are two.
+-- p_session_ids (when given) limits the count to those sessions.
+drop function if exists public.get_player_session_counts(date, date);
+
+create or replace function public.get_player_session_counts(
+  p_start date default null,
+  p_end date default null,
+  p_session_ids uuid[] default null
+)
+returns table (player_id uuid, session_count bigint)
+language sql
+stable
+as $$
+  select p.player_id,
+         count(distinct coalesce(m.session_id::text, m.match_date::text))
+    from public.matches m
+   cross join lateral unnest(m.player_ids) as p(player_id)
+   where (p_start is null or m.match_date >= p_start)
+     and (p_end is null or m.match_date <= p_end)
+     and (p_session_ids is null or m.session_id = any (p_session_ids))
+   group by p.player_id;
+$$;
+
+grant execute on function
+  public.get_player_session_counts(date, date, uuid[])
+  to authenticated;
+
+-- Leaderboard totals over a set of sessions (matches with a result):
+-- rows { player_id, name, matches, wins, win_pct }.
+create or replace function public.player_totals_for_sessions(
+  p_session_ids uuid[]
+)
+returns table (
+  player_id uuid,
+  name text,
+  matches bigint,
+  wins bigint,
+  win_pct numeric
+)
+language sql
+stable
+as $$
+  select pl.id,
+         pl.name,
+         count(*),
+         count(*) filter (where pl.id = any (m.winner)),
+         round(100.0 * count(*) filter (where pl.id = any (m.winner))
+               / count(*), 1)
+    from public.matches m
+   cross join lateral unnest(m.player_ids) as p(player_id)
+    join public.players pl on pl.id = p.player_id
+   where m.session_id = any (p_session_ids)
+     and cardinality(m.winner) > 0
+   group by pl.id, pl.name
+   order by 4 desc, 5 desc;
+$$;
+
+grant execute on function public.player_totals_for_sessions(uuid[])
+  to authenticated;
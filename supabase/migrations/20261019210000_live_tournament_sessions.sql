@@ -0,0 +1,46 @@
+-- Live rotations and tournaments belong to a session, not a date: with two
+-- sessions on one day each can run its own, and results advance the one the
+-- match was played in.
+alter table public.live_sessions
+  add column if not exists session_id uuid
+    references public.sessions (id) on delete cascade;
+
+alter table public.tournaments
+  add column if not exists session_id uuid
+    references public.sessions (id) on delete cascade;
+
+-- existing rows go to the session their matches were saved in
+update public.live_sessions l
+   set session_id = (
+     select m.session_id
+       from public.matches m
+      where m.match_date = l.match_date
+        and m.strategy = 'live'
+        and m.session_id is not null
+      order by m.match_index desc
+      limit 1
+   )
+ where l.session_id is null;
+
+update public.tournaments t
+   set session_id = (
+     select m.session_id
+       from public.matches m
+      where m.match_date = t.match_date
+        and m.strategy in ('groups', 'bracket')
+        and m.session_id is not null
+      order by m.match_index desc
+      limit 1
+   )
+ where t.session_id is null;
+
+drop index if exists public.live_sessions_active_date;
+drop index if exists public.tournaments_active_date;
+
+create unique index if not exists live_sessions_active_session
+  on public.live_sessions (session_id)
+  where active;
+
+create unique index if not exists tournaments_active_session
+  on public.tournaments (session_id)
+  where active;
@@ -0,0 +1,165 @@
+-- Schedule writers name the session they write to. A date alone no longer
+-- picks (or creates) one: with existing days backfilled as closed sessions,
+-- a date-only write used to start a fresh session next to them, and clearing
+-- a past date emptied that new session and reported success. A missing or
+-- closed session is now an error.
+drop function if exists public.session_for_date(date);
+
+-- Raises unless p_session_id is an open session on p_match_date. The row is
+-- share-locked, so the session can't be closed while the caller writes.
+create or replace function public.check_writable_session(
+  p_session_id uuid,
+  p_match_date date
+)
+returns void
+language plpgsql
+as $$
+declare
+  v_session public.sessions%rowtype;
+begin
+  if p_session_id is null then
+    raise exception 'session id is required';
+  end if;
+  select * into v_session
+    from public.sessions
+   where id = p_session_id
+     for share;
+  if not found then
+    raise exception 'session % not found', p_session_id;
+  end if;
+  if v_session.match_date <> p_match_date then
+    raise exception 'session % is on %, not %',
+      p_session_id, v_session.match_date, p_match_date;
+  end if;
+  if v_session.status = 'closed' then
+    raise exception 'session is closed — reopen it to change the schedule';
+  end if;
+end;
+$$;
+
+-- same as in 20261019200000_sessions.sql, minus the session_for_date fallback
+create or replace function public.replace_schedule_for_date(
+  p_match_date date,
+  p_matches jsonb,
+  p_replace_from integer default null,
+  p_seed text default null,
+  p_strategy text default null,
+  p_policy jsonb default null,
+  p_session_id uuid default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_session_id uuid := p_session_id;
+  v_deleted integer := 0;
+  v_next integer;
+  v_round_offset integer := 0;
+  v_schedule_id uuid := gen_random_uuid();
+  v_item jsonb;
+  v_players uuid[];
+  v_ids uuid[] := '{}';
+  v_id uuid;
+  v_rows jsonb;
+begin
+  if p_match_date is null then
+    raise exception 'match date is required';
+  end if;
+  if jsonb_typeof(coalesce(p_matches, '[]'::jsonb)) <> 'array' then
+    raise exception 'matches must be a JSON array';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('matches:' || p_match_date::text));
+  perform public.check_writable_session(p_session_id, p_match_date);
+
+  if p_replace_from is not null then
+    delete from public.scores s
+      using public.matches m
+     where s.match_id = m.id
+       and m.session_id = v_session_id
+       and m.match_index >= p_replace_from;
+
+    delete from public.matches
+     where session_id = v_session_id
+       and match_index >= p_replace_from;
+    get diagnostics v_deleted = row_count;
+  end if;
+
+  select coalesce(max(match_index), 0) + 1
+    into v_next
+    from public.matches
+   where match_date = p_match_date;
+
+  -- rounds are numbered from 1 in a new schedule: appended after the
+  -- session's last round; a re-plan already continues from the kept rounds
+  select greatest(
+           0,
+           coalesce((select max(round) from public.matches
+                      where session_id = v_session_id), 0)
+           - coalesce(min((e ->> 'round')::integer), 1) + 1
+         )
+    into v_round_offset
+    from jsonb_array_elements(coalesce(p_matches, '[]'::jsonb)) e;
+
+  for v_item in select * from jsonb_array_elements(coalesce(p_matches, '[]'::jsonb))
+  loop
+    select coalesce(array_agg(value::uuid), '{}')
+      into v_players
+      from jsonb_array_elements_text(v_item -> 'player_ids');
+
+    if cardinality(v_players) not in (2, 4)
+       or (select count(distinct p) from unnest(v_players) p) <> cardinality(v_players) then
+      raise exception 'match % needs 2 or 4 distinct players', v_next;
+    end if;
+
+    insert into public.matches (
+      match_date, session_id, court, match_index, round, player_ids,
+      resting_player_ids, winner, schedule_id, schedule_seed, strategy,
+      policy, created_at
+    )
+    values (
+      p_match_date,
+      v_session_id,
+      coalesce((v_item ->> 'court')::integer, 1),
+      v_next,
+      coalesce((v_item ->> 'round')::integer, 1) + v_round_offset,
+      v_players,
+      case
+        when jsonb_typeof(v_item -> 'resting_player_ids') = 'array'
+          and jsonb_array_length(v_item -> 'resting_player_ids') > 0
+        then array(select value::uuid
+                     from jsonb_array_elements_text(v_item -> 'resting_player_ids'))
+        else null
+      end,
+      null,
+      v_schedule_id,
+      p_seed,
+      p_strategy,
+      p_policy,
+      now()
+    )
+    returning id into v_id;
+
+    v_ids := v_ids || v_id;
+    v_next := v_next + 1;
+  end loop;
+
+  select coalesce(jsonb_agg(to_jsonb(m) order by m.match_index), '[]'::jsonb)
+    into v_rows
+    from public.matches m
+   where m.id = any (v_ids);
+
+  return jsonb_build_object(
+    'deleted', v_deleted,
+    'inserted', cardinality(v_ids),
+    'first_index', v_next - cardinality(v_ids),
+    'schedule_id', v_schedule_id,
+    'session_id', v_session_id,
+    'matches', v_rows
+  );
+end;
+$$;
+
+grant execute on function
+  public.replace_schedule_for_date(date, jsonb, integer, text, text, jsonb, uuid)
+  to authenticated;
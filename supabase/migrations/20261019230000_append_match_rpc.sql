@@ -0,0 +1,80 @@
+-- Single matches (manual entry, live courts, tournament brackets) go through
+-- append_match: match_index and the round are picked under the same per-date
+-- lock as replace_schedule_for_date, and the match is inserted together with
+-- its zeroed scores rows. Two courts finishing at the same moment no longer
+-- read the same max(match_index).
+create or replace function public.append_match(
+  p_match_date date,
+  p_session_id uuid,
+  p_player_ids uuid[],
+  p_court integer default null,
+  p_round integer default null,
+  p_strategy text default 'manual'
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_next integer;
+  v_round integer := p_round;
+  v_match public.matches%rowtype;
+  v_scores jsonb;
+begin
+  if p_match_date is null then
+    raise exception 'match date is required';
+  end if;
+  if coalesce(cardinality(p_player_ids), 0) not in (2, 4)
+     or (select count(distinct p) from unnest(p_player_ids) p)
+        <> cardinality(p_player_ids) then
+    raise exception 'a match needs 2 or 4 distinct players';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('matches:' || p_match_date::text));
+  perform public.check_writable_session(p_session_id, p_match_date);
+
+  select coalesce(max(match_index), 0) + 1
+    into v_next
+    from public.matches
+   where match_date = p_match_date;
+
+  -- no round given: a new round after the session's last one
+  if v_round is null then
+    select coalesce(max(round), 0) + 1
+      into v_round
+      from public.matches
+     where session_id = p_session_id;
+  end if;
+
+  insert into public.matches (
+    match_date, session_id, court, match_index, round, player_ids, winner,
+    strategy, created_at
+  )
+  values (
+    p_match_date,
+    p_session_id,
+    coalesce(p_court, 1),
+    v_next,
+    v_round,
+    p_player_ids,
+    null,
+    p_strategy,
+    now()
+  )
+  returning * into v_match;
+
+  insert into public.scores (match_id, player_id, points, is_win, recorded_at)
+  select v_match.id, p, 0, false, now()
+    from unnest(p_player_ids) p;
+
+  select coalesce(jsonb_agg(to_jsonb(s)), '[]'::jsonb)
+    into v_scores
+    from public.scores s
+   where s.match_id = v_match.id;
+
+  return jsonb_build_object('match', to_jsonb(v_match), 'scores', v_scores);
+end;
+$$;
+
+grant execute on function
+  public.append_match(date, uuid, uuid[], integer, integer, text)
+  to authenticated;
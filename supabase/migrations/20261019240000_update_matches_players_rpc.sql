@@ -0,0 +1,93 @@
+-- Hand-edited rounds are saved by update_matches_players in one transaction:
+-- either every changed match gets its new players or none does, so a failed
+-- save can't leave a player in two matches of the same round.
+-- p_changes: [{ id, player_ids, resting_player_ids }]
+-- Returns { updated, matches } (the updated rows by match_index).
+create or replace function public.update_matches_players(p_changes jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_item jsonb;
+  v_id uuid;
+  v_players uuid[];
+  v_ids uuid[] := '{}';
+  v_lock record;
+  v_clash record;
+  v_rows jsonb;
+begin
+  if jsonb_typeof(coalesce(p_changes, '[]'::jsonb)) <> 'array' then
+    raise exception 'changes must be a JSON array';
+  end if;
+
+  -- same per-date lock as the schedule writers, taken in a fixed order
+  for v_lock in
+    select distinct m.match_date, m.session_id
+      from jsonb_array_elements(coalesce(p_changes, '[]'::jsonb)) e
+      join public.matches m on m.id = (e ->> 'id')::uuid
+     order by m.match_date, m.session_id
+  loop
+    perform pg_advisory_xact_lock(
+      hashtext('matches:' || v_lock.match_date::text)
+    );
+    perform public.check_writable_session(v_lock.session_id, v_lock.match_date);
+  end loop;
+
+  for v_item in select * from jsonb_array_elements(coalesce(p_changes, '[]'::jsonb))
+  loop
+    v_id := (v_item ->> 'id')::uuid;
+    select coalesce(array_agg(value::uuid), '{}')
+      into v_players
+      from jsonb_array_elements_text(v_item -> 'player_ids');
+
+    if cardinality(v_players) not in (2, 4)
+       or (select count(distinct p) from unnest(v_players) p) <> cardinality(v_players) then
+      raise exception 'match % needs 2 or 4 distinct players', v_id;
+    end if;
+
+    update public.matches
+       set player_ids = v_players,
+           resting_player_ids = case
+             when jsonb_typeof(v_item -> 'resting_player_ids') = 'array'
+               and jsonb_array_length(v_item -> 'resting_player_ids') > 0
+             then array(select value::uuid
+                          from jsonb_array_elements_text(v_item -> 'resting_player_ids'))
+             else null
+           end
+     where id = v_id;
+    if not found then
+      raise exception 'match % not found', v_id;
+    end if;
+    v_ids := v_ids || v_id;
+  end loop;
+
+  -- nobody plays twice in a round of a session after the edit
+  select m.round, p.player_id
+    into v_clash
+    from public.matches m
+   cross join lateral unnest(m.player_ids) as p(player_id)
+   where (m.session_id, m.round) in (
+           select session_id, round from public.matches where id = any (v_ids)
+         )
+   group by m.session_id, m.round, p.player_id
+  having count(*) > 1
+   limit 1;
+  if found then
+    raise exception 'player % is in two matches of round %',
+      v_clash.player_id, v_clash.round;
+  end if;
+
+  select coalesce(jsonb_agg(to_jsonb(m) order by m.match_index), '[]'::jsonb)
+    into v_rows
+    from public.matches m
+   where m.id = any (v_ids);
+
+  return jsonb_build_object(
+    'updated', cardinality(v_ids),
+    'matches', v_rows
+  );
+end;
+$$;
+
+grant execute on function public.update_matches_players(jsonb)
+  to authenticated;
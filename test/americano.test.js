@@ -0,0 +1,82 @@
+// test/americano.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { planAmericano, sessionLeaderboard } from "../src/utils/americano.js";
+import { pairKey } from "../src/utils/schedulerHelpers.js";
+import { assertOncePerRound } from "./support/schedule.js";
+
+const roster = (n) => Array.from({ length: n }, (_, i) => `p${i + 1}`);
+
+function partnerCounts(matches) {
+  const counts = new Map();
+  matches.forEach(({ players: [a1, a2, b1, b2] }) => {
+    [pairKey(a1, a2), pairKey(b1, b2)].forEach((k) =>
+      counts.set(k, (counts.get(k) || 0) + 1),
+    );
+  });
+  return counts;
+}
+
+test("every pair of players partners exactly once", () => {
+  const players = roster(8);
+  const { matches, report } = planAmericano({ players, courts: 2, seed: "a" });
+  const counts = partnerCounts(matches);
+  assert.equal(counts.size, (8 * 7) / 2);
+  assert.ok([...counts.values()].every((n) => n === 1));
+  assert.equal(report.fits, true);
+  assert.equal(report.scheduled, 14);
+  assertOncePerRound(matches);
+});
+
+test("an odd number of partnerships leaves one unmatched", () => {
+  const { matches, report } = planAmericano({
+    players: roster(12),
+    courts: 3,
+    seed: "b",
+  });
+  const counts = partnerCounts(matches);
+  assert.ok([...counts.values()].every((n) => n === 1));
+  assert.equal(counts.size, report.partnerships - report.unmatched);
+  assertOncePerRound(matches);
+});
+
+test("the same seed gives the same rotation", () => {
+  const opts = { players: roster(8), courts: 2, seed: "same" };
+  assert.deepEqual(planAmericano(opts), planAmericano(opts));
+});
+
+test("a rotation longer than the rounds given is cut", () => {
+  const { matches, report } = planAmericano({
+    players: roster(8),
+    courts: 2,
+    rounds: 3,
+    seed: "c",
+  });
+  assert.equal(report.fits, false);
+  assert.ok(matches.every((m) => m.round <= 3));
+});
+
+test("leaderboard ranks by points scored", () => {
+  const rows = [
+    {
+      player_ids: ["a", "b", "c", "d"],
+      winner: ["a", "b"],
+      score_text: "21-15",
+    },
+    {
+      player_ids: ["a", "c", "b", "d"],
+      winner: ["b", "d"],
+      score_text: "21-19",
+    },
+  ];
+  const board = sessionLeaderboard(rows);
+  assert.deepEqual(
+    board.map((r) => [r.id, r.pointsFor]),
+    [
+      ["b", 42],
+      ["a", 40],
+      ["d", 36],
+      ["c", 34],
+    ],
+  );
+});
@@ -0,0 +1,87 @@
+// test/liveRotation.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startRotation,
+  advanceCourt,
+  joinQueue,
+  leaveQueue,
+  pickNextGroup,
+  todayHistory,
+  validateRotationRules,
+} from "../src/utils/liveRotation.js";
+
+const players = ["a", "b", "c", "d", "e", "f", "g", "h"];
+
+test("rules: defaults fill gaps, bad values are reported", () => {
+  assert.deepEqual(validateRotationRules({}).rules, {
+    maxWins: 3,
+    winners: "stay",
+    matchSize: 4,
+  });
+  assert.ok(validateRotationRules({ maxWins: 0 }).errors.maxWins);
+});
+
+test("the opening state fills the courts in order, the rest queue", () => {
+  const { state, started } = startRotation({ players, courts: 1 });
+  assert.deepEqual(state.courts[1].players, ["a", "b", "c", "d"]);
+  assert.deepEqual(state.queue, ["e", "f", "g", "h"]);
+  assert.deepEqual(started, [{ court: 1, players: ["a", "b", "c", "d"] }]);
+});
+
+test("king of the court: winners stay, losers go to the back", () => {
+  const { state } = startRotation({ players, courts: 1, mode: "king" });
+  const { state: after, next } = advanceCourt(state, {
+    court: 1,
+    players: ["a", "b", "c", "d"],
+    winnerIds: ["a", "b"],
+  });
+  assert.deepEqual(next, ["a", "b", "e", "f"]);
+  assert.deepEqual(after.queue, ["g", "h", "c", "d"]);
+  assert.deepEqual(after.streaks, { a: 1, b: 1 });
+});
+
+test("king of the court: winners leave after maxWins in a row", () => {
+  let { state } = startRotation({
+    players,
+    courts: 1,
+    mode: "king",
+    rules: { maxWins: 2 },
+  });
+  const win = (s) =>
+    advanceCourt(s, {
+      court: 1,
+      players: s.courts[1].players,
+      winnerIds: ["a", "b"],
+    });
+  state = win(state).state;
+  const second = win(state);
+  assert.deepEqual(second.forcedOff, ["a", "b"]);
+  assert.ok(!second.next.includes("a"));
+  assert.deepEqual(second.state.queue.slice(-2), ["a", "b"]);
+});
+
+test("queue mode: the finished players queue behind the waiting ones", () => {
+  const { state } = startRotation({ players, courts: 1, mode: "queue" });
+  const { state: after, next } = advanceCourt(state, {
+    court: 1,
+    players: ["a", "b", "c", "d"],
+    winnerIds: ["a", "b"],
+  });
+  assert.deepEqual([...next].sort(), ["e", "f", "g", "h"]);
+  assert.deepEqual(after.queue, ["a", "b", "c", "d"]);
+});
+
+test("queue mode avoids today's partners when it can", () => {
+  const history = todayHistory([{ player_ids: ["a", "b", "c", "d"] }]);
+  const group = pickNextGroup(["a", "b", "c", "d"], 4, history);
+  const teams = [group.slice(0, 2).sort(), group.slice(2).sort()];
+  assert.ok(!teams.some((t) => t.join() === "a,b" || t.join() === "c,d"));
+});
+
+test("joining skips players already on court or queued; leaving drops them", () => {
+  const { state } = startRotation({ players, courts: 1 });
+  const joined = joinQueue(state, ["a", "e", "i"]);
+  assert.deepEqual(joined.queue, ["e", "f", "g", "h", "i"]);
+  assert.deepEqual(leaveQueue(joined, "f").queue, ["e", "g", "h", "i"]);
+});
@@ -0,0 +1,66 @@
+// test/optimizer.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { optimizeSchedule, scheduleCost } from "../src/utils/optimizer.js";
+import { assertOncePerRound } from "./support/schedule.js";
+
+const players = ["a", "b", "c", "d", "e", "f", "g", "h", "i"];
+
+// The same two courts every round: as many partner repeats as possible, and
+// "i" never plays.
+const start = Array.from({ length: 5 }, (_, r) => [
+  { round: r + 1, court: 1, players: ["a", "b", "c", "d"] },
+  { round: r + 1, court: 2, players: ["e", "f", "g", "h"] },
+]).flat();
+
+// Long enough budget that the iteration count, not the clock, stops it.
+const run = (seed = 7) =>
+  optimizeSchedule({
+    matches: start,
+    players,
+    seed,
+    maxIterations: 4000,
+    timeBudgetMs: 60000,
+  });
+
+test("the optimized schedule costs less than the start", () => {
+  const result = run();
+  assert.equal(result.initialCost, scheduleCost(start, players).total);
+  assert.ok(result.cost < result.initialCost);
+  assert.equal(result.timedOut, false);
+});
+
+test("the reported cost is the cost of the returned schedule", () => {
+  const result = run();
+  assert.deepEqual(scheduleCost(result.matches, players), {
+    total: result.cost,
+    breakdown: result.breakdown,
+  });
+});
+
+test("swaps stay inside a round", () => {
+  const { matches } = run();
+  assert.equal(matches.length, start.length);
+  assertOncePerRound(matches);
+  for (let round = 1; round <= 5; round++) {
+    const courts = matches.filter((m) => m.round === round);
+    assert.deepEqual(
+      courts.map((m) => m.court),
+      [1, 2],
+    );
+    assert.ok(courts.every((m) => m.players.length === 4));
+  }
+});
+
+test("games are spread evenly over the roster", () => {
+  const { matches } = run();
+  const played = new Map(players.map((p) => [p, 0]));
+  matches.forEach((m) =>
+    m.players.forEach((p) => played.set(p, played.get(p) + 1)),
+  );
+  assert.ok([...played.values()].every((n) => n >= 4 && n <= 5));
+});
+
+test("the same seed replays the same swaps", () => {
+  assert.deepEqual(run(3).matches, run(3).matches);
+});
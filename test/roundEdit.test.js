@@ -0,0 +1,109 @@
+// test/roundEdit.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildRoundDraft,
+  swapSlots,
+  validateDraft,
+  applyDraft,
+} from "../src/utils/roundEdit.js";
+
+const saved = [
+  {
+    id: "m1",
+    match_index: 1,
+    round: 1,
+    court: 1,
+    player_ids: ["a", "b", "c", "d"],
+    resting_player_ids: ["i"],
+    winner: null,
+  },
+  {
+    id: "m2",
+    match_index: 2,
+    round: 1,
+    court: 2,
+    player_ids: ["e", "f", "g", "h"],
+    resting_player_ids: ["i"],
+    winner: ["e", "f"],
+  },
+  {
+    id: "m3",
+    match_index: 3,
+    round: 2,
+    court: 1,
+    player_ids: ["a", "c", "e", "g"],
+    resting_player_ids: ["b", "d", "f", "h", "i"],
+    winner: null,
+  },
+];
+
+test("the draft groups matches by round and locks played ones", () => {
+  const draft = buildRoundDraft(saved);
+  assert.deepEqual(
+    draft.map((r) => [r.round, r.matches.map((m) => m.key), r.resting]),
+    [
+      [1, ["m1", "m2"], ["i"]],
+      [2, ["m3"], ["b", "d", "f", "h", "i"]],
+    ],
+  );
+  assert.deepEqual(
+    draft[0].matches.map((m) => m.locked),
+    [false, true],
+  );
+});
+
+test("a player on court swaps with a resting player", () => {
+  const draft = buildRoundDraft(saved);
+  const { draft: next, error } = swapSlots(
+    draft,
+    { round: 1, key: "m1", index: 0 },
+    { round: 1, rest: 0 },
+  );
+  assert.equal(error, null);
+  assert.deepEqual(next[0].matches[0].players, ["i", "b", "c", "d"]);
+  assert.deepEqual(next[0].resting, ["a"]);
+  // the original draft is untouched
+  assert.deepEqual(draft[0].matches[0].players, ["a", "b", "c", "d"]);
+  assert.equal(validateDraft(next).ok, true);
+});
+
+test("swaps across rounds or into a played match are refused", () => {
+  const draft = buildRoundDraft(saved);
+  const across = swapSlots(
+    draft,
+    { round: 1, key: "m1", index: 0 },
+    { round: 2, key: "m3", index: 1 },
+  );
+  assert.ok(across.error);
+  assert.equal(across.draft, draft);
+  const locked = swapSlots(
+    draft,
+    { round: 1, key: "m1", index: 0 },
+    { round: 1, key: "m2", index: 0 },
+  );
+  assert.ok(locked.error);
+  assert.equal(locked.draft, draft);
+});
+
+test("a player twice in a round is reported", () => {
+  const draft = buildRoundDraft(saved);
+  draft[1].matches[0].players[0] = "b";
+  const report = validateDraft(draft);
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.duplicates, [{ round: 2, playerId: "b" }]);
+});
+
+test("applying a draft lists only the saved rows that changed", () => {
+  const { draft } = swapSlots(
+    buildRoundDraft(saved),
+    { round: 1, key: "m1", index: 0 },
+    { round: 1, rest: 0 },
+  );
+  const { matches, changes } = applyDraft(saved, draft);
+  assert.deepEqual(changes, [
+    { id: "m1", player_ids: ["i", "b", "c", "d"], resting_player_ids: ["a"] },
+    { id: "m2", player_ids: ["e", "f", "g", "h"], resting_player_ids: ["a"] },
+  ]);
+  assert.equal(matches[2], saved[2]);
+});
@@ -0,0 +1,11 @@
+// test/support/extensionless.js
+// Resolve hook: a relative import that isn't found is retried with ".js".
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    if (err?.code !== "ERR_MODULE_NOT_FOUND" || !specifier.startsWith("."))
+      throw err;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
@@ -0,0 +1,7 @@
+// test/support/register.js
+// `node --import` entry of the test script. src/ imports its siblings
+// without a file extension (Vite resolves them); this hook lets plain Node
+// load the same modules.
+import { register } from "node:module";
+
+register("./extensionless.js", import.meta.url);
@@ -0,0 +1,16 @@
+// test/support/schedule.js
+// Shared checks for generated schedules.
+import assert from "node:assert/strict";
+
+// Nobody is on two courts (or on court and resting) in the same round.
+export function assertOncePerRound(matches) {
+  const seen = new Map();
+  matches.forEach((m) => {
+    if (!seen.has(m.round)) seen.set(m.round, new Set());
+    const round = seen.get(m.round);
+    (m.players || m.player_ids).forEach((p) => {
+      assert.ok(!round.has(p), `${p} twice in round ${m.round}`);
+      round.add(p);
+    });
+  });
+}
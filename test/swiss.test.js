@@ -0,0 +1,73 @@
+// test/swiss.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pairDown, planSwissRound } from "../src/utils/swiss.js";
+import { pairKey } from "../src/utils/schedulerHelpers.js";
+import { assertOncePerRound } from "./support/schedule.js";
+
+test("pairDown skips a rematch when another pairing works", () => {
+  const met = new Set([pairKey("a", "b")]);
+  const { pairs, rematches } = pairDown(["a", "b", "c", "d"], (x, y) =>
+    met.has(pairKey(x, y)),
+  );
+  assert.deepEqual(pairs, [
+    ["a", "c"],
+    ["b", "d"],
+  ]);
+  assert.equal(rematches, 0);
+});
+
+test("pairDown reports a rematch it can't avoid", () => {
+  const { pairs, rematches } = pairDown(["a", "b"], () => true);
+  assert.deepEqual(pairs, [["a", "b"]]);
+  assert.equal(rematches, 1);
+});
+
+test("singles: winners meet winners, no rematches", () => {
+  const sessionMatches = [
+    { player_ids: ["a", "b"], winner: ["a"], score_text: "21-10" },
+    { player_ids: ["c", "d"], winner: ["c"], score_text: "21-18" },
+  ];
+  const { matches, report } = planSwissRound({
+    players: ["a", "b", "c", "d"],
+    singles: true,
+    courts: 2,
+    sessionMatches,
+  });
+  assert.deepEqual(
+    matches.map((m) => [...m.players].sort()),
+    [
+      ["a", "c"],
+      ["b", "d"],
+    ],
+  );
+  assert.equal(report.rematches, 0);
+  assert.equal(report.results, 2);
+});
+
+test("fixed pairs: with an odd count the lowest rated pair sits out", () => {
+  const pairs = ["t1", "t2", "t3", "t4", "t5"].map((id) => ({
+    id,
+    players: [`${id}a`, `${id}b`],
+  }));
+  const ratings = new Map(
+    pairs.flatMap((t, i) => t.players.map((p) => [p, 70 - i * 5])),
+  );
+  const { matches, report } = planSwissRound({
+    pairs,
+    courts: 2,
+    ratings,
+  });
+  assert.deepEqual(report.sittingOut, ["t5"]);
+  assert.equal(matches.length, 2);
+  assertOncePerRound(matches);
+});
+
+test("doubles: everyone plays once when the courts fit them", () => {
+  const players = ["a", "b", "c", "d", "e", "f", "g", "h"];
+  const { matches, report } = planSwissRound({ players, courts: 2 });
+  assert.equal(matches.length, 2);
+  assert.deepEqual(report.sittingOut, []);
+  assert.deepEqual(matches.flatMap((m) => m.players).sort(), players);
+  assertOncePerRound(matches);
+});
@@ -0,0 +1,149 @@
+// test/tournament.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  validateTournamentSettings,
+  seedTeams,
+  drawGroups,
+  groupFixtures,
+  startKnockout,
+  readyNodes,
+  applyTournamentResult,
+} from "../src/utils/tournament.js";
+import { assertOncePerRound } from "./support/schedule.js";
+
+const makeTeams = (n) =>
+  Array.from({ length: n }, (_, i) => ({
+    id: `t${i + 1}`,
+    players: [`t${i + 1}a`, `t${i + 1}b`],
+    label: `Pair ${i + 1}`,
+  }));
+
+// t1 strongest, then t2 …
+const ratingsFor = (teams) =>
+  new Map(teams.flatMap((t, i) => t.players.map((p) => [p, 80 - i * 5])));
+
+function knockout(n) {
+  const teams = seedTeams(makeTeams(n), ratingsFor(makeTeams(n)));
+  const tournament = {
+    status: "knockout",
+    settings: validateTournamentSettings({}, n).settings,
+    teams,
+    fixtures: [],
+    bracket: null,
+  };
+  return startKnockout(
+    tournament,
+    teams.map((t) => t.id),
+  );
+}
+
+// Gives every ready node a match id; returns the tournament and the nodes.
+function schedule(tournament, prefix) {
+  const ready = readyNodes(tournament.bracket);
+  const ids = new Map(ready.map((n, i) => [n.key, `${prefix}${i}`]));
+  return {
+    tournament: {
+      ...tournament,
+      bracket: {
+        ...tournament.bracket,
+        nodes: tournament.bracket.nodes.map((n) =>
+          ids.has(n.key) ? { ...n, match_id: ids.get(n.key), court: 1 } : n,
+        ),
+      },
+    },
+    ready: ready.map((n) => ({ ...n, match_id: ids.get(n.key) })),
+  };
+}
+
+const playersOf = (tournament, id) =>
+  tournament.teams.find((t) => t.id === id).players;
+
+test("settings: defaults fill gaps, bad values are reported", () => {
+  assert.deepEqual(validateTournamentSettings({ courts: "2" }, 4), {
+    settings: { groups: 0, advance: 2, plate: false, courts: 2 },
+    errors: {},
+  });
+  const { errors } = validateTournamentSettings({ groups: 3, courts: 0 }, 5);
+  assert.ok(errors.courts);
+  assert.ok(errors.groups);
+  assert.ok(validateTournamentSettings({}, 1).errors.teams);
+});
+
+test("snake draw spreads the seeds over the groups", () => {
+  const seeded = seedTeams(makeTeams(6), ratingsFor(makeTeams(6)));
+  assert.deepEqual(
+    drawGroups(seeded, 2).map((t) => `${t.id}${t.group}`),
+    ["t1A", "t2B", "t3B", "t4A", "t5A", "t6B"],
+  );
+});
+
+test("group fixtures: every pair meets its group once, never twice a round", () => {
+  const seeded = drawGroups(
+    seedTeams(makeTeams(6), ratingsFor(makeTeams(6))),
+    2,
+  );
+  const { fixtures, schedule: rows } = groupFixtures(seeded, 2);
+  assert.equal(fixtures.length, 6);
+  assert.equal(
+    new Set(fixtures.map((f) => [...f.teams].sort().join())).size,
+    6,
+  );
+  fixtures.forEach((f) => {
+    const [a, b] = f.teams.map((id) => seeded.find((t) => t.id === id));
+    assert.equal(a.group, f.group);
+    assert.equal(b.group, f.group);
+  });
+  assertOncePerRound(rows);
+});
+
+test("the bracket advances the winner to the final", () => {
+  let t = knockout(4);
+  assert.equal(t.status, "knockout");
+  let step = schedule(t, "semi");
+  t = step.tournament;
+  assert.equal(step.ready.length, 2);
+
+  // the second pair listed wins the first semi
+  const [first, second] = step.ready;
+  const upset = first.teams[1];
+  t = applyTournamentResult(t, {
+    matchId: first.match_id,
+    winnerIds: playersOf(t, upset),
+  }).tournament;
+  assert.equal(readyNodes(t.bracket).length, 0);
+
+  t = applyTournamentResult(t, {
+    matchId: second.match_id,
+    winnerIds: playersOf(t, second.teams[0]),
+  }).tournament;
+  step = schedule(t, "final");
+  t = step.tournament;
+  assert.equal(step.ready.length, 1);
+  const [final] = step.ready;
+  assert.deepEqual([...final.teams].sort(), [upset, second.teams[0]].sort());
+
+  const result = applyTournamentResult(t, {
+    matchId: final.match_id,
+    winnerIds: playersOf(t, upset),
+  });
+  assert.equal(result.changed, true);
+  assert.equal(result.tournament.status, "finished");
+});
+
+test("a result from outside the teams changes nothing", () => {
+  const { tournament, ready } = schedule(knockout(4), "m");
+  const result = applyTournamentResult(tournament, {
+    matchId: ready[0].match_id,
+    winnerIds: ["someone-else"],
+  });
+  assert.equal(result.changed, false);
+  assert.equal(result.tournament, tournament);
+});
+
+test("three pairs: the top seed gets a bye", () => {
+  const t = knockout(3);
+  const ready = readyNodes(t.bracket);
+  assert.equal(ready.length, 1);
+  assert.ok(!ready[0].teams.includes("t1"));
+});